@@ -0,0 +1,252 @@
+/**
+ * DataPersistence Transaction Tests
+ * Verifies grouped commits, rollback, write-ahead journal recovery in every data root, and that
+ * a process cannot overwrite a document another process changed after it was read
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../data-persistence.js';
+import { WriteConflictError } from '../errors.js';
+import { JsonFileStorageAdapter, SqliteStorageAdapter, WriteJournal } from '../storage/index.js';
+
+describe('DataPersistence transactions', () => {
+  let dataDir;
+  let persistence;
+
+  const task = { id: 't1', title: 'Scales', branch: 'technique' };
+  const block = { id: 'b1', title: 'Scales', startTime: '9:00 AM' };
+  const stamped = document => ({ ...document, schemaVersion: 1 });
+
+  const readDisk = async key =>
+    JSON.parse(await fs.readFile(path.join(dataDir, ...key.split('/')), 'utf8'));
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-tx-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+  });
+
+  afterEach(async () => {
+    clearInterval(persistence.cacheManager.cleanupInterval);
+    await persistence.storage.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('buffers writes until the unit of work resolves', async () => {
+    await persistence.saveProjectData('alpha', 'hta.json', { frontierNodes: [task] });
+
+    await persistence.runInTransaction(async () => {
+      await persistence.saveProjectData('alpha', 'day_2025-01-01.json', { blocks: [block] });
+      await persistence.saveProjectData('alpha', 'hta.json', {
+        frontierNodes: [{ ...task, completed: true }],
+      });
+
+      // Reads inside the transaction see its own writes; the disk does not yet
+      expect(await persistence.loadProjectData('alpha', 'hta.json')).toEqual(
+        stamped({ frontierNodes: [{ ...task, completed: true }] })
+      );
+      expect(await readDisk('projects/alpha/hta.json')).toEqual(stamped({ frontierNodes: [task] }));
+      expect(await persistence.storage.exists('projects/alpha/day_2025-01-01.json')).toBe(false);
+    }, 'complete_block');
+
+    expect(await readDisk('projects/alpha/hta.json')).toEqual(
+      stamped({ frontierNodes: [{ ...task, completed: true }] })
+    );
+    expect(await readDisk('projects/alpha/day_2025-01-01.json')).toEqual(
+      stamped({ blocks: [block] })
+    );
+    expect(await persistence.journal.pending()).toEqual([]);
+  });
+
+  test('discards every write when the unit of work throws', async () => {
+    await persistence.saveGlobalData('config.json', { activeProject: 'alpha' });
+
+    await expect(
+      persistence.runInTransaction(async () => {
+        await persistence.saveGlobalData('config.json', { activeProject: 'beta' });
+        await persistence.saveProjectData('beta', 'config.json', { goal: 'Never saved' });
+        throw new Error('tool failed');
+      })
+    ).rejects.toThrow('tool failed');
+
+    expect(await persistence.loadGlobalData('config.json')).toEqual(
+      stamped({ activeProject: 'alpha' })
+    );
+    expect(await persistence.storage.exists('projects/beta/config.json')).toBe(false);
+  });
+
+  test('nested transactions join the outermost one', async () => {
+    await persistence.runInTransaction(async outer => {
+      await persistence.runInTransaction(async inner => {
+        expect(inner).toBe(outer);
+        await persistence.saveProjectData('alpha', 'config.json', { goal: 'Nested' });
+      });
+      expect(await persistence.storage.exists('projects/alpha/config.json')).toBe(false);
+    });
+
+    expect(await readDisk('projects/alpha/config.json')).toEqual(stamped({ goal: 'Nested' }));
+  });
+
+  test('rolls back already-applied documents when a commit write fails', async () => {
+    await persistence.saveProjectData('alpha', 'config.json', { goal: 'Original' });
+
+    const write = persistence.storage.write.bind(persistence.storage);
+    jest.spyOn(persistence.storage, 'write').mockImplementation(async (key, data) => {
+      if (key.endsWith('hta.json')) {
+        throw new Error('disk full');
+      }
+      return write(key, data);
+    });
+
+    await expect(
+      persistence.runInTransaction(async () => {
+        await persistence.saveProjectData('alpha', 'config.json', { goal: 'Changed' });
+        await persistence.saveProjectData('alpha', 'learning_history.json', { completions: [1] });
+        await persistence.saveProjectData('alpha', 'hta.json', { frontierNodes: [] });
+      }, 'complete_block')
+    ).rejects.toThrow("Data persistence operation 'commit' failed");
+
+    expect(await readDisk('projects/alpha/config.json')).toEqual(stamped({ goal: 'Original' }));
+    expect(await persistence.storage.exists('projects/alpha/learning_history.json')).toBe(false);
+    expect(await persistence.journal.pending()).toEqual([]);
+  });
+
+  test('rolls an interrupted commit forward from the journal on startup', async () => {
+    await persistence.saveProjectData('alpha', 'hta.json', { frontierNodes: [task] });
+
+    // Simulate a crash after the journal was recorded but before every document was written
+    const journal = new WriteJournal(dataDir);
+    await journal.record('crashed-tx', {
+      label: 'complete_block',
+      writes: [
+        {
+          key: 'projects/alpha/day_2025-01-01.json',
+          data: { blocks: [block] },
+          previous: null,
+        },
+        {
+          key: 'projects/alpha/hta.json',
+          data: { frontierNodes: [{ ...task, completed: true }] },
+          previous: { frontierNodes: [task] },
+        },
+      ],
+    });
+    await fs.writeFile(path.join(dataDir, 'journal', 'torn.wal'), '{"id": "torn", "wri');
+
+    const restarted = new DataPersistence(dataDir, {
+      storage: new JsonFileStorageAdapter(dataDir),
+    });
+    const report = await restarted.recoverFromJournal();
+    clearInterval(restarted.cacheManager.cleanupInterval);
+
+    expect(report).toEqual({ recovered: ['crashed-tx'], discarded: ['torn'] });
+    expect(await readDisk('projects/alpha/hta.json')).toEqual({
+      frontierNodes: [{ ...task, completed: true }],
+    });
+    expect(await readDisk('projects/alpha/day_2025-01-01.json')).toEqual({
+      blocks: [block],
+    });
+    expect(await journal.pending()).toEqual([]);
+    // Journal entries are never mistaken for documents
+    expect(await persistence.storage.listAll()).not.toContain('journal/crashed-tx.wal');
+  });
+
+  test("rolls forward interrupted commits in each user's data root too", async () => {
+    const userDir = path.join(dataDir, 'users', 'ana');
+    await new WriteJournal(userDir).record('ana-tx', {
+      label: 'complete_block',
+      writes: [{ key: 'projects/alpha/hta.json', data: { frontierNodes: [task] }, previous: null }],
+    });
+    // A user whose journal is empty is left closed
+    await fs.mkdir(path.join(dataDir, 'users', 'bob', 'journal'), { recursive: true });
+
+    const report = await persistence.recoverFromJournal();
+
+    expect(report).toEqual({ recovered: ['ana-tx'], discarded: [] });
+    expect(
+      JSON.parse(await fs.readFile(path.join(userDir, 'projects', 'alpha', 'hta.json'), 'utf8'))
+    ).toEqual({ frontierNodes: [task] });
+    expect(await new WriteJournal(userDir).pending()).toEqual([]);
+    expect([...persistence.userRoots.keys()]).toEqual(['ana']);
+    await persistence.close();
+  });
+
+  test('SQLite commits through a single database transaction without a journal', async () => {
+    const sqlite = new SqliteStorageAdapter(dataDir);
+    const sqlitePersistence = new DataPersistence(dataDir, { storage: sqlite });
+    const recordSpy = jest.spyOn(sqlitePersistence.journal, 'record');
+
+    await sqlitePersistence.runInTransaction(async () => {
+      await sqlitePersistence.saveProjectData('alpha', 'config.json', { goal: 'SQL' });
+      await sqlitePersistence.savePathData('alpha', 'piano', 'hta.json', { frontierNodes: [] });
+    });
+
+    expect(recordSpy).not.toHaveBeenCalled();
+    expect(await sqlite.read('projects/alpha/config.json')).toEqual(stamped({ goal: 'SQL' }));
+    expect(await sqlite.read('projects/alpha/paths/piano/hta.json')).toEqual(
+      stamped({ frontierNodes: [] })
+    );
+
+    clearInterval(sqlitePersistence.cacheManager.cleanupInterval);
+    await sqlite.close();
+  });
+});
+
+describe('DataPersistence shared between processes', () => {
+  let dataDir;
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-race-'));
+    first = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    second = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    await first.saveGlobalData('config.json', { projects: ['alpha'], activeProject: 'alpha' });
+  });
+
+  afterEach(async () => {
+    await first.close();
+    await second.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('a stale read cannot clobber the active project another process just set', async () => {
+    // Both processes read the config, then each switches to a different project
+    const firstView = await first.loadGlobalData('config.json');
+    const secondView = await second.loadGlobalData('config.json');
+
+    await second.saveGlobalData('config.json', { ...secondView, activeProject: 'beta' });
+    await expect(
+      first.saveGlobalData('config.json', { ...firstView, activeProject: 'gamma' })
+    ).rejects.toThrow(WriteConflictError);
+    expect((await second.loadGlobalData('config.json')).activeProject).toBe('beta');
+
+    // Retrying from a fresh read succeeds, and so does the process's own next save
+    const fresh = await first.loadGlobalData('config.json');
+    await first.saveGlobalData('config.json', { ...fresh, activeProject: 'gamma' });
+    await first.saveGlobalData('config.json', { ...fresh, projects: ['alpha', 'gamma'] });
+    expect(await second.loadGlobalData('config.json')).toMatchObject({
+      projects: ['alpha', 'gamma'],
+    });
+  });
+
+  test('a transaction built on a stale read is rolled back as a whole', async () => {
+    await first.saveProjectData('alpha', 'config.json', { goal: 'Scales' });
+    await first.loadProjectData('alpha', 'config.json');
+    await second.saveProjectData('alpha', 'config.json', { goal: 'Arpeggios' });
+
+    await expect(
+      first.runInTransaction(async () => {
+        await first.saveProjectData('alpha', 'config.json', { goal: 'Nocturne' });
+        await first.saveGlobalData('config.json', { activeProject: 'alpha' });
+      })
+    ).rejects.toThrow(WriteConflictError);
+
+    expect(await first.loadProjectData('alpha', 'config.json')).toMatchObject({
+      goal: 'Arpeggios',
+    });
+    expect(await first.journal.pending()).toEqual([]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Day Rescheduler Tests
+ * Verifies missed blocks are picked up again, overruns push the rest of the day, what no longer
+ * fits before sleep is dropped or carried to the next day, and the clock can run it on a timer
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { CalendarCommitments, addDays } from '../calendar-commitments.js';
+import { DayRescheduler } from '../day-rescheduler.js';
+import { ScheduleGenerator } from '../schedule-generator.js';
+import { SystemClock } from '../system-clock.js';
+import { EventBus } from '../utils/event-bus.js';
+import {
+  activeProject,
+  blockSummary as summarizeBlocks,
+  createTestPersistence,
+  lifeStructure,
+  scheduleBlock as block,
+  seedProject,
+} from './project-test-harness.js';
+
+describe('Day rescheduler', () => {
+  let persistence;
+  let cleanup;
+  let rescheduler;
+  let now;
+  let today;
+
+  const blockSummary = blocks => summarizeBlocks(blocks, entry => `${entry.id} ${entry.duration}`);
+
+  beforeEach(async () => {
+    ({ persistence, cleanup } = await createTestPersistence('forest-reschedule-'));
+    const commitments = new CalendarCommitments(persistence);
+    rescheduler = new DayRescheduler(
+      persistence,
+      activeProject(),
+      new ScheduleGenerator(persistence, null, commitments),
+      commitments
+    );
+
+    // Noon today; blocks are read against today's clock
+    now = new Date();
+    now.setHours(12, 0, 0, 0);
+    today = now.toISOString().split('T')[0];
+
+    await seedProject(persistence, {
+      config: {
+        life_structure_preferences: lifeStructure('3:00 PM', { meal_times: ['12:30 PM'] }),
+      },
+      days: {
+        [today]: [
+          block('b1', 'learning', 'Scales', '9:00 AM', 30, { taskId: 't1', completed: true }),
+          block('b2', 'learning', 'Arpeggios', '10:00 AM', 45, { taskId: 't2' }),
+          block('br', 'break', 'Break & Reflection', '10:45 AM', 15),
+          block('b3', 'learning', 'Nocturne', '11:30 AM', 60, { taskId: 'r1' }),
+          block('h', 'habit', 'Midday Review', '1:00 PM', 20),
+          block('b4', 'learning', 'Circle of fifths', '1:30 PM', 60, { taskId: 'h1' }),
+          block('m', 'meeting', 'Lesson', '2:30 PM', 30),
+        ],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('picks up missed blocks after lunch and carries what does not fit to tomorrow', async () => {
+    const result = await rescheduler.rescheduleDay({ now });
+
+    expect(result.overdue).toEqual(['b2', 'br']);
+    expect(result.moved).toEqual([
+      { block_id: 'b2', title: 'Arpeggios', from: '10:00 AM', to: '1:15 PM' },
+    ]);
+    expect(result.dropped).toEqual([
+      { block_id: 'br', title: 'Break & Reflection', reason: 'time has passed' },
+      { block_id: 'h', title: 'Midday Review', reason: 'no time left before sleep' },
+    ]);
+    expect(result.carried).toEqual([
+      { task_id: 'h1', title: 'Circle of fifths', to: addDays(today, 1), start_time: '8:00 AM' },
+    ]);
+
+    const day = await persistence.loadProjectData('piano', `day_${today}.json`);
+    expect(blockSummary(day.blocks)).toEqual([
+      '9:00 AM b1 30',
+      '11:30 AM b3 60',
+      '1:15 PM b2 45',
+      '2:30 PM m 30',
+    ]);
+    const tomorrow = await persistence.loadProjectData('piano', `day_${addDays(today, 1)}.json`);
+    expect(tomorrow.blocks).toEqual([
+      expect.objectContaining({ id: 'carried_1', taskId: 'h1', carriedFrom: today }),
+    ]);
+  });
+
+  test('an overrun extends the block in progress and later blocks give way', async () => {
+    const result = await rescheduler.rescheduleDay({
+      now,
+      overrunMinutes: 45,
+      carryOver: false,
+    });
+
+    expect(result.extended).toEqual({ block_id: 'b3', title: 'Nocturne', duration: 75 });
+    expect(result.dropped.map(entry => entry.block_id)).toEqual(['br', 'h', 'b4']);
+    expect(result.carried).toEqual([]);
+
+    const day = await persistence.loadProjectData('piano', `day_${today}.json`);
+    expect(blockSummary(day.blocks)).toEqual([
+      '9:00 AM b1 30',
+      '11:30 AM b3 75',
+      '1:15 PM b2 45',
+      '2:30 PM m 30',
+    ]);
+    expect(await persistence.listProjectFiles('piano')).not.toContain(
+      `day_${addDays(today, 1)}.json`
+    );
+  });
+
+  test('a past day moves its unfinished tasks into the rest of today', async () => {
+    const yesterday = addDays(today, -1);
+    await persistence.saveProjectData('piano', `day_${today}.json`, {
+      date: today,
+      blocks: [block('b3', 'learning', 'Nocturne', '1:30 PM', 30, { taskId: 'r1' })],
+    });
+    await persistence.saveProjectData('piano', `day_${yesterday}.json`, {
+      date: yesterday,
+      blocks: [
+        block('y1', 'learning', 'Nocturne', '09:00', 60, { taskId: 'r1' }),
+        block('y2', 'learning', 'Pedalling', '10:00', 30, { taskId: 'p1' }),
+      ],
+    });
+
+    const result = await rescheduler.rescheduleDay({ date: yesterday, now });
+
+    expect(result.overdue).toEqual(['y1', 'y2']);
+    // Nocturne is on today's plan already; pedalling fits in before lunch
+    expect(result.carried).toEqual([
+      { task_id: 'r1', title: 'Nocturne', to: today, start_time: null, note: 'already planned' },
+      { task_id: 'p1', title: 'Pedalling', to: today, start_time: '12:00' },
+    ]);
+    const day = await persistence.loadProjectData('piano', `day_${yesterday}.json`);
+    expect(day.blocks).toEqual([]);
+  });
+
+  test('leaves a day that is on track alone', async () => {
+    await persistence.saveProjectData('piano', `day_${today}.json`, {
+      date: today,
+      blocks: [block('b5', 'learning', 'Sight reading', '1:30 PM', 30, { taskId: 's1' })],
+    });
+
+    const result = await rescheduler.rescheduleDay({ now });
+
+    expect(result.changed).toBe(false);
+    expect(result.content[0].text).toMatch(/on track/);
+  });
+
+  test('the system clock can run it on a timer and on demand', async () => {
+    const eventBus = new EventBus();
+    const events = [];
+    eventBus.on('schedule:rescheduled', event => events.push(event), 'test');
+    const clock = new SystemClock(
+      persistence,
+      { requireActiveProject: async () => 'piano' },
+      null,
+      null,
+      eventBus,
+      { rescheduleDay: () => rescheduler.rescheduleDay({ now }) }
+    );
+
+    clock.start({ rescheduleIntervalMinutes: 15, enableBackgroundTicks: false });
+    expect(clock.getStatus().activeIntervals).toEqual(['day_rescheduling']);
+    await clock.triggerImmediateAnalysis('reschedule');
+    clock.stop();
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ projectId: 'piano', date: today });
+    expect(events[0].moved.map(move => move.block_id)).toEqual(['b2']);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Dependency Graph Tests
+ * Verifies prerequisites resolve by id or title, that readiness and cycles are judged the same way
+ * everywhere, that generated tasks are linked by id and refused when they form a cycle, and that
+ * the critical path, its completion dates and the gating tasks follow from task durations
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { addDays } from '../calendar-commitments.js';
+import { DependencyGraph, linkPrerequisites } from '../dependency-graph.js';
+import { HtaStatus } from '../hta-status.js';
+import { TaskSelector } from '../task-logic/index.js';
+import {
+  activeProject,
+  createTestPersistence,
+  htaTask,
+  seedProject,
+} from './project-test-harness.js';
+
+const task = (id, title, prerequisites, extra) => htaTask(id, title, 'core', prerequisites, extra);
+
+describe('Dependency graph', () => {
+  test('resolves prerequisites by id or title and judges readiness from them', () => {
+    const hta = {
+      frontierNodes: [
+        task('n1', 'Hand position', [], { completed: true }),
+        task('n2', 'Arpeggios', ['Hand position']),
+        task('n3', 'Scales', ['n2']),
+        task('n4', 'Trills', ['Ornaments']),
+        task('n5', 'Nocturne', ['Old warm-up']),
+      ],
+      completed_nodes: [{ id: 'old_1', title: 'Old warm-up' }],
+    };
+    const graph = DependencyGraph.fromHTA(hta);
+
+    expect(graph.resolve('Hand position').id).toBe('n1');
+    expect(graph.readyNodes().map(node => node.id)).toEqual(['n2', 'n5']);
+    expect(graph.blockedNodes().map(node => node.id)).toEqual(['n3', 'n4']);
+    expect(graph.unresolvedPrerequisites()).toEqual(['Ornaments']);
+    expect(graph.depthOf(graph.node('n3'))).toBe(2);
+
+    // Task selection sees the same ready tasks
+    const selected = TaskSelector.selectOptimalTask(hta, 3, '60 minutes', '', {});
+    expect(['n2', 'n5']).toContain(selected.id);
+  });
+
+  test('finds cycles and the chain by which one task waits for another', () => {
+    const graph = new DependencyGraph([
+      task('a', 'A', ['c']),
+      task('b', 'B', ['a']),
+      task('c', 'C', ['B']),
+      task('d', 'D', ['a']),
+    ]);
+
+    expect(graph.findCycles()).toEqual([['a', 'c', 'b']]);
+    expect(graph.waitChain('d', 'b')).toEqual(['d', 'a', 'c', 'b']);
+    expect(graph.waitChain('a', 'd')).toBeNull();
+    expect(graph.criticalPath()).toMatchObject({ path: [], cyclic: ['a', 'b', 'c', 'd'] });
+  });
+
+  test('links generated tasks by id and reports the cycles they would form', () => {
+    const hta = {
+      frontierNodes: [
+        task('node_1', 'Hand position', [], { completed: true }),
+        task('node_2', 'Arpeggios', ['Scales', 'Hand position', 'Sight reading']),
+        task('node_3', 'Scales', ['node_1', 'node_1']),
+      ],
+    };
+    const added = hta.frontierNodes.slice(1);
+
+    expect(linkPrerequisites(hta, added)).toEqual([]);
+    expect(added.map(node => node.prerequisites)).toEqual([['node_3', 'node_1'], ['node_1']]);
+
+    const looped = { frontierNodes: [task('node_4', 'Trills', ['Mordents'])] };
+    looped.frontierNodes.push(task('node_5', 'Mordents', ['Trills']));
+    const cycles = linkPrerequisites(looped, looped.frontierNodes);
+    expect(cycles.map(cycle => cycle.map(node => node.title))).toEqual([['Trills', 'Mordents']]);
+  });
+
+  test('the critical path is the unfinished chain with the most work in it', () => {
+    const graph = new DependencyGraph([
+      task('n1', 'Hand position', [], { completed: true, duration: '60 minutes' }),
+      task('n2', 'Scales', ['n1'], { duration: '45 minutes' }),
+      task('n3', 'Arpeggios', ['n1'], { duration: '20 minutes' }),
+      task('n4', 'Etude', ['n2', 'n3'], { duration: '1 hour' }),
+      task('n5', 'Ear training', [], { duration: '90 minutes' }),
+      task('r1', 'Daily scales', [], { recurrence: { rule: 'FREQ=DAILY' } }),
+    ]);
+
+    const critical = graph.criticalPath();
+    expect(critical.path.map(node => node.id)).toEqual(['n2', 'n4']);
+    expect(critical).toMatchObject({ minutes: 105, totalMinutes: 215, cyclic: [] });
+
+    expect(
+      graph.gatingTasks().map(entry => [entry.node.id, entry.downstream, entry.ready])
+    ).toEqual([
+      ['n2', 1, true],
+      ['n3', 1, true],
+    ]);
+  });
+});
+
+describe('get_critical_path', () => {
+  let persistence;
+  let cleanup;
+  let status;
+  let today;
+
+  beforeEach(async () => {
+    ({ persistence, cleanup } = await createTestPersistence('forest-critical-'));
+    status = new HtaStatus(persistence, activeProject());
+    today = new Date().toISOString().split('T')[0];
+
+    await seedProject(persistence, {
+      config: { weekly_hours: 7 },
+      hta: {
+        strategicBranches: [{ id: 'core', title: 'Core' }],
+        frontierNodes: [
+          task('n1', 'Hand position', [], { duration: '60 minutes' }),
+          task('n2', 'Scales', ['Hand position'], { duration: '90 minutes' }),
+          task('n3', 'Arpeggios', ['n1']),
+          task('n4', 'Nocturne bars 1-8', ['n2', 'n3'], { duration: '120 minutes' }),
+        ],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('dates the critical path at the project pace and names the gating tasks', async () => {
+    const result = await status.getCriticalPath();
+
+    // Seven hours a week is an hour a day: 270 minutes on the path, 300 in all
+    expect(result.critical_path).toMatchObject({
+      path: 'general',
+      minutes: 270,
+      total_minutes: 300,
+      daily_minutes: 60,
+      earliest_completion: addDays(today, 4),
+      all_tasks_completion: addDays(today, 4),
+      cyclic: [],
+    });
+    expect(result.critical_path.tasks.map(entry => [entry.id, entry.ready])).toEqual([
+      ['n1', true],
+      ['n2', false],
+      ['n4', false],
+    ]);
+    expect(result.critical_path.gating_tasks[0]).toMatchObject({
+      id: 'n1',
+      downstream: 3,
+      downstream_minutes: 240,
+      on_critical_path: true,
+    });
+    expect(result.content[0].text).toMatch(/\*\*Hand position\*\* \(critical\): holds up 3 tasks/);
+
+    const faster = await status.getCriticalPath({ dailyMinutes: 150 });
+    expect(faster.critical_path.earliest_completion).toBe(addDays(today, 1));
+
+    const invalid = await status.getCriticalPath({ dailyMinutes: 0 });
+    expect(invalid.content[0].text).toMatch(/daily_minutes/);
+  });
+});
@@ -8,10 +8,17 @@ import {
   ForestError,
   ProjectConfigurationError,
   DataPersistenceError,
+  DocumentValidationError,
+  LockAcquisitionError,
+  NoActiveProjectError,
+  RequestValidationError,
+  ResourceNotFoundError,
   ToolDispatchError,
   ValidationError,
+  WriteConflictError,
   enhanceError,
   extractErrorInfo,
+  httpStatusForError,
 } from '../errors.js';
 
 describe('ForestError', () => {
@@ -85,6 +92,30 @@ describe('DataPersistenceError', () => {
   });
 });
 
+describe('LockAcquisitionError', () => {
+  test('should name the contended document and its holder', () => {
+    const holder = { pid: 4242, hostname: 'laptop', acquiredAt: '2025-01-01T00:00:00.000Z' };
+    const error = new LockAcquisitionError('config.json', 5000, holder);
+
+    expect(error.message).toContain("Could not acquire lock on 'config.json' within 5000ms");
+    expect(error.message).toContain('held by pid 4242 on laptop');
+    expect(error.resource).toBe('config.json');
+    expect(error.holder).toBe(holder);
+    expect(error).toBeInstanceOf(ForestError);
+  });
+});
+
+describe('WriteConflictError', () => {
+  test('should name the document changed since it was read', () => {
+    const error = new WriteConflictError('config.json', '1:20', '2:24');
+
+    expect(error.message).toContain("'config.json' was changed by another Forest process");
+    expect(error.readVersion).toBe('1:20');
+    expect(error.storedVersion).toBe('2:24');
+    expect(httpStatusForError(error)).toBe(409);
+  });
+});
+
 describe('ToolDispatchError', () => {
   test('should create tool dispatch error', () => {
     const cause = new Error('Handler failed');
@@ -112,6 +143,53 @@ describe('ValidationError', () => {
   });
 });
 
+describe('DocumentValidationError', () => {
+  test('should list every problem with its path', () => {
+    const problems = [
+      { path: 'frontierNodes[0]', message: 'HtaNode requires a branch' },
+      { path: '', message: 'expected an object' },
+    ];
+    const error = new DocumentValidationError('projects/alpha/hta.json', problems);
+
+    expect(error.message).toBe(
+      "Document 'projects/alpha/hta.json' failed schema validation: frontierNodes[0]: HtaNode requires a branch; expected an object"
+    );
+    expect(error.problems).toBe(problems);
+    expect(error).toBeInstanceOf(ForestError);
+  });
+});
+
+describe('RequestValidationError', () => {
+  test('should name the operation and every problem', () => {
+    const problems = [{ path: 'goal', message: 'is required' }];
+    const error = new RequestValidationError('create_project', problems);
+
+    expect(error.message).toBe('Invalid request for create_project: goal: is required');
+    expect(error.problems).toBe(problems);
+    expect(error.operation).toBe('create_project');
+  });
+});
+
+describe('httpStatusForError', () => {
+  test('should map each error class to an HTTP status', () => {
+    expect(httpStatusForError(new RequestValidationError('x', []))).toBe(400);
+    expect(httpStatusForError(new ValidationError('field', 1, 'string'))).toBe(400);
+    expect(httpStatusForError(new DocumentValidationError('config.json', []))).toBe(422);
+    expect(httpStatusForError(new ProjectConfigurationError('alpha', 'config.json'))).toBe(404);
+    expect(httpStatusForError(new ResourceNotFoundError('Schedule', '2025-01-01'))).toBe(404);
+    expect(httpStatusForError(new NoActiveProjectError())).toBe(409);
+    expect(httpStatusForError(new LockAcquisitionError('hta.json', 5000))).toBe(503);
+    expect(httpStatusForError(new DataPersistenceError('save', 'x', new Error()))).toBe(500);
+    expect(httpStatusForError(new Error('boom'))).toBe(500);
+  });
+
+  test('should report the cause of a tool dispatch failure', () => {
+    const cause = new ValidationError('project_id', '../x', 'a safe id');
+    expect(httpStatusForError(new ToolDispatchError('create_project', cause))).toBe(400);
+    expect(httpStatusForError(new ToolDispatchError('create_project', new Error('x')))).toBe(500);
+  });
+});
+
 describe('enhanceError', () => {
   test('should return ForestError unchanged', () => {
     const forestError = new ForestError('Already enhanced');
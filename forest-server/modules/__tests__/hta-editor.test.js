@@ -0,0 +1,233 @@
+/**
+ * HTA Editor Tests
+ * Verifies tasks and branches can be added, edited, moved, split and deleted by id, that fields go
+ * through the HtaNode model, and that prerequisites stay valid and acyclic through every edit
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { HtaEditor } from '../hta-editor.js';
+import { EventBus } from '../utils/event-bus.js';
+import {
+  GOAL,
+  PROJECT_ID,
+  activeProject,
+  createTestPersistence,
+  htaTask,
+  seedProject,
+} from './project-test-harness.js';
+
+describe('HTA editor', () => {
+  let persistence;
+  let cleanup;
+  let editor;
+  let events;
+
+  const task = (id, title, branch, prerequisites, extra) =>
+    htaTask(id, title, branch, prerequisites, { priority: 200, ...extra });
+  const loadTree = () => persistence.loadProjectData(PROJECT_ID, 'hta.json');
+  const ids = tree => tree.frontierNodes.map(node => node.id);
+  const prerequisitesOf = (tree, id) =>
+    tree.frontierNodes.find(node => node.id === id).prerequisites;
+
+  beforeEach(async () => {
+    ({ persistence, cleanup } = await createTestPersistence('forest-hta-editor-'));
+    const eventBus = new EventBus();
+    events = [];
+    eventBus.on('project:files_changed', event => events.push(event), 'test');
+    editor = new HtaEditor(persistence, activeProject(), eventBus);
+
+    await seedProject(persistence, {
+      hta: {
+        goal: GOAL,
+        strategicBranches: [
+          {
+            id: 'technique',
+            title: 'Technique',
+            depth: 1,
+            parent_id: null,
+            task_count: 2,
+            total_task_count: 3,
+            sub_branches: [
+              {
+                id: 'scales',
+                title: 'Scales',
+                depth: 2,
+                parent_id: 'technique',
+                task_count: 1,
+                total_task_count: 1,
+                sub_branches: [],
+              },
+            ],
+          },
+          {
+            id: 'repertoire',
+            title: 'Repertoire',
+            depth: 1,
+            parent_id: null,
+            task_count: 1,
+            total_task_count: 1,
+            sub_branches: [],
+          },
+        ],
+        frontierNodes: [
+          task('node_1', 'Hand position', 'technique'),
+          task('node_2', 'Arpeggios', 'technique', ['node_1']),
+          task('node_3', 'C major scale', 'scales', ['Hand position']),
+          task('node_4', 'Nocturne bars 1-8', 'repertoire', ['node_2', 'node_3'], {
+            duration: '60 minutes',
+          }),
+        ],
+        hierarchy_metadata: { total_branches: 2, total_tasks: 4 },
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('adds a task at a position and keeps the counts current', async () => {
+    const result = await editor.addNode({
+      title: 'Wrist rotation',
+      branch: 'technique',
+      duration: 15,
+      prerequisites: ['node_1'],
+      position: 1,
+    });
+
+    expect(result.node).toMatchObject({
+      id: 'node_5',
+      branch: 'technique',
+      duration: '15 minutes',
+      difficulty: 1,
+      branch_path: 'Technique',
+      branch_depth: 1,
+    });
+    const tree = await loadTree();
+    expect(ids(tree)).toEqual(['node_1', 'node_5', 'node_2', 'node_3', 'node_4']);
+    expect(tree.strategicBranches[0]).toMatchObject({ task_count: 3, total_task_count: 4 });
+    expect(tree.hierarchy_metadata.total_tasks).toBe(5);
+    expect(events).toEqual([
+      expect.objectContaining({ projectId: 'piano', pathName: 'general', files: ['hta.json'] }),
+    ]);
+  });
+
+  test('rejects values the model would change and prerequisites that form a cycle', async () => {
+    const attempts = [
+      [{ title: 'Trills', branch: 'ornaments' }, /branch/],
+      [{ title: '  ', branch: 'technique' }, /title/],
+      [{ title: 'Trills', branch: 'technique', difficulty: 12 }, /difficulty/],
+      [{ title: 'Trills', branch: 'technique', duration: 'a while' }, /duration/],
+      [{ title: 'Trills', branch: 'technique', prerequisites: ['node_9'] }, /prerequisites/],
+    ];
+    for (const [options, message] of attempts) {
+      const result = await editor.addNode(options);
+      expect(result.content[0].text).toMatch(message);
+    }
+
+    const cycle = await editor.updateNode({ nodeId: 'node_1', prerequisites: ['node_4'] });
+    expect(cycle.content[0].text).toMatch(/does not itself wait for node_1/);
+    const branchField = await editor.updateNode({ nodeId: 'scales', difficulty: 3 });
+    expect(branchField.content[0].text).toMatch(/difficulty/);
+
+    const tree = await loadTree();
+    expect(ids(tree)).toEqual(['node_1', 'node_2', 'node_3', 'node_4']);
+    expect(prerequisitesOf(tree, 'node_1')).toEqual([]);
+    expect(events).toEqual([]);
+  });
+
+  test('says when the tree has no branches to add a task to yet', async () => {
+    // As build_hta_tree leaves it
+    await persistence.saveProjectData(PROJECT_ID, 'hta.json', {
+      goal: GOAL,
+      strategicBranches: [],
+      frontierNodes: [],
+    });
+
+    const result = await editor.addNode({ title: 'Trills', branch: 'technique' });
+
+    expect(result.content[0].text).toContain(
+      'the tree has no branches yet; run generate_hta_tasks or import_hta first'
+    );
+    expect(result.content[0].text).not.toContain('one of ,');
+  });
+
+  test('updates a task and a branch, following a renamed prerequisite', async () => {
+    const result = await editor.updateNode({
+      nodeId: 'node_1',
+      title: 'Relaxed hand position',
+      difficulty: 3,
+    });
+    expect(result.changed).toEqual(['title', 'difficulty']);
+
+    await editor.updateNode({ nodeId: 'scales', title: 'Major scales' });
+
+    const tree = await loadTree();
+    expect(tree.frontierNodes[0]).toMatchObject({ title: 'Relaxed hand position', difficulty: 3 });
+    expect(prerequisitesOf(tree, 'node_3')).toEqual(['Relaxed hand position']);
+    expect(tree.strategicBranches[0].sub_branches[0].title).toBe('Major scales');
+  });
+
+  test('moves tasks and branches, but not a branch into its own sub-branch', async () => {
+    const moved = await editor.moveNode({ nodeId: 'node_3', parentId: 'repertoire', position: 0 });
+    expect(moved).toMatchObject({ from: 'scales', to: 'repertoire' });
+
+    await editor.moveNode({ nodeId: 'scales', parentId: 'repertoire' });
+    const intoItself = await editor.moveNode({ nodeId: 'repertoire', parentId: 'scales' });
+    expect(intoItself.content[0].text).toMatch(/parent_id/);
+    await editor.moveNode({ nodeId: 'repertoire', position: 0 });
+
+    const tree = await loadTree();
+    expect(ids(tree)).toEqual(['node_1', 'node_2', 'node_3', 'node_4']);
+    expect(tree.frontierNodes[2].branch).toBe('repertoire');
+    expect(tree.strategicBranches.map(branch => branch.id)).toEqual(['repertoire', 'technique']);
+    expect(tree.strategicBranches[0]).toMatchObject({ task_count: 2, total_task_count: 2 });
+    expect(tree.strategicBranches[0].sub_branches[0]).toMatchObject({
+      id: 'scales',
+      parent_id: 'repertoire',
+      depth: 2,
+      task_count: 0,
+    });
+    expect(tree.strategicBranches[1]).toMatchObject({ task_count: 2, total_task_count: 2 });
+  });
+
+  test('splits a task into a chain that takes over its prerequisites and dependents', async () => {
+    const result = await editor.splitNode({
+      nodeId: 'node_2',
+      subtasks: [{ title: 'Arpeggios hands separately' }, { title: 'Arpeggios hands together' }],
+    });
+    expect(result.subtasks.map(node => [node.id, node.duration, node.prerequisites])).toEqual([
+      ['node_5', '15 minutes', ['node_1']],
+      ['node_6', '15 minutes', ['node_5']],
+    ]);
+    expect(result.updated_prerequisites).toEqual(['node_4']);
+
+    const tree = await loadTree();
+    expect(ids(tree)).toEqual(['node_1', 'node_5', 'node_6', 'node_3', 'node_4']);
+    expect(prerequisitesOf(tree, 'node_4')).toEqual(['node_6', 'node_3']);
+
+    const single = await editor.splitNode({ nodeId: 'node_4', subtasks: [{ title: 'Bars 1-4' }] });
+    expect(single.content[0].text).toMatch(/at least two subtasks/);
+  });
+
+  test('deletes tasks and branches, passing prerequisites on to what depended on them', async () => {
+    const deleted = await editor.deleteNode({ nodeId: 'node_2' });
+    expect(deleted).toMatchObject({ deleted: ['node_2'], updated_prerequisites: ['node_4'] });
+    let tree = await loadTree();
+    expect(prerequisitesOf(tree, 'node_4')).toEqual(['node_1', 'node_3']);
+
+    const refused = await editor.deleteNode({ nodeId: 'technique' });
+    expect(refused.content[0].text).toMatch(/cascade/);
+
+    const cascaded = await editor.deleteNode({ nodeId: 'technique', cascade: true });
+    expect(cascaded).toMatchObject({
+      deleted: ['node_1', 'node_3'],
+      deleted_branches: ['technique', 'scales'],
+    });
+    tree = await loadTree();
+    expect(ids(tree)).toEqual(['node_4']);
+    expect(prerequisitesOf(tree, 'node_4')).toEqual([]);
+    expect(tree.strategicBranches.map(branch => branch.id)).toEqual(['repertoire']);
+    expect(tree.hierarchy_metadata).toMatchObject({ total_branches: 1, total_tasks: 1 });
+  });
+});
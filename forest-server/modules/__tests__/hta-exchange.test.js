@@ -0,0 +1,374 @@
+/**
+ * HTA Exchange Tests
+ * Verifies the active path's tree exports as a Mermaid mindmap and flowchart, Graphviz DOT with
+ * prerequisite edges and completion colouring, and OPML, and that a branch or depth narrows it;
+ * and that markdown, OPML and CSV outlines import as branches and tasks, previewed or refused
+ * with the problems they have
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { HtaExchange } from '../hta-exchange.js';
+import { CleanForestServer } from '../../server-modular.js';
+import {
+  PROJECT_ID,
+  activeProject,
+  createTestPersistence,
+  htaTask as task,
+  seedProject,
+} from './project-test-harness.js';
+
+describe('HTA export', () => {
+  let dataDir;
+  let persistence;
+  let cleanup;
+  let exchange;
+
+  beforeEach(async () => {
+    ({ dataDir, persistence, cleanup } = await createTestPersistence('forest-hta-export-'));
+    exchange = new HtaExchange(persistence, activeProject());
+
+    await seedProject(persistence, {
+      hta: {
+        goal: 'Play a "Chopin" nocturne',
+        strategicBranches: [
+          {
+            id: 'technique',
+            title: 'Technique',
+            sub_branches: [{ id: 'scales', title: 'Scales & arpeggios', sub_branches: [] }],
+          },
+          { id: 'repertoire', title: 'Repertoire', sub_branches: [] },
+        ],
+        frontierNodes: [
+          task('node_1', 'Hand position', 'technique', [], {
+            completed: true,
+            description: 'Curved fingers\nloose wrist',
+          }),
+          task('node_2', 'C major (hands together)', 'scales', ['Hand position']),
+          task('node_3', 'Nocturne bars 1-8', 'repertoire', ['node_2']),
+          task('recurring_1', 'Daily scales', 'scales', [], {
+            recurrence: { rule: 'FREQ=DAILY', startDate: '2099-06-01' },
+          }),
+        ],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('renders a mindmap of the whole tree by default', async () => {
+    const result = await exchange.exportHta();
+
+    expect(result.counts).toEqual({ branches: 3, tasks: 4 });
+    expect(result.export).toBe(
+      [
+        'mindmap',
+        "  goal((`Play a 'Chopin' nocturne`))",
+        '    b_technique["`Technique`"]',
+        '      b_scales["`Scales & arpeggios`"]',
+        '        t_node_2["`C major (hands together)`"]',
+        '        t_recurring_1["`Daily scales (every day)`"]',
+        '      t_node_1["`✅ Hand position`"]',
+        '    b_repertoire["`Repertoire`"]',
+        '      t_node_3["`Nocturne bars 1-8`"]',
+        '',
+      ].join('\n')
+    );
+    expect(result.content[0].text).toMatch(/3 branches, 4 tasks\n\n```mermaid\nmindmap/);
+  });
+
+  test('flowchart and DOT show prerequisites and colour tasks by status', async () => {
+    const flowchart = (await exchange.exportHta({ format: 'mermaid_flowchart' })).export;
+    expect(flowchart).toMatch(
+      /^flowchart TD\n {2}goal\(\["Play a #quot;Chopin#quot; nocturne"\]\)/
+    );
+    expect(flowchart).toContain('  b_technique --> b_scales\n');
+    expect(flowchart).toContain('  t_node_1 -.-> t_node_2\n  t_node_2 -.-> t_node_3\n');
+    expect(flowchart).toContain('  class t_node_1 done\n');
+    expect(flowchart).toContain('  class t_node_2,t_recurring_1 ready\n');
+    expect(flowchart).toContain('  class t_node_3 blocked\n');
+
+    const dot = (await exchange.exportHta({ format: 'dot' })).export;
+    expect(dot).toMatch(/^digraph hta \{\n/);
+    expect(dot).toContain('"goal:goal" [label="Play a \\"Chopin\\" nocturne", shape=ellipse');
+    expect(dot).toContain('"node_1" [label="✅ Hand position", fillcolor="#c8e6c9"');
+    expect(dot).toContain('"node_3" [label="Nocturne bars 1-8", fillcolor="#eeeeee"');
+    expect(dot).toContain('"branch:technique" -> "branch:scales";');
+    expect(dot).toContain('"node_2" -> "node_3" [style=dashed');
+  });
+
+  test('writes OPML with task fields and notes, narrowed to a branch and depth', async () => {
+    const outputPath = path.join('trees', 'technique.opml');
+    const result = await exchange.exportHta({ format: 'opml', branch: 'Technique', outputPath });
+
+    expect(result.output_path).toBe(outputPath);
+    expect(await fs.readFile(path.join(dataDir, 'exports', outputPath), 'utf8')).toBe(
+      result.export
+    );
+    expect(result.export).toContain('<title>Technique</title>');
+    expect(result.export).toContain(
+      '<outline text="Hand position" type="task" id="node_1" duration="30 minutes" difficulty="2" completed="true" _note="Curved fingers&#10;loose wrist"/>'
+    );
+    expect(result.export).toContain(
+      '<outline text="Scales &amp; arpeggios" type="branch" id="scales">'
+    );
+    expect(result.export).toContain('recurrence="FREQ=DAILY"/>');
+    expect(result.export).not.toContain('Nocturne');
+
+    const shallow = await exchange.exportHta({ branch: 'technique', depth: 1 });
+    expect(shallow.counts).toEqual({ branches: 2, tasks: 1 });
+
+    const unknown = await exchange.exportHta({ branch: 'ornaments' });
+    expect(unknown.content[0].text).toMatch(/branch/);
+    const badFormat = await exchange.exportHta({ format: 'svg' });
+    expect(badFormat.content[0].text).toMatch(/format/);
+    // Files are only written inside the exports directory
+    for (const escaping of ['../hta.opml', path.join(dataDir, 'hta.opml')]) {
+      const refused = await exchange.exportHta({ outputPath: escaping });
+      expect(refused.content[0].text).toContain("Validation failed for field 'output_path'");
+    }
+    expect(await fs.readdir(dataDir)).not.toContain('hta.opml');
+  });
+});
+
+describe('HTA import', () => {
+  let dataDir;
+  let persistence;
+  let cleanup;
+  let exchange;
+  let stored;
+
+  beforeEach(async () => {
+    ({ dataDir, persistence, cleanup } = await createTestPersistence('forest-hta-import-'));
+    stored = [];
+    exchange = new HtaExchange(persistence, activeProject(), {
+      storeGeneratedTasks: async branchTasks => {
+        stored.push(branchTasks);
+        return { content: [{ type: 'text', text: 'stored' }], storage_summary: {} };
+      },
+    });
+
+    await seedProject(persistence, {
+      hta: {
+        strategicBranches: [{ id: 'technique', title: 'Technique', sub_branches: [] }],
+        // Without difficulty or duration, which an export then leaves out
+        frontierNodes: [
+          {
+            id: 'node_1',
+            title: 'Hand position',
+            branch: 'technique',
+            prerequisites: [],
+            completed: true,
+          },
+        ],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('reads a markdown outline into branch_tasks and previews it without storing', async () => {
+    const content = [
+      '# Piano curriculum',
+      '',
+      '## Technique',
+      'Daily warm-ups',
+      '- Scales',
+      '  - [ ] C major | 20 min | difficulty 2 | after Hand position',
+      '  - [x] G major | 1.5 hours | after C major; Hand position | both hands',
+      '- Wrist rotation',
+      '## Repertoire',
+      '1. Nocturne bars 1-8 | 1 h | after G major',
+      '   Count the left hand aloud',
+    ].join('\n');
+
+    const result = await exchange.importHta({ content, preview: true });
+
+    expect(stored).toEqual([]);
+    expect(result.import_summary).toMatchObject({
+      format: 'markdown',
+      branches: 3,
+      tasks: 4,
+      depth: 2,
+      problems: [],
+      warnings: [],
+    });
+    expect(result.branch_tasks).toEqual([
+      {
+        branch_name: 'Technique',
+        description: 'Daily warm-ups',
+        sub_branches: [
+          {
+            branch_name: 'Scales',
+            description: '',
+            sub_branches: [],
+            tasks: [
+              {
+                title: 'C major',
+                description: '',
+                duration: 20,
+                difficulty: 2,
+                prerequisites: ['Hand position'],
+              },
+              {
+                title: 'G major',
+                description: 'both hands',
+                duration: 90,
+                prerequisites: ['C major', 'Hand position'],
+              },
+            ],
+          },
+        ],
+        tasks: [{ title: 'Wrist rotation', description: '', prerequisites: [] }],
+      },
+      {
+        branch_name: 'Repertoire',
+        description: '',
+        sub_branches: [],
+        tasks: [
+          {
+            title: 'Nocturne bars 1-8',
+            description: 'Count the left hand aloud',
+            duration: 60,
+            prerequisites: ['G major'],
+          },
+        ],
+      },
+    ]);
+    expect(result.content[0].text).toMatch(/• Technique: 3 tasks\n {2}• Scales: 2 tasks/);
+  });
+
+  test('reads back an OPML export, turning prerequisite ids into titles', async () => {
+    const exported = await new HtaExchange(persistence, {
+      requireActiveProject: async () => 'piano',
+    }).exportHta({ format: 'opml' });
+    await persistence.saveProjectData('piano', 'hta.json', { frontierNodes: [] });
+    await fs.mkdir(path.join(dataDir, 'exports'), { recursive: true });
+    await fs.writeFile(
+      path.join(dataDir, 'exports', 'curriculum.opml'),
+      exported.export.replace(
+        '</outline>',
+        '  <outline text="Arpeggios &amp; trills" type="task" duration="15 minutes" prerequisites="node_1"/>\n    </outline>'
+      )
+    );
+
+    const result = await exchange.importHta({ filePath: 'curriculum.opml' });
+
+    expect(result.content[0].text).toMatch(/Imported 2 tasks in 1 branches from opml/);
+    expect(stored[0]).toEqual([
+      {
+        branch_name: 'Technique',
+        description: '',
+        sub_branches: [],
+        tasks: [
+          { title: 'Hand position', description: '', prerequisites: [] },
+          {
+            title: 'Arpeggios & trills',
+            description: '',
+            duration: 15,
+            prerequisites: ['Hand position'],
+          },
+        ],
+      },
+    ]);
+  });
+
+  test('reads CSV rows and refuses an import with problems', async () => {
+    const content = [
+      'Title,Branch,Duration,Difficulty,Prerequisites,Description',
+      'C major,Technique > Scales,20,2,Hand position,',
+      '"Pedalling, legato",Technique,45 min,7,,"Change on ""one"""',
+      'Bars 1-8,Repertoire,a while,,Pedalling; Bars 9-16,',
+      'Bars 9-16,Repertoire,30,,Bars 1-8,',
+      'Sight reading,,15,,,',
+    ].join('\r\n');
+
+    const preview = await exchange.importHta({ content, format: 'csv', preview: true });
+    expect(preview.import_summary).toMatchObject({ branches: 4, tasks: 5 });
+    expect(preview.branch_tasks.map(branch => branch.branch_name)).toEqual([
+      'Technique',
+      'Repertoire',
+      'Imported',
+    ]);
+    expect(preview.branch_tasks[0].tasks[0]).toMatchObject({
+      title: 'Pedalling, legato',
+      description: 'Change on "one"',
+    });
+    expect(preview.import_summary.problems).toEqual([
+      'line 3: "Pedalling, legato" needs a difficulty from 1 to 5, not 7',
+      'line 4: "Bars 1-8" has a duration Forest cannot read: a while',
+      'prerequisites form a cycle: Bars 1-8 → Bars 9-16 → Bars 1-8',
+    ]);
+    expect(preview.import_summary.warnings).toEqual([
+      '"Bars 1-8" waits for "Pedalling", which names no task; it will be dropped',
+    ]);
+
+    const refused = await exchange.importHta({ content, format: 'csv' });
+    expect(refused.content[0].text).toMatch(
+      /Error importing HTA outline: .*difficulty from 1 to 5/
+    );
+    expect(stored).toEqual([]);
+
+    const missing = await exchange.importHta({});
+    expect(missing.content[0].text).toMatch(/file_path or content/);
+
+    // Files are only read from the exports directory
+    for (const filePath of ['../config.json', path.join(dataDir, 'config.json')]) {
+      const refused = await exchange.importHta({ filePath, format: 'csv', preview: true });
+      expect(refused.content[0].text).toContain("Validation failed for field 'file_path'");
+    }
+  });
+});
+
+describe('HTA import into a running server', () => {
+  let dataDir;
+  let cleanup;
+  let server;
+  let previousDataDir;
+
+  beforeEach(async () => {
+    ({ dataDir, cleanup } = await createTestPersistence('forest-hta-server-'));
+    previousDataDir = process.env.FOREST_DATA_DIR;
+    process.env.FOREST_DATA_DIR = dataDir;
+    server = new CleanForestServer();
+
+    // A project without an hta.json yet
+    await seedProject(server.dataPersistence);
+    await server.dataPersistence.saveGlobalData('config.json', { activeProject: PROJECT_ID });
+  });
+
+  afterEach(async () => {
+    await server.dataPersistence.close();
+    if (previousDataDir === undefined) {
+      delete process.env.FOREST_DATA_DIR;
+    } else {
+      process.env.FOREST_DATA_DIR = previousDataDir;
+    }
+    await cleanup();
+  });
+
+  test('stores the imported branches and tasks in the project tree', async () => {
+    const content = [
+      '## Technique',
+      '- [ ] Scales | 20 min',
+      '- [ ] Arpeggios | after Scales',
+    ].join('\n');
+
+    const result = await server.htaExchange.importHta({ content });
+
+    expect(result.content[0].text).toMatch(/Imported 2 tasks in 1 branches from markdown/);
+    const hta = await server.loadPathHTA(PROJECT_ID, 'general');
+    expect(hta.strategicBranches.map(branch => branch.title)).toEqual(['Technique']);
+    expect(
+      hta.frontierNodes.map(node => [node.id, node.title, node.duration, node.prerequisites])
+    ).toEqual([
+      ['node_1', 'Scales', '20 minutes', []],
+      ['node_2', 'Arpeggios', '30 minutes', ['node_1']],
+    ]);
+  });
+});
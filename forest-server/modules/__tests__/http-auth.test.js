@@ -0,0 +1,200 @@
+/**
+ * HTTP Auth Tests
+ * Verifies API tokens, per-user data roots and the admin user listing
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import http from 'http';
+import fetch from 'node-fetch';
+import os from 'os';
+import path from 'path';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { DataPersistence } from '../data-persistence.js';
+import { HttpAuth } from '../http-auth.js';
+import { McpHandlers } from '../mcp-handlers.js';
+import { ProjectManagement } from '../project-management.js';
+import { RestApi } from '../rest-api.js';
+import { ToolRouter } from '../tool-router.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+import { runInSession } from '../utils/session-context.js';
+
+const PREFERENCES = { wake_time: '7:00', sleep_time: '23:00' };
+
+describe('HTTP auth', () => {
+  let dataDir;
+  let persistence;
+  let auth;
+  let forestServer;
+  let httpServer;
+  let baseUrl;
+  const tokens = {};
+
+  const request = async (method, urlPath, token, body) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-auth-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    auth = new HttpAuth(dataDir, { mode: 'token' });
+    await auth.addUser('root', { role: 'admin' });
+    await auth.addUser('alice');
+    await auth.addUser('bob');
+    for (const userId of ['root', 'alice', 'bob']) {
+      tokens[userId] = (await auth.issueToken(userId)).token;
+    }
+
+    const projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+    forestServer = {
+      dataPersistence: persistence,
+      httpAuth: auth,
+      projectManagement,
+      listProjects: () => projectManagement.listProjects(),
+      createProject: args => projectManagement.createProject(args),
+      switchProject: projectId => projectManagement.switchProject(projectId),
+    };
+    const server = new CoreInfrastructure().getServer();
+    forestServer.toolRouter = new ToolRouter(server, forestServer);
+    forestServer.mcpHandlers = new McpHandlers(server, forestServer);
+
+    const restApi = new RestApi(forestServer);
+    httpServer = http.createServer(async (req, res) => {
+      if ((await auth.authenticateRequest(req, res)) && !(await restApi.handleRequest(req, res))) {
+        res.writeHead(418);
+        res.end('{}');
+      }
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterEach(async () => {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('accepts issued tokens and rejects missing, unknown and revoked ones', async () => {
+    const missing = await request('GET', '/projects');
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('www-authenticate')).toMatch(/^Bearer/);
+    expect((await request('GET', '/projects', 'fst_not-a-token')).status).toBe(401);
+    expect((await request('GET', '/projects', tokens.alice)).status).toBe(200);
+
+    const viaApiKey = await fetch(`${baseUrl}/projects`, { headers: { 'X-API-Key': tokens.bob } });
+    expect(viaApiKey.status).toBe(200);
+
+    const [{ id: tokenId }] = (await auth.listUsers()).find(user => user.id === 'bob').tokens;
+    expect(await auth.revokeToken('bob', tokenId)).toBe(true);
+    expect((await request('GET', '/projects', tokens.bob)).status).toBe(401);
+
+    // Only hashes are stored
+    const stored = await fs.readFile(path.join(dataDir, 'auth', 'users.json'), 'utf8');
+    expect(stored).not.toContain(tokens.alice);
+  });
+
+  test("keeps each user's projects in their own data root", async () => {
+    const created = await request('POST', '/projects', tokens.alice, {
+      project_id: 'piano',
+      goal: 'Play a Chopin nocturne',
+      life_structure_preferences: PREFERENCES,
+    });
+    expect(created.status).toBe(201);
+
+    expect((await request('GET', '/projects', tokens.alice)).body.projects).toEqual(['piano']);
+    const bobs = await request('GET', '/projects', tokens.bob);
+    expect(bobs.body.projects).toBeUndefined();
+    expect(bobs.body.content[0].text).toMatch(/No projects found/);
+    expect((await request('GET', '/projects/piano/hta', tokens.bob)).status).toBe(404);
+
+    const aliceDir = path.join(dataDir, 'users', 'alice', 'projects', 'piano');
+    expect(await fs.readdir(aliceDir)).toContain('config.json');
+    // Nothing lands in the shared data directory, and it does not list user documents
+    expect(await persistence.listProjects()).toEqual([]);
+    expect(await persistence.storage.listAll()).toEqual([]);
+    await runInSession({ id: 's1', userId: 'alice' }, async () => {
+      expect(await persistence.listProjects()).toEqual(['piano']);
+    });
+  });
+
+  test("refuses project ids that reach into another user's data root", async () => {
+    await request('POST', '/projects', tokens.bob, {
+      project_id: 'secret',
+      goal: 'Bob private goal',
+      life_structure_preferences: PREFERENCES,
+    });
+    const escaping = '../../bob/projects/secret';
+
+    await runInSession({ id: 's2', userId: 'alice' }, async () => {
+      const { toolRouter } = forestServer;
+      const switched = await toolRouter.dispatchTool('switch_project', { project_id: escaping });
+      expect(switched.content[0].text).toContain("Validation failed for field 'project_id'");
+      expect(switched.content[0].text).not.toContain('Bob private goal');
+
+      const created = await toolRouter.dispatchTool('create_project', {
+        project_id: '../../bob/projects/pwned',
+        goal: 'Overwrite Bob',
+        life_structure_preferences: PREFERENCES,
+      });
+      expect(created.content[0].text).toContain("Validation failed for field 'project_id'");
+    });
+
+    expect(await fs.readdir(path.join(dataDir, 'users', 'bob', 'projects'))).toEqual(['secret']);
+    const posted = await request('POST', '/projects', tokens.alice, {
+      project_id: '..',
+      goal: 'Escape',
+      life_structure_preferences: PREFERENCES,
+    });
+    expect(posted.status).toBe(400);
+  });
+
+  test('does not activate a project that does not exist', async () => {
+    await runInSession({ id: 's3', userId: 'alice' }, async () => {
+      const { toolRouter, projectManagement } = forestServer;
+      await toolRouter.dispatchTool('create_project', {
+        project_id: 'piano',
+        goal: 'Play a Chopin nocturne',
+        life_structure_preferences: PREFERENCES,
+      });
+
+      const switched = await toolRouter.dispatchTool('switch_project', {
+        project_id: 'does-not-exist',
+      });
+      expect(switched.content[0].text).toContain("Project 'does-not-exist' not found");
+      expect(switched.active_project).toBeUndefined();
+      expect(await projectManagement.requireActiveProject()).toBe('piano');
+    });
+  });
+
+  test('lets admins list users with their storage usage', async () => {
+    await request('POST', '/projects', tokens.bob, {
+      project_id: 'spanish',
+      goal: 'Hold a conversation in Spanish',
+      life_structure_preferences: PREFERENCES,
+    });
+
+    const forbidden = await request('GET', '/admin/users', tokens.alice);
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.error.type).toBe('AuthorizationError');
+
+    const listed = await request('GET', '/admin/users', tokens.root);
+    expect(listed.status).toBe(200);
+    const byId = Object.fromEntries(listed.body.users.map(user => [user.id, user]));
+    expect(byId.root).toMatchObject({ role: 'admin', tokens: 1 });
+    expect(byId.alice.storage).toEqual({ projects: 0, files: 0, bytes: 0 });
+    expect(byId.bob.storage.projects).toBe(1);
+    expect(byId.bob.storage.bytes).toBeGreaterThan(0);
+  });
+});
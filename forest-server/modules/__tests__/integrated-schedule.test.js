@@ -0,0 +1,228 @@
+/**
+ * Integrated Schedule Tests
+ * Verifies the multi-project scheduler plans around meals, timed habits, busy_times.json and
+ * blocks already in the day, honours urgency and weekly budgets, and merges into day files
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { CalendarCommitments, parseClockTime } from '../calendar-commitments.js';
+import { ValidationError } from '../errors.js';
+import { IntegratedScheduleGenerator } from '../integrated-schedule-generator.js';
+import { IntegratedTaskPool } from '../integrated-task-pool.js';
+import { ScheduleGenerator } from '../schedule-generator.js';
+import { runInSession } from '../utils/session-context.js';
+import {
+  PROJECT_ID,
+  blockSummary,
+  createTestPersistence,
+  htaTask,
+  scheduleBlock,
+  seedProject,
+} from './project-test-harness.js';
+
+// A Wednesday
+const DATE = '2026-10-21';
+
+describe('Integrated schedule', () => {
+  let persistence;
+  let cleanup;
+  let llmCompletion;
+  let generator;
+
+  const describeBlock = block => `${block.duration} ${block.taskId || block.title}`;
+
+  beforeEach(async () => {
+    ({ persistence, cleanup } = await createTestPersistence('forest-integrated-'));
+
+    await persistence.saveGlobalData('config.json', { activeProject: PROJECT_ID });
+    await seedProject(persistence, {
+      config: {
+        urgency_level: 'high',
+        weekly_hours: 1.5,
+        life_structure_preferences: {
+          wake_time: '8:00 AM',
+          sleep_time: '2:00 PM',
+          meal_times: ['12:00 PM'],
+        },
+        current_habits: { good_habits: ['Meditate at 8:00 AM for 30 minutes', 'Stretch daily'] },
+      },
+      hta: { frontierNodes: [htaTask('p1', 'Scales'), htaTask('p2', 'Arpeggios')] },
+      // An hour of piano already planned this week
+      days: { '2026-10-20': [scheduleBlock('task_1', 'learning', 'Hanon', '9:00 AM', 60)] },
+    });
+
+    await seedProject(persistence, {
+      projectId: 'spanish',
+      config: {
+        goal: 'Hold a conversation in Spanish',
+        urgency_level: 'low',
+        life_structure_preferences: { wake_time: '6:00 AM', sleep_time: '11:00 PM' },
+      },
+      hta: { frontierNodes: [htaTask('s1', 'Verb drills'), htaTask('s2', 'Podcast episode')] },
+      days: { [DATE]: [scheduleBlock('tutor', 'meeting', 'Call tutor', '11:00', 30)] },
+    });
+
+    await persistence.saveGlobalData('busy_times.json', {
+      recurring: [{ title: 'Work', days: ['wed'], start: '09:00', end: '11:00' }],
+      events: [{ title: 'Dentist', start: `${DATE}T13:00`, end: `${DATE}T13:30` }],
+    });
+
+    llmCompletion = '';
+    const llm = { requestIntelligence: async () => ({ completion: llmCompletion }) };
+    generator = new IntegratedScheduleGenerator(
+      new IntegratedTaskPool(persistence),
+      null,
+      llm,
+      persistence,
+      new ScheduleGenerator(persistence)
+    );
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('plans around commitments and shares the day by urgency and weekly budget', async () => {
+    const result = await generator.generateIntegratedSchedule(DATE, 3);
+
+    expect(result.free_blocks).toEqual([
+      { start: '08:30', end: '09:00' },
+      { start: '11:30', end: '12:00' },
+      { start: '12:45', end: '13:00' },
+      { start: '13:30', end: '14:00' },
+    ]);
+    expect(result.busy_blocks.map(block => block.source)).toEqual([
+      'habit',
+      'recurring',
+      'day:spanish',
+      'meal',
+      'event',
+    ]);
+    // Piano is more urgent but has only 30 minutes of its weekly budget left
+    expect(result.schedule).toEqual([
+      { task_id: 'p1', project_id: 'piano', start: '08:30', end: '09:00' },
+      { task_id: 's1', project_id: 'spanish', start: '11:30', end: '12:00' },
+      { task_id: 's2', project_id: 'spanish', start: '13:30', end: '14:00' },
+    ]);
+    expect(result.content[0].text).toMatch(/Time by project: piano 30 min, spanish 60 min/);
+
+    const spanishDay = await persistence.loadProjectData('spanish', `day_${DATE}.json`);
+    expect(blockSummary(spanishDay.blocks, describeBlock)).toEqual([
+      '11:00 30 Call tutor',
+      '11:30 30 s1',
+      '13:30 30 s2',
+    ]);
+    expect(spanishDay.blocks[1]).toMatchObject({ id: 'integrated_1', branch: 'core' });
+  });
+
+  test('regenerating a day replaces only its own unfinished blocks', async () => {
+    await generator.generateIntegratedSchedule(DATE, 3);
+    const pianoDay = await persistence.loadProjectData('piano', `day_${DATE}.json`);
+    pianoDay.blocks[0].completed = true;
+    await persistence.saveProjectData('piano', `day_${DATE}.json`, pianoDay);
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    hta.frontierNodes[0].completed = true;
+    await persistence.saveProjectData('piano', 'hta.json', hta);
+
+    const result = await generator.generateIntegratedSchedule(DATE, 3);
+
+    // The completed block stays and has used up piano's budget
+    expect(result.schedule.map(entry => entry.task_id)).toEqual(['s1', 's2']);
+    expect(result.free_blocks[0]).toEqual({ start: '11:30', end: '12:00' });
+    const spanishDay = await persistence.loadProjectData('spanish', `day_${DATE}.json`);
+    expect(blockSummary(spanishDay.blocks, describeBlock)).toEqual([
+      '11:00 30 Call tutor',
+      '11:30 30 s1',
+      '13:30 30 s2',
+    ]);
+    expect(
+      (await persistence.loadProjectData('piano', `day_${DATE}.json`)).blocks.map(b => b.id)
+    ).toEqual(['integrated_1']);
+  });
+
+  test('drops model entries that overlap commitments', async () => {
+    llmCompletion = JSON.stringify([
+      { task_id: 's1', project_id: 'spanish', start: '09:00', end: '09:30' },
+      { task_id: 's2', project_id: 'spanish', start: '11:30', end: '12:00' },
+      { task_id: 'unknown', project_id: 'spanish', start: '13:30', end: '14:00' },
+    ]);
+
+    const result = await generator.generateIntegratedSchedule(DATE, 3);
+    expect(result.schedule).toEqual([
+      { task_id: 's2', project_id: 'spanish', start: '11:30', end: '12:00' },
+    ]);
+  });
+
+  test("shapes the day by the session's own active project", async () => {
+    // Spanish is awake from 6:00 AM to 11:00 PM, piano (active globally) from 8:00 AM to 2:00 PM
+    const result = await runInSession({ id: 's1', activeProject: 'spanish' }, () =>
+      generator.generateIntegratedSchedule(DATE, 3)
+    );
+
+    expect(result.free_blocks[0].start).toBe('06:00');
+    expect(result.free_blocks.at(-1).end).toBe('23:00');
+  });
+
+  test('reads recurring commitments, overnight events and rejects unreadable ones', async () => {
+    const commitments = new CalendarCommitments(persistence);
+    await persistence.saveGlobalData('busy_times.json', {
+      recurring: [{ title: 'Night shift', start: '10:00 PM', end: '6:00 AM' }],
+      events: [
+        { title: 'Flight', start: '2026-10-20T21:00', end: `${DATE}T02:00`, source: 'ics' },
+        { title: 'Tomorrow', date: '2026-10-22', start: '09:00', end: '10:00' },
+      ],
+    });
+
+    expect(await commitments.commitmentsFor(DATE)).toEqual([
+      { title: 'Night shift', start: 0, end: 360, source: 'recurring' },
+      { title: 'Flight', start: 0, end: 120, source: 'ics' },
+      { title: 'Night shift', start: 1320, end: 1440, source: 'recurring' },
+    ]);
+
+    await persistence.saveGlobalData('busy_times.json', {
+      events: [{ title: 'Meeting', start: 'tomorrow at 3', end: `${DATE}T16:00` }],
+    });
+    await expect(commitments.commitmentsFor(DATE)).rejects.toThrow(ValidationError);
+    await expect(generator.generateIntegratedSchedule(DATE, 3)).rejects.toThrow(
+      /events\[0\]\.start/
+    );
+  });
+});
+
+describe('parseClockTime', () => {
+  test('reads 24-hour and AM/PM times, with or without minutes', () => {
+    for (const [value, minutes] of [
+      ['14:00', 840],
+      ['00:00', 0],
+      ['23:59', 1439],
+      ['2:00 PM', 840],
+      ['2 PM', 840],
+      ['2pm', 840],
+      ['9 AM', 540],
+      ['12 PM', 720],
+      ['12 AM', 0],
+      ['12:30 AM', 30],
+    ]) {
+      expect([value, parseClockTime(value)]).toEqual([value, minutes]);
+    }
+  });
+
+  test('rejects times that are not on the clock', () => {
+    for (const value of ['24:00', '9:60', '13:00 PM', '0 AM', '7', 'noon', '', null]) {
+      expect([value, parseClockTime(value)]).toEqual([value, null]);
+    }
+  });
+
+  test('plans around busy times written as a bare hour', async () => {
+    const { persistence, cleanup } = await createTestPersistence('forest-clock-');
+    try {
+      await persistence.saveGlobalData('busy_times.json', {
+        recurring: [{ title: 'Work', start: '9 AM', end: '2 PM' }],
+      });
+      const commitments = await new CalendarCommitments(persistence).commitmentsFor(DATE);
+      expect(commitments).toEqual([{ title: 'Work', start: 540, end: 840, source: 'recurring' }]);
+    } finally {
+      await cleanup();
+    }
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Learning Paths Tests
+ * Verifies paths can be added, renamed and removed, that each is listed with its own HTA progress,
+ * that the daily schedule honors weekly path allocations, and that a time-boxed focus reverts
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { LearningPaths, focusExpiry, revertExpiredFocus } from '../learning-paths.js';
+import { ProjectManagement } from '../project-management.js';
+import { ScheduleGenerator } from '../schedule-generator.js';
+import { TaskCompletion } from '../task-completion.js';
+import {
+  GOAL,
+  PROJECT_ID,
+  createTestPersistence,
+  htaTask,
+  lifeStructure,
+  scheduleBlock,
+} from './project-test-harness.js';
+
+// A Monday, so a week's allocation is shared over seven days
+const MONDAY = '2099-06-01';
+
+describe('Learning paths', () => {
+  let persistence;
+  let cleanup;
+  let projectManagement;
+  let paths;
+  let today;
+
+  const task = (id, title, extra) => htaTask(id, title, 'core', [], extra);
+  const block = (id, type, startTime, duration, extra) =>
+    scheduleBlock(id, type, id, startTime, duration, extra);
+  const loadConfig = () => persistence.loadProjectData('piano', 'config.json');
+
+  beforeEach(async () => {
+    ({ persistence, cleanup } = await createTestPersistence('forest-paths-'));
+    projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+    paths = new LearningPaths(persistence, projectManagement);
+    today = new Date().toISOString().split('T')[0];
+
+    await projectManagement.createProject({
+      project_id: PROJECT_ID,
+      goal: GOAL,
+      learning_paths: [
+        { path_name: 'repertoire', priority: 'high' },
+        { path_name: 'theory', priority: 'medium' },
+      ],
+      life_structure_preferences: lifeStructure('12:00 PM'),
+    });
+    await persistence.savePathData('piano', 'repertoire', 'hta.json', {
+      strategicBranches: [{ id: 'core', title: 'Core' }],
+      frontierNodes: [
+        task('r1', 'Nocturne bars 1-8', { completed: true }),
+        task('r2', 'Nocturne bars 9-16'),
+        task('r3', 'Nocturne bars 17-24'),
+        task('r4', 'Nocturne bars 25-32'),
+      ],
+    });
+    await persistence.savePathData('piano', 'theory', 'hta.json', {
+      strategicBranches: [{ id: 'core', title: 'Core' }],
+      frontierNodes: [task('t1', 'Circle of fifths'), task('t2', 'Cadences')],
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('adds, renames and removes paths, moving their files along', async () => {
+    const added = await paths.addLearningPath({ pathName: 'ear training', weeklyHours: 2 });
+    expect(added.learning_path).toEqual({
+      path_name: 'ear training',
+      interests: [],
+      priority: 'medium',
+      weekly_hours: 2,
+    });
+    for (const [options, field] of [
+      [{ pathName: 'Theory' }, /path_name/],
+      [{ pathName: '../escape' }, /path_name/],
+      [{ pathName: 'sight reading', weeklyHours: 200 }, /weekly_hours/],
+    ]) {
+      expect((await paths.addLearningPath(options)).content[0].text).toMatch(field);
+    }
+
+    await paths.focusLearningPath('theory', 'today');
+    const renamed = await paths.renameLearningPath({ pathName: 'theory', newName: 'harmony' });
+    expect(renamed.files_moved).toEqual(['hta.json']);
+    const harmony = await persistence.loadPathData('piano', 'harmony', 'hta.json');
+    expect(harmony.frontierNodes.map(node => node.id)).toEqual(['t1', 't2']);
+    expect(await persistence.listProjectFiles('piano', 'theory')).toEqual([]);
+    let config = await loadConfig();
+    expect(config.activePath).toBe('harmony');
+    expect(config.focus).toMatchObject({ path_name: 'harmony', previous_path: 'repertoire' });
+
+    const removed = await paths.removeLearningPath({ pathName: 'harmony' });
+    expect(removed.active_path).toBe('repertoire');
+    await paths.removeLearningPath({ pathName: 'ear training' });
+    const last = await paths.removeLearningPath({ pathName: 'repertoire' });
+    expect(last.content[0].text).toMatch(/other than the last one/);
+
+    config = await loadConfig();
+    expect(config.learning_paths.map(entry => entry.path_name)).toEqual(['repertoire']);
+    expect(config.focus).toBeUndefined();
+    // Removing keeps the files unless asked to delete them
+    expect(await persistence.listProjectFiles('piano', 'harmony')).toEqual(['hta.json']);
+  });
+
+  test("lists each path with its own progress and this week's time", async () => {
+    await paths.allocatePathTime({ pathName: 'theory', weeklyHours: 3 });
+    await persistence.saveProjectData('piano', `day_${today}.json`, {
+      date: today,
+      activePath: 'repertoire',
+      blocks: [
+        block('b1', 'learning', '9:00 AM', 45, { taskId: 'r2' }),
+        block('b2', 'learning', '10:00 AM', 30, { taskId: 't1', pathName: 'theory' }),
+        block('b3', 'break', '10:30 AM', 10),
+      ],
+    });
+
+    const result = await paths.listLearningPaths();
+
+    expect(result.active_path).toBe('repertoire');
+    expect(result.learning_paths).toEqual([
+      expect.objectContaining({
+        path_name: 'repertoire',
+        active: true,
+        progress: { completed: 1, total: 4, percentage: 25 },
+        ready_tasks: 3,
+        weekly_hours: null,
+        minutes_this_week: 45,
+      }),
+      expect.objectContaining({
+        path_name: 'theory',
+        active: false,
+        progress: { completed: 0, total: 2, percentage: 0 },
+        weekly_hours: 3,
+        minutes_this_week: 30,
+      }),
+    ]);
+    expect(result.content[0].text).toMatch(
+      /\*\*theory\*\* \(medium\): 0% \(0\/2 tasks\), 2 ready, 30\/180 min/
+    );
+  });
+
+  test('the daily schedule gives allocated paths their share of the week', async () => {
+    // 3.5 hours a week is 30 minutes a day from a Monday
+    await paths.allocatePathTime({ pathName: 'theory', weeklyHours: 3.5 });
+    const generator = new ScheduleGenerator(persistence, projectManagement);
+
+    const { daily_schedule: schedule } = await generator.generateDailySchedule(MONDAY);
+
+    const taskBlocks = schedule.blocks.filter(block => block.taskId);
+    const theory = taskBlocks.filter(block => block.pathName === 'theory');
+    expect(theory.map(block => [block.taskId, block.duration])).toEqual([['t1', 30]]);
+    expect(taskBlocks[0].pathName).toBe('theory');
+    expect(taskBlocks.slice(1).map(block => block.pathName)).toEqual(
+      taskBlocks.slice(1).map(() => 'repertoire')
+    );
+    expect(taskBlocks.length).toBeGreaterThan(1);
+
+    // Completing a theory block completes the task in the theory tree
+    await persistence.saveProjectData('piano', `day_${today}.json`, {
+      date: today,
+      activePath: 'repertoire',
+      blocks: [{ ...theory[0], id: 'b1' }],
+    });
+    await new TaskCompletion(persistence, projectManagement).completeBlock({ blockId: 'b1' });
+    const tree = await persistence.loadPathData('piano', 'theory', 'hta.json');
+    expect(tree.frontierNodes.find(node => node.id === 't1').completed).toBe(true);
+  });
+
+  test('a time-boxed focus reverts to the previous path once it is over', async () => {
+    const now = new Date('2099-06-03T10:00:00Z');
+    expect(await focusExpiry('2 hours', now)).toBe('2099-06-03T12:00:00.000Z');
+    expect(await focusExpiry('today', now)).toBe('2099-06-04T00:00:00.000Z');
+    expect(await focusExpiry('this week', now)).toBe('2099-06-08T00:00:00.000Z');
+    expect(await focusExpiry('until next switch', now)).toBeNull();
+    await expect(focusExpiry('a fortnight', now)).rejects.toThrow(/duration/);
+
+    const focused = await paths.focusLearningPath('theory', '2 hours');
+    expect(focused).toMatchObject({ active_path: 'theory', previous_path: 'repertoire' });
+    expect(await revertExpiredFocus(persistence, 'piano')).toBeNull();
+
+    // Once the focus is over, the next use of the project switches back
+    const config = await loadConfig();
+    await persistence.saveProjectData('piano', 'config.json', {
+      ...config,
+      focus: { ...config.focus, expires_at: new Date(Date.now() - 1000).toISOString() },
+    });
+    const listed = await paths.listLearningPaths();
+    expect(listed.active_path).toBe('repertoire');
+    expect(listed.focus).toBeNull();
+
+    // Switching without a duration is permanent
+    await paths.focusLearningPath('theory');
+    expect(await loadConfig()).toMatchObject({ activePath: 'theory' });
+    expect((await loadConfig()).focus).toBeUndefined();
+  });
+});
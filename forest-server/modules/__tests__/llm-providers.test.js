@@ -0,0 +1,175 @@
+/**
+ * LLM Provider Tests
+ * Verifies the provider layer behind requestIntelligence: the honesty system prompt, retries,
+ * timeouts, token accounting and the HTTP providers' wire formats
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import http from 'http';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { LlmProviderError } from '../errors.js';
+import {
+  AnthropicProvider,
+  FakeProvider,
+  HONESTY_SYSTEM_PROMPT,
+  LlmClient,
+  LocalProvider,
+  createLlmClient,
+  parseJsonCompletion,
+} from '../llm/index.js';
+
+const FAST_RETRIES = { maxRetries: 3, retryDelayMs: 1 };
+
+describe('LLM providers', () => {
+  let httpServer;
+
+  const serve = handler =>
+    new Promise(resolve => {
+      httpServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => handler(req, JSON.parse(body), res));
+      });
+      httpServer.listen(0, '127.0.0.1', () =>
+        resolve(`http://127.0.0.1:${httpServer.address().port}`)
+      );
+    });
+
+  afterEach(async () => {
+    const server = httpServer;
+    httpServer = null;
+    if (server) {
+      server.closeAllConnections?.();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('answers requestIntelligence from the configured provider with the honesty prompt', async () => {
+    const provider = new FakeProvider({
+      responses: { critique: '```json\n{"assessment":"Clear","confidence_score":80}\n```' },
+    });
+    const core = new CoreInfrastructure({ llmClient: new LlmClient(provider) });
+
+    const payload = { prompt: 'Critique this plan' };
+    const resp = await core.getClaudeInterface().requestIntelligence('critique', payload);
+
+    expect(payload.prompt).toBe('Critique this plan');
+    expect(provider.requests[0]).toMatchObject({
+      type: 'critique',
+      system: HONESTY_SYSTEM_PROMPT,
+      prompt: 'Critique this plan',
+    });
+    expect(parseJsonCompletion(resp.completion)).toEqual({
+      assessment: 'Clear',
+      confidence_score: 80,
+    });
+    expect(resp).toMatchObject({ provider: 'fake', model: 'fake-model' });
+    expect(core.getLlmClient().getUsage()).toMatchObject({
+      requests: 1,
+      failures: 0,
+      inputTokens: resp.usage.inputTokens,
+      byType: { critique: { requests: 1, outputTokens: resp.usage.outputTokens } },
+    });
+
+    // Without a provider the built-in fallbacks answer
+    const offline = new CoreInfrastructure({ llmClient: null });
+    const fallback = await offline.getClaudeInterface().requestIntelligence('critique', payload);
+    expect(fallback.completion).toBeUndefined();
+    expect(fallback.content[0].text).toBeTruthy();
+  });
+
+  test('retries transient failures but not permanent ones', async () => {
+    let calls = 0;
+    const flaky = new FakeProvider({
+      responses: () => {
+        calls++;
+        if (calls < 3) {
+          throw new LlmProviderError('fake', 'HTTP 503', null, { status: 503 });
+        }
+        return 'ok';
+      },
+    });
+    const client = new LlmClient(flaky, FAST_RETRIES);
+    expect((await client.complete('hello')).text).toBe('ok');
+    expect(calls).toBe(3);
+
+    const rejected = new FakeProvider({
+      responses: () => {
+        throw new LlmProviderError('fake', 'HTTP 401', null, { status: 401 });
+      },
+    });
+    const strict = new LlmClient(rejected, FAST_RETRIES);
+    await expect(strict.complete('hello', { type: 'critique' })).rejects.toThrow(
+      "LLM provider 'fake' failed: HTTP 401"
+    );
+    expect(rejected.requests).toHaveLength(1);
+    expect(strict.getUsage().byType.critique).toMatchObject({ requests: 1, failures: 1 });
+  });
+
+  test('speaks the Anthropic Messages API and needs an API key', async () => {
+    const seen = [];
+    const baseUrl = await serve((req, body, res) => {
+      seen.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          content: [{ type: 'text', text: 'Focus on scales first.' }],
+          usage: { input_tokens: 120, output_tokens: 6 },
+        })
+      );
+    });
+
+    const client = new LlmClient(new AnthropicProvider({ baseUrl, apiKey: 'sk-test' }));
+    const result = await client.complete('What next?', { maxTokens: 64 });
+    expect(result).toMatchObject({
+      text: 'Focus on scales first.',
+      usage: { inputTokens: 120, outputTokens: 6 },
+    });
+    expect(seen[0]).toMatchObject({
+      url: '/v1/messages',
+      headers: { 'x-api-key': 'sk-test', 'anthropic-version': '2023-06-01' },
+      body: {
+        max_tokens: 64,
+        system: HONESTY_SYSTEM_PROMPT,
+        messages: [{ role: 'user', content: 'What next?' }],
+      },
+    });
+
+    await expect(
+      new LlmClient(new AnthropicProvider({ baseUrl }), FAST_RETRIES).complete('x')
+    ).rejects.toThrow('no API key configured');
+  });
+
+  test('gives up on a local server that does not answer in time', async () => {
+    const baseUrl = await serve(() => {
+      /* never responds */
+    });
+    const client = new LlmClient(new LocalProvider({ baseUrl }), {
+      ...FAST_RETRIES,
+      maxRetries: 1,
+      timeoutMs: 50,
+    });
+    await expect(client.complete('hello')).rejects.toThrow(
+      "LLM provider 'local' failed: request timed out"
+    );
+  });
+
+  test('is configured per deployment from the environment', () => {
+    expect(createLlmClient({})).toBeNull();
+    const client = createLlmClient({
+      FOREST_LLM_PROVIDER: 'OpenAI',
+      FOREST_LLM_MODEL: 'gpt-test',
+      OPENAI_API_KEY: 'sk-openai',
+      FOREST_LLM_TIMEOUT_MS: '2500',
+    });
+    expect(client.provider).toMatchObject({
+      type: 'openai',
+      model: 'gpt-test',
+      apiKey: 'sk-openai',
+    });
+    expect(client.timeoutMs).toBe(2500);
+    expect(() => createLlmClient({ FOREST_LLM_PROVIDER: 'gpt' })).toThrow(
+      "Unknown LLM provider 'gpt'"
+    );
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * MCP HTTP Transport Tests
+ * Verifies streamable HTTP and SSE clients get separate sessions with their own active project
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import http from 'http';
+import fetch from 'node-fetch';
+import os from 'os';
+import path from 'path';
+import { URL } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { DataPersistence } from '../data-persistence.js';
+import { McpHttpTransport } from '../mcp-http-transport.js';
+import { ProjectManagement } from '../project-management.js';
+import { ToolRouter } from '../tool-router.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+import { runInSession } from '../utils/session-context.js';
+
+describe('MCP HTTP transport', () => {
+  let dataDir;
+  let persistence;
+  let projectManagement;
+  let mcpHttp;
+  let httpServer;
+  let baseUrl;
+  const clients = [];
+
+  const connect = async transport => {
+    const client = new Client({ name: 'forest-test', version: '1.0.0' });
+    await client.connect(transport);
+    clients.push(client);
+    return client;
+  };
+
+  const activeProjectOf = async client => {
+    const result = await client.callTool({ name: 'get_active_project', arguments: {} });
+    return result.active_project?.id;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-mcp-http-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+
+    await persistence.saveGlobalData('config.json', {
+      projects: ['alpha', 'beta'],
+      activeProject: 'alpha',
+    });
+    await persistence.saveProjectData('alpha', 'config.json', { id: 'alpha', goal: 'Piano' });
+    await persistence.saveProjectData('beta', 'config.json', { id: 'beta', goal: 'Spanish' });
+
+    const core = new CoreInfrastructure();
+    const forestServer = {
+      core,
+      dataPersistence: persistence,
+      projectManagement,
+      switchProject: projectId => projectManagement.switchProject(projectId),
+      getActiveProject: () => projectManagement.getActiveProject(),
+    };
+    forestServer.toolRouter = new ToolRouter(core.getServer(), forestServer);
+    mcpHttp = new McpHttpTransport(forestServer);
+
+    httpServer = http.createServer(async (req, res) => {
+      if (!(await mcpHttp.handleRequest(req, res))) {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+    await mcpHttp.closeAll();
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    clearInterval(persistence.cacheManager.cleanupInterval);
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('sessions switch projects independently of each other and the global config', async () => {
+    const streamable = await connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+    const sse = await connect(new SSEClientTransport(new URL(`${baseUrl}/sse`)));
+
+    const { tools } = await streamable.listTools();
+    expect(tools.map(tool => tool.name)).toContain('get_next_task');
+    expect(mcpHttp.sessions.size).toBe(2);
+
+    await streamable.callTool({ name: 'switch_project', arguments: { project_id: 'beta' } });
+
+    expect(await activeProjectOf(streamable)).toBe('beta');
+    expect(await activeProjectOf(sse)).toBe('alpha');
+    expect(await persistence.loadGlobalData('config.json')).toMatchObject({
+      activeProject: 'alpha',
+    });
+  });
+
+  test('rejects requests for unknown sessions', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'mcp-session-id': 'no-such-session',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    expect(response.status).toBe(404);
+
+    const missing = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    expect(missing.status).toBe(400);
+    expect(await fetch(`${baseUrl}/messages?sessionId=nope`, { method: 'POST' })).toMatchObject({
+      status: 404,
+    });
+  });
+
+  test('switching outside a session still updates the global active project', async () => {
+    await runInSession({ id: 's1', activeProject: null }, () =>
+      projectManagement.switchProject('beta')
+    );
+    expect(await projectManagement.requireActiveProject()).toBe('alpha');
+
+    await projectManagement.switchProject('beta');
+    expect(await persistence.loadGlobalData('config.json')).toMatchObject({
+      activeProject: 'beta',
+    });
+  });
+});
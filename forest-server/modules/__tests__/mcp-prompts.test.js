@@ -0,0 +1,143 @@
+/**
+ * MCP Prompts Tests
+ * Verifies Forest's workflows are listed as MCP prompts and filled from the project's documents
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { AnalyticsTools } from '../analytics-tools.js';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { DataPersistence } from '../data-persistence.js';
+import { HtaTreeBuilder } from '../hta-tree-builder.js';
+import { McpHandlers } from '../mcp-handlers.js';
+import { McpPrompts } from '../mcp-prompts.js';
+import { ProjectManagement } from '../project-management.js';
+import { TaskIntelligence } from '../task-intelligence.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+
+describe('MCP prompts', () => {
+  let dataDir;
+  let persistence;
+  let client;
+
+  const promptText = async (name, args) => {
+    const result = await client.getPrompt({ name, arguments: args });
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0].role).toBe('user');
+    return result.messages[0].content.text;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-prompts-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    const projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+    await projectManagement.createProject({
+      project_id: 'piano',
+      goal: 'Play a Chopin nocturne',
+      context: 'Played as a child',
+      life_structure_preferences: {
+        wake_time: '7:00',
+        sleep_time: '23:00',
+        focus_duration: '45 minutes',
+      },
+    });
+    await persistence.saveProjectData('piano', 'hta.json', {
+      frontierNodes: [
+        { id: 't1', title: 'Practice Hanon exercise 1', branch: 'technique', completed: true },
+        { id: 't2', title: 'Learn the left hand of bars 1-8', branch: 'repertoire', priority: 300 },
+      ],
+    });
+    await persistence.saveProjectData('piano', 'learning_history.json', {
+      completedTopics: [
+        {
+          topic: 'Practice Hanon exercise 1',
+          learned: 'Relaxed wrists make it even',
+          completedAt: new Date().toISOString(),
+          energyAfter: 4,
+        },
+      ],
+      insights: [],
+    });
+
+    const mcpPrompts = new McpPrompts(persistence, projectManagement, {
+      htaTreeBuilder: new HtaTreeBuilder(persistence, projectManagement),
+      taskIntelligence: new TaskIntelligence(persistence, projectManagement),
+      analyticsTools: new AnalyticsTools(persistence, projectManagement),
+    });
+    const server = new CoreInfrastructure({ llmClient: null }).createServer();
+    await new McpHandlers(server, { mcpPrompts }).setupHandlers();
+    client = new Client({ name: 'forest-test', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('lists the workflows with their arguments', async () => {
+    const { prompts } = await client.listPrompts();
+    expect(prompts.map(prompt => prompt.name)).toEqual([
+      'build-hta-branches',
+      'weekly-reflection',
+      'unstick-me',
+      'plan-tomorrow',
+    ]);
+    const unstick = prompts.find(prompt => prompt.name === 'unstick-me');
+    expect(unstick.arguments.map(argument => argument.name)).toEqual(['project_id', 'feeling']);
+  });
+
+  test('fills the HTA branch prompt from the project config', async () => {
+    const text = await promptText('build-hta-branches', { focus_areas: 'technique, repertoire' });
+    expect(text).toMatch(/\*\*GOAL\*\*: Play a Chopin nocturne/);
+    expect(text).toMatch(/\*\*CONTEXT\*\*: Played as a child/);
+    expect(text).toMatch(/Focus areas: technique, repertoire/);
+    expect(text).toMatch(/Focus duration: 45 minutes/);
+    expect(text).toMatch(/generate_hta_tasks/);
+  });
+
+  test('fills the reflection and unstick prompts from the learning history and HTA', async () => {
+    const reflection = await promptText('weekly-reflection', {});
+    expect(reflection).toMatch(/last 7 days/);
+    expect(reflection).toMatch(/Tasks completed: 1/);
+    expect(reflection).toMatch(
+      /- Practice Hanon exercise 1 \(learned: Relaxed wrists make it even\)/
+    );
+
+    const unstick = await promptText('unstick-me', { feeling: 'I keep putting it off' });
+    expect(unstick).toMatch(/In my words: I keep putting it off/);
+    expect(unstick).toMatch(/PROGRESS: 1\/2 tasks completed, 1 available/);
+    expect(unstick).toMatch(/Learn the left hand of bars 1-8/);
+  });
+
+  test('plans tomorrow around the open tasks and daily rhythm', async () => {
+    const text = await promptText('plan-tomorrow', {
+      energy_level: '4',
+      available_time: '2 hours',
+    });
+    expect(text).toMatch(/wake 7:00, sleep 23:00, focus blocks of 45 minutes/);
+    expect(text).toMatch(/\*\*Expected energy\*\*: 4\/5/);
+    expect(text).toMatch(/- Learn the left hand of bars 1-8 \(repertoire/);
+    expect(text).not.toMatch(/- Practice Hanon exercise 1 \(/);
+  });
+
+  test('rejects unknown prompts, projects and malformed arguments', async () => {
+    await expect(client.getPrompt({ name: 'make-coffee' })).rejects.toThrow(
+      /Prompt 'make-coffee' not found/
+    );
+    await expect(
+      client.getPrompt({ name: 'unstick-me', arguments: { project_id: 'violin' } })
+    ).rejects.toThrow(/Project 'violin' not found/);
+    await expect(
+      client.getPrompt({ name: 'weekly-reflection', arguments: { days: 'a week' } })
+    ).rejects.toThrow(/days/);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * MCP Resources Tests
+ * Verifies projects, HTA trees, schedules and wisdom are listed and read as MCP resources, and
+ * that subscribers hear about changes made by TaskCompletion and StrategyEvolver, and only about
+ * changes in their own data root
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { DataPersistence } from '../data-persistence.js';
+import { McpHandlers } from '../mcp-handlers.js';
+import { McpResources } from '../mcp-resources.js';
+import { ProjectManagement } from '../project-management.js';
+import { StrategyEvolver } from '../strategy-evolver.js';
+import { TaskCompletion } from '../task-completion.js';
+import { EventBus } from '../utils/event-bus.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+import { runInSession } from '../utils/session-context.js';
+
+const TODAY = new Date().toISOString().split('T')[0];
+
+describe('MCP resources', () => {
+  let dataDir;
+  let persistence;
+  let eventBus;
+  let taskCompletion;
+  let mcpResources;
+  let client;
+  let updates;
+
+  const readJson = async uri => {
+    const result = await client.readResource({ uri });
+    expect(result.contents[0]).toMatchObject({ uri, mimeType: 'application/json' });
+    return JSON.parse(result.contents[0].text);
+  };
+
+  const waitForUpdate = async (uri, times = 1) => {
+    const received = () => updates.filter(updated => updated === uri).length >= times;
+    for (let attempt = 0; attempt < 50 && !received(); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return received();
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-resources-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    const projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+    await projectManagement.createProject({
+      project_id: 'piano',
+      goal: 'Play a Chopin nocturne',
+      life_structure_preferences: { wake_time: '7:00', sleep_time: '23:00' },
+    });
+    await persistence.saveProjectData('piano', 'hta.json', {
+      frontierNodes: [{ id: 't1', title: 'Practice Hanon exercise 1', branch: 'technique' }],
+    });
+    await persistence.saveProjectData('piano', `day_${TODAY}.json`, {
+      blocks: [
+        {
+          id: 'b1',
+          title: 'Practice Hanon exercise 1',
+          taskId: 't1',
+          startTime: `${TODAY}T09:00:00.000Z`,
+          duration: '30 minutes',
+          completed: false,
+        },
+      ],
+    });
+
+    eventBus = new EventBus();
+    taskCompletion = new TaskCompletion(persistence, projectManagement, eventBus);
+    new StrategyEvolver(persistence, projectManagement, eventBus);
+    mcpResources = new McpResources(persistence, projectManagement, null, eventBus);
+
+    const server = new CoreInfrastructure({ llmClient: null }).createServer();
+    await new McpHandlers(server, { mcpResources }).setupHandlers();
+    client = new Client({ name: 'forest-test', version: '1.0.0' });
+    updates = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updates.push(notification.params.uri);
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('lists projects, their documents and the resource templates', async () => {
+    expect(client.getServerCapabilities().resources).toMatchObject({ subscribe: true });
+
+    const { resources } = await client.listResources();
+    expect(resources.map(resource => resource.uri)).toEqual([
+      'forest://projects',
+      'forest://projects/piano/config',
+      'forest://projects/piano/wisdom',
+      'forest://projects/piano/paths/general/hta',
+      `forest://projects/piano/schedule/${TODAY}`,
+    ]);
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+      'forest://projects/{projectId}/config',
+      'forest://projects/{projectId}/paths/{pathName}/hta',
+      'forest://projects/{projectId}/schedule/{date}',
+      'forest://projects/{projectId}/wisdom',
+    ]);
+  });
+
+  test('reads projects, configs, HTA trees, schedules and wisdom', async () => {
+    expect(await readJson('forest://projects')).toEqual({
+      projects: [{ project_id: 'piano', goal: 'Play a Chopin nocturne' }],
+    });
+    expect(await readJson('forest://projects/piano/config')).toMatchObject({
+      goal: 'Play a Chopin nocturne',
+    });
+    const hta = await readJson('forest://projects/piano/paths/general/hta');
+    expect(hta.frontierNodes.map(node => node.id)).toEqual(['t1']);
+    const schedule = await readJson(`forest://projects/piano/schedule/${TODAY}`);
+    expect(schedule.blocks.map(block => block.id)).toEqual(['b1']);
+
+    await persistence.saveProjectData('piano', 'wisdom.json', {
+      wisdomEntries: [{ summary: 'Slow practice pays off' }],
+    });
+    await persistence.saveProjectData('piano', 'learning_history.json', {
+      completedTopics: [],
+      insights: [{ insight: 'Relaxed wrists make it even' }],
+    });
+    expect(await readJson('forest://projects/piano/wisdom')).toEqual({
+      project_id: 'piano',
+      wisdom_entries: [{ summary: 'Slow practice pays off' }],
+      insights: [{ insight: 'Relaxed wrists make it even', path: 'general' }],
+    });
+  });
+
+  test('rejects resources that do not exist', async () => {
+    await expect(client.readResource({ uri: 'forest://projects/violin/config' })).rejects.toThrow(
+      /Project 'violin' not found/
+    );
+    await expect(
+      client.readResource({ uri: 'forest://projects/piano/schedule/2001-01-01' })
+    ).rejects.toThrow(/not found/);
+    await expect(
+      client.readResource({ uri: 'forest://projects/piano/schedule/tomorrow' })
+    ).rejects.toThrow(/not found/);
+    await expect(
+      client.readResource({ uri: 'forest://projects/..%2Fpiano/config' })
+    ).rejects.toThrow(/not found/);
+  });
+
+  test('notifies subscribers when a completed block changes the documents', async () => {
+    const hta = 'forest://projects/piano/paths/general/hta';
+    const wisdom = 'forest://projects/piano/wisdom';
+    await client.subscribeResource({ uri: hta });
+    await client.subscribeResource({ uri: wisdom });
+    const evolved = new Promise(resolve =>
+      eventBus.on(
+        'project:files_changed',
+        ({ _eventMetadata }) => _eventMetadata.emittedBy === 'StrategyEvolver' && resolve(),
+        'test'
+      )
+    );
+
+    await taskCompletion.completeBlock({
+      blockId: 'b1',
+      outcome: 'Clean at 80 bpm',
+      learned: 'Relaxed wrists make it even',
+      nextQuestions: 'How fast can I go?',
+      energyLevel: 4,
+    });
+
+    expect(await waitForUpdate(hta)).toBe(true);
+    expect(await waitForUpdate(wisdom)).toBe(true);
+    // Not subscribed
+    expect(updates).not.toContain(`forest://projects/piano/schedule/${TODAY}`);
+
+    // StrategyEvolver then adds follow-up tasks to the tree and announces that too
+    await evolved;
+    expect(await waitForUpdate(hta, 2)).toBe(true);
+    const tree = await readJson(hta);
+    expect(tree.frontierNodes.length).toBeGreaterThan(1);
+  });
+
+  test('stops notifying after unsubscribing', async () => {
+    const hta = 'forest://projects/piano/paths/general/hta';
+    await client.subscribeResource({ uri: hta });
+    await client.unsubscribeResource({ uri: hta });
+
+    eventBus.emit(
+      'project:files_changed',
+      { projectId: 'piano', pathName: 'general', files: ['hta.json'] },
+      'StrategyEvolver'
+    );
+    expect(await waitForUpdate(hta)).toBe(false);
+  });
+
+  test("a user's change never notifies another user subscribed to the same project id", async () => {
+    const uri = 'forest://projects/piano/config';
+    const sent = [];
+    const sessionOf = userId => ({
+      sendResourceUpdated: async params => sent.push(`${userId} ${params.uri}`),
+    });
+    for (const userId of ['ana', 'bob']) {
+      await runInSession({ id: userId, userId }, async () => {
+        await persistence.saveProjectData('piano', 'config.json', { goal: 'Play a nocturne' });
+        await mcpResources.subscribe(sessionOf(userId), uri);
+      });
+    }
+
+    await runInSession({ id: 'ana', userId: 'ana' }, () =>
+      mcpResources.handleFilesChanged({ projectId: 'piano', files: ['config.json'] })
+    );
+
+    expect(sent).toEqual([`ana ${uri}`]);
+  });
+});
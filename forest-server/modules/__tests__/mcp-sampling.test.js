@@ -0,0 +1,181 @@
+/**
+ * MCP Sampling Tests
+ * Verifies tools ask sampling-capable clients to generate HTA branches and tasks in-band,
+ * validate the reply, store it, and fall back to the two-step flow otherwise
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CreateMessageRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { DataPersistence } from '../data-persistence.js';
+import { HtaTreeBuilder } from '../hta-tree-builder.js';
+import { HONESTY_SYSTEM_PROMPT } from '../llm/index.js';
+import { McpHandlers } from '../mcp-handlers.js';
+import { McpSampling } from '../mcp-sampling.js';
+import { ProjectManagement } from '../project-management.js';
+import { TaskIntelligence } from '../task-intelligence.js';
+import { ToolRouter } from '../tool-router.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+
+const BRANCHES = {
+  branch_tasks: [
+    {
+      branch_name: 'technique',
+      description: 'Finger independence and evenness',
+      tasks: [
+        { title: 'Play C major scale hands together', duration: 20, difficulty: 1 },
+        { title: 'Practice Hanon exercise 1', duration: 15, difficulty: 2 },
+      ],
+    },
+  ],
+};
+
+describe('MCP sampling', () => {
+  let dataDir;
+  let persistence;
+  let core;
+  let router;
+  let samplingRequests;
+  let reply;
+  const clients = [];
+
+  const connect = async ({ sampling }) => {
+    const server = core.createServer();
+    router.setupRouter(server);
+    const client = new Client(
+      { name: 'forest-test', version: '1.0.0' },
+      { capabilities: sampling ? { sampling: {} } : {} }
+    );
+    if (sampling) {
+      client.setRequestHandler(CreateMessageRequestSchema, async request => {
+        samplingRequests.push(request.params);
+        return {
+          role: 'assistant',
+          model: 'client-model',
+          content: { type: 'text', text: reply(request.params) },
+        };
+      });
+    }
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-sampling-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    const projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+    await projectManagement.createProject({
+      project_id: 'piano',
+      goal: 'Play a Chopin nocturne',
+      life_structure_preferences: { wake_time: '7:00', sleep_time: '23:00' },
+    });
+
+    core = new CoreInfrastructure({ llmClient: null });
+    const handlers = new McpHandlers(core.createServer());
+    const sampling = new McpSampling({ toolSchema: name => handlers.getToolSchema(name) });
+    samplingRequests = [];
+    reply = () => JSON.stringify(BRANCHES);
+
+    const storeGeneratedTasks = async branchTasks => {
+      const hta = await persistence.loadProjectData('piano', 'hta.json');
+      const frontierNodes = branchTasks.flatMap(branch =>
+        branch.tasks.map(task => ({ ...task, id: task.title, branch: branch.branch_name }))
+      );
+      await persistence.saveProjectData('piano', 'hta.json', { ...hta, frontierNodes });
+      return { content: [{ type: 'text', text: `Stored ${frontierNodes.length} tasks` }] };
+    };
+    const htaTreeBuilder = new HtaTreeBuilder(persistence, projectManagement, null, {
+      sampling,
+      storeGeneratedTasks,
+    });
+    const taskIntelligence = new TaskIntelligence(persistence, projectManagement, null, sampling);
+    router = new ToolRouter(core.getServer(), {
+      dataPersistence: persistence,
+      projectManagement,
+      buildHTATree: (pathName, learningStyle, focusAreas) =>
+        htaTreeBuilder.buildHTATree(pathName, learningStyle, focusAreas),
+      evolveStrategy: feedback => taskIntelligence.evolveStrategy(feedback),
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('stores HTA branches generated by a sampling-capable client', async () => {
+    const client = await connect({ sampling: true });
+    const result = await client.callTool({ name: 'build_hta_tree', arguments: {} });
+
+    expect(result).toMatchObject({ generated_via: 'sampling', requires_branch_generation: false });
+    expect(result.content[0].text).toMatch(/Stored 2 tasks/);
+    expect(samplingRequests).toHaveLength(1);
+    expect(samplingRequests[0].systemPrompt).toBe(HONESTY_SYSTEM_PROMPT);
+    expect(samplingRequests[0].messages[0].content.text).toMatch(/Play a Chopin nocturne/);
+    expect(samplingRequests[0].messages[0].content.text).toMatch(/generate_hta_tasks/);
+
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    expect(hta.frontierNodes.map(node => node.title)).toEqual([
+      'Play C major scale hands together',
+      'Practice Hanon exercise 1',
+    ]);
+  });
+
+  test('falls back to the two-step flow when the reply does not validate', async () => {
+    reply = () => '```json\n{"branch_tasks":[{"branch_name":"technique"}]}\n```';
+    const client = await connect({ sampling: true });
+    const result = await client.callTool({ name: 'build_hta_tree', arguments: {} });
+
+    expect(samplingRequests).toHaveLength(1);
+    expect(result).toMatchObject({ requires_branch_generation: true });
+    expect(result.content[0].text).toMatch(/Use `generate_hta_tasks` to store/);
+    expect((await persistence.loadProjectData('piano', 'hta.json')).frontierNodes).toEqual([]);
+  });
+
+  test('falls back to the two-step flow for clients without sampling', async () => {
+    const client = await connect({ sampling: false });
+    const result = await client.callTool({ name: 'build_hta_tree', arguments: {} });
+
+    expect(result).toMatchObject({ requires_branch_generation: true });
+    expect(result.generation_prompt).toMatch(/Play a Chopin nocturne/);
+  });
+
+  test('lets the client write the tasks evolve_strategy adds', async () => {
+    await persistence.saveProjectData('piano', 'hta.json', {
+      frontierNodes: [
+        { id: 't1', title: 'Practice Hanon exercise 1', branch: 'technique', completed: true },
+      ],
+    });
+    const client = await connect({ sampling: true });
+    const result = await client.callTool({
+      name: 'evolve_strategy',
+      arguments: { feedback: 'Scales feel easy now' },
+    });
+
+    expect(samplingRequests[0].messages[0].content.text).toMatch(/Scales feel easy now/);
+    // Tasks that already exist are not added again
+    expect(result.new_tasks).toEqual([
+      expect.objectContaining({
+        title: 'Play C major scale hands together',
+        branch: 'technique',
+        duration: '20 minutes',
+        generated: true,
+      }),
+    ]);
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    expect(hta.frontierNodes.map(node => node.title)).toEqual([
+      'Practice Hanon exercise 1',
+      'Play C major scale hands together',
+    ]);
+  });
+});
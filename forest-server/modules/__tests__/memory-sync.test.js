@@ -0,0 +1,225 @@
+/**
+ * Memory Sync Tests
+ * Verifies projects, branches, breakthroughs and insights are written to the knowledge graph in
+ * the Memory MCP server's format, incrementally on block completion, and read back as context
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { DataPersistence } from '../data-persistence.js';
+import { FileMemoryGraph, McpMemoryGraph, createMemoryGraph } from '../memory/index.js';
+import { MemorySync } from '../memory-sync.js';
+import { ProjectManagement } from '../project-management.js';
+import { EventBus } from '../utils/event-bus.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+
+const COMPLETED_AT = '2026-10-18T09:30:00.000Z';
+
+describe('Memory sync', () => {
+  let dataDir;
+  let persistence;
+  let memoryFile;
+  let graph;
+  let eventBus;
+  let memorySync;
+
+  const readGraphFile = async () =>
+    (await fs.readFile(memoryFile, 'utf8')).split('\n').map(line => JSON.parse(line));
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-memory-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    memoryFile = path.join(dataDir, 'memory.json');
+    graph = new FileMemoryGraph(memoryFile);
+    eventBus = new EventBus();
+    memorySync = new MemorySync(persistence, graph, eventBus);
+
+    const projectManagement = new ProjectManagement(persistence, memorySync);
+    await projectManagement.createProject({
+      project_id: 'piano',
+      goal: 'Play a Chopin nocturne',
+      life_structure_preferences: { wake_time: '7:00', sleep_time: '23:00' },
+    });
+    await persistence.saveProjectData('piano', 'hta.json', {
+      strategicBranches: [{ id: 'technique', title: 'Technique', description: 'Even fingers' }],
+      frontierNodes: [{ id: 't1', title: 'Practice Hanon exercise 1', branch: 'technique' }],
+    });
+    await persistence.saveProjectData('piano', 'learning_history.json', {
+      completedTopics: [
+        {
+          topic: 'Practice Hanon exercise 1',
+          outcome: 'Clean at 80 bpm',
+          learned: 'Relaxed wrists make it even',
+          breakthrough: true,
+          completedAt: COMPLETED_AT,
+        },
+      ],
+      insights: [
+        {
+          insight: 'Relaxed wrists make it even',
+          topic: 'Practice Hanon exercise 1',
+          timestamp: COMPLETED_AT,
+        },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('writes projects, branches, breakthroughs and insights in the memory server format', async () => {
+    const result = await memorySync.syncForestMemory();
+    expect(result.content[0].text).toMatch(/Knowledge graph: 4 entities, 4 relations/);
+    // Syncing again adds nothing
+    await memorySync.syncForestMemory();
+
+    const lines = await readGraphFile();
+    expect(lines.filter(line => line.type === 'entity')).toEqual([
+      {
+        type: 'entity',
+        name: 'forest/piano',
+        entityType: 'forest_project',
+        observations: ['Goal: Play a Chopin nocturne', 'Learning path: general'],
+      },
+      {
+        type: 'entity',
+        name: 'forest/piano/branch/technique',
+        entityType: 'forest_branch',
+        observations: ['Description: Even fingers'],
+      },
+      {
+        type: 'entity',
+        name: `forest/piano/breakthrough/${COMPLETED_AT}`,
+        entityType: 'forest_breakthrough',
+        observations: [
+          'Completed "Practice Hanon exercise 1" on 2026-10-18',
+          'Outcome: Clean at 80 bpm',
+          'Learned: Relaxed wrists make it even',
+        ],
+      },
+      {
+        type: 'entity',
+        name: `forest/piano/insight/${COMPLETED_AT}`,
+        entityType: 'forest_insight',
+        observations: [
+          'Relaxed wrists make it even',
+          'While working on "Practice Hanon exercise 1"',
+        ],
+      },
+    ]);
+    expect(lines.filter(line => line.type === 'relation').map(line => line.relationType)).toEqual([
+      'belongs_to',
+      'happened_in',
+      'learned_in',
+      'came_from',
+    ]);
+  });
+
+  test('adds completed blocks to the graph and reads them back as context', async () => {
+    expect(eventBus.getEventSummary()['block:completed'].listeners[0].name).toBe('MemorySync');
+    await memorySync.syncCompletedBlock({
+      projectId: 'piano',
+      pathName: 'general',
+      block: {
+        id: 'b2',
+        title: 'Sight-read bars 1-8',
+        branch: 'repertoire',
+        learned: 'Reading ahead one bar helps',
+        breakthrough: true,
+        completedAt: '2026-10-19T18:00:00.000Z',
+      },
+    });
+    // Another client remembers something about the project
+    await graph.addObservations([
+      { entityName: 'forest/piano', contents: ['Has a piano exam in May'] },
+    ]);
+
+    const context = await memorySync.recallActiveContext();
+    expect(context).toBe(
+      [
+        'Remembered about piano:',
+        '- Goal: Play a Chopin nocturne',
+        '- Learning path: general',
+        '- Has a piano exam in May',
+        'Recent insights:',
+        '- Reading ahead one bar helps',
+      ].join('\n')
+    );
+    const { relations } = await graph.searchNodes('forest/piano');
+    expect(relations).toContainEqual({
+      from: 'forest/piano/breakthrough/2026-10-19T18:00:00.000Z',
+      to: 'forest/piano/branch/repertoire',
+      relationType: 'happened_in',
+    });
+  });
+
+  test('leaves a memory.json in another format untouched', async () => {
+    const notes = JSON.stringify({ alex_chen_test_case: 'notes' }, null, 2);
+    await fs.writeFile(memoryFile, notes);
+
+    const result = await memorySync.syncForestMemory();
+    expect(result.content[0].text).toMatch(/Knowledge graph not updated/);
+    expect(await fs.readFile(memoryFile, 'utf8')).toBe(notes);
+    expect(await memorySync.recallContext('piano')).toBe('');
+  });
+
+  test('talks to a memory server over MCP', async () => {
+    // A minimal memory server, keeping its graph in a file of its own
+    const serverGraph = new FileMemoryGraph(path.join(dataDir, 'server-memory.json'));
+    const tools = {
+      create_entities: args => serverGraph.createEntities(args.entities),
+      create_relations: args => serverGraph.createRelations(args.relations),
+      add_observations: args => serverGraph.addObservations(args.observations),
+      search_nodes: args => serverGraph.searchNodes(args.query),
+    };
+    const server = new Server(
+      { name: 'memory', version: '1.0.0' },
+      { capabilities: { tools: {} } }
+    );
+    server.setRequestHandler(CallToolRequestSchema, async request => {
+      const result = await tools[request.params.name](request.params.arguments);
+      return { content: [{ type: 'text', text: JSON.stringify(result ?? {}) }] };
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+
+    const mcpGraph = new McpMemoryGraph({
+      command: 'memory',
+      createTransport: () => clientTransport,
+    });
+    const mcpSync = new MemorySync(persistence, mcpGraph, new EventBus());
+    const memoryContext = await mcpSync.syncActiveProjectToMemory('piano');
+
+    expect(memoryContext.knowledge_graph).toMatchObject({
+      backend: 'mcp',
+      entities: 4,
+      relations: 4,
+    });
+    expect(await mcpSync.recallContext('piano')).toMatch(/- Relaxed wrists make it even$/);
+    await mcpGraph.close();
+  });
+
+  test('selects the backend from the environment', () => {
+    expect(createMemoryGraph(dataDir, {})).toBeInstanceOf(FileMemoryGraph);
+    expect(createMemoryGraph(dataDir, { MEMORY_FILE_PATH: '/srv/memory.json' }).filePath).toBe(
+      '/srv/memory.json'
+    );
+    expect(
+      createMemoryGraph(dataDir, {
+        FOREST_MEMORY: 'mcp',
+        FOREST_MEMORY_SERVER: 'npx -y @modelcontextprotocol/server-memory',
+      }).describe()
+    ).toBe('npx -y @modelcontextprotocol/server-memory');
+    expect(createMemoryGraph(dataDir, { FOREST_MEMORY: 'none' })).toBeNull();
+    expect(() => createMemoryGraph(dataDir, { FOREST_MEMORY: 'mcp' })).toThrow(
+      /FOREST_MEMORY_SERVER/
+    );
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Project Bundle Tests
+ * Verifies export_project / import_project round trips, renaming, merging and integrity checks,
+ * and that bundle files stay inside the caller's exports directory
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectBundles } from '../project-bundles.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+import { runInSession } from '../utils/session-context.js';
+
+describe('Project bundles', () => {
+  let dataDir;
+  let persistence;
+  let bundles;
+
+  const node = (id, title) => ({ id, title, branch: 'technique', prerequisites: [] });
+
+  const onDisk = bundlePath => path.join(dataDir, 'exports', bundlePath);
+
+  const exportAlpha = async () => {
+    const result = await bundles.exportProject({ projectId: 'alpha' });
+    expect(result.bundle_path).toBeDefined();
+    return result.bundle_path;
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-bundles-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    bundles = new ProjectBundles(persistence, {
+      requireActiveProject: async () => 'alpha',
+    });
+
+    await persistence.saveGlobalData('config.json', {
+      projects: ['alpha'],
+      activeProject: 'alpha',
+    });
+    await persistence.saveProjectData('alpha', 'config.json', { id: 'alpha', goal: 'Piano' });
+    await persistence.saveProjectData('alpha', 'hta.json', {
+      projectId: 'alpha',
+      frontierNodes: [node('n1', 'Scales')],
+    });
+    await persistence.savePathData('alpha', 'jazz', 'hta.json', {
+      frontierNodes: [node('j1', 'Blues scale')],
+    });
+    await persistence.saveProjectData('alpha', 'learning_history.json', {
+      completions: [{ task: 'Scales' }],
+    });
+    await persistence.saveProjectData('alpha', 'wisdom.json', { insights: ['Slow practice'] });
+  });
+
+  afterEach(async () => {
+    clearInterval(persistence.cacheManager.cleanupInterval);
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('exports every project document with a manifest of checksums', async () => {
+    const bundlePath = await exportAlpha();
+    const bundle = JSON.parse(await fs.readFile(onDisk(bundlePath), 'utf8'));
+
+    expect(bundlePath).toMatch(/^alpha-.+\.forest-bundle\.json$/);
+    expect(bundle).toMatchObject({
+      format: 'forest-project-bundle',
+      format_version: 1,
+      schema_version: 1,
+      project: { id: 'alpha', goal: 'Piano' },
+    });
+    expect(bundle.manifest.map(entry => entry.path)).toEqual([
+      'config.json',
+      'hta.json',
+      'learning_history.json',
+      'paths/jazz/hta.json',
+      'wisdom.json',
+    ]);
+    expect(bundle.manifest[3]).toMatchObject({ path_name: 'jazz', file: 'hta.json' });
+    expect(bundle.manifest[0].sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('imports a bundle under a new project id', async () => {
+    const bundlePath = await exportAlpha();
+
+    const result = await bundles.importProject({ bundlePath, projectId: 'beta' });
+
+    expect(result.imported).toHaveLength(5);
+    expect(result.content[0].text).toContain('Imported project "beta" (exported as "alpha")');
+    expect(await persistence.loadProjectData('beta', 'config.json')).toMatchObject({
+      id: 'beta',
+      goal: 'Piano',
+    });
+    expect(await persistence.loadProjectData('beta', 'hta.json')).toMatchObject({
+      projectId: 'beta',
+    });
+    expect(await persistence.loadPathData('beta', 'jazz', 'hta.json')).toEqual(
+      await persistence.loadPathData('alpha', 'jazz', 'hta.json')
+    );
+    expect(await persistence.loadGlobalData('config.json')).toMatchObject({
+      projects: ['alpha', 'beta'],
+      activeProject: 'alpha',
+    });
+  });
+
+  test('refuses to overwrite an existing project unless asked to merge', async () => {
+    const bundlePath = await exportAlpha();
+    await persistence.saveProjectData('alpha', 'wisdom.json', { insights: ['Changed'] });
+    await persistence.saveProjectData('alpha', 'learning_history.json', { completions: [] });
+    await persistence.savePathData('alpha', 'jazz', 'config.json', { goal: 'Jazz only' });
+
+    const blocked = await bundles.importProject({ bundlePath });
+    expect(blocked.imported).toEqual([]);
+    expect(blocked.content[0].text).toContain('already exists');
+
+    const preview = await bundles.importProject({ bundlePath, merge: true, dryRun: true });
+    expect(preview.conflicts).toEqual([
+      { path: 'learning_history.json', changes: 1, resolution: 'keep_existing' },
+      { path: 'wisdom.json', changes: 1, resolution: 'keep_existing' },
+    ]);
+    expect(preview.unchanged).toEqual(['config.json', 'hta.json', 'paths/jazz/hta.json']);
+
+    const merged = await bundles.importProject({ bundlePath, merge: true });
+    expect(merged.imported).toEqual([]);
+    expect(await persistence.loadProjectData('alpha', 'wisdom.json')).toMatchObject({
+      insights: ['Changed'],
+    });
+
+    await bundles.importProject({ bundlePath, merge: true, overwrite: true });
+    expect(await persistence.loadProjectData('alpha', 'wisdom.json')).toMatchObject({
+      insights: ['Slow practice'],
+    });
+    // Documents that only exist locally are left alone
+    expect(await persistence.loadPathData('alpha', 'jazz', 'config.json')).toMatchObject({
+      goal: 'Jazz only',
+    });
+  });
+
+  test('rejects tampered or unsafe bundles', async () => {
+    const bundlePath = await exportAlpha();
+    const escaping = await bundles.importProject({ bundlePath, projectId: '../escape' });
+    expect(escaping.content[0].text).toContain("Validation failed for field 'project_id'");
+
+    const bundle = JSON.parse(await fs.readFile(onDisk(bundlePath), 'utf8'));
+    bundle.documents['wisdom.json'].insights.push('Injected');
+    await fs.writeFile(onDisk(bundlePath), JSON.stringify(bundle));
+    const tampered = await bundles.importProject({ bundlePath, projectId: 'gamma' });
+    expect(tampered.content[0].text).toContain("Validation failed for field 'wisdom.json'");
+    expect(await persistence.listProjects()).toEqual(['alpha']);
+  });
+
+  test('reads and writes bundle files only inside the exports directory', async () => {
+    const named = await bundles.exportProject({ outputPath: 'shared/alpha.forest-bundle.json' });
+    expect(named.bundle_path).toBe(path.join('shared', 'alpha.forest-bundle.json'));
+    const restored = await bundles.importProject({
+      bundlePath: named.bundle_path,
+      projectId: 'beta',
+    });
+    expect(restored.imported).toHaveLength(5);
+
+    const outside = path.join(dataDir, 'outside.json');
+    for (const outputPath of [outside, '../projects/alpha/config.json', '..']) {
+      const refused = await bundles.exportProject({ outputPath });
+      expect(refused.content[0].text).toContain("Validation failed for field 'output_path'");
+    }
+    expect(await fs.access(outside).catch(() => 'missing')).toBe('missing');
+    expect(await persistence.loadProjectData('alpha', 'config.json')).toMatchObject({
+      goal: 'Piano',
+    });
+
+    const secrets = await bundles.importProject({ bundlePath: '../config.json' });
+    expect(secrets.content[0].text).toContain("Validation failed for field 'bundle_path'");
+
+    // An HTTP user's exports directory is inside their own data root
+    await fs.mkdir(path.join(dataDir, 'users', 'bob', 'exports'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'users', 'bob', 'exports', 'b.json'), '{}');
+    const otherUser = await runInSession({ id: 's1', userId: 'ana' }, () =>
+      bundles.importProject({ bundlePath: '../../bob/exports/b.json' })
+    );
+    expect(otherUser.content[0].text).toContain("Validation failed for field 'bundle_path'");
+  });
+});
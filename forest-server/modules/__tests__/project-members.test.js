@@ -0,0 +1,193 @@
+/**
+ * Project Members Tests
+ * Verifies sharing projects with roles, role checks on tool calls and attribution of changes
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AnalyticsTools } from '../analytics-tools.js';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { DataPersistence } from '../data-persistence.js';
+import { AuthorizationError } from '../errors.js';
+import { HtaStatus } from '../hta-status.js';
+import { ProjectManagement } from '../project-management.js';
+import { ProjectMembers } from '../project-members.js';
+import { TaskCompletion } from '../task-completion.js';
+import { ToolRouter } from '../tool-router.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+import { runInSession } from '../utils/session-context.js';
+
+const PREFERENCES = { wake_time: '7:00', sleep_time: '23:00' };
+
+describe('Project members', () => {
+  let dataDir;
+  let persistence;
+  let router;
+  let savedUser;
+
+  const asApiUser = (userId, work) =>
+    runInSession({ id: `s-${userId}`, userId, activeProject: null }, work);
+  const asLocalUser = (userId, work) => {
+    process.env.FOREST_USER = userId;
+    return work();
+  };
+  const call = (toolName, args = {}) => router.dispatchTool(toolName, args);
+
+  beforeEach(async () => {
+    savedUser = process.env.FOREST_USER;
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-members-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+
+    const projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+    const projectMembers = new ProjectMembers(persistence, projectManagement);
+    const htaStatus = new HtaStatus(persistence, projectManagement);
+    const analytics = new AnalyticsTools(persistence, projectManagement);
+    const taskCompletion = new TaskCompletion(persistence, projectManagement);
+    const forestServer = {
+      dataPersistence: persistence,
+      projectManagement,
+      projectMembers,
+      createProject: args => projectManagement.createProject(args),
+      switchProject: projectId => projectManagement.switchProject(projectId),
+      listProjects: async () =>
+        projectMembers.withSharedProjects(await projectManagement.listProjects()),
+      shareProject: options => projectMembers.shareProject(options),
+      removeProjectMember: options => projectMembers.removeMember(options),
+      listProjectMembers: options => projectMembers.listMembers(options),
+      getHTAStatus: member => htaStatus.getHTAStatus(member),
+      reviewPeriod: (days, member) => analytics.reviewPeriod(days, member),
+      completeBlock: options => taskCompletion.completeBlock(options),
+      buildHTATree: async () => {
+        const projectId = await projectManagement.requireActiveProject();
+        await persistence.saveProjectData(projectId, 'hta.json', {
+          goal: 'Play a Chopin nocturne',
+          frontierNodes: [
+            { id: 't1', title: 'Scales', branch: 'technique' },
+            { id: 't2', title: 'Left hand voicing', branch: 'technique' },
+          ],
+        });
+        return { content: [{ type: 'text', text: 'built' }] };
+      },
+    };
+    router = new ToolRouter(new CoreInfrastructure().getServer(), forestServer);
+  });
+
+  afterEach(async () => {
+    if (savedUser === undefined) {
+      delete process.env.FOREST_USER;
+    } else {
+      process.env.FOREST_USER = savedUser;
+    }
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test("moves a shared API user's project into the shared data directory", async () => {
+    await asApiUser('alice', async () => {
+      await call('create_project', {
+        project_id: 'piano',
+        goal: 'Play a Chopin nocturne',
+        life_structure_preferences: PREFERENCES,
+      });
+      const shared = await call('share_project', { user_id: 'bob', role: 'viewer' });
+      expect(shared.members).toEqual([
+        expect.objectContaining({ user_id: 'alice', role: 'owner' }),
+        expect.objectContaining({ user_id: 'bob', role: 'viewer', added_by: 'alice' }),
+      ]);
+      // The owner keeps working on it where it now lives
+      expect((await call('get_hta_status')).content[0].text).toMatch(/HTA Tree Status/);
+    });
+
+    expect(await fs.readdir(path.join(dataDir, 'projects', 'piano'))).toContain('config.json');
+    expect(await fs.readdir(path.join(dataDir, 'users', 'alice'))).not.toContain('projects');
+
+    await asApiUser('bob', async () => {
+      const listed = await call('list_projects');
+      expect(listed.shared_projects).toEqual([
+        { project_id: 'piano', role: 'viewer', goal: 'Play a Chopin nocturne' },
+      ]);
+      await call('switch_project', { project_id: 'piano' });
+      expect((await call('list_project_members')).members).toHaveLength(2);
+      await expect(call('complete_block', { block_id: 't1' })).rejects.toThrow(AuthorizationError);
+      await expect(call('import_calendar_ics', { file_path: 'work.ics' })).rejects.toThrow(
+        AuthorizationError
+      );
+      await expect(call('share_project', { user_id: 'carol' })).rejects.toThrow(
+        "User 'bob' is not allowed to run share_project on project 'piano'"
+      );
+    });
+
+    // Users who are not members cannot reach it at all
+    await asApiUser('carol', async () => {
+      expect((await call('list_projects')).shared_projects).toBeUndefined();
+      const switched = await call('switch_project', { project_id: 'piano' });
+      expect(switched.content[0].text).toContain("Project 'piano' not found");
+    });
+
+    await asApiUser('alice', async () => {
+      const removed = await call('remove_project_member', {
+        project_id: 'piano',
+        user_id: 'alice',
+      });
+      expect(removed.content[0].text).toMatch(/must keep at least one owner/);
+    });
+  });
+
+  test('attributes HTA changes and completions to the member who made them', async () => {
+    await asLocalUser('alice', async () => {
+      await call('create_project', {
+        project_id: 'piano',
+        goal: 'Play a Chopin nocturne',
+        life_structure_preferences: PREFERENCES,
+      });
+      await call('share_project', { user_id: 'bob' });
+      await call('build_hta_tree');
+    });
+
+    await asLocalUser('bob', async () => {
+      await call('complete_block', {
+        block_id: 't2',
+        outcome: 'Voicing is even now',
+        learned: 'Lead with the thumb',
+        energy_level: 4,
+        breakthrough: true,
+      });
+    });
+
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    expect(hta.frontierNodes).toEqual([
+      expect.objectContaining({ id: 't1', createdBy: 'alice' }),
+      expect.objectContaining({ id: 't2', createdBy: 'alice', completedBy: 'bob' }),
+    ]);
+    const history = await persistence.loadProjectData('piano', 'learning_history.json');
+    expect(history.completedTopics).toEqual([
+      expect.objectContaining({ topic: 'Left hand voicing', completedBy: 'bob' }),
+    ]);
+    expect(history.activity.map(({ action, by }) => [action, by])).toEqual([
+      ['hta_edited', 'alice'],
+      ['block_completed', 'bob'],
+    ]);
+
+    await asLocalUser('alice', async () => {
+      const bobsTasks = await call('get_hta_status', { member: 'bob' });
+      expect(bobsTasks.hta_status.frontier_nodes.map(node => node.id)).toEqual(['t2']);
+      expect((await call('review_week', { member: 'alice' })).period_review.summary).toMatchObject({
+        tasksCompleted: 0,
+        insightsGained: 0,
+      });
+      expect((await call('review_week', { member: 'bob' })).period_review.summary).toMatchObject({
+        tasksCompleted: 1,
+        insightsGained: 1,
+      });
+    });
+
+    // Members without a role cannot touch it from the local data directory either
+    await asLocalUser('mallory', async () => {
+      await expect(call('get_hta_status')).rejects.toThrow(AuthorizationError);
+    });
+  });
+});
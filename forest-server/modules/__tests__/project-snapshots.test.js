@@ -0,0 +1,191 @@
+/**
+ * Project Snapshot Tests
+ * Verifies automatic versioned backups, rotation, diffing and point-in-time restore
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../data-persistence.js';
+import { ProjectSnapshots } from '../project-snapshots.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+import { diffDocuments } from '../utils/document-diff.js';
+
+describe('Project snapshots', () => {
+  let dataDir;
+  let persistence;
+  let snapshots;
+  let clock;
+
+  const stamped = document => ({ ...document, schemaVersion: 1 });
+  const node = (id, title, extra = {}) => ({ id, title, branch: 'technique', ...extra });
+
+  // Advance a fake clock between saves so every snapshot gets a distinct timestamp
+  const tick = () => {
+    clock += 1000;
+    jest.setSystemTime(clock);
+    return new Date(clock).toISOString();
+  };
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    clock = Date.parse('2025-03-01T09:00:00.000Z');
+    jest.setSystemTime(clock);
+
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-snapshots-'));
+    persistence = new DataPersistence(dataDir, {
+      storage: new JsonFileStorageAdapter(dataDir),
+      backupRetention: 3,
+    });
+    snapshots = new ProjectSnapshots(persistence, {
+      requireActiveProject: async () => 'alpha',
+    });
+  });
+
+  afterEach(async () => {
+    clearInterval(persistence.cacheManager.cleanupInterval);
+    jest.useRealTimers();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('keeps the previous version under backups/ whenever a project file changes', async () => {
+    await persistence.saveProjectData('alpha', 'hta.json', {
+      frontierNodes: [node('t1', 'Scales')],
+    });
+    tick();
+    await persistence.saveProjectData('alpha', 'hta.json', {
+      frontierNodes: [node('t1', 'Scales')],
+    });
+    tick();
+    await persistence.saveProjectData('alpha', 'hta.json', { frontierNodes: [] });
+
+    const listed = await persistence.listSnapshots('alpha', null, 'hta.json');
+    expect(listed).toHaveLength(1);
+    expect(listed[0]).toMatchObject({
+      projectId: 'alpha',
+      pathName: null,
+      filename: 'hta.json',
+      capturedAt: '2025-03-01T09:00:02.000Z',
+      key: 'backups/projects/alpha/hta.json.backup.2025-03-01T09-00-02-000Z',
+    });
+    expect(await persistence.readSnapshot(listed[0].key)).toEqual(
+      stamped({ frontierNodes: [node('t1', 'Scales')] })
+    );
+
+    // Global documents are not versioned
+    await persistence.saveGlobalData('config.json', { activeProject: 'alpha' });
+    tick();
+    await persistence.saveGlobalData('config.json', { activeProject: 'beta' });
+    expect(await persistence.storage.list('backups')).toEqual(['projects']);
+  });
+
+  test('rotates out the oldest snapshots beyond the retention limit', async () => {
+    for (let version = 1; version <= 6; version++) {
+      tick();
+      await persistence.savePathData('alpha', 'piano', 'hta.json', { version });
+    }
+
+    const listed = await persistence.listSnapshots('alpha', 'piano', 'hta.json');
+    expect(listed.map(snapshot => snapshot.pathName)).toEqual(['piano', 'piano', 'piano']);
+    const versions = await Promise.all(listed.map(s => persistence.readSnapshot(s.key)));
+    expect(versions).toEqual([
+      stamped({ version: 3 }),
+      stamped({ version: 4 }),
+      stamped({ version: 5 }),
+    ]);
+  });
+
+  test('diffs a point in time against the current file', async () => {
+    await persistence.saveProjectData('alpha', 'hta.json', {
+      frontierNodes: [node('t1', 'Scales', { completed: false }), node('t2', 'Chords')],
+    });
+    const beforeRegeneration = tick();
+    tick();
+    await persistence.saveProjectData('alpha', 'hta.json', {
+      frontierNodes: [node('t1', 'Scales', { completed: true }), node('t3', 'Arpeggios')],
+    });
+
+    const result = await snapshots.diffSnapshot({
+      file: 'hta.json',
+      timestamp: beforeRegeneration,
+    });
+
+    expect(result.diff).toEqual([
+      { path: 'frontierNodes[id=t1].completed', change: 'changed', before: false, after: true },
+      { path: 'frontierNodes[id=t2]', change: 'removed', before: node('t2', 'Chords') },
+      { path: 'frontierNodes[id=t3]', change: 'added', after: node('t3', 'Arpeggios') },
+    ]);
+    expect(result.content[0].text).toContain('3 changes');
+  });
+
+  test('restores a whole project to a point in time and can undo the restore', async () => {
+    await persistence.saveProjectData('alpha', 'hta.json', { tree: 'original' });
+    await persistence.savePathData('alpha', 'piano', 'hta.json', { tree: 'piano original' });
+    await persistence.saveProjectData('alpha', 'config.json', { goal: 'Piano' });
+    const goodState = tick();
+
+    tick();
+    await persistence.saveProjectData('alpha', 'hta.json', { tree: 'overwritten' });
+    tick();
+    await persistence.saveProjectData('alpha', 'hta.json', { tree: 'overwritten again' });
+    await persistence.savePathData('alpha', 'piano', 'hta.json', { tree: 'piano overwritten' });
+
+    const preview = await snapshots.restoreSnapshot({ timestamp: goodState, dryRun: true });
+    expect(preview.restored.map(entry => [entry.path_name, entry.file])).toEqual([
+      [null, 'hta.json'],
+      ['piano', 'hta.json'],
+    ]);
+    expect(await persistence.loadProjectData('alpha', 'hta.json')).toEqual(
+      stamped({ tree: 'overwritten again' })
+    );
+
+    tick();
+    const restored = await snapshots.restoreSnapshot({ timestamp: goodState });
+    expect(restored.restored).toHaveLength(2);
+    expect(await persistence.loadProjectData('alpha', 'hta.json')).toEqual(
+      stamped({ tree: 'original' })
+    );
+    expect(await persistence.loadPathData('alpha', 'piano', 'hta.json')).toEqual(
+      stamped({ tree: 'piano original' })
+    );
+    expect(await persistence.loadProjectData('alpha', 'config.json')).toEqual(
+      stamped({ goal: 'Piano' })
+    );
+
+    // The restore itself snapshotted what it replaced
+    const latest = (await persistence.listSnapshots('alpha', null, 'hta.json')).pop();
+    expect(await persistence.readSnapshot(latest.key)).toEqual(
+      stamped({ tree: 'overwritten again' })
+    );
+  });
+
+  test('restores a single file and rejects invalid timestamps', async () => {
+    await persistence.saveProjectData('alpha', 'hta.json', { tree: 'v1' });
+    await persistence.saveProjectData('alpha', 'config.json', { goal: 'v1' });
+    const pointInTime = tick();
+    tick();
+    await persistence.saveProjectData('alpha', 'hta.json', { tree: 'v2' });
+    await persistence.saveProjectData('alpha', 'config.json', { goal: 'v2' });
+
+    await snapshots.restoreSnapshot({ file: 'hta.json', timestamp: pointInTime });
+    expect(await persistence.loadProjectData('alpha', 'hta.json')).toEqual(stamped({ tree: 'v1' }));
+    expect(await persistence.loadProjectData('alpha', 'config.json')).toEqual(
+      stamped({ goal: 'v2' })
+    );
+
+    const invalid = await snapshots.restoreSnapshot({ timestamp: 'last tuesday' });
+    expect(invalid.content[0].text).toContain("Validation failed for field 'timestamp'");
+  });
+});
+
+describe('diffDocuments', () => {
+  test('reports positional array and nested object changes', () => {
+    expect(diffDocuments({ a: [1, 2], b: { c: 1 } }, { a: [1, 3, 4], b: {} })).toEqual([
+      { path: 'a[1]', change: 'changed', before: 2, after: 3 },
+      { path: 'a[2]', change: 'added', after: 4 },
+      { path: 'b.c', change: 'removed', before: 1 },
+    ]);
+    expect(diffDocuments({ same: true }, { same: true })).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Project Test Harness
+ * Shared setup for tests that run modules against real documents: a throwaway data directory
+ * with JSON storage, the 'piano' project most suites plan around, and builders for the HTA
+ * tasks and schedule blocks they seed it with.
+ */
+
+import { test, expect } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../data-persistence.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+
+export const PROJECT_ID = 'piano';
+export const GOAL = 'Play a Chopin nocturne';
+
+/**
+ * Create a temporary data directory and a DataPersistence on top of it
+ * @param {string} prefix - Directory name prefix, so a leftover directory names its suite
+ * @returns {Promise<{dataDir: string, persistence: DataPersistence, cleanup: Function}>}
+ *   `cleanup` closes the persistence and removes the directory; call it in afterEach
+ */
+export async function createTestPersistence(prefix = 'forest-test-') {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  const persistence = new DataPersistence(dataDir, {
+    storage: new JsonFileStorageAdapter(dataDir),
+  });
+  const cleanup = async () => {
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  };
+  return { dataDir, persistence, cleanup };
+}
+
+/**
+ * A ProjectManagement stand-in whose active project is fixed
+ * @param {string} [projectId]
+ * @returns {{requireActiveProject: Function}}
+ */
+export function activeProject(projectId = PROJECT_ID) {
+  return { requireActiveProject: async () => projectId };
+}
+
+/**
+ * Life structure preferences for a day from 8 AM to `sleepTime` with 10 minute breaks
+ * @param {string} sleepTime - e.g. '10:00 AM'
+ * @param {Object} [fields] - Preferences to add or override, e.g. meal_times
+ * @returns {Object}
+ */
+export function lifeStructure(sleepTime, fields = {}) {
+  return {
+    wake_time: '8:00 AM',
+    sleep_time: sleepTime,
+    meal_times: [],
+    break_preferences: '10 minute breaks',
+    ...fields,
+  };
+}
+
+/**
+ * Save a project's config and, optionally, its HTA tree and day schedules
+ * @param {DataPersistence} persistence
+ * @param {Object} [options]
+ * @param {string} [options.projectId]
+ * @param {Object} [options.config] - Config fields; the goal defaults to GOAL
+ * @param {Object} [options.hta] - hta.json contents
+ * @param {Object<string, Array<Object>>} [options.days] - Blocks of each day_<date>.json
+ * @returns {Promise<void>}
+ */
+export async function seedProject(
+  persistence,
+  { projectId = PROJECT_ID, config = {}, hta = null, days = {} } = {}
+) {
+  await persistence.saveProjectData(projectId, 'config.json', { goal: GOAL, ...config });
+  if (hta) {
+    await persistence.saveProjectData(projectId, 'hta.json', hta);
+  }
+  for (const [date, blocks] of Object.entries(days)) {
+    await persistence.saveProjectData(projectId, `day_${date}.json`, { date, blocks });
+  }
+}
+
+/**
+ * An open HTA task of half an hour
+ * @param {string} id
+ * @param {string} title
+ * @param {string} [branch]
+ * @param {Array<string>} [prerequisites] - Ids or titles
+ * @param {Object} [fields] - Fields to add or override
+ * @returns {Object}
+ */
+export function htaTask(id, title, branch = 'core', prerequisites = [], fields = {}) {
+  return {
+    id,
+    title,
+    branch,
+    description: '',
+    difficulty: 2,
+    duration: '30 minutes',
+    prerequisites,
+    completed: false,
+    ...fields,
+  };
+}
+
+/**
+ * A day schedule block
+ * @param {string} id
+ * @param {string} type - learning, break, habit, meeting, ...
+ * @param {string} title
+ * @param {string} startTime
+ * @param {number} duration - Minutes
+ * @param {Object} [fields] - Fields to add, e.g. taskId or completed
+ * @returns {Object}
+ */
+export function scheduleBlock(id, type, title, startTime, duration, fields = {}) {
+  return { id, type, title, startTime, duration, ...fields };
+}
+
+/**
+ * One line per block, its start time followed by what `describe` says about it, so a day's
+ * layout can be compared in a single assertion
+ * @param {Array<Object>} blocks
+ * @param {Function} [describe] - Block to text; by default its task id, else its own id
+ * @returns {Array<string>}
+ */
+export function blockSummary(blocks, describe = block => block.taskId || block.id) {
+  return blocks.map(block => `${block.startTime} ${describe(block)}`);
+}
+
+// Jest treats every file under __tests__ as a suite when run without a path pattern
+test('project test harness module loads', () => {
+  expect(typeof createTestPersistence).toBe('function');
+});
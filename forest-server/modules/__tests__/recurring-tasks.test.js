@@ -0,0 +1,257 @@
+/**
+ * Recurring Tasks Tests
+ * Verifies recurrence rules, streak and adherence figures, and that recurring HTA nodes are
+ * scheduled on the days they are due, record each completion, and show up in status and reviews
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { AnalyticsTools } from '../analytics-tools.js';
+import { CalendarCommitments, addDays } from '../calendar-commitments.js';
+import { HtaStatus } from '../hta-status.js';
+import {
+  RecurringTasks,
+  describeRecurrence,
+  dueRecurringTasks,
+  isDueOn,
+  parseRecurrence,
+  recurrenceStats,
+} from '../recurring-tasks.js';
+import { ScheduleGenerator } from '../schedule-generator.js';
+import { TaskCompletion } from '../task-completion.js';
+import { WeekPlanner } from '../week-planner.js';
+import {
+  GOAL,
+  activeProject,
+  createTestPersistence,
+  htaTask,
+  lifeStructure,
+  seedProject,
+} from './project-test-harness.js';
+
+// A Monday
+const MONDAY = '2099-06-01';
+
+const recurringNode = (rule, occurrences = [], startDate = MONDAY) => ({
+  id: 'recurring_1',
+  title: 'Scales',
+  branch: 'practice',
+  duration: '20 minutes',
+  recurrence: { rule, startDate },
+  occurrences: occurrences.map(date => ({ date })),
+});
+
+describe('Recurrence rules', () => {
+  test('reads daily, weekday and times-a-week rules and rejects others', () => {
+    expect(parseRecurrence('FREQ=DAILY;INTERVAL=2')).toEqual({
+      freq: 'DAILY',
+      interval: 2,
+      days: null,
+      times: null,
+      until: null,
+    });
+    expect(parseRecurrence('RRULE:FREQ=WEEKLY;BYDAY=FR,MO;UNTIL=20991231')).toMatchObject({
+      days: [1, 5],
+      until: '2099-12-31',
+    });
+    expect(parseRecurrence('FREQ=WEEKLY;TIMES=3').times).toBe(3);
+
+    for (const rule of ['FREQ=MONTHLY', 'FREQ=DAILY;BYDAY=MO', 'FREQ=WEEKLY;TIMES=9', 'daily']) {
+      expect(parseRecurrence(rule)).toBeNull();
+    }
+    expect(describeRecurrence('FREQ=WEEKLY;BYDAY=MO,WE')).toBe('Mon, Wed');
+    expect(describeRecurrence('FREQ=WEEKLY;TIMES=3')).toBe('3 times a week');
+  });
+
+  test('works out which days a node is due', () => {
+    const everyOtherDay = recurringNode('FREQ=DAILY;INTERVAL=2');
+    expect([0, 1, 2, 3].map(offset => isDueOn(everyOtherDay, addDays(MONDAY, offset)))).toEqual([
+      true,
+      false,
+      true,
+      false,
+    ]);
+    expect(isDueOn(everyOtherDay, addDays(MONDAY, -2))).toBe(false);
+
+    const weekdays = recurringNode('FREQ=WEEKLY;BYDAY=MO,WE');
+    expect([0, 1, 2].map(offset => isDueOn(weekdays, addDays(MONDAY, offset)))).toEqual([
+      true,
+      false,
+      true,
+    ]);
+
+    // Done on Monday and Tuesday, planned for Wednesday: the week's three are taken
+    const threeTimes = recurringNode('FREQ=WEEKLY;TIMES=3', [MONDAY, addDays(MONDAY, 1)]);
+    expect(isDueOn(threeTimes, addDays(MONDAY, 3))).toBe(true);
+    expect(isDueOn(threeTimes, addDays(MONDAY, 3), [addDays(MONDAY, 2)])).toBe(false);
+    expect(dueRecurringTasks([threeTimes], MONDAY)).toEqual([]);
+  });
+
+  test('counts streaks and adherence without breaking on an unfinished today', () => {
+    // Due every day from Monday; missed Wednesday, nothing yet on Saturday (today)
+    const daily = recurringNode(
+      'FREQ=DAILY',
+      [0, 1, 3, 4].map(day => addDays(MONDAY, day))
+    );
+    expect(recurrenceStats(daily, addDays(MONDAY, 5))).toMatchObject({
+      unit: 'day',
+      currentStreak: 2,
+      longestStreak: 2,
+      completed: 4,
+      expected: 5,
+      adherence: 80,
+      dueToday: true,
+    });
+
+    // Twice a week: met the first week, not the second, met the third so far
+    const weekly = recurringNode(
+      'FREQ=WEEKLY;TIMES=2',
+      [0, 2, 8, 14, 15].map(day => addDays(MONDAY, day))
+    );
+    expect(recurrenceStats(weekly, addDays(MONDAY, 16))).toMatchObject({
+      unit: 'week',
+      currentStreak: 1,
+      longestStreak: 1,
+      completed: 5,
+      expected: 6,
+      adherence: 83,
+      dueToday: false,
+    });
+  });
+});
+
+describe('Recurring tasks in a project', () => {
+  let persistence;
+  let cleanup;
+  let projectManagement;
+  let today;
+
+  beforeEach(async () => {
+    ({ persistence, cleanup } = await createTestPersistence('forest-recurring-'));
+    projectManagement = activeProject();
+    today = new Date().toISOString().split('T')[0];
+
+    await seedProject(persistence, {
+      config: { life_structure_preferences: lifeStructure('10:00 AM') },
+      hta: {
+        goal: GOAL,
+        strategicBranches: [{ id: 'practice', title: 'Practice' }],
+        frontierNodes: [htaTask('t1', 'Nocturne bars 1-8', 'practice')],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('adds a recurring node, schedules it and records each completion', async () => {
+    const recurring = new RecurringTasks(persistence, projectManagement);
+    const added = await recurring.addRecurringTask({
+      title: 'Scales',
+      recurrence: 'freq=daily',
+      duration: '20 minutes',
+      startDate: addDays(today, -2),
+    });
+    expect(added.recurring_task).toMatchObject({
+      id: 'recurring_1',
+      recurrence: { rule: 'FREQ=DAILY', startDate: addDays(today, -2) },
+      occurrences: [],
+    });
+
+    const generator = new ScheduleGenerator(
+      persistence,
+      projectManagement,
+      new CalendarCommitments(persistence)
+    );
+    await generator.generateDailySchedule(today);
+    const day = await persistence.loadProjectData('piano', `day_${today}.json`);
+    const practice = day.blocks.find(block => block.taskId === 'recurring_1');
+    expect(practice).toMatchObject({ type: 'habit', occurrence: today, title: 'Scales' });
+    expect(day.blocks.some(block => block.taskId === 't1')).toBe(true);
+
+    const completion = new TaskCompletion(persistence, projectManagement);
+    await completion.completeBlock({ blockId: practice.id, outcome: 'Clean at 80 bpm' });
+
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    const node = hta.frontierNodes.find(entry => entry.id === 'recurring_1');
+    expect(node.completed).toBe(false);
+    expect(node.occurrences).toEqual([
+      expect.objectContaining({ date: today, blockId: practice.id }),
+    ]);
+    expect(dueRecurringTasks(hta.frontierNodes, today)).toEqual([]);
+  });
+
+  test('shows streaks in the HTA status and the weekly review', async () => {
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    hta.frontierNodes.push({
+      ...recurringNode(
+        'FREQ=DAILY',
+        [-3, -2, -1, 0].map(offset => addDays(today, offset))
+      ),
+      recurrence: { rule: 'FREQ=DAILY', startDate: addDays(today, -4) },
+    });
+    await persistence.saveProjectData('piano', 'hta.json', hta);
+
+    const status = await new HtaStatus(persistence, projectManagement).getHTAStatus();
+    expect(status.hta_status.progress).toEqual({ completed: 0, total: 1, percentage: 0 });
+    expect(status.hta_status.recurring).toEqual([
+      expect.objectContaining({ taskId: 'recurring_1', currentStreak: 4, adherence: 80 }),
+    ]);
+    expect(status.content[0].text).toMatch(/Recurring Practice[\s\S]*\*\*Scales\*\* \(every day\)/);
+    expect(status.content[0].text).toMatch(/4-day streak \(best 4\)/);
+
+    const review = await new AnalyticsTools(persistence, projectManagement).reviewPeriod(7);
+    expect(review.period_review.habits).toEqual([
+      expect.objectContaining({ title: 'Scales', currentStreak: 4, completed: 4, expected: 5 }),
+    ]);
+    expect(review.content[0].text).toMatch(/\*\*Habits\*\*:\n• Scales \(every day\): 4-day/);
+  });
+
+  test('the week planner spreads times-a-week practice over the first free days', async () => {
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    hta.frontierNodes.push(recurringNode('FREQ=WEEKLY;TIMES=2'));
+    await persistence.saveProjectData('piano', 'hta.json', hta);
+
+    const commitments = new CalendarCommitments(persistence);
+    const planner = new WeekPlanner(
+      persistence,
+      projectManagement,
+      new ScheduleGenerator(persistence, null, commitments),
+      commitments
+    );
+    const result = await planner.generateWeekPlan({ startDate: MONDAY, days: 3 });
+
+    expect(result.days.map(day => [day.tasks, day.recurring])).toEqual([
+      [['t1'], ['recurring_1']],
+      [[], ['recurring_1']],
+      [[], []],
+    ]);
+    const first = await persistence.loadProjectData('piano', `day_${MONDAY}.json`);
+    expect(first.blocks[0]).toMatchObject({
+      type: 'habit',
+      taskId: 'recurring_1',
+      occurrence: MONDAY,
+      startTime: '08:00',
+    });
+    const plan = await persistence.loadProjectData('piano', 'week_plan.json');
+    expect(plan.days.map(day => day.tasks)).toEqual([['t1'], [], []]);
+  });
+
+  test('rejects rules it cannot follow', async () => {
+    const recurring = new RecurringTasks(persistence, projectManagement);
+
+    const monthly = await recurring.addRecurringTask({
+      title: 'Recital',
+      recurrence: 'FREQ=MONTHLY',
+    });
+    expect(monthly.content[0].text).toMatch(/recurrence/);
+    const duplicate = await recurring.addRecurringTask({
+      title: 'Nocturne bars 1-8',
+      recurrence: 'FREQ=DAILY',
+    });
+    expect(duplicate.content[0].text).toMatch(/title/);
+
+    const hta = await persistence.loadProjectData('piano', 'hta.json');
+    expect(hta.frontierNodes).toHaveLength(1);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * REST API Tests
+ * Verifies routing onto tools, schema validation of requests and HTTP status codes for errors
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import http from 'http';
+import fetch from 'node-fetch';
+import os from 'os';
+import path from 'path';
+import { CoreInfrastructure } from '../core-infrastructure.js';
+import { DataPersistence } from '../data-persistence.js';
+import { LockAcquisitionError } from '../errors.js';
+import { McpHandlers } from '../mcp-handlers.js';
+import { ProjectManagement } from '../project-management.js';
+import { RestApi } from '../rest-api.js';
+import { ToolRouter } from '../tool-router.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+
+describe('REST API', () => {
+  let dataDir;
+  let persistence;
+  let projectManagement;
+  let forestServer;
+  let httpServer;
+  let baseUrl;
+
+  const request = async (method, urlPath, body) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-rest-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    projectManagement = new ProjectManagement(persistence, {
+      syncActiveProjectToMemory: async () => ({}),
+    });
+
+    await persistence.saveGlobalData('config.json', {
+      projects: ['alpha', 'beta'],
+      activeProject: 'alpha',
+    });
+    await persistence.saveProjectData('alpha', 'config.json', { id: 'alpha', goal: 'Piano' });
+    await persistence.saveProjectData('beta', 'config.json', { id: 'beta', goal: 'Spanish' });
+
+    const activeText = async prefix => ({
+      content: [
+        { type: 'text', text: `${prefix} ${await projectManagement.requireActiveProject()}` },
+      ],
+    });
+    forestServer = {
+      dataPersistence: persistence,
+      projectManagement,
+      listProjects: () => projectManagement.listProjects(),
+      createProject: args => projectManagement.createProject(args),
+      getHTAStatus: () => activeText('HTA for'),
+      completeBlock: jest.fn(() => activeText('Completed in')),
+      getProactiveInsights: jest.fn(() => activeText('Insights for')),
+      getArchiveStatus: async () => {
+        await persistence.logError('getArchiveStatus', new LockAcquisitionError('hta.json', 10));
+        return { content: [{ type: 'text', text: 'Error getting archive status' }] };
+      },
+    };
+    const server = new CoreInfrastructure().getServer();
+    forestServer.toolRouter = new ToolRouter(server, forestServer);
+    forestServer.mcpHandlers = new McpHandlers(server, forestServer);
+
+    const restApi = new RestApi(forestServer);
+    httpServer = http.createServer(async (req, res) => {
+      if (!(await restApi.handleRequest(req, res))) {
+        res.writeHead(418);
+        res.end('{}');
+      }
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterEach(async () => {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    clearInterval(persistence.cacheManager.cleanupInterval);
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('lists and creates projects with validated bodies', async () => {
+    const listed = await request('GET', '/projects');
+    expect(listed.status).toBe(200);
+    expect(listed.body.projects).toEqual(['alpha', 'beta']);
+
+    const invalid = await request('POST', '/projects', { project_id: 'gamma', goal: 42 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatchObject({
+      type: 'RequestValidationError',
+      problems: [
+        { path: 'life_structure_preferences', message: 'is required' },
+        { path: 'goal', message: 'expected string, got integer' },
+      ],
+    });
+
+    // Checks made by the tool itself map onto status codes too
+    const incomplete = await request('POST', '/projects', {
+      project_id: 'gamma',
+      goal: 'Learn to paint landscapes',
+      life_structure_preferences: { wake_time: '7:00' },
+    });
+    expect(incomplete.status).toBe(400);
+    expect(incomplete.body.error).toMatchObject({
+      type: 'RequiredFieldsError',
+      message:
+        'Missing required fields for project creation: life_structure_preferences.sleep_time',
+    });
+
+    const created = await request('POST', '/projects', {
+      project_id: 'gamma',
+      goal: 'Learn to paint landscapes',
+      life_structure_preferences: { wake_time: '7:00', sleep_time: '23:00' },
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.project_created).toMatchObject({ id: 'gamma' });
+    // Creating over REST does not move the active project of other clients
+    expect(await persistence.loadGlobalData('config.json')).toMatchObject({
+      projects: ['alpha', 'beta', 'gamma'],
+      activeProject: 'alpha',
+    });
+  });
+
+  test('runs project routes against the project in the path', async () => {
+    const hta = await request('GET', '/projects/beta/hta');
+    expect(hta.status).toBe(200);
+    expect(hta.body.content[0].text).toBe('HTA for beta');
+
+    expect((await request('GET', '/projects/missing/hta')).status).toBe(404);
+    expect((await request('GET', '/projects/.hidden/hta')).status).toBe(400);
+    expect((await request('GET', '/projects/beta/nothing')).status).toBe(404);
+  });
+
+  test('reads stored schedules by date', async () => {
+    const schedule = {
+      date: '2025-01-01',
+      blocks: [{ id: 'b1', title: 'Scales', startTime: '09:00' }],
+    };
+    await persistence.saveProjectData('alpha', 'day_2025-01-01.json', schedule);
+
+    const found = await request('GET', '/projects/alpha/schedules/2025-01-01');
+    expect(found.status).toBe(200);
+    expect(found.body.schedule).toMatchObject(schedule);
+
+    const missing = await request('GET', '/projects/alpha/schedules/2025-01-02');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.type).toBe('ResourceNotFoundError');
+    expect((await request('GET', '/projects/alpha/schedules/tomorrow')).status).toBe(400);
+  });
+
+  test('completes blocks with arguments from the path and body', async () => {
+    const completed = await request('POST', '/projects/beta/blocks/b1/complete', {
+      outcome: 'Played it slowly',
+      energy_level: 4,
+    });
+    expect(completed.status).toBe(200);
+    expect(completed.body.content[0].text).toBe('Completed in beta');
+    expect(forestServer.completeBlock).toHaveBeenCalledWith(
+      expect.objectContaining({ blockId: 'b1', outcome: 'Played it slowly', energyLevel: 4 })
+    );
+
+    const invalid = await request('POST', '/projects/beta/blocks/b1/complete', { outcome: 'x' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.problems).toEqual([{ path: 'energy_level', message: 'is required' }]);
+
+    const wrongMethod = await request('GET', '/projects/beta/blocks/b1/complete');
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get('allow')).toBe('POST');
+  });
+
+  test('validates query parameters and maps logged failures to status codes', async () => {
+    const insights = await request('GET', '/insights?days=3&project_id=beta');
+    expect(insights.status).toBe(200);
+    expect(insights.body.content[0].text).toBe('Insights for beta');
+    expect(forestServer.getProactiveInsights).toHaveBeenCalledWith(3);
+
+    expect((await request('GET', '/insights?days=99')).status).toBe(400);
+
+    const archive = await request('GET', '/archive/status');
+    expect(archive.status).toBe(503);
+    expect(archive.body.error.type).toBe('LockAcquisitionError');
+  });
+});
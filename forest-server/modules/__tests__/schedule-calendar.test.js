@@ -0,0 +1,229 @@
+/**
+ * Schedule Calendar Tests
+ * Verifies day schedules export as RFC 5545 events and imported calendar events become busy time
+ * that generated schedules keep free
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CalendarCommitments } from '../calendar-commitments.js';
+import { DataPersistence } from '../data-persistence.js';
+import { ScheduleCalendar } from '../schedule-calendar.js';
+import { ScheduleGenerator } from '../schedule-generator.js';
+import { JsonFileStorageAdapter } from '../storage/index.js';
+import { foldLine, parseCalendar, unescapeText } from '../utils/ical.js';
+
+// A Wednesday, far enough ahead that imported events are never in the past
+const DATE = '2099-06-03';
+
+const CALENDAR = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Example//Calendar//EN',
+  'BEGIN:VEVENT',
+  'UID:review@example.com',
+  'DTSTART:20990603T100000',
+  'DTEND:20990603T110000',
+  'SUMMARY:Design review\\, round 2',
+  'BEGIN:VALARM',
+  'TRIGGER:-PT15M',
+  'DESCRIPTION:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup@example.com',
+  'DTSTART:20990601T090000',
+  'DURATION:PT15M',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20991231T000000Z',
+  'SUMMARY:Stand',
+  ' up',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20990603',
+  'SUMMARY:Birthday',
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20990603T130000',
+  'DTEND:20990603T140000',
+  'SUMMARY:Cancelled lunch',
+  'STATUS:CANCELLED',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20990603T150000',
+  'DTEND:20990603T160000',
+  'SUMMARY:Board meeting',
+  'RRULE:FREQ=MONTHLY',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20200101T090000',
+  'DTEND:20200101T100000',
+  'SUMMARY:Long ago',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('Schedule calendar', () => {
+  let dataDir;
+  let persistence;
+  let commitments;
+  let calendar;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-calendar-'));
+    persistence = new DataPersistence(dataDir, { storage: new JsonFileStorageAdapter(dataDir) });
+    commitments = new CalendarCommitments(persistence);
+    calendar = new ScheduleCalendar(
+      persistence,
+      { requireActiveProject: async () => 'piano' },
+      commitments
+    );
+
+    await persistence.saveProjectData('piano', 'config.json', {
+      goal: 'Play a Chopin nocturne',
+      life_structure_preferences: { wake_time: '8:00 AM', sleep_time: '12:00 PM', meal_times: [] },
+    });
+    await persistence.saveProjectData('piano', 'hta.json', {
+      frontierNodes: [1, 2, 3, 4].map(n => ({
+        id: `t${n}`,
+        title: `Etude ${n}`,
+        duration: '45 minutes',
+        branch: 'technique',
+      })),
+    });
+  });
+
+  afterEach(async () => {
+    await persistence.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('exports one event per block over a date range', async () => {
+    await persistence.saveProjectData('piano', `day_${DATE}.json`, {
+      date: DATE,
+      blocks: [
+        {
+          id: 'task_1',
+          type: 'learning',
+          title: 'Etude 1',
+          description: 'Left hand alone; then, hands together',
+          startTime: '9:30 AM',
+          duration: 45,
+          branch: 'technique',
+        },
+        { id: 'break_2', type: 'break', title: 'Break', startTime: '10:15', duration: 15 },
+      ],
+    });
+
+    const result = await calendar.exportScheduleIcs({
+      startDate: '2099-06-02',
+      endDate: '2099-06-04',
+      includeBreaks: false,
+    });
+
+    expect(result.dates).toEqual([DATE]);
+    expect(result.ics_path).toBe('piano-2099-06-02_2099-06-04.ics');
+    const ics = await fs.readFile(path.join(dataDir, 'exports', result.ics_path), 'utf8');
+    expect(ics).toBe(result.ics);
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    const events = parseCalendar(ics);
+    expect(events).toHaveLength(1);
+    expect(events[0].UID.value).toBe('piano-2099-06-03-task_1@forest-mcp');
+    expect(events[0].DTSTART.value).toBe('20990603T093000');
+    expect(events[0].DTEND.value).toBe('20990603T101500');
+    expect(events[0]['X-FOREST-BLOCK-ID'].value).toBe('task_1');
+    expect(unescapeText(events[0].DESCRIPTION.value)).toBe(
+      'Left hand alone; then, hands together\nBranch: technique\nForest block: task_1'
+    );
+
+    const escaping = await calendar.exportScheduleIcs({
+      startDate: DATE,
+      outputPath: '../../escaped.ics',
+    });
+    expect(escaping.content[0].text).toContain("Validation failed for field 'output_path'");
+
+    const empty = await calendar.exportScheduleIcs({ startDate: '2099-07-01' });
+    expect(empty.content[0].text).toMatch(/No scheduled blocks/);
+  });
+
+  test('imports events as busy time and replaces them on re-import', async () => {
+    await fs.mkdir(path.join(dataDir, 'exports'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'exports', 'work.ics'), CALENDAR);
+
+    const result = await calendar.importIcs({ filePath: 'work.ics' });
+    expect(result.imported_events).toBe(1);
+    expect(result.imported_recurring).toBe(1);
+    expect(result.skipped).toEqual([{ title: 'Board meeting', reason: 'repeats monthly' }]);
+    expect(result.content[0].text).toMatch(/Skipped 1 events that have already ended/);
+
+    // Importing again leaves a single copy, next to commitments from elsewhere
+    const busyTimes = await persistence.loadGlobalData('busy_times.json');
+    await persistence.saveGlobalData('busy_times.json', {
+      ...busyTimes,
+      events: [...busyTimes.events, { title: 'Gym', start: `${DATE}T07:00`, end: `${DATE}T08:00` }],
+    });
+    await calendar.importIcs({ filePath: 'work.ics' });
+
+    expect(await commitments.commitmentsFor(DATE)).toEqual([
+      { title: 'Gym', start: 420, end: 480, source: 'event' },
+      { title: 'Standup', start: 540, end: 555, source: 'ics' },
+      { title: 'Design review, round 2', start: 600, end: 660, source: 'ics' },
+    ]);
+    // Not a Monday, Wednesday or Friday
+    expect(await commitments.commitmentsFor('2099-06-04')).toEqual([]);
+
+    // Calendar files are only read from the exports directory
+    await fs.writeFile(path.join(dataDir, 'work.ics'), CALENDAR);
+    for (const filePath of ['../work.ics', path.join(dataDir, 'work.ics')]) {
+      const refused = await calendar.importIcs({ filePath });
+      expect(refused.content[0].text).toContain("Validation failed for field 'file_path'");
+    }
+  });
+
+  test('generated schedules keep imported events free', async () => {
+    await fs.mkdir(path.join(dataDir, 'exports'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'exports', 'work.ics'), CALENDAR);
+    await calendar.importIcs({ filePath: 'work.ics' });
+
+    const generator = new ScheduleGenerator(persistence, null, commitments);
+    const config = await persistence.loadProjectData('piano', 'config.json');
+    const schedule = await generator.generateComprehensiveSchedule(
+      config,
+      'piano',
+      DATE,
+      3,
+      null,
+      'learning',
+      'test'
+    );
+
+    const minutes = time => {
+      const [clock, period] = time.split(' ');
+      const [hours, mins] = clock.split(':').map(Number);
+      return ((hours % 12) + (period === 'PM' ? 12 : 0)) * 60 + mins;
+    };
+    const meetings = schedule.blocks.filter(block => block.type === 'meeting');
+    expect(meetings.map(block => [block.title, block.startTime, block.duration])).toEqual([
+      ['Standup', '9:00 AM', 15],
+      ['Design review, round 2', '10:00 AM', 60],
+    ]);
+    for (const block of schedule.blocks.filter(b => b.type !== 'meeting')) {
+      const start = minutes(block.startTime);
+      const end = start + block.duration;
+      expect(end <= 540 || start >= 555).toBe(true);
+      expect(end <= 600 || start >= 660).toBe(true);
+    }
+    expect(schedule.blocks.some(block => block.type === 'learning')).toBe(true);
+  });
+
+  test('folds long lines without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(80)}`;
+    const folded = foldLine(line).split('\r\n');
+    expect(folded.length).toBeGreaterThan(1);
+    expect(folded.every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+});
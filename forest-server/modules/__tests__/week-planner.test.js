@@ -0,0 +1,173 @@
+/**
+ * Week Planner Tests
+ * Verifies multi-day plans respect prerequisite order across days, vary branches, leave slack,
+ * link their day files, and re-balance the rest of the plan after a missed day
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { CalendarCommitments, addDays } from '../calendar-commitments.js';
+import { ScheduleGenerator } from '../schedule-generator.js';
+import { WeekPlanner } from '../week-planner.js';
+import {
+  activeProject,
+  blockSummary,
+  createTestPersistence,
+  htaTask,
+  lifeStructure,
+  seedProject,
+} from './project-test-harness.js';
+
+// A Monday
+const DATE = '2099-06-01';
+
+describe('Week planner', () => {
+  let persistence;
+  let cleanup;
+  let planner;
+
+  const task = (id, title, branch, priority, prerequisites) =>
+    htaTask(id, title, branch, prerequisites, { priority });
+
+  beforeEach(async () => {
+    ({ persistence, cleanup } = await createTestPersistence('forest-week-'));
+    const commitments = new CalendarCommitments(persistence);
+    planner = new WeekPlanner(
+      persistence,
+      activeProject(),
+      new ScheduleGenerator(persistence, null, commitments),
+      commitments
+    );
+
+    // Two free hours a day, 25% of which stays open
+    await seedProject(persistence, {
+      config: { life_structure_preferences: lifeStructure('10:00 AM') },
+      hta: {
+        frontierNodes: [
+          task('t1', 'Scales', 'technique', 300),
+          task('t2', 'Arpeggios', 'technique', 300, ['t1']),
+          task('r1', 'Nocturne bars 1-8', 'repertoire', 200),
+          task('r2', 'Nocturne bars 9-16', 'repertoire', 200, ['Nocturne bars 1-8']),
+          task('h1', 'Circle of fifths', 'theory', 100),
+        ],
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  test('spreads tasks over days after their prerequisites and writes linked day files', async () => {
+    await persistence.saveGlobalData('busy_times.json', {
+      events: [
+        { title: 'Lesson', start: `${addDays(DATE, 1)}T09:00`, end: `${addDays(DATE, 1)}T10:00` },
+      ],
+    });
+
+    const result = await planner.generateWeekPlan({
+      startDate: DATE,
+      days: 3,
+      slackPercent: 25,
+    });
+
+    expect(result.days).toEqual([
+      {
+        date: DATE,
+        tasks: ['t1', 'r1', 'h1'],
+        recurring: [],
+        planned_minutes: 90,
+        free_minutes: 120,
+        slack_minutes: 30,
+      },
+      // The lesson halves the day; prerequisites planned yesterday are now met
+      {
+        date: '2099-06-02',
+        tasks: ['t2'],
+        recurring: [],
+        planned_minutes: 30,
+        free_minutes: 60,
+        slack_minutes: 15,
+      },
+      {
+        date: '2099-06-03',
+        tasks: ['r2'],
+        recurring: [],
+        planned_minutes: 30,
+        free_minutes: 120,
+        slack_minutes: 30,
+      },
+    ]);
+    expect(result.unplanned).toEqual([]);
+
+    const first = await persistence.loadProjectData('piano', `day_${DATE}.json`);
+    expect(blockSummary(first.blocks)).toEqual(['08:00 t1', '08:40 r1', '09:20 h1']);
+    expect(first.blocks[0]).toMatchObject({ id: 'week_1', branch: 'technique', duration: 30 });
+    expect(first.weekPlan).toEqual({
+      id: '2099-06-01_2099-06-03',
+      startDate: DATE,
+      endDate: '2099-06-03',
+      day: 1,
+      of: 3,
+      previous: null,
+      next: '2099-06-02',
+      slackMinutes: 30,
+    });
+
+    const plan = await persistence.loadProjectData('piano', 'week_plan.json');
+    expect(plan.days.map(day => day.tasks)).toEqual([['t1', 'r1', 'h1'], ['t2'], ['r2']]);
+  });
+
+  test('keeps other blocks and leaves out tasks that do not fit', async () => {
+    await persistence.saveProjectData('piano', `day_${DATE}.json`, {
+      date: DATE,
+      blocks: [{ id: 'call', type: 'meeting', title: 'Call', startTime: '8:00 AM', duration: 90 }],
+    });
+
+    const result = await planner.generateWeekPlan({ startDate: DATE, days: 1, slackPercent: 0 });
+
+    expect(result.days[0].tasks).toEqual(['t1']);
+    expect(result.unplanned).toEqual(['t2', 'r1', 'r2', 'h1']);
+    expect(result.content[0].text).toMatch(/Not planned/);
+    const day = await persistence.loadProjectData('piano', `day_${DATE}.json`);
+    expect(blockSummary(day.blocks)).toEqual(['8:00 AM call', '09:30 t1']);
+  });
+
+  test('re-balancing moves the tasks of a missed day forward', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    const yesterday = addDays(today, -1);
+    await planner.generateWeekPlan({ startDate: yesterday, days: 3, slackPercent: 25 });
+
+    // Only the nocturne got done yesterday
+    const missedDay = await persistence.loadProjectData('piano', `day_${yesterday}.json`);
+    missedDay.blocks.find(block => block.taskId === 'r1').completed = true;
+    await persistence.saveProjectData('piano', `day_${yesterday}.json`, missedDay);
+
+    const result = await planner.generateWeekPlan({ rebalance: true });
+
+    expect(result.missed.map(entry => entry.task_id)).toEqual(['t1', 'h1']);
+    expect(result.days.map(day => day.tasks)).toEqual([['t1', 'r2', 'h1'], ['t2']]);
+    expect(result.moved).toEqual([
+      { task_id: 't1', title: 'Scales', from: yesterday, to: today },
+      { task_id: 'h1', title: 'Circle of fifths', from: yesterday, to: today },
+      { task_id: 't2', title: 'Arpeggios', from: today, to: addDays(today, 1) },
+    ]);
+
+    const flagged = await persistence.loadProjectData('piano', `day_${yesterday}.json`);
+    expect(flagged.blocks.map(block => [block.taskId, Boolean(block.missed)])).toEqual([
+      ['t1', true],
+      ['r1', false],
+      ['h1', true],
+    ]);
+    const plan = await persistence.loadProjectData('piano', 'week_plan.json');
+    expect(plan.days.map(day => day.date)).toEqual([yesterday, today, addDays(today, 1)]);
+    expect(plan.rebalancedAt).not.toBeNull();
+  });
+
+  test('rejects bad options and re-balancing without a plan', async () => {
+    const tooLong = await planner.generateWeekPlan({ startDate: DATE, days: 40 });
+    expect(tooLong.content[0].text).toMatch(/days/);
+
+    const noPlan = await planner.generateWeekPlan({ rebalance: true });
+    expect(noPlan.content[0].text).toMatch(/no week plan to re-balance/);
+  });
+});
@@ -3,6 +3,9 @@
  * Handles performance analysis and debugging tools
  */
 
+import { DependencyGraph } from './dependency-graph.js';
+import { formatRecurrenceStats, isRecurring, recurrenceStats } from './recurring-tasks.js';
+
 export class AnalyticsTools {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
@@ -85,7 +88,12 @@ export class AnalyticsTools {
     }
   }
 
-  async reviewPeriod(days) {
+  /**
+   * Review what was completed over the last `days` days
+   * @param {number} days - Length of the period
+   * @param {string|null} [member] - Only count what this project member did
+   */
+  async reviewPeriod(days, member = null) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
@@ -94,7 +102,7 @@ export class AnalyticsTools {
         throw new Error('Project configuration not found');
       }
 
-      const review = await this.generatePeriodReview(projectId, config, days);
+      const review = await this.generatePeriodReview(projectId, config, days, member);
       const reportText = this.formatPeriodReview(review, days);
 
       return {
@@ -106,9 +114,10 @@ export class AnalyticsTools {
         ],
         period_review: review,
         days_reviewed: days,
+        ...(member ? { member } : {}),
       };
     } catch (error) {
-      await this.dataPersistence.logError('reviewPeriod', error, { days });
+      await this.dataPersistence.logError('reviewPeriod', error, { days, member });
       return {
         content: [
           {
@@ -423,21 +432,22 @@ export class AnalyticsTools {
     return recommendations;
   }
 
-  async generatePeriodReview(projectId, config, days) {
+  async generatePeriodReview(projectId, config, days, member = null) {
     const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
     const activePath = config.activePath || 'general';
     const learningHistory = (await this.loadLearningHistory(projectId, activePath)) || {};
 
     const recentTasks = (learningHistory.completedTopics || []).filter(
-      task => new Date(task.completedAt) > cutoffDate
+      task => new Date(task.completedAt) > cutoffDate && (!member || task.completedBy === member)
     );
 
     const recentInsights = (learningHistory.insights || []).filter(
-      insight => new Date(insight.timestamp) > cutoffDate
+      insight => new Date(insight.timestamp) > cutoffDate && (!member || insight.by === member)
     );
 
     return {
       period: `Last ${days} days`,
+      ...(member ? { member } : {}),
       summary: {
         tasksCompleted: recentTasks.length,
         insightsGained: recentInsights.length,
@@ -449,12 +459,39 @@ export class AnalyticsTools {
               ).toFixed(1)
             : 0,
       },
+      habits: await this.reviewHabits(projectId, activePath, days, member),
       highlights: this.extractPeriodHighlights(recentTasks, recentInsights),
       challenges: this.extractPeriodChallenges(recentTasks),
       nextSteps: this.generateNextSteps(recentTasks, learningHistory),
     };
   }
 
+  /**
+   * Streak and adherence of each recurring task over the period
+   * @param {string|null} member - Only count the occurrences this member completed
+   */
+  async reviewHabits(projectId, pathName, days, member = null) {
+    const htaData = (await this.loadPathHTA(projectId, pathName)) || {};
+    const today = new Date().toISOString().split('T')[0];
+    return (htaData.frontierNodes || [])
+      .filter(isRecurring)
+      .map(node =>
+        recurrenceStats(
+          member
+            ? {
+                ...node,
+                occurrences: (node.occurrences || []).filter(
+                  occurrence => occurrence.completedBy === member
+                ),
+              }
+            : node,
+          today,
+          days
+        )
+      )
+      .filter(Boolean);
+  }
+
   extractPeriodHighlights(recentTasks, recentInsights) {
     const highlights = [];
 
@@ -533,156 +570,24 @@ export class AnalyticsTools {
 
   analyzeTaskSequencing(htaData) {
     const nodes = htaData.frontierNodes || [];
-    const completedNodes = nodes.filter(n => n.completed);
-    const availableNodes = this.getAvailableNodes(nodes);
-    const blockedNodes = this.getBlockedNodes(nodes);
+    const graph = DependencyGraph.fromHTA(htaData);
 
     return {
       totalNodes: nodes.length,
-      completedNodes: completedNodes.length,
-      availableNodes: availableNodes.length,
-      blockedNodes: blockedNodes.length,
-      prerequisiteChains: this.analyzePrerequisiteChains(nodes),
-      orphanedNodes: this.findOrphanedNodes(nodes),
-      circularDependencies: this.detectCircularDependencies(nodes),
-    };
-  }
-
-  getAvailableNodes(nodes) {
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
-
-    return nodes.filter(node => {
-      if (node.completed) {
-        return false;
-      }
-
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return node.prerequisites.every(
-          prereq =>
-            completedNodeIds.includes(prereq) || nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
-
-      return true;
-    });
-  }
-
-  getBlockedNodes(nodes) {
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
-
-    return nodes.filter(node => {
-      if (node.completed) {
-        return false;
-      }
-
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return !node.prerequisites.every(
-          prereq =>
-            completedNodeIds.includes(prereq) || nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
-
-      return false;
-    });
-  }
-
-  analyzePrerequisiteChains(nodes) {
-    const chains = [];
-
-    for (const node of nodes) {
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        chains.push({
+      completedNodes: nodes.filter(n => n.completed).length,
+      availableNodes: graph.readyNodes().length,
+      blockedNodes: graph.blockedNodes().length,
+      prerequisiteChains: nodes
+        .filter(node => node.prerequisites && node.prerequisites.length > 0)
+        .map(node => ({
           nodeId: node.id,
           title: node.title,
           prerequisites: node.prerequisites,
-          depth: this.calculatePrerequisiteDepth(node, nodes),
-        });
-      }
-    }
-
-    return chains;
-  }
-
-  calculatePrerequisiteDepth(node, nodes, visited = new Set()) {
-    if (visited.has(node.id)) {
-      return 0;
-    } // Circular dependency
-    visited.add(node.id);
-
-    if (!node.prerequisites || node.prerequisites.length === 0) {
-      return 0;
-    }
-
-    let maxDepth = 0;
-    for (const prereqId of node.prerequisites) {
-      const prereqNode = nodes.find(n => n.id === prereqId);
-      if (prereqNode) {
-        const depth = this.calculatePrerequisiteDepth(prereqNode, nodes, new Set(visited));
-        maxDepth = Math.max(maxDepth, depth + 1);
-      }
-    }
-
-    return maxDepth;
-  }
-
-  findOrphanedNodes(nodes) {
-    // Create sets for both node IDs and titles for fast lookup
-    const nodeIds = new Set(nodes.map(n => n.id));
-    const nodeTitles = new Set(nodes.map(n => n.title));
-    const orphanedPrereqs = new Set();
-
-    for (const node of nodes) {
-      if (node.prerequisites) {
-        for (const prereq of node.prerequisites) {
-          // Check if prerequisite exists as either a node ID or a task title
-          if (!nodeIds.has(prereq) && !nodeTitles.has(prereq)) {
-            orphanedPrereqs.add(prereq);
-          }
-        }
-      }
-    }
-
-    return Array.from(orphanedPrereqs);
-  }
-
-  detectCircularDependencies(nodes) {
-    const circular = [];
-
-    for (const node of nodes) {
-      const cycle = this.findCycle(node, nodes, new Set(), []);
-      if (cycle.length > 0) {
-        circular.push(cycle);
-      }
-    }
-
-    return circular;
-  }
-
-  findCycle(node, nodes, visited, path) {
-    if (path.includes(node.id)) {
-      return path.slice(path.indexOf(node.id));
-    }
-
-    if (visited.has(node.id)) {
-      return [];
-    }
-
-    visited.add(node.id);
-    path.push(node.id);
-
-    if (node.prerequisites) {
-      for (const prereqId of node.prerequisites) {
-        const prereqNode = nodes.find(n => n.id === prereqId);
-        if (prereqNode) {
-          const cycle = this.findCycle(prereqNode, nodes, visited, [...path]);
-          if (cycle.length > 0) {
-            return cycle;
-          }
-        }
-      }
-    }
-
-    return [];
+          depth: graph.depthOf(node),
+        })),
+      orphanedNodes: graph.unresolvedPrerequisites(),
+      circularDependencies: graph.findCycles(),
+    };
   }
 
   async performSequenceRepair(projectId, pathName, htaData, forceRebuild) {
@@ -724,7 +629,7 @@ export class AnalyticsTools {
     return {
       actions: repairActions,
       success: true,
-      availableTasksAfterRepair: this.getAvailableNodes(htaData.frontierNodes || []).length,
+      availableTasksAfterRepair: DependencyGraph.fromHTA(htaData).readyNodes().length,
     };
   }
 
@@ -786,6 +691,9 @@ export class AnalyticsTools {
 
   formatPeriodReview(review, days) {
     let report = `📅 **${days === 7 ? 'Weekly' : 'Monthly'} Review**\n\n`;
+    if (review.member) {
+      report += `**Member**: ${review.member}\n\n`;
+    }
 
     report += '**Summary**:\n';
     report += `• Tasks completed: ${review.summary.tasksCompleted}\n`;
@@ -793,6 +701,14 @@ export class AnalyticsTools {
     report += `• Average energy: ${review.summary.averageEnergy}/5\n`;
     report += `• Insights gained: ${review.summary.insightsGained}\n\n`;
 
+    if (review.habits?.length > 0) {
+      report += '**Habits**:\n';
+      for (const habit of review.habits) {
+        report += `• ${habit.title} (${habit.schedule}): ${formatRecurrenceStats(habit)}\n`;
+      }
+      report += '\n';
+    }
+
     if (review.highlights.length > 0) {
       report += '**Highlights**:\n';
       for (const highlight of review.highlights) {
@@ -0,0 +1,255 @@
+/**
+ * Calendar Commitments Module
+ * Fixed commitments the schedulers plan around, kept in the global busy_times.json:
+ *
+ *   {
+ *     "recurring": [{ "title": "Work", "days": ["mon", "tue"], "start": "09:00", "end": "17:00" }],
+ *     "events": [{ "title": "Dentist", "start": "2026-10-20T14:00", "end": "2026-10-20T15:00" }]
+ *   }
+ *
+ * Recurring commitments repeat on the listed weekdays (every day when `days` is omitted),
+ * optionally only `from` and `until` given dates; events happen once and may run past midnight. Times are local, either "14:00" or "2:00 PM".
+ */
+
+import { FILE_NAMES, SCHEDULING } from './constants.js';
+import { parseTimeWithContext } from './utils/time-helpers.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+// Hours, minutes (optional with AM/PM), ignored seconds and AM/PM
+const CLOCK_TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([AP]M)?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_MEAL_TIMES = ['8:00 AM', '12:00 PM', '6:00 PM'];
+// A clock time inside a habit description, e.g. "Meditate at 7:00 AM for 20 minutes"
+const HABIT_TIME_PATTERN = /\b(\d{1,2}(?::\d{2})?\s*[AP]M|\d{1,2}:\d{2})\b/i;
+const HABIT_DURATION_PATTERN = /(\d+)\s*(?:min|minutes?)\b/i;
+
+/**
+ * Minutes since midnight of a local clock time
+ * @param {string} value - "14:00", "2:00 PM" or "2 PM"; "00:00" to "23:59" on the 24-hour clock
+ * @param {('wake'|'sleep'|'meal'|'generic')} [context='generic'] - See parseTimeWithContext
+ * @returns {number|null} null when the value is not a clock time
+ */
+export function parseClockTime(value, context = 'generic') {
+  const match = typeof value === 'string' && CLOCK_TIME_PATTERN.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, hourText, minuteText, period] = match;
+  const hours = Number(hourText);
+  const minutes = Number(minuteText || 0);
+  const validHours = period ? hours >= 1 && hours <= 12 : hours <= 23;
+  // A bare hour is only a time with AM or PM after it
+  if (!validHours || minutes > 59 || (minuteText === undefined && !period)) {
+    return null;
+  }
+  const clock = `${hours}:${minuteText || '00'}`;
+  return parseTimeWithContext(period ? `${clock} ${period.toUpperCase()}` : clock, context);
+}
+
+/**
+ * Format minutes since midnight as a 24-hour "HH:MM" clock time
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatClockTime(minutes) {
+  const hours = Math.floor(minutes / 60)
+    .toString()
+    .padStart(2, '0');
+  return `${hours}:${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * The YYYY-MM-DD date a number of days after another
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().split('T')[0];
+}
+
+/**
+ * The gaps a set of busy intervals leaves between two times
+ * @param {number} start - Minutes since midnight the day starts
+ * @param {number} end - Minutes since midnight the day ends
+ * @param {Array<{start: number, end: number}>} busy - Intervals, in any order, may overlap
+ * @param {number} [minMinutes=1] - Shorter gaps are dropped
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function freeWindows(start, end, busy, minMinutes = 1) {
+  const windows = [];
+  let cursor = start;
+  for (const interval of [...busy].sort((a, b) => a.start - b.start)) {
+    if (interval.start - cursor >= minMinutes) {
+      windows.push({ start: cursor, end: Math.min(interval.start, end) });
+    }
+    cursor = Math.max(cursor, interval.end);
+    if (cursor >= end) {
+      break;
+    }
+  }
+  if (end - cursor >= minMinutes) {
+    windows.push({ start: cursor, end });
+  }
+  return windows.filter(window => window.end - window.start >= minMinutes);
+}
+
+/**
+ * The shape of a project's day: its wake and sleep times, and the meals and habits that name a
+ * time ("Meditate at 7:00 AM for 20 minutes") as busy intervals
+ * @param {Object} config - Project config.json
+ * @returns {{wake: number, sleep: number, busy: Array<Object>}} Minutes since midnight
+ */
+export function dailyRoutine(config) {
+  const prefs = config.life_structure_preferences || {};
+  const meals = (prefs.meal_times || DEFAULT_MEAL_TIMES).map(time => {
+    const start = parseTimeWithContext(time, 'meal');
+    return { title: 'Meal', start, end: start + SCHEDULING.MEAL_DURATION_MINUTES, source: 'meal' };
+  });
+
+  const currentHabits = config.current_habits || {};
+  const habits = [...(currentHabits.good_habits || []), ...(currentHabits.habit_goals || [])];
+  const timedHabits = habits.flatMap(habit => {
+    const time = String(habit).match(HABIT_TIME_PATTERN);
+    const start = time ? parseClockTime(time[1]) : null;
+    if (start === null) {
+      return [];
+    }
+    const duration = String(habit).match(HABIT_DURATION_PATTERN);
+    const minutes = duration ? Number(duration[1]) : SCHEDULING.HABIT_DURATION_MINUTES;
+    return [{ title: String(habit), start, end: start + minutes, source: 'habit' }];
+  });
+
+  return {
+    wake: parseTimeWithContext(prefs.wake_time || '7:00 AM', 'wake'),
+    sleep: parseTimeWithContext(prefs.sleep_time || '10:00 PM', 'sleep'),
+    busy: [...meals, ...timedHabits],
+  };
+}
+
+export class CalendarCommitments {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   */
+  constructor(dataPersistence) {
+    this.dataPersistence = dataPersistence;
+  }
+
+  /**
+   * The stored commitments
+   * @returns {Promise<{recurring: Array<Object>, events: Array<Object>}>}
+   */
+  async loadBusyTimes() {
+    const busyTimes = (await this.dataPersistence.loadGlobalData(FILE_NAMES.BUSY_TIMES)) || {};
+    return {
+      ...busyTimes,
+      recurring: Array.isArray(busyTimes.recurring) ? busyTimes.recurring : [],
+      events: Array.isArray(busyTimes.events) ? busyTimes.events : [],
+    };
+  }
+
+  /**
+   * Commitments that take up time on a date, clipped to that day
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array<{title: string, start: number, end: number, source: string}>>}
+   *   Minutes since midnight, ordered by start
+   * @throws {ValidationError} If a commitment has an unreadable date or time, so nothing is
+   *   scheduled over a meeting that could not be read
+   */
+  async commitmentsFor(date) {
+    const { recurring, events } = await this.loadBusyTimes();
+    const commitments = [];
+
+    // Yesterday's commitments count too when they run past midnight
+    for (const offset of [-1, 0]) {
+      const day = addDays(date, offset);
+      const weekday = SCHEDULING.WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+      for (const [index, entry] of recurring.entries()) {
+        if ((entry.from && day < entry.from) || (entry.until && day > entry.until)) {
+          continue;
+        }
+        const days = (entry.days || SCHEDULING.WEEKDAYS).map(day =>
+          String(day).slice(0, 3).toLowerCase()
+        );
+        if (!days.includes(weekday)) {
+          continue;
+        }
+        const start = await this.requireTime(entry.start, `recurring[${index}].start`);
+        let end = await this.requireTime(entry.end, `recurring[${index}].end`);
+        if (end <= start) {
+          // e.g. a night shift from 22:00 to 06:00
+          end += MINUTES_PER_DAY;
+        }
+        commitments.push({
+          title: entry.title || 'Busy',
+          start: start + offset * MINUTES_PER_DAY,
+          end: end + offset * MINUTES_PER_DAY,
+          source: entry.source || 'recurring',
+        });
+      }
+    }
+
+    for (const [index, event] of events.entries()) {
+      const start = await this.eventTime(event, 'start', date, `events[${index}].start`);
+      let end = await this.eventTime(event, 'end', date, `events[${index}].end`);
+      if (event.date && end <= start) {
+        end += MINUTES_PER_DAY;
+      }
+      if (end > start) {
+        commitments.push({
+          title: event.title || 'Busy',
+          start,
+          end,
+          source: event.source || 'event',
+        });
+      }
+    }
+
+    return commitments
+      .filter(commitment => commitment.end > 0 && commitment.start < MINUTES_PER_DAY)
+      .map(commitment => ({
+        ...commitment,
+        start: Math.max(commitment.start, 0),
+        end: Math.min(commitment.end, MINUTES_PER_DAY),
+      }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Minutes from the start of `date` to an event's start or end
+   * @private
+   */
+  async eventTime(event, field, date, label) {
+    const [eventDate, time] = event.date
+      ? [event.date, event[field]]
+      : String(event[field] || '').split('T');
+    if (!DATE_PATTERN.test(eventDate || '')) {
+      const { ValidationError } = await import('./errors.js');
+      const expected = 'a local date and time like 2026-10-20T14:00';
+      throw new ValidationError(label, event[field], expected, { file: FILE_NAMES.BUSY_TIMES });
+    }
+    return daysBetween(date, eventDate) * MINUTES_PER_DAY + (await this.requireTime(time, label));
+  }
+
+  /** @private */
+  async requireTime(value, label) {
+    const minutes = parseClockTime(value);
+    if (minutes === null) {
+      const { ValidationError } = await import('./errors.js');
+      throw new ValidationError(label, value, 'a clock time like "14:00" or "2:00 PM"', {
+        file: FILE_NAMES.BUSY_TIMES,
+      });
+    }
+    return minutes;
+  }
+}
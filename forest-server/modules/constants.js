@@ -11,6 +11,9 @@ export const FILE_NAMES = {
   ERROR_LOG: 'error.log',
   MEMORY_STATE: 'memory_state.json',
   EXTERNAL_CONTEXT: 'external_context.json',
+  WISDOM: 'wisdom.json',
+  BUSY_TIMES: 'busy_times.json',
+  WEEK_PLAN: 'week_plan.json',
 
   // Dynamic file name generators
   DAILY_SCHEDULE: date => `day_${date}.json`,
@@ -25,17 +28,97 @@ export const DIRECTORIES = {
   BACKUPS: 'backups',
   LOGS: 'logs',
   TEMP: 'temp',
+  JOURNAL: 'journal',
+  LOCKS: 'locks',
+  EXPORTS: 'exports',
+  USERS: 'users',
+  AUTH: 'auth',
 };
 
 // Default data directory
 export const DEFAULT_DATA_DIR = '.forest-data';
 
+// Storage backend configuration
+export const STORAGE = {
+  BACKENDS: {
+    JSON: 'json',
+    SQLITE: 'sqlite',
+  },
+  DEFAULT_BACKEND: 'json',
+  SQLITE_FILE: 'forest-data.sqlite',
+  JOURNAL_EXTENSION: '.wal',
+  BACKUP_RETENTION: 20,
+  LOCK_TIMEOUT_MS: 5000, // How long a writer waits for another process before failing
+  LOCK_RETRY_MS: 25,
+  LOCK_STALE_MS: 60000, // Locks older than this are assumed abandoned
+  SCHEMA_VERSION: 1, // Stamped on every persisted document; bump alongside a new migration
+  BUNDLE_FORMAT: 'forest-project-bundle',
+  BUNDLE_FORMAT_VERSION: 1,
+  BUNDLE_EXTENSION: '.forest-bundle.json',
+};
+
 // Server configuration
 export const SERVER_CONFIG = {
   DEFAULT_PORT: 3001,
   LOCALHOST: 'localhost',
   HTTP_TIMEOUT: 30000,
   MAX_REQUEST_SIZE: '10mb',
+  MAX_REQUEST_BYTES: 10 * 1024 * 1024,
+  // MCP transports, selected with FOREST_MCP_TRANSPORT
+  MCP_TRANSPORTS: {
+    STDIO: 'stdio',
+    HTTP: 'http',
+    BOTH: 'both',
+  },
+  DEFAULT_MCP_TRANSPORT: 'stdio',
+  MCP_PATH: '/mcp',
+  SSE_PATH: '/sse',
+  SSE_MESSAGES_PATH: '/messages',
+  MCP_SESSION_IDLE_TIMEOUT: 30 * 60 * 1000, // 30 minutes
+  // MCP resources (see mcp-resources.js)
+  RESOURCE_SCHEME: 'forest',
+  RESOURCE_MIME_TYPE: 'application/json',
+  // HTTP authentication, selected with FOREST_HTTP_AUTH
+  AUTH_MODES: {
+    TOKEN: 'token',
+    NONE: 'none',
+  },
+  DEFAULT_AUTH_MODE: 'token',
+  // Interface the HTTP API listens on when FOREST_HTTP_HOST is unset and auth is off
+  UNAUTHENTICATED_HOST: '127.0.0.1',
+};
+
+// API users and their tokens (see http-auth.js)
+export const AUTH = {
+  ROLES: {
+    USER: 'user',
+    ADMIN: 'admin',
+  },
+  USERS_FILE: 'users.json',
+  TOKEN_PREFIX: 'fst_',
+  TOKEN_BYTES: 32,
+  USER_ID_PATTERN: /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/,
+  // Project ids and learning path names: a single directory of a data root, never '.' or '..'
+  SAFE_SEGMENT_PATTERN: /^[A-Za-z0-9_][A-Za-z0-9_. -]*$/,
+  // Who stdio and unauthenticated callers act as (override with FOREST_USER)
+  LOCAL_USER: 'local',
+};
+
+// Shared project membership (see project-members.js), most privileged first
+export const PROJECT_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+};
+
+export const MEMBERSHIP = {
+  // Activity entries kept in each learning history
+  ACTIVITY_LIMIT: 500,
+  ACTIONS: {
+    BLOCK_COMPLETED: 'block_completed',
+    HTA_EDITED: 'hta_edited',
+    STRATEGY_EVOLVED: 'strategy_evolved',
+  },
 };
 
 // Performance constants
@@ -155,6 +238,53 @@ export const MEMORY_SYNC = {
   SYNC_INTERVAL: 60000, // 1 minute
   MAX_HISTORY_ITEMS: 100,
   COMPRESSION_THRESHOLD: 1000,
+  // Knowledge graph in the Memory MCP server's entity/relation format (see modules/memory/)
+  BACKENDS: {
+    FILE: 'file', // memory.json written directly
+    MCP: 'mcp', // a memory server spawned over stdio
+    NONE: 'none',
+  },
+  DEFAULT_FILE: 'memory.json',
+  ENTITY_PREFIX: 'forest',
+  RECALLED_INSIGHTS: 5,
+  MCP_TIMEOUT_MS: 15000,
+};
+
+// Integrated multi-project scheduling (see integrated-schedule-generator.js)
+export const SCHEDULING = {
+  // How strongly a project's urgency_level (or priority) pulls time its way
+  URGENCY_WEIGHTS: { low: 1, medium: 2, high: 3, critical: 4 },
+  DEFAULT_URGENCY: 'medium',
+  MEAL_DURATION_MINUTES: 45,
+  HABIT_DURATION_MINUTES: 30,
+  MIN_BLOCK_MINUTES: 15,
+  TASKS_PER_PROJECT: 25,
+  // Blocks the integrated scheduler writes; regenerating a day replaces its unfinished ones
+  BLOCK_ID_PREFIX: 'integrated_',
+  WEEKDAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  // iCalendar export (see schedule-calendar.js)
+  ICS_PRODID: '-//Forest//Forest MCP Server//EN',
+  ICS_EXTENSION: '.ics',
+  ICS_UID_DOMAIN: 'forest-mcp',
+  MAX_EXPORT_DAYS: 366,
+  // Multi-day planning (see week-planner.js)
+  WEEK_PLAN_DAYS: 7,
+  MAX_WEEK_PLAN_DAYS: 28,
+  // Share of each day's free time a plan leaves open for overruns
+  WEEK_PLAN_SLACK_PERCENT: 20,
+  MAX_WEEK_PLAN_SLACK_PERCENT: 90,
+  WEEK_BLOCK_ID_PREFIX: 'week_',
+  // Blocks reschedule_day moves to the next day
+  CARRIED_BLOCK_ID_PREFIX: 'carried_',
+  // Recurring HTA nodes (see recurring-tasks.js)
+  RECURRING_NODE_ID_PREFIX: 'recurring_',
+  RECURRENCE_ADHERENCE_DAYS: 28,
+  // Learning paths (see learning-paths.js)
+  FOCUS_UNTIL_NEXT_SWITCH: 'until next switch',
+  MAX_PATH_NAME_LENGTH: 50,
+  // Critical path dates when neither the path nor the project sets weekly_hours
+  DEFAULT_DAILY_LEARNING_MINUTES: 60,
+  MINUTES_PER_DAY: 1440,
 };
 
 // Error handling constants
@@ -173,6 +303,36 @@ export const CLAUDE_CONFIG = {
   BACKOFF_MULTIPLIER: 2,
 };
 
+// LLM provider configuration (FOREST_LLM_* environment variables, see modules/llm/)
+export const LLM = {
+  PROVIDERS: {
+    NONE: 'none', // No model: requests get the built-in fallback guidance
+    ANTHROPIC: 'anthropic',
+    OPENAI: 'openai',
+    LOCAL: 'local', // llama.cpp server or Ollama through their OpenAI-compatible API
+    FAKE: 'fake', // Deterministic completions for tests
+  },
+  DEFAULT_PROVIDER: 'none',
+  DEFAULT_MODELS: {
+    anthropic: 'claude-3-5-haiku-latest',
+    openai: 'gpt-4o-mini',
+    local: 'llama3.1',
+    fake: 'fake-model',
+  },
+  DEFAULT_BASE_URLS: {
+    anthropic: 'https://api.anthropic.com',
+    openai: 'https://api.openai.com/v1',
+    local: 'http://localhost:11434/v1',
+  },
+  ANTHROPIC_VERSION: '2023-06-01',
+  DEFAULT_MAX_TOKENS: 1024,
+  RETRY_DELAY_MS: 1000, // Multiplied by the attempt number
+  CHARS_PER_TOKEN: 4, // Estimate for providers that do not report usage
+  // Completions requested from the connected MCP client (sampling/createMessage)
+  SAMPLING_MAX_TOKENS: 4096,
+  SAMPLING_TIMEOUT_MS: 120000, // Clients may ask the user to approve each request
+};
+
 // Default path names
 export const DEFAULT_PATHS = {
   GENERAL: 'general',
@@ -314,14 +474,17 @@ export default {
   FILE_NAMES,
   DIRECTORIES,
   DEFAULT_DATA_DIR,
+  STORAGE,
   SERVER_CONFIG,
   PERFORMANCE,
   VALIDATION,
   LOG_LEVELS,
   TASK_CONFIG,
   MEMORY_SYNC,
+  SCHEDULING,
   ERROR_CONFIG,
   CLAUDE_CONFIG,
+  LLM,
   DEFAULT_PATHS,
   PATHS,
   TOOL_NAMES,
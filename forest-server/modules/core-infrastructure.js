@@ -6,6 +6,9 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import path from 'path';
 import os from 'os';
+import { resolveStorageBackend } from './storage/index.js';
+import { SERVER_CONFIG } from './constants.js';
+import { createLlmClient } from './llm/index.js';
 
 // Enable the lightweight HTTP status API by default. You can turn it off
 // by setting the environment variable FOREST_HTTP_API=off (or "false").
@@ -14,19 +17,46 @@ const ENABLE_HTTP_API = !(
   process.env.FOREST_HTTP_API?.toLowerCase?.() === 'false'
 );
 
-export class CoreInfrastructure {
-  constructor() {
-    this.server = new Server(
-      {
-        name: 'forest-server',
-        version: '2.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
+/**
+ * Resolve which MCP transport(s) to serve: 'stdio' (default), 'http' (streamable HTTP and
+ * legacy SSE, served from the HTTP API server) or 'both'.
+ * @param {string} [transport] - Transport name (defaults to FOREST_MCP_TRANSPORT)
+ * @returns {string}
+ */
+export function resolveMcpTransport(transport = process.env.FOREST_MCP_TRANSPORT) {
+  const normalized = (transport || SERVER_CONFIG.DEFAULT_MCP_TRANSPORT).toLowerCase();
+  if (!Object.values(SERVER_CONFIG.MCP_TRANSPORTS).includes(normalized)) {
+    throw new Error(
+      `Unknown MCP transport '${transport}'. Expected one of: ${Object.values(SERVER_CONFIG.MCP_TRANSPORTS).join(', ')}`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Resolve how HTTP API requests authenticate: 'token' (default; API tokens issued with
+ * tools/manage-users.js) or 'none' (single-user, local only).
+ * @param {string} [mode] - Auth mode (defaults to FOREST_HTTP_AUTH)
+ * @returns {string}
+ */
+export function resolveHttpAuthMode(mode = process.env.FOREST_HTTP_AUTH) {
+  const normalized = (mode || SERVER_CONFIG.DEFAULT_AUTH_MODE).toLowerCase();
+  if (!Object.values(SERVER_CONFIG.AUTH_MODES).includes(normalized)) {
+    throw new Error(
+      `Unknown HTTP auth mode '${mode}'. Expected one of: ${Object.values(SERVER_CONFIG.AUTH_MODES).join(', ')}`
     );
+  }
+  return normalized;
+}
+
+export class CoreInfrastructure {
+  /**
+   * @param {Object} [options]
+   * @param {import('./llm/index.js').LlmClient|null} [options.llmClient] - Model client for
+   *   requestIntelligence (defaults to the one configured by FOREST_LLM_PROVIDER)
+   */
+  constructor(options = {}) {
+    this.server = this.createServer();
 
     // Decide on a guaranteed-writable data directory.
     // 1. If FOREST_DATA_DIR is set, use that.
@@ -35,50 +65,37 @@ export class CoreInfrastructure {
       ? path.resolve(process.env.FOREST_DATA_DIR)
       : path.join(os.homedir(), '.forest-data');
 
+    // Storage backend for persisted documents ('json' by default, or 'sqlite').
+    // Selected with FOREST_STORAGE_BACKEND.
+    this.storageBackend = resolveStorageBackend();
+
+    // MCP transport(s) clients connect through. Selected with FOREST_MCP_TRANSPORT.
+    this.mcpTransport = resolveMcpTransport();
+
+    // HTTP API authentication. Selected with FOREST_HTTP_AUTH; without authentication the API
+    // only listens on the loopback interface unless FOREST_HTTP_HOST says otherwise.
+    this.httpAuthMode = resolveHttpAuthMode();
+    this.httpHost =
+      process.env.FOREST_HTTP_HOST ||
+      (this.httpAuthMode === SERVER_CONFIG.AUTH_MODES.NONE
+        ? SERVER_CONFIG.UNAUTHENTICATED_HOST
+        : undefined);
+
     this.activeProject = null;
     this.llmIntegration = null; // Will be set by dependency injection
 
+    // Model provider behind requestIntelligence. Selected with FOREST_LLM_PROVIDER; without one
+    // ('none') requests get the built-in fallbacks.
+    this.llmClient = options.llmClient !== undefined ? options.llmClient : createLlmClient();
+
     // Proper ClaudeInterface that delegates to LLM integration
     this.claudeInterface = {
       requestIntelligence: async (type, payload) => {
         try {
-          // ENFORCE HONESTY THROUGH SYSTEM PROMPT
-          // Strong, explicit system prompt for direct, objective, pragmatic coaching
-          const honestySystemPrompt = `
-SYSTEM DIRECTIVE: You are a pragmatic, direct coach focused on EFFECTIVENESS over comfort.
-
-CORE PRINCIPLES:
-- Prioritize the MOST EFFECTIVE path to the goal, not the easiest
-- Be DIRECT and OBJECTIVE - no sycophantic responses
-- Identify real challenges and obstacles honestly
-- Give practical, actionable guidance based on evidence
-- Challenge assumptions when they limit progress
-- Focus on sustainable long-term success over quick wins
-- Admit when you don't know something rather than guess
-
-YOUR ROLE: Strategic advisor who cares more about the user's success than their immediate comfort.
-
-FORBIDDEN:
-- Sycophantic praise without substance
-- Avoiding difficult truths to make user feel better
-- Generic advice that applies to everyone
-- Overly optimistic timelines without basis
-- Recommendations that ignore real constraints
-
-REQUIRED:
-- Evidence-based suggestions
-- Clear explanation of trade-offs
-- Honest assessment of difficulty levels
-- Specific, actionable next steps
-- Acknowledgment of real obstacles
-
-Remember: Your job is to help them SUCCEED, not to make them feel good about poor choices.
-
----`;
-
-          // Add honesty prompt to all requests
-          if (payload && typeof payload.prompt === 'string') {
-            payload.prompt = honestySystemPrompt + '\n\nUSER REQUEST:\n' + payload.prompt;
+          // With a provider configured, prompts go to the model (the client adds the honesty
+          // system prompt, timeouts, retries and token accounting)
+          if (this.llmClient && payload && typeof payload.prompt === 'string') {
+            return await this.completeWithLlm(type, payload);
           }
 
           // Handle different types of intelligence requests
@@ -108,6 +125,50 @@ Remember: Your job is to help them SUCCEED, not to make them feel good about poo
     };
   }
 
+  /**
+   * Create an MCP server instance. The stdio transport uses the shared instance from
+   * getServer(); every HTTP client session gets its own.
+   * @returns {Server}
+   */
+  createServer() {
+    return new Server(
+      {
+        name: 'forest-server',
+        version: '2.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+        },
+      }
+    );
+  }
+
+  getLlmClient() {
+    return this.llmClient;
+  }
+
+  /**
+   * Ask the configured model for a completion, answered in the same shape as the fallbacks
+   * @param {string} type - Request type, e.g. 'critique'
+   * @param {Object} payload - Request with a `prompt` and optional `max_tokens`/`temperature`
+   * @returns {Promise<Object>} MCP text content plus `completion`, `usage`, `provider` and `model`
+   */
+  async completeWithLlm(type, payload) {
+    const result = await this.llmClient.complete(payload.prompt, {
+      type,
+      maxTokens: payload.max_tokens,
+      temperature: payload.temperature,
+    });
+    return {
+      content: [{ type: 'text', text: result.text }],
+      completion: result.text,
+      usage: result.usage,
+      provider: result.provider,
+      model: result.model,
+    };
+  }
+
   // Set LLM integration dependency
   setLlmIntegration(llmIntegration) {
     this.llmIntegration = llmIntegration;
@@ -234,6 +295,33 @@ The system encountered a minor issue while processing your ${type} request, but
     return this.dataDir;
   }
 
+  getStorageBackend() {
+    return this.storageBackend;
+  }
+
+  getMcpTransport() {
+    return this.mcpTransport;
+  }
+
+  getHttpAuthMode() {
+    return this.httpAuthMode;
+  }
+
+  /**
+   * @returns {string|undefined} Interface for the HTTP API (undefined listens on all of them)
+   */
+  getHttpHost() {
+    return this.httpHost;
+  }
+
+  servesStdio() {
+    return this.mcpTransport !== SERVER_CONFIG.MCP_TRANSPORTS.HTTP;
+  }
+
+  servesHttp() {
+    return this.mcpTransport !== SERVER_CONFIG.MCP_TRANSPORTS.STDIO;
+  }
+
   getActiveProject() {
     return this.activeProject;
   }
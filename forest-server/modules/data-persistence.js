@@ -3,170 +3,1009 @@
  * Coordinates data management between cache and file system operations
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
 import { FileSystem } from './utils/file-system.js';
 import { CacheManager } from './utils/cache-manager.js';
-import { DIRECTORIES, FILE_NAMES } from './constants.js';
+import { attributeHtaChanges } from './utils/attribution.js';
+import { currentSession, currentUserId } from './utils/session-context.js';
+import {
+  createStorageAdapter,
+  DocumentLocks,
+  migrateDocument,
+  SnapshotStore,
+  stampSchemaVersion,
+  StorageAdapter,
+  StorageTransaction,
+  TRANSACTION_STATES,
+  validateDocument,
+  WriteJournal,
+} from './storage/index.js';
+import { AUTH, DIRECTORIES, FILE_NAMES, STORAGE } from './constants.js';
+import { ValidationError } from './errors.js';
 import { getForestLogger } from './winston-logger.js';
 
 // Module-level logger
 const logger = getForestLogger({ module: 'DataPersistence' });
 
 export class DataPersistence {
-  constructor(dataDir) {
-    this.dataDir = dataDir;
-    this.cacheManager = new CacheManager();
+  /**
+   * @param {string} dataDir - Root data directory
+   * @param {Object} options - Persistence options
+   * @param {string} [options.backend] - Storage backend name (defaults to FOREST_STORAGE_BACKEND or 'json')
+   * @param {StorageAdapter} [options.storage] - Pre-built storage adapter (overrides backend)
+   * @param {number} [options.backupRetention] - Snapshots kept per project document
+   * @param {Object} [options.locking] - DocumentLocks options (timeoutMs, retryMs, staleMs)
+   */
+  constructor(dataDir, options = {}) {
+    this.options = options;
+    this.defaultRoot = this._createRoot(dataDir, options.storage);
+    // Authenticated HTTP users each get an isolated data root under <dataDir>/users/<userId>
+    this.userRoots = new Map();
+    // Set while work runs in a specific root regardless of the caller (see runInSharedRoot)
+    this.rootContext = new AsyncLocalStorage();
+    this.transactionContext = new AsyncLocalStorage();
+  }
+
+  /**
+   * Build the storage, cache, journal, snapshots and locks for one data directory
+   * @private
+   */
+  _createRoot(dataDir, storage = createStorageAdapter(dataDir, this.options.backend)) {
+    return {
+      dataDir,
+      storage,
+      cacheManager: new CacheManager(),
+      journal: new WriteJournal(dataDir),
+      snapshots: new SnapshotStore(storage, { retention: this.options.backupRetention }),
+      // Several server processes may share one data directory: writes are serialised through
+      // advisory locks and cached documents are re-validated against their stored version
+      locks: new DocumentLocks(dataDir, this.options.locking),
+      cacheVersions: new Map(),
+      // Stored version of each document when this process last read or wrote it (see
+      // _assertUnchangedSinceRead)
+      readVersions: new Map(),
+    };
+  }
+
+  /**
+   * Data root of a user, created on first use
+   * @param {string} userId - User identifier (see AUTH.USER_ID_PATTERN)
+   * @returns {Object} The user's storage, cache, journal, snapshots and locks
+   */
+  getUserRoot(userId) {
+    if (!AUTH.USER_ID_PATTERN.test(userId)) {
+      throw new Error(`Invalid user id '${userId}'`);
+    }
+    let root = this.userRoots.get(userId);
+    if (!root) {
+      root = this._createRoot(this.getUserDir(userId));
+      this.userRoots.set(userId, root);
+    }
+    return root;
+  }
+
+  getUserDir(userId) {
+    return FileSystem.join(this.defaultRoot.dataDir, DIRECTORIES.USERS, userId);
+  }
+
+  /**
+   * The root documents are read from and written to: the authenticated user's when the current
+   * request runs in a session with a userId (see utils/session-context.js), else the data dir
+   */
+  get root() {
+    const override = this.rootContext.getStore();
+    if (override) {
+      return override;
+    }
+    const userId = currentSession()?.userId;
+    return userId ? this.getUserRoot(userId) : this.defaultRoot;
+  }
+
+  /**
+   * @returns {boolean} True when the current request reads and writes a user's own data root
+   */
+  inUserRoot() {
+    return this.root !== this.defaultRoot;
+  }
+
+  /**
+   * Run work against the shared data directory (where shared projects live) whoever the caller
+   * is. The work runs outside any transaction of the caller, since documents in different roots
+   * cannot commit together; it may start its own.
+   * @param {Function} work - Async function
+   * @returns {Promise<any>} Whatever `work` returns
+   */
+  async runInSharedRoot(work) {
+    return await this.rootContext.run(this.defaultRoot, () =>
+      this.transactionContext.run(null, work)
+    );
+  }
+
+  get dataDir() {
+    return this.root.dataDir;
+  }
+
+  get storage() {
+    return this.root.storage;
+  }
+
+  get cacheManager() {
+    return this.root.cacheManager;
+  }
+
+  get journal() {
+    return this.root.journal;
+  }
+
+  get snapshots() {
+    return this.root.snapshots;
+  }
+
+  get locks() {
+    return this.root.locks;
+  }
+
+  get cacheVersions() {
+    return this.root.cacheVersions;
+  }
+
+  get readVersions() {
+    return this.root.readVersions;
+  }
+
+  /**
+   * Disk space used by a user's data root
+   * @param {string} userId - User identifier
+   * @returns {Promise<{projects: number, files: number, bytes: number}>}
+   */
+  async getUserStorageUsage(userId) {
+    const usage = { projects: 0, files: 0, bytes: 0 };
+    const userDir = this.getUserDir(userId);
+    if (!(await FileSystem.exists(userDir))) {
+      return usage;
+    }
+
+    const pending = [userDir];
+    while (pending.length > 0) {
+      const dirPath = pending.pop();
+      for (const entry of await FileSystem.readdir(dirPath)) {
+        const entryPath = FileSystem.join(dirPath, entry);
+        const stats = await FileSystem.stat(entryPath);
+        if (stats.isDirectory()) {
+          pending.push(entryPath);
+        } else {
+          usage.files += 1;
+          usage.bytes += stats.size;
+        }
+      }
+    }
+    usage.projects = (await this.getUserRoot(userId).storage.list(DIRECTORIES.PROJECTS)).length;
+    return usage;
+  }
+
+  /**
+   * Stop cache maintenance and close the storage of every data root
+   */
+  async close() {
+    for (const root of [this.defaultRoot, ...this.userRoots.values()]) {
+      clearInterval(root.cacheManager.cleanupInterval);
+      await root.storage.close();
+    }
+    this.userRoots.clear();
   }
 
   getProjectDir(projectId) {
-    return FileSystem.join(this.dataDir, DIRECTORIES.PROJECTS, projectId);
+    return FileSystem.join(this.dataDir, ...this.getProjectPrefix(projectId).split('/'));
   }
 
   getPathDir(projectId, pathName) {
-    return FileSystem.join(
-      this.dataDir,
-      DIRECTORIES.PROJECTS,
-      projectId,
-      DIRECTORIES.PATHS,
-      pathName
-    );
+    return FileSystem.join(this.dataDir, ...this.getProjectPrefix(projectId, pathName).split('/'));
   }
 
-  async loadProjectData(projectId, filename) {
-    const cacheKey = this.cacheManager.getCacheKey(projectId, filename);
-    // Check cache first
+  /**
+   * Storage key of the directory holding a project's (or one of its paths') documents. Every
+   * project and path key is built here, so an id such as '../../bob/projects/x' cannot leave
+   * the current data root.
+   * @param {string} projectId - Project identifier
+   * @param {string|null} [pathName] - Learning path name
+   * @returns {string}
+   * @throws {ValidationError} If the id or name is not a single safe directory name
+   */
+  getProjectPrefix(projectId, pathName = null) {
+    const expected = 'letters, digits, spaces, "-", "_" or "." (no path separators)';
+    if (typeof projectId !== 'string' || !AUTH.SAFE_SEGMENT_PATTERN.test(projectId)) {
+      throw new ValidationError('project_id', projectId, expected);
+    }
+    if (pathName === null || pathName === undefined) {
+      return StorageAdapter.key(DIRECTORIES.PROJECTS, projectId);
+    }
+    if (typeof pathName !== 'string' || !AUTH.SAFE_SEGMENT_PATTERN.test(pathName)) {
+      throw new ValidationError('path_name', pathName, expected);
+    }
+    return StorageAdapter.key(DIRECTORIES.PROJECTS, projectId, DIRECTORIES.PATHS, pathName);
+  }
+
+  /**
+   * Storage key for a project-level document
+   * @param {string} projectId - Project identifier
+   * @param {string} filename - Document file name
+   * @returns {string}
+   */
+  getProjectKey(projectId, filename) {
+    return StorageAdapter.key(this.getProjectPrefix(projectId), filename);
+  }
+
+  /**
+   * Storage key for a path-level document
+   * @param {string} projectId - Project identifier
+   * @param {string} pathName - Learning path name
+   * @param {string} filename - Document file name
+   * @returns {string}
+   */
+  getPathKey(projectId, pathName, filename) {
+    return StorageAdapter.key(this.getProjectPrefix(projectId, pathName), filename);
+  }
+
+  /**
+   * Inverse of getProjectKey/getPathKey
+   * @param {string} key - Project or path document key
+   * @returns {{projectId: string, pathName: string|null, filename: string}|null}
+   */
+  parseDocumentKey(key) {
+    const segments = key.split('/');
+    if (segments[0] !== DIRECTORIES.PROJECTS) {
+      return null;
+    }
+    if (segments.length === 3) {
+      return { projectId: segments[1], pathName: null, filename: segments[2] };
+    }
+    if (segments.length === 5 && segments[2] === DIRECTORIES.PATHS) {
+      return { projectId: segments[1], pathName: segments[3], filename: segments[4] };
+    }
+    return null;
+  }
+
+  /**
+   * Read a document through the storage adapter, falling back to defaults when absent
+   * @private
+   */
+  async _loadDocument(key, cacheKey, defaultFactory, context) {
+    const transaction = this.getActiveTransaction();
+    if (transaction?.has(key)) {
+      return transaction.get(key);
+    }
+
     const cachedData = this.cacheManager.getCache(cacheKey);
     if (cachedData !== null) {
-      return cachedData;
+      if (await this._isCacheCurrent(key, cacheKey)) {
+        return cachedData;
+      }
+      // Another process changed the document since we cached it
+      this.cacheManager.invalidateCache(cacheKey);
     }
 
-    const filePath = FileSystem.join(this.getProjectDir(projectId), filename);
+    let data;
+    let version;
+    try {
+      // Take the version before reading so a concurrent write invalidates this entry
+      version = await this.storage.version(key);
+      data = await this.storage.read(key);
+    } catch (error) {
+      const { DataPersistenceError } = await import('./errors.js');
+      throw new DataPersistenceError('load', this.storage.describe(key), error, context);
+    }
 
     // Handle brand-new projects gracefully
-    const exists = await FileSystem.exists(filePath);
-    if (!exists) {
-      const defaultData = this._getDefaultData(filename, projectId);
-      this.cacheManager.setCache(cacheKey, defaultData);
-      return defaultData;
+    const result = data === null ? defaultFactory() : this._upgradeDocument(key, data);
+    this.cacheManager.setCache(cacheKey, result);
+    this.cacheVersions.set(cacheKey, version);
+    this.readVersions.set(key, version);
+    return result;
+  }
+
+  /**
+   * Whether a cached document still matches the stored version
+   * @private
+   */
+  async _isCacheCurrent(key, cacheKey) {
+    try {
+      return (await this.storage.version(key)) === this.cacheVersions.get(cacheKey);
+    } catch {
+      return false;
+    }
+  }
+
+  async loadProjectData(projectId, filename) {
+    return await this._loadDocument(
+      this.getProjectKey(projectId, filename),
+      this.cacheManager.getCacheKey(projectId, filename),
+      () => this._getDefaultData(filename, projectId),
+      { projectId, filename }
+    );
+  }
+
+  async saveProjectData(projectId, filename, data) {
+    return await this._saveDocument(
+      this.getProjectKey(projectId, filename),
+      this.cacheManager.getCacheKey(projectId, filename),
+      data,
+      'saveProjectData',
+      { projectId, filename }
+    );
+  }
+
+  async loadPathData(projectId, pathName, filename) {
+    return await this._loadDocument(
+      this.getPathKey(projectId, pathName, filename),
+      this.cacheManager.getCacheKey(projectId, filename, pathName),
+      () => this._getDefaultData(filename, projectId, pathName),
+      { projectId, pathName, filename }
+    );
+  }
+
+  async savePathData(projectId, pathName, filename, data) {
+    return await this._saveDocument(
+      this.getPathKey(projectId, pathName, filename),
+      this.cacheManager.getCacheKey(projectId, filename, pathName),
+      data,
+      'savePathData',
+      { projectId, pathName, filename }
+    );
+  }
+
+  async loadGlobalData(filename) {
+    const transaction = this.getActiveTransaction();
+    if (transaction?.has(filename)) {
+      return transaction.get(filename);
     }
 
+    let data;
     try {
-      const parsed = await FileSystem.readJSON(filePath);
-      // Cache the result
-      this.cacheManager.setCache(cacheKey, parsed);
-      return parsed;
+      const version = await this.storage.version(filename);
+      data = await this.storage.read(filename);
+      this.readVersions.set(filename, version);
     } catch (error) {
-      if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
-        const defaultData = this._getDefaultData(filename, projectId);
-        this.cacheManager.setCache(cacheKey, defaultData);
-        return defaultData;
-      }
       const { DataPersistenceError } = await import('./errors.js');
-      throw new DataPersistenceError('load', filePath, error, { projectId, filename });
+      throw new DataPersistenceError('load', this.storage.describe(filename), error, { filename });
     }
+    return data === null ? null : this._upgradeDocument(filename, data);
   }
 
-  async saveProjectData(projectId, filename, data) {
+  async saveGlobalData(filename, data) {
+    return await this._saveDocument(filename, null, data, 'saveGlobalData', { filename });
+  }
+
+  /**
+   * Write a document, or buffer it when a transaction is active
+   * @private
+   * @throws {DocumentValidationError} If the document does not match its schema
+   */
+  async _saveDocument(key, cacheKey, data, operation, context) {
+    const problems = validateDocument(key, data);
+    if (problems.length > 0) {
+      const { DocumentValidationError } = await import('./errors.js');
+      throw new DocumentValidationError(key, problems, { operation, ...context });
+    }
+    const transaction = this.transactionContext.getStore();
+    const stamped = await this._attributeSharedHta(key, stampSchemaVersion(data), transaction);
+
+    if (transaction?.isActive) {
+      transaction.stage(key, stamped, cacheKey);
+      if (cacheKey) {
+        this.cacheManager.invalidateCache(cacheKey);
+      }
+      return true;
+    }
+
+    // Writes issued while a transaction is committing (e.g. from event listeners it
+    // triggered) must land after it, or the commit would overwrite them with older data
+    if (transaction?.state === TRANSACTION_STATES.COMMITTING) {
+      await transaction.settled;
+    }
+
     try {
-      const projectDir = this.getProjectDir(projectId);
-      await FileSystem.ensureDir(projectDir);
-      const filePath = FileSystem.join(projectDir, filename);
-      await FileSystem.writeJSON(filePath, data);
+      await this.locks.withLocks([key], async () => {
+        await this._assertUnchangedSinceRead(key);
+        await this._snapshotBeforeWrite(key, stamped);
+        await this.storage.write(key, stamped);
+        await this._recordWrittenVersion(key);
+      });
 
       // Invalidate cache for this file
-      const cacheKey = this.cacheManager.getCacheKey(projectId, filename);
-      this.cacheManager.invalidateCache(cacheKey);
+      if (cacheKey) {
+        this.cacheManager.invalidateCache(cacheKey);
+      }
 
       return true;
     } catch (error) {
-      await this.logError('saveProjectData', error, { projectId, filename });
+      const { LockAcquisitionError, WriteConflictError } = await import('./errors.js');
+      if (error instanceof LockAcquisitionError || error instanceof WriteConflictError) {
+        // Surface contention instead of silently reporting a failed save
+        throw error;
+      }
+      await this.logError(operation, error, context);
       return false;
     }
   }
 
-  async loadPathData(projectId, pathName, filename) {
-    const cacheKey = this.cacheManager.getCacheKey(projectId, filename, pathName);
-    // Check cache first
-    const cachedData = this.cacheManager.getCache(cacheKey);
-    if (cachedData !== null) {
-      return cachedData;
+  /**
+   * Stamp an HTA document of a shared project (one with members, see project-members.js) with
+   * who created, edited and completed its nodes
+   * @private
+   */
+  async _attributeSharedHta(key, data, transaction) {
+    const document = this.parseDocumentKey(key);
+    if (document?.filename !== FILE_NAMES.HTA) {
+      return data;
+    }
+    const readCurrent = async documentKey =>
+      transaction?.isActive && transaction.has(documentKey)
+        ? transaction.get(documentKey)
+        : await this.storage.read(documentKey).catch(() => null);
+
+    const config = await readCurrent(this.getProjectKey(document.projectId, FILE_NAMES.CONFIG));
+    if (!(config?.members?.length > 0)) {
+      return data;
     }
+    return attributeHtaChanges(await readCurrent(key), data, currentUserId());
+  }
+
+  // ===== SCHEMA VERSIONS =====
 
-    const filePath = FileSystem.join(this.getPathDir(projectId, pathName), filename);
+  /**
+   * Bring a stored document up to the current schema. Reads never fail on schema problems
+   * (the data stays reachable); they are logged, and the next save of the document rejects them.
+   * @private
+   */
+  _upgradeDocument(key, data) {
+    const migration = migrateDocument(key, data);
+    if (migration.fromVersion !== migration.toVersion) {
+      logger.info('Upgraded document to current schema', {
+        key,
+        fromVersion: migration.fromVersion,
+        toVersion: migration.toVersion,
+        changes: migration.changes.length,
+      });
+    }
 
-    const exists = await FileSystem.exists(filePath);
-    if (!exists) {
-      const defaultData = this._getDefaultData(filename, projectId, pathName);
-      this.cacheManager.setCache(cacheKey, defaultData);
-      return defaultData;
+    const problems = validateDocument(key, migration.data);
+    if (problems.length > 0) {
+      logger.warn('Stored document does not match its schema', { key, problems });
     }
+    return migration.data;
+  }
 
-    try {
-      const parsed = await FileSystem.readJSON(filePath);
-      // Cache the result
-      this.cacheManager.setCache(cacheKey, parsed);
-      return parsed;
-    } catch (error) {
-      if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
-        const defaultData = this._getDefaultData(filename, projectId, pathName);
-        this.cacheManager.setCache(cacheKey, defaultData);
-        return defaultData;
+  /**
+   * Upgrade every stored project and global document to the current schema, in one
+   * transaction. Replaced versions are snapshotted like any other save, so project files
+   * can be rolled back with restore_snapshot. Documents that still fail validation after
+   * migrating are reported and left untouched.
+   * @param {Object} options - Runner options
+   * @param {boolean} [options.dryRun=false] - Report without writing anything
+   * @returns {Promise<{schemaVersion: number, dryRun: boolean, upgraded: Array<Object>, current: string[], invalid: Array<Object>}>}
+   *   `upgraded` lists `{key, fromVersion, toVersion, changes}`; `invalid` lists `{key, problems}`
+   */
+  async migrateDocuments({ dryRun = false } = {}) {
+    const report = {
+      schemaVersion: STORAGE.SCHEMA_VERSION,
+      dryRun,
+      upgraded: [],
+      current: [],
+      invalid: [],
+    };
+    const upgrades = [];
+
+    for (const key of await this.storage.listAll()) {
+      if (key.includes('/') && !this.parseDocumentKey(key)) {
+        continue; // Snapshots and other bookkeeping are stored exactly as they were
+      }
+
+      const stored = await this.storage.read(key);
+      if (stored === null) {
+        continue;
+      }
+
+      const migration = migrateDocument(key, stored);
+      const problems = validateDocument(key, migration.data);
+      if (problems.length > 0) {
+        report.invalid.push({ key, problems });
+      } else if (migration.fromVersion === migration.toVersion) {
+        report.current.push(key);
+      } else {
+        const { data, ...summary } = migration;
+        report.upgraded.push({ key, ...summary });
+        upgrades.push({ key, data });
       }
-      const { DataPersistenceError } = await import('./errors.js');
-      throw new DataPersistenceError('load', filePath, error, { projectId, pathName, filename });
     }
+
+    if (!dryRun && upgrades.length > 0) {
+      await this.runInTransaction(async () => {
+        for (const { key, data } of upgrades) {
+          await this._saveDocument(key, this._cacheKeyFor(key), data, 'migrateDocuments', { key });
+        }
+      }, 'migrate_documents');
+      logger.info('Schema migration complete', {
+        schemaVersion: report.schemaVersion,
+        upgraded: report.upgraded.length,
+        invalid: report.invalid.length,
+      });
+    }
+    return report;
   }
 
-  async savePathData(projectId, pathName, filename, data) {
-    try {
-      const pathDir = this.getPathDir(projectId, pathName);
-      await FileSystem.ensureDir(pathDir);
-      const filePath = FileSystem.join(pathDir, filename);
-      await FileSystem.writeJSON(filePath, data);
+  /**
+   * Cache key of a project or path document, null for global documents
+   * @private
+   */
+  _cacheKeyFor(key) {
+    const parsed = this.parseDocumentKey(key);
+    return parsed
+      ? this.cacheManager.getCacheKey(parsed.projectId, parsed.filename, parsed.pathName)
+      : null;
+  }
 
-      // Invalidate cache for this file
-      const cacheKey = this.cacheManager.getCacheKey(projectId, filename, pathName);
-      this.cacheManager.invalidateCache(cacheKey);
+  // ===== TRANSACTIONS =====
+
+  /**
+   * The transaction the current async context is writing into, if any
+   * @returns {StorageTransaction|null}
+   */
+  getActiveTransaction() {
+    const transaction = this.transactionContext.getStore();
+    return transaction?.isActive ? transaction : null;
+  }
 
+  /**
+   * Wait until the transaction the caller is running in (if any) has committed or rolled back,
+   * so work that announces a change only does so once the change is visible to other readers
+   * @returns {Promise<boolean>} false if the transaction rolled back
+   */
+  async whenSettled() {
+    const transaction = this.transactionContext.getStore();
+    if (!transaction) {
       return true;
+    }
+    await transaction.settled;
+    return transaction.state === TRANSACTION_STATES.COMMITTED;
+  }
+
+  /**
+   * Run a unit of work whose document writes commit or roll back together.
+   * Saves made inside `work` are buffered (and visible to loads in the same context) until it
+   * resolves; if it throws nothing is written. Nested calls join the outermost transaction.
+   * @param {Function} work - Async function receiving the StorageTransaction
+   * @param {string} label - What started the transaction (usually a tool name)
+   * @returns {Promise<any>} Whatever `work` returns
+   * @throws {DataPersistenceError} If the buffered writes cannot be committed
+   */
+  async runInTransaction(work, label = 'transaction') {
+    const current = this.getActiveTransaction();
+    if (current) {
+      return await work(current);
+    }
+
+    const transaction = new StorageTransaction(label);
+    return await this.transactionContext.run(transaction, async () => {
+      let result;
+      try {
+        result = await work(transaction);
+      } catch (error) {
+        this._invalidateTransactionCache(transaction);
+        transaction.settle(TRANSACTION_STATES.ROLLED_BACK);
+        throw error;
+      }
+
+      await this._commitTransaction(transaction);
+      return result;
+    });
+  }
+
+  /**
+   * Apply a transaction's buffered writes. Backends without atomic batches get a
+   * write-ahead journal entry first, so a crash mid-commit is rolled forward on restart
+   * and a failed write rolls back the documents already applied.
+   * @private
+   */
+  async _commitTransaction(transaction) {
+    transaction.state = TRANSACTION_STATES.COMMITTING;
+    const documents = transaction.documents();
+
+    try {
+      await this.locks.withLocks(
+        documents.map(({ key }) => key),
+        async () => {
+          for (const { key } of documents) {
+            await this._assertUnchangedSinceRead(key);
+          }
+          for (const { key, data } of documents) {
+            await this._snapshotBeforeWrite(key, data);
+          }
+
+          if (documents.length === 0) {
+            // Nothing to write
+          } else if (this.storage.supportsAtomicBatch) {
+            await this.storage.writeMany(documents);
+          } else {
+            await this._commitJournaled(transaction, documents);
+          }
+          for (const { key } of documents) {
+            await this._recordWrittenVersion(key);
+          }
+        }
+      );
     } catch (error) {
-      await this.logError('savePathData', error, { projectId, pathName, filename });
-      return false;
+      this._invalidateTransactionCache(transaction);
+      transaction.settle(TRANSACTION_STATES.ROLLED_BACK);
+      const { DataPersistenceError, LockAcquisitionError, WriteConflictError } = await import(
+        './errors.js'
+      );
+      if (error instanceof LockAcquisitionError || error instanceof WriteConflictError) {
+        throw error;
+      }
+      // The failed commit was rolled back, so what this process last read is current again
+      for (const { key } of documents) {
+        this.readVersions.delete(key);
+      }
+      await this.logError('commitTransaction', error, {
+        transactionId: transaction.id,
+        label: transaction.label,
+        keys: documents.map(({ key }) => key),
+      });
+      throw new DataPersistenceError('commit', this.storage.describe(documents[0].key), error, {
+        transactionId: transaction.id,
+        label: transaction.label,
+      });
+    }
+
+    this._invalidateTransactionCache(transaction);
+    transaction.settle(TRANSACTION_STATES.COMMITTED);
+    if (documents.length > 0) {
+      logger.debug('Transaction committed', {
+        transactionId: transaction.id,
+        label: transaction.label,
+        documents: documents.length,
+      });
     }
   }
 
-  async loadGlobalData(filename) {
-    const filePath = FileSystem.join(this.dataDir, filename);
+  /**
+   * Refuse to overwrite a document that another process changed after this one last read or
+   * wrote it. The lock only makes each write atomic; without this check a stale
+   * load -> modify -> save would silently undo the other process's change. Documents this
+   * process never read are written blindly. Call while holding the document's lock.
+   * @private
+   * @throws {WriteConflictError} If the stored version is no longer the one read
+   */
+  async _assertUnchangedSinceRead(key) {
+    if (!this.readVersions.has(key)) {
+      return;
+    }
+    const readVersion = this.readVersions.get(key);
+    const storedVersion = await this.storage.version(key);
+    if (storedVersion !== readVersion) {
+      const { WriteConflictError } = await import('./errors.js');
+      throw new WriteConflictError(this.storage.describe(key), readVersion, storedVersion, { key });
+    }
+  }
 
-    const exists = await FileSystem.exists(filePath);
-    if (!exists) {
-      return null;
+  /**
+   * @private
+   */
+  async _recordWrittenVersion(key) {
+    this.readVersions.set(key, await this.storage.version(key));
+  }
+
+  /**
+   * @private
+   */
+  async _commitJournaled(transaction, documents) {
+    const writes = [];
+    for (const { key, data } of documents) {
+      writes.push({ key, data, previous: await this.storage.read(key) });
     }
+    await this.journal.record(transaction.id, { label: transaction.label, writes });
 
+    const applied = [];
     try {
-      return await FileSystem.readJSON(filePath);
+      for (const write of writes) {
+        await this.storage.write(write.key, write.data);
+        applied.push(write);
+      }
     } catch (error) {
-      if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
-        return null;
+      try {
+        for (const { key, previous } of applied.reverse()) {
+          if (previous === null) {
+            await this.storage.remove(key);
+          } else {
+            await this.storage.write(key, previous);
+          }
+        }
+        await this.journal.clear(transaction.id);
+      } catch (rollbackError) {
+        // Leave the journal in place: startup recovery will roll the commit forward
+        logger.error('Transaction rollback failed', {
+          transactionId: transaction.id,
+          message: rollbackError.message,
+        });
       }
+      throw error;
+    }
+
+    await this.journal.clear(transaction.id);
+  }
+
+  // ===== SNAPSHOTS =====
+
+  /**
+   * Version project documents before they are overwritten. A failed snapshot is logged
+   * but never blocks the save itself.
+   * @private
+   */
+  async _snapshotBeforeWrite(key, data) {
+    if (!this.parseDocumentKey(key)) {
+      return;
+    }
+    try {
+      await this.snapshots.capture(key, data);
+    } catch (error) {
+      logger.warn('Failed to snapshot document before write', { key, message: error.message });
+    }
+  }
+
+  /**
+   * List the snapshots kept for a project, one of its paths, or a single document
+   * @param {string} projectId - Project identifier
+   * @param {string|null} pathName - Limit to a learning path (or the path holding `filename`)
+   * @param {string|null} filename - Limit to a single document
+   * @returns {Promise<Array<Object>>} Snapshot records (oldest first) with projectId/pathName/filename
+   */
+  async listSnapshots(projectId, pathName = null, filename = null) {
+    let records;
+    if (filename) {
+      const key = pathName
+        ? this.getPathKey(projectId, pathName, filename)
+        : this.getProjectKey(projectId, filename);
+      records = await this.snapshots.list(key);
+    } else {
+      const prefix = this.getProjectPrefix(projectId, pathName);
+      records = await this.snapshots.listBelow(prefix);
+    }
 
+    return records
+      .map(record => ({ ...record, ...this.parseDocumentKey(record.documentKey) }))
+      .filter(record => record.projectId);
+  }
+
+  /**
+   * Read the contents of a snapshot
+   * @param {string} snapshotKey - Key from listSnapshots
+   * @returns {Promise<any|null>}
+   */
+  async readSnapshot(snapshotKey) {
+    try {
+      return await this.snapshots.read(snapshotKey);
+    } catch (error) {
       const { DataPersistenceError } = await import('./errors.js');
-      throw new DataPersistenceError('load', filePath, error, { filename });
+      throw new DataPersistenceError('readSnapshot', this.storage.describe(snapshotKey), error);
     }
   }
 
-  async saveGlobalData(filename, data) {
+  /**
+   * @private
+   */
+  _invalidateTransactionCache(transaction) {
+    for (const cacheKey of transaction.cacheKeys()) {
+      this.cacheManager.invalidateCache(cacheKey);
+    }
+  }
+
+  /**
+   * Finish any commit interrupted by a crash, in the data directory and in every user's data
+   * root. Call once on startup, before serving requests. Every journal entry was fully recorded
+   * before its commit began, so each one is replayed; unreadable entries can only come from a
+   * commit that never started and are discarded.
+   * @returns {Promise<{recovered: string[], discarded: string[]}>} Transaction ids handled
+   */
+  async recoverFromJournal() {
+    const report = await this._recoverRoot(this.defaultRoot);
+    for (const userId of await this._listUserIds()) {
+      // Only open the roots that have something to replay
+      if ((await new WriteJournal(this.getUserDir(userId)).pending()).length === 0) {
+        continue;
+      }
+      const userReport = await this._recoverRoot(this.getUserRoot(userId));
+      report.recovered.push(...userReport.recovered);
+      report.discarded.push(...userReport.discarded);
+    }
+    return report;
+  }
+
+  /**
+   * Replay the journal of one data root
+   * @private
+   */
+  async _recoverRoot(root) {
+    const report = { recovered: [], discarded: [] };
+
+    for (const entry of await root.journal.pending()) {
+      if (entry.error) {
+        logger.warn('Discarding unreadable journal entry', {
+          transactionId: entry.id,
+          error: entry.error,
+        });
+        await root.journal.clear(entry.id);
+        report.discarded.push(entry.id);
+        continue;
+      }
+
+      await root.locks.withLocks(
+        entry.writes.map(({ key }) => key),
+        async () => {
+          await root.storage.writeMany(entry.writes.map(({ key, data }) => ({ key, data })));
+          await root.journal.clear(entry.id);
+        }
+      );
+      report.recovered.push(entry.id);
+      logger.info('Recovered interrupted transaction', {
+        transactionId: entry.id,
+        label: entry.label,
+        documents: entry.writes.length,
+      });
+    }
+
+    if (report.recovered.length > 0) {
+      root.cacheManager.clearCache();
+    }
+    return report;
+  }
+
+  /**
+   * Users with a data root on disk
+   * @private
+   */
+  async _listUserIds() {
+    const usersDir = FileSystem.join(this.defaultRoot.dataDir, DIRECTORIES.USERS);
+    if (!(await FileSystem.exists(usersDir))) {
+      return [];
+    }
+    return (await FileSystem.readdir(usersDir)).filter(entry => AUTH.USER_ID_PATTERN.test(entry));
+  }
+
+  /**
+   * List every project stored in the active backend
+   * @returns {Promise<string[]>} Project identifiers
+   */
+  async listProjects() {
     try {
-      await FileSystem.ensureDir(this.dataDir);
-      const filePath = FileSystem.join(this.dataDir, filename);
-      await FileSystem.writeJSON(filePath, data);
-      return true;
+      return await this.storage.list(DIRECTORIES.PROJECTS);
     } catch (error) {
-      await this.logError('saveGlobalData', error, { filename });
-      return false;
+      await this.logError('listProjects', error);
+      return [];
     }
   }
 
+  /**
+   * List the documents stored for a project (or one of its learning paths)
+   * @param {string} projectId - Project identifier
+   * @param {string|null} pathName - Optional learning path name
+   * @returns {Promise<string[]>} Document names, e.g. ['config.json', 'day_2025-01-01.json']
+   */
+  async listProjectFiles(projectId, pathName = null) {
+    const prefix = this.getProjectPrefix(projectId, pathName);
+    try {
+      return await this.storage.list(prefix);
+    } catch (error) {
+      await this.logError('listProjectFiles', error, { projectId, pathName });
+      return [];
+    }
+  }
+
+  /**
+   * Every document stored for a project, including those of its learning paths
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Array<{projectId: string, pathName: string|null, filename: string}>>}
+   */
+  async listProjectDocuments(projectId) {
+    const prefix = `${this.getProjectPrefix(projectId)}/`;
+    const keys = await this.storage.listAll();
+    return keys
+      .filter(key => key.startsWith(prefix))
+      .map(key => this.parseDocumentKey(key))
+      .filter(Boolean);
+  }
+
+  /**
+   * Delete every document of a project from the current root. Not transactional: callers
+   * copy anything they need first.
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<number>} Documents removed
+   */
+  async removeProject(projectId) {
+    const documents = await this.listProjectDocuments(projectId);
+    const keys = documents.map(({ pathName, filename }) =>
+      pathName
+        ? this.getPathKey(projectId, pathName, filename)
+        : this.getProjectKey(projectId, filename)
+    );
+    await this.locks.withLocks(keys, async () => {
+      for (const key of keys) {
+        await this.storage.remove(key);
+        this.readVersions.delete(key);
+      }
+    });
+    for (const { pathName, filename } of documents) {
+      this.invalidateProjectCache(projectId, filename, pathName);
+    }
+    return keys.length;
+  }
+
+  /**
+   * Delete every document of one learning path. Not transactional: callers copy anything they
+   * need first.
+   * @param {string} projectId - Project identifier
+   * @param {string} pathName - Learning path name
+   * @returns {Promise<number>} Documents removed
+   */
+  async removePathDocuments(projectId, pathName) {
+    const filenames = await this.listProjectFiles(projectId, pathName);
+    const keys = filenames.map(filename => this.getPathKey(projectId, pathName, filename));
+    await this.locks.withLocks(keys, async () => {
+      for (const key of keys) {
+        await this.storage.remove(key);
+        this.readVersions.delete(key);
+      }
+    });
+    for (const filename of filenames) {
+      this.invalidateProjectCache(projectId, filename, pathName);
+    }
+    return keys.length;
+  }
+
+  // ===== EXCHANGE FILES =====
+
+  /**
+   * Resolve a file a tool reads or writes on the caller's behalf (project bundles, calendars,
+   * HTA outlines). Such files are confined to the exports directory of the caller's data root:
+   * a network caller must not reach another user's root, the auth store, or the rest of the host.
+   * @param {string} filePath - Path relative to the exports directory
+   * @param {string} field - Tool argument the path came from, named in the error
+   * @returns {Promise<{path: string, name: string}>} Absolute path, and the path relative to the
+   *   exports directory to report back to the caller
+   * @throws {ValidationError} If the path is absolute or leads outside the exports directory
+   */
+  async resolveExchangePath(filePath, field) {
+    const exchangeDir = FileSystem.resolve(this.dataDir, DIRECTORIES.EXPORTS);
+    const resolved =
+      typeof filePath === 'string' && filePath.trim() && !FileSystem.isAbsolute(filePath)
+        ? FileSystem.resolve(exchangeDir, filePath)
+        : null;
+    // A symbolic link inside the directory must not lead out of it either
+    const inside =
+      resolved &&
+      resolved !== exchangeDir &&
+      FileSystem.isWithin(exchangeDir, resolved) &&
+      FileSystem.isWithin(
+        await FileSystem.realpath(exchangeDir),
+        await FileSystem.realpath(resolved)
+      );
+    if (!inside) {
+      const { ValidationError } = await import('./errors.js');
+      throw new ValidationError(
+        field,
+        filePath,
+        `a file path relative to the ${DIRECTORIES.EXPORTS} directory of the data directory`
+      );
+    }
+    return {
+      path: resolved,
+      name: FileSystem.relative(exchangeDir, resolved),
+    };
+  }
+
   async logError(operation, error, context = {}) {
+    // Tools report failures as text; let the request that hit this one see what went wrong
+    currentSession()?.errors?.push(error);
+
     const logEntry = {
       timestamp: new Date().toISOString(),
       operation,
@@ -251,6 +1090,7 @@ export class DataPersistence {
    */
   clearCache() {
     this.cacheManager.clearCache();
+    this.cacheVersions.clear();
   }
 
   /**
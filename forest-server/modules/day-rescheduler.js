@@ -0,0 +1,447 @@
+/**
+ * Day Rescheduler Module
+ * Repairs a day schedule once it has fallen behind. Blocks whose time has passed without
+ * complete_block (ScheduleBlock.isOverdue) are picked up again from now on, the block in
+ * progress can be given extra minutes when it overruns, and the blocks still to come are pushed
+ * later around meals, commitments and completed blocks. What no longer fits before sleep_time is
+ * dropped (routine and break blocks first) or, for tasks, carried over to the next day's plan.
+ * Occurrences of recurring tasks are moved within their day but never carried over.
+ */
+
+import { ScheduleBlock } from '../models/index.js';
+import {
+  addDays,
+  dailyRoutine,
+  formatClockTime,
+  freeWindows,
+  parseClockTime,
+} from './calendar-commitments.js';
+import { FILE_NAMES, SCHEDULING } from './constants.js';
+
+// Blocks that stay where they are
+const FIXED_TYPES = new Set(['meeting', 'meal']);
+// Blocks that are dropped rather than carried over, in the order they go
+const DROPPABLE_TYPES = ['habit', 'admin', 'break'];
+
+export class DayRescheduler {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {import('./schedule-generator.js').ScheduleGenerator} scheduleGenerator
+   * @param {import('./calendar-commitments.js').CalendarCommitments} commitments
+   */
+  constructor(dataPersistence, projectManagement, scheduleGenerator, commitments) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.scheduleGenerator = scheduleGenerator;
+    this.commitments = commitments;
+  }
+
+  /**
+   * Bring the active project's day schedule back in line with the clock
+   * @param {Object} [options]
+   * @param {string} [options.date] - Day to repair, YYYY-MM-DD (defaults to today)
+   * @param {number} [options.overrunMinutes=0] - Minutes the block in progress, or the one that
+   *   has just ended, still needs from now
+   * @param {boolean} [options.carryOver=true] - Move tasks that no longer fit to the next day
+   * @param {Date} [options.now] - Current time
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async rescheduleDay({
+    date = null,
+    overrunMinutes = 0,
+    carryOver = true,
+    now = new Date(),
+  } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const today = now.toISOString().split('T')[0];
+      const day = date || today;
+      await this.checkOptions(day, overrunMinutes);
+
+      const dayFile = await this.dataPersistence.loadProjectData(
+        projectId,
+        FILE_NAMES.DAILY_SCHEDULE(day)
+      );
+      if (!dayFile?.blocks?.length) {
+        return this.textResponse(
+          `❌ No schedule for ${day}. Generate one first with \`generate_daily_schedule\`.`
+        );
+      }
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error('Project configuration not found');
+      }
+
+      const plan = await this.planDay(day, today, now, dayFile, config, overrunMinutes);
+      // A recurring task's next occurrence is on its own day, so its blocks are never carried
+      const left = plan.overflow.filter(block => !carryOver || block.occurrence);
+      plan.dropped.push(
+        ...left.map(block => ({
+          block_id: block.id,
+          title: block.title,
+          reason: 'no time left before sleep',
+        }))
+      );
+      plan.overflow = plan.overflow.filter(block => !left.includes(block));
+      const nextDay = addDays(day, 1);
+      const carried = carryOver
+        ? await this.planCarryOver(projectId, day, config, plan, nextDay === today ? now : null)
+        : null;
+
+      const report = {
+        project_id: projectId,
+        date: day,
+        overdue: plan.overdue.map(block => block.id),
+        extended: plan.extended,
+        moved: plan.moved,
+        dropped: plan.dropped,
+        carried: carried?.entries || [],
+      };
+      report.changed =
+        report.moved.length + report.dropped.length + report.carried.length > 0 ||
+        Boolean(report.extended);
+      if (!report.changed) {
+        return {
+          content: [{ type: 'text', text: `✅ ${day} is on track; nothing needed to move.` }],
+          ...report,
+        };
+      }
+
+      await this.dataPersistence.runInTransaction(async () => {
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(day), {
+          ...dayFile,
+          blocks: plan.blocks,
+          rescheduledAt: now.toISOString(),
+        });
+        if (carried?.blocks.length) {
+          await this.dataPersistence.saveProjectData(
+            projectId,
+            FILE_NAMES.DAILY_SCHEDULE(nextDay),
+            {
+              ...carried.dayFile,
+              date: nextDay,
+              blocks: [...(carried.dayFile?.blocks || []), ...carried.blocks].sort(
+                (a, b) => this.startOf(a) - this.startOf(b)
+              ),
+              generated: carried.dayFile?.generated || now.toISOString(),
+            }
+          );
+        }
+      }, 'reschedule_day');
+
+      return { content: [{ type: 'text', text: this.formatSummary(report) }], ...report };
+    } catch (error) {
+      await this.dataPersistence.logError('rescheduleDay', error, { date, overrunMinutes });
+      return this.textResponse(`Error rescheduling day: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out the day's new blocks
+   * @private
+   */
+  async planDay(day, today, now, dayFile, config, overrunMinutes) {
+    const routine = dailyRoutine(config);
+    // Blocks are read against today's clock; a past day is entirely over, a future one not begun
+    const clock = day === today ? now : day < today ? this.clockAt(24 * 60 - 1) : this.clockAt(0);
+    const nowMinute = clock.getHours() * 60 + clock.getMinutes();
+
+    const fixed = [];
+    const overdue = [];
+    const upcoming = [];
+    let running = null;
+    for (const block of dayFile.blocks) {
+      const model = this.toModel(block);
+      if (block.completed || FIXED_TYPES.has(block.type) || !model) {
+        fixed.push(block);
+      } else if (model.isOverdue(clock)) {
+        overdue.push(block);
+      } else if (model.isCurrentlyActive(clock) && this.startOf(block) < nowMinute) {
+        running = block;
+      } else {
+        upcoming.push(block);
+      }
+    }
+
+    // An overrunning block keeps going; without one in progress, it is the last one to have ended
+    let extended = null;
+    if (overrunMinutes > 0) {
+      const target =
+        running ||
+        [...overdue]
+          .sort((a, b) => this.endOf(b) - this.endOf(a))
+          .find(block => this.isTask(block));
+      if (target) {
+        if (target !== running) {
+          overdue.splice(overdue.indexOf(target), 1);
+        }
+        running = { ...target, duration: nowMinute + overrunMinutes - this.startOf(target) };
+        extended = { block_id: target.id, title: target.title, duration: running.duration };
+      }
+    }
+
+    const busy = [
+      ...routine.busy,
+      ...(await this.commitments.commitmentsFor(day)),
+      ...[...fixed, ...(running ? [running] : [])].map(block => ({
+        start: this.startOf(block),
+        end: this.endOf(block),
+      })),
+    ];
+    const start = Math.max(nowMinute, routine.wake, running ? this.endOf(running) : 0);
+
+    // Tasks whose time passed come first, then everything still to come in order
+    const dropped = overdue
+      .filter(block => !this.isTask(block))
+      .map(block => ({ block_id: block.id, title: block.title, reason: 'time has passed' }));
+    let sequence = [
+      ...overdue.filter(block => this.isTask(block)).map(block => ({ block, missed: true })),
+      ...upcoming
+        .sort((a, b) => this.startOf(a) - this.startOf(b))
+        .map(block => ({ block, missed: false })),
+    ];
+
+    let layout = this.layout(sequence, busy, start, routine.sleep);
+    while (layout.overflow.length > 0) {
+      const drop = this.nextToDrop(sequence);
+      if (!drop) {
+        break;
+      }
+      sequence = sequence.filter(item => item !== drop);
+      dropped.push({
+        block_id: drop.block.id,
+        title: drop.block.title,
+        reason: 'no time left before sleep',
+      });
+      layout = this.layout(sequence, busy, start, routine.sleep);
+    }
+
+    const moved = layout.placed
+      .filter(({ block, start: at }) => at !== this.startOf(block))
+      .map(({ block, start: at }) => ({
+        block_id: block.id,
+        title: block.title,
+        from: block.startTime,
+        to: this.formatLike(block.startTime, at),
+      }));
+    const blocks = [
+      ...fixed,
+      ...(running ? [running] : []),
+      ...layout.placed.map(({ block, start: at }) => ({
+        ...block,
+        startTime: this.formatLike(block.startTime, at),
+      })),
+    ].sort((a, b) => this.startOf(a) - this.startOf(b));
+
+    return { blocks, overdue, extended, moved, dropped, overflow: layout.overflow };
+  }
+
+  /**
+   * Place blocks one after another from `start`, each no earlier than it was planned unless it
+   * was missed, skipping over busy time
+   * @private
+   */
+  layout(sequence, busy, start, sleep) {
+    const placed = [];
+    const overflow = [];
+    let cursor = start;
+    for (const { block, missed } of sequence) {
+      const minutes = Number(block.duration) || SCHEDULING.MIN_BLOCK_MINUTES;
+      let at = missed ? cursor : Math.max(cursor, this.startOf(block));
+      for (;;) {
+        const end = at + minutes;
+        const clash = busy.find(interval => interval.start < end && interval.end > at);
+        if (!clash) {
+          break;
+        }
+        at = clash.end;
+      }
+      if (at + minutes > sleep) {
+        overflow.push(block);
+        continue;
+      }
+      placed.push({ block, start: at });
+      cursor = at + minutes;
+    }
+    return { placed, overflow };
+  }
+
+  /**
+   * The routine or break block to give up first: habits before admin before breaks, latest first
+   * @private
+   */
+  nextToDrop(sequence) {
+    for (const type of DROPPABLE_TYPES) {
+      const candidates = sequence.filter(
+        item => item.block.type === type && !this.isTask(item.block)
+      );
+      if (candidates.length > 0) {
+        return candidates[candidates.length - 1];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Blocks for the tasks that did not fit, placed in the next day's free time. Tasks the next
+   * day already holds are left alone.
+   * @param {Date|null} now - Set when the next day is today, which has no room before now
+   * @private
+   */
+  async planCarryOver(projectId, day, config, plan, now) {
+    const nextDay = addDays(day, 1);
+    const dayFile = await this.dataPersistence.loadProjectData(
+      projectId,
+      FILE_NAMES.DAILY_SCHEDULE(nextDay)
+    );
+    const existing = dayFile?.blocks || [];
+    const routine = dailyRoutine(config);
+    const busy = [
+      ...routine.busy,
+      ...(await this.commitments.commitmentsFor(nextDay)),
+      ...existing.map(block => ({ start: this.startOf(block), end: this.endOf(block) })),
+    ];
+    const earliest = now
+      ? Math.max(routine.wake, now.getHours() * 60 + now.getMinutes())
+      : routine.wake;
+    const windows = freeWindows(earliest, routine.sleep, busy, SCHEDULING.MIN_BLOCK_MINUTES);
+    const breakMinutes = this.scheduleGenerator.getBreakDuration(
+      config.life_structure_preferences || {}
+    );
+
+    let next = Math.max(
+      0,
+      ...existing
+        .filter(block => String(block.id).startsWith(SCHEDULING.CARRIED_BLOCK_ID_PREFIX))
+        .map(
+          block => Number(String(block.id).slice(SCHEDULING.CARRIED_BLOCK_ID_PREFIX.length)) || 0
+        )
+    );
+    const blocks = [];
+    const entries = [];
+    for (const block of plan.overflow) {
+      const entry = { task_id: block.taskId || null, title: block.title, to: nextDay };
+      if (
+        block.taskId &&
+        existing.some(other => other.taskId === block.taskId && !other.completed)
+      ) {
+        entries.push({ ...entry, start_time: null, note: 'already planned' });
+        continue;
+      }
+      const minutes = Number(block.duration) || SCHEDULING.MIN_BLOCK_MINUTES;
+      const window = windows.find(candidate => candidate.end - candidate.start >= minutes);
+      if (!window) {
+        entries.push({ ...entry, start_time: null, note: 'no free time; still in the frontier' });
+        continue;
+      }
+      const startTime = this.formatLike(block.startTime, window.start);
+      blocks.push({
+        ...block,
+        id: `${SCHEDULING.CARRIED_BLOCK_ID_PREFIX}${++next}`,
+        startTime,
+        completed: false,
+        carriedFrom: day,
+      });
+      window.start += minutes + breakMinutes;
+      entries.push({ ...entry, start_time: startTime });
+    }
+    return { dayFile, blocks, entries };
+  }
+
+  /**
+   * A block as the model sees it, or null when it cannot be read
+   * @private
+   */
+  toModel(block) {
+    try {
+      return new ScheduleBlock(block);
+    } catch {
+      return null;
+    }
+  }
+
+  isTask(block) {
+    return Boolean(block.taskId) || !DROPPABLE_TYPES.includes(block.type);
+  }
+
+  startOf(block) {
+    return parseClockTime(block.startTime) ?? 0;
+  }
+
+  endOf(block) {
+    return this.startOf(block) + (Number(block.duration) || SCHEDULING.MIN_BLOCK_MINUTES);
+  }
+
+  /**
+   * A time written the way a block's own start time is ("9:30 AM" or "09:30")
+   * @private
+   */
+  formatLike(original, minutes) {
+    return /[AP]M/i.test(String(original))
+      ? this.scheduleGenerator.formatTime(minutes)
+      : formatClockTime(minutes);
+  }
+
+  /**
+   * Today at a given minute, local time
+   * @private
+   */
+  clockAt(minutes) {
+    const real = new Date();
+    return new Date(
+      real.getFullYear(),
+      real.getMonth(),
+      real.getDate(),
+      Math.floor(minutes / 60),
+      minutes % 60
+    );
+  }
+
+  /**
+   * @private
+   */
+  async checkOptions(date, overrunMinutes) {
+    const { ValidationError } = await import('./errors.js');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new ValidationError('date', date, 'a date in YYYY-MM-DD format');
+    }
+    if (typeof overrunMinutes !== 'number' || overrunMinutes < 0) {
+      throw new ValidationError(
+        'overrun_minutes',
+        overrunMinutes,
+        'a number of minutes, 0 or more'
+      );
+    }
+  }
+
+  formatSummary(report) {
+    const lines = [`🔁 Rescheduled ${report.date}`];
+    if (report.extended) {
+      lines.push(`Extended: ${report.extended.title} to ${report.extended.duration} min`);
+    }
+    if (report.moved.length > 0) {
+      lines.push(
+        `Moved: ${report.moved.map(move => `${move.title} ${move.from} → ${move.to}`).join(', ')}`
+      );
+    }
+    if (report.dropped.length > 0) {
+      lines.push(
+        `Dropped: ${report.dropped.map(drop => `${drop.title} (${drop.reason})`).join(', ')}`
+      );
+    }
+    if (report.carried.length > 0) {
+      const carried = report.carried.map(entry =>
+        entry.start_time
+          ? `${entry.title} at ${entry.start_time}`
+          : `${entry.title} (${entry.note})`
+      );
+      lines.push(`Carried to ${report.carried[0].to}: ${carried.join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  textResponse(text) {
+    return { content: [{ type: 'text', text }] };
+  }
+}
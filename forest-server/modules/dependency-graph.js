@@ -0,0 +1,340 @@
+/**
+ * Dependency Graph Module
+ * One view of how an HTA tree's tasks wait on each other. A prerequisite names a task by id or,
+ * in older trees, by title; the graph resolves either to the task (an id wins over a title) and
+ * treats one that names no task as never met. On top of that it answers which tasks are ready or
+ * blocked, whether prerequisites form a cycle, and which chain of unfinished tasks - the critical
+ * path - decides the earliest the whole tree can be finished.
+ */
+
+import { isRecurring } from './recurring-tasks.js';
+import { TaskScorer } from './task-logic/task-scorer.js';
+
+const VISITING = 1;
+const VISITED = 2;
+
+/**
+ * How long a task takes, in minutes; tasks without a readable duration count as 30
+ * @param {Object} node - HTA node
+ * @returns {number}
+ */
+export function durationMinutes(node) {
+  return TaskScorer.parseTimeToMinutes(node.duration);
+}
+
+export class DependencyGraph {
+  /**
+   * @param {Array<Object>} nodes - HTA nodes; a repeated id keeps its first node
+   */
+  constructor(nodes = []) {
+    this.nodes = [];
+    this.byId = new Map();
+    this.byTitle = new Map();
+    for (const node of nodes) {
+      if (!node || this.byId.has(node.id)) {
+        continue;
+      }
+      this.nodes.push(node);
+      this.byId.set(node.id, node);
+      if (node.title && !this.byTitle.has(node.title)) {
+        this.byTitle.set(node.title, node);
+      }
+    }
+    this.dependents = null;
+  }
+
+  /**
+   * The graph of a stored HTA tree, counting the legacy completed_nodes list as finished tasks
+   * @param {Object} htaData - HTA tree with frontierNodes and, optionally, completed_nodes
+   * @returns {DependencyGraph}
+   */
+  static fromHTA(htaData) {
+    const legacy = (htaData?.completed_nodes || []).map(node => ({ ...node, completed: true }));
+    return new DependencyGraph([...(htaData?.frontierNodes || []), ...legacy]);
+  }
+
+  node(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * The task a prerequisite names, by id or title
+   * @param {string} prereq
+   * @returns {Object|null}
+   */
+  resolve(prereq) {
+    return this.byId.get(prereq) || this.byTitle.get(prereq) || null;
+  }
+
+  /**
+   * The tasks a node waits for directly, without duplicates or the node itself
+   * @param {Object} node
+   * @returns {Array<Object>}
+   */
+  prerequisitesOf(node) {
+    const found = new Map();
+    for (const prereq of node.prerequisites || []) {
+      const target = this.resolve(prereq);
+      if (target && target.id !== node.id) {
+        found.set(target.id, target);
+      }
+    }
+    return [...found.values()];
+  }
+
+  /**
+   * The tasks that wait directly for the task with an id
+   * @param {string} id
+   * @returns {Array<Object>}
+   */
+  dependentsOf(id) {
+    if (!this.dependents) {
+      this.dependents = new Map();
+      for (const node of this.nodes) {
+        for (const prereq of this.prerequisitesOf(node)) {
+          this.dependents.set(prereq.id, [...(this.dependents.get(prereq.id) || []), node]);
+        }
+      }
+    }
+    return this.dependents.get(id) || [];
+  }
+
+  /**
+   * Prerequisites, across the tree, that name no task
+   * @returns {Array<string>}
+   */
+  unresolvedPrerequisites() {
+    const unresolved = new Set();
+    for (const node of this.nodes) {
+      for (const prereq of node.prerequisites || []) {
+        if (!this.resolve(prereq)) {
+          unresolved.add(prereq);
+        }
+      }
+    }
+    return [...unresolved];
+  }
+
+  /**
+   * A task is ready when it is not done and every prerequisite names a completed task
+   * @param {Object} node
+   * @returns {boolean}
+   */
+  isReady(node) {
+    if (node.completed) {
+      return false;
+    }
+    return (node.prerequisites || []).every(prereq => Boolean(this.resolve(prereq)?.completed));
+  }
+
+  readyNodes() {
+    return this.nodes.filter(node => this.isReady(node));
+  }
+
+  blockedNodes() {
+    return this.nodes.filter(node => !node.completed && !this.isReady(node));
+  }
+
+  /**
+   * The longest chain of prerequisites below a task; a cycle stops the count
+   * @param {Object} node
+   * @returns {number}
+   */
+  depthOf(node, seen = new Set()) {
+    seen.add(node.id);
+    let depth = 0;
+    for (const prereq of this.prerequisitesOf(node)) {
+      if (!seen.has(prereq.id)) {
+        depth = Math.max(depth, this.depthOf(prereq, new Set(seen)) + 1);
+      }
+    }
+    return depth;
+  }
+
+  /**
+   * The chain of ids by which one task waits, directly or through others, for another
+   * @param {string} fromId - The waiting task
+   * @param {string} toId - The task it may wait for
+   * @returns {Array<string>|null} Ids from fromId to toId, or null when it does not wait for it
+   */
+  waitChain(fromId, toId, seen = new Set()) {
+    const node = this.node(fromId);
+    if (!node || seen.has(fromId)) {
+      return null;
+    }
+    seen.add(fromId);
+    for (const prereq of this.prerequisitesOf(node)) {
+      if (prereq.id === toId) {
+        return [fromId, toId];
+      }
+      const rest = this.waitChain(prereq.id, toId, seen);
+      if (rest) {
+        return [fromId, ...rest];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Every cycle of prerequisites, each once, as the ids of the tasks that wait on each other in
+   * turn
+   * @returns {Array<Array<string>>}
+   */
+  findCycles() {
+    const cycles = [];
+    const state = new Map();
+    const visit = (node, trail) => {
+      state.set(node.id, VISITING);
+      trail.push(node.id);
+      for (const prereq of this.prerequisitesOf(node)) {
+        if (state.get(prereq.id) === VISITING) {
+          cycles.push(trail.slice(trail.indexOf(prereq.id)));
+        } else if (!state.has(prereq.id)) {
+          visit(prereq, trail);
+        }
+      }
+      trail.pop();
+      state.set(node.id, VISITED);
+    };
+    for (const node of this.nodes) {
+      if (!state.has(node.id)) {
+        visit(node, []);
+      }
+    }
+    return cycles;
+  }
+
+  /**
+   * Unfinished one-off tasks; recurring practice never finishes, so it never gates the tree
+   * @private
+   */
+  remainingNodes() {
+    return this.nodes.filter(node => !node.completed && !isRecurring(node));
+  }
+
+  /**
+   * The chain of unfinished tasks with the most work in it, each waiting for the one before.
+   * However much else can be done alongside, the tree cannot be finished sooner than this chain.
+   * Tasks in a cycle, or waiting on one, can never start, so they are left out and listed apart.
+   * @returns {{path: Array<Object>, minutes: number, totalMinutes: number,
+   *   cyclic: Array<string>}}
+   */
+  criticalPath() {
+    const remaining = this.remainingNodes();
+    const waitingOn = new Map(
+      remaining.map(node => [
+        node.id,
+        this.prerequisitesOf(node).filter(prereq => !prereq.completed && !isRecurring(prereq)),
+      ])
+    );
+
+    // Topological order: a task is placed once every unfinished prerequisite is
+    const order = [];
+    const placed = new Set();
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const node of remaining) {
+        if (!placed.has(node.id) && waitingOn.get(node.id).every(p => placed.has(p.id))) {
+          placed.add(node.id);
+          order.push(node);
+          progressed = true;
+        }
+      }
+    }
+
+    const finish = new Map();
+    const via = new Map();
+    for (const node of order) {
+      let start = 0;
+      for (const prereq of waitingOn.get(node.id)) {
+        if (finish.get(prereq.id) > start) {
+          start = finish.get(prereq.id);
+          via.set(node.id, prereq);
+        }
+      }
+      finish.set(node.id, start + durationMinutes(node));
+    }
+
+    let last = null;
+    for (const node of order) {
+      if (!last || finish.get(node.id) > finish.get(last.id)) {
+        last = node;
+      }
+    }
+    const path = [];
+    for (let node = last; node; node = via.get(node.id)) {
+      path.unshift(node);
+    }
+
+    return {
+      path,
+      minutes: last ? finish.get(last.id) : 0,
+      totalMinutes: order.reduce((sum, node) => sum + durationMinutes(node), 0),
+      cyclic: remaining.filter(node => !placed.has(node.id)).map(node => node.id),
+    };
+  }
+
+  /**
+   * Every unfinished task that waits, directly or through others, for the task with an id
+   * @param {string} id
+   * @returns {Array<Object>}
+   */
+  downstream(id) {
+    const found = new Map();
+    const queue = [id];
+    while (queue.length > 0) {
+      for (const dependent of this.dependentsOf(queue.shift())) {
+        if (!found.has(dependent.id) && dependent.id !== id) {
+          found.set(dependent.id, dependent);
+          queue.push(dependent.id);
+        }
+      }
+    }
+    return [...found.values()].filter(node => !node.completed && !isRecurring(node));
+  }
+
+  /**
+   * The unfinished tasks that hold up the most other work, most first
+   * @param {number} [limit]
+   * @returns {Array<{node: Object, downstream: number, downstreamMinutes: number,
+   *   ready: boolean}>}
+   */
+  gatingTasks(limit = Infinity) {
+    return this.remainingNodes()
+      .map(node => {
+        const waiting = this.downstream(node.id);
+        return {
+          node,
+          downstream: waiting.length,
+          downstreamMinutes: waiting.reduce((sum, entry) => sum + durationMinutes(entry), 0),
+          ready: this.isReady(node),
+        };
+      })
+      .filter(entry => entry.downstream > 0)
+      .sort((a, b) => b.downstream - a.downstream || b.downstreamMinutes - a.downstreamMinutes)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Point newly added tasks' prerequisites at task ids. A title may name a task already in the tree
+ * or one added alongside; a prerequisite that names no task is dropped.
+ * @param {Object} htaData - HTA tree the new nodes are already in
+ * @param {Array<Object>} newNodes - The added nodes, changed in place
+ * @returns {Array<Array<Object>>} Cycles of prerequisites the new tasks take part in
+ */
+export function linkPrerequisites(htaData, newNodes) {
+  const byName = DependencyGraph.fromHTA(htaData);
+  for (const node of newNodes) {
+    const ids = (node.prerequisites || []).map(prereq => byName.resolve(prereq)?.id);
+    node.prerequisites = [...new Set(ids)].filter(id => id && id !== node.id);
+  }
+
+  const graph = DependencyGraph.fromHTA(htaData);
+  const added = new Set(newNodes.map(node => node.id));
+  return graph
+    .findCycles()
+    .filter(cycle => cycle.some(id => added.has(id)))
+    .map(cycle => cycle.map(id => graph.node(id)));
+}
@@ -74,6 +74,37 @@ export class DataPersistenceError extends ForestError {
   }
 }
 
+export class LockAcquisitionError extends ForestError {
+  constructor(resource, timeoutMs, holder = null, context = {}) {
+    const heldBy = holder?.pid
+      ? ` (held by pid ${holder.pid} on ${holder.hostname} since ${holder.acquiredAt})`
+      : '';
+    super(
+      `Could not acquire lock on '${resource}' within ${timeoutMs}ms${heldBy}. Another Forest process is writing the same data; retry shortly.`,
+      {
+        context: { resource, timeoutMs, holder, ...context },
+      }
+    );
+    this.resource = resource;
+    this.timeoutMs = timeoutMs;
+    this.holder = holder;
+  }
+}
+
+export class WriteConflictError extends ForestError {
+  constructor(resource, readVersion, storedVersion, context = {}) {
+    super(
+      `'${resource}' was changed by another Forest process after it was read, so saving it would overwrite that change. Reload it and retry.`,
+      {
+        context: { resource, readVersion, storedVersion, ...context },
+      }
+    );
+    this.resource = resource;
+    this.readVersion = readVersion;
+    this.storedVersion = storedVersion;
+  }
+}
+
 export class ToolDispatchError extends ForestError {
   constructor(toolName, cause, args = {}) {
     super(`Tool '${toolName}' execution failed`, {
@@ -99,6 +130,72 @@ export class ValidationError extends ForestError {
   }
 }
 
+export class DocumentValidationError extends ForestError {
+  constructor(documentKey, problems, context = {}) {
+    const summary = problems.map(({ path, message }) => (path ? `${path}: ${message}` : message));
+    super(`Document '${documentKey}' failed schema validation: ${summary.join('; ')}`, {
+      context: { documentKey, problems, ...context },
+    });
+    this.documentKey = documentKey;
+    this.problems = problems;
+  }
+}
+
+export class RequestValidationError extends ForestError {
+  constructor(operation, problems, context = {}) {
+    const summary = problems.map(({ path, message }) => (path ? `${path}: ${message}` : message));
+    super(`Invalid request for ${operation}: ${summary.join('; ')}`, {
+      context: { operation, problems, ...context },
+    });
+    this.operation = operation;
+    this.problems = problems;
+  }
+}
+
+export class ResourceNotFoundError extends ForestError {
+  constructor(resource, id, context = {}) {
+    super(`${resource} '${id}' not found`, {
+      context: { resource, id, ...context },
+    });
+    this.resource = resource;
+    this.id = id;
+  }
+}
+
+export class AuthenticationError extends ForestError {
+  constructor(reason, context = {}) {
+    super(`Authentication required: ${reason}`, {
+      context: { reason, ...context },
+    });
+    this.reason = reason;
+  }
+}
+
+export class AuthorizationError extends ForestError {
+  constructor(action, userId, context = {}) {
+    super(`User '${userId}' is not allowed to ${action}`, {
+      context: { action, userId, ...context },
+    });
+    this.action = action;
+    this.userId = userId;
+  }
+}
+
+export class LlmProviderError extends ForestError {
+  constructor(provider, reason, cause = null, context = {}) {
+    super(`LLM provider '${provider}' failed: ${reason}`, {
+      cause,
+      context: { provider, reason, ...context },
+    });
+    this.provider = provider;
+    this.reason = reason;
+    this.status = context.status ?? null;
+    // Rate limits, server errors, timeouts and network failures are worth another attempt
+    this.retryable =
+      context.retryable ?? (this.status === null || this.status === 429 || this.status >= 500);
+  }
+}
+
 export class MemorySyncError extends ForestError {
   constructor(operation, cause, context = {}) {
     super(`Memory synchronization failed for operation: ${operation}`, {
@@ -156,3 +253,29 @@ export function extractErrorInfo(error) {
     stack: error.stack,
   };
 }
+
+// HTTP status for each error class, most specific first (used by the REST API)
+const HTTP_STATUS_BY_ERROR = [
+  [RequestValidationError, 400],
+  [ValidationError, 400],
+  [RequiredFieldsError, 400],
+  [AuthenticationError, 401],
+  [AuthorizationError, 403],
+  [DocumentValidationError, 422],
+  [ProjectConfigurationError, 404],
+  [ResourceNotFoundError, 404],
+  [NoActiveProjectError, 409],
+  [WriteConflictError, 409],
+  [LockAcquisitionError, 503],
+  [LlmProviderError, 502],
+];
+
+// Utility function to map an error to the HTTP status code that describes it
+export function httpStatusForError(error) {
+  if (error instanceof ToolDispatchError && error.cause instanceof Error) {
+    // Report what went wrong inside the tool, not the dispatch wrapper
+    return httpStatusForError(error.cause);
+  }
+  const match = HTTP_STATUS_BY_ERROR.find(([ErrorClass]) => error instanceof ErrorClass);
+  return match ? match[1] : 500;
+}
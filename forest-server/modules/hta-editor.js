@@ -0,0 +1,678 @@
+/**
+ * HTA Editor Module
+ * Hand edits to the active path's HTA tree, addressed by id: add a task, edit a task or branch,
+ * move either one to another branch or position, split a task into subtasks, and delete a task or
+ * branch. Task fields are checked through the HtaNode model, prerequisites must name tasks in the
+ * tree and may never form a cycle, and tasks that depended on a split or deleted task are pointed
+ * at what replaces it.
+ */
+
+import { HtaNode } from '../models/index.js';
+import { DEFAULT_PATHS, FILE_NAMES, TASK_CONFIG } from './constants.js';
+import { DependencyGraph } from './dependency-graph.js';
+import { isRecurring } from './recurring-tasks.js';
+import { bus } from './utils/event-bus.js';
+
+const NODE_ID_PATTERN = /^node_(\d+)$/;
+// What HtaNode.getDurationInMinutes can read
+const DURATION_PATTERN = /\d+\s*minutes?/i;
+const TASK_FIELDS = ['title', 'description', 'difficulty', 'priority', 'duration', 'prerequisites'];
+const BRANCH_FIELDS = ['title', 'description'];
+const MIN_SPLIT_MINUTES = 5;
+const MIN_SUBTASKS = 2;
+
+const defined = fields =>
+  Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+export class HtaEditor {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {import('./utils/event-bus.js').EventBus} [eventBus]
+   */
+  constructor(dataPersistence, projectManagement, eventBus = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.eventBus = eventBus || bus;
+  }
+
+  /**
+   * Add a task to a branch
+   * @param {Object} options
+   * @param {string} options.title
+   * @param {string} options.branch - Id of the branch it belongs to
+   * @param {string} [options.description]
+   * @param {number} [options.difficulty]
+   * @param {number} [options.priority]
+   * @param {string|number} [options.duration] - e.g. "45 minutes", or minutes
+   * @param {Array<string>} [options.prerequisites] - Ids of tasks to do first
+   * @param {number} [options.position] - Place among the branch's tasks, from 0 (defaults to last)
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async addNode({ title, branch, position, ...fields } = {}) {
+    return await this.edit('addNode', { title, branch }, async tree => {
+      const { RequiredFieldsError, ValidationError } = await import('./errors.js');
+      const missing = [!title && 'title', !branch && 'branch'].filter(Boolean);
+      if (missing.length > 0) {
+        throw new RequiredFieldsError(missing, 'add_node');
+      }
+      if (!this.isKnownBranch(tree, branch)) {
+        throw new ValidationError('branch', branch, this.expectedBranch(tree));
+      }
+
+      const id = this.nextNodeId(tree);
+      const supplied = defined({ title, ...fields });
+      await this.checkPrerequisites(tree, id, supplied.prerequisites);
+      const node = {
+        ...(await this.modelFields({ id, branch, ...supplied }, supplied)),
+        id,
+        branch,
+        ...this.branchInfo(tree, branch),
+        created_at: new Date().toISOString(),
+        completed: false,
+      };
+      this.insertTask(tree, node, position);
+
+      return {
+        text: `➕ Added "${node.title}" (${id}) to ${this.branchTitle(tree, branch)}.`,
+        node,
+      };
+    });
+  }
+
+  /**
+   * Change a task's fields, or a branch's title and description
+   * @param {Object} options
+   * @param {string} options.nodeId - Task or branch id
+   * @param {string} [options.title]
+   * @param {string} [options.description]
+   * @param {number} [options.difficulty] - Tasks only, as are the fields below
+   * @param {number} [options.priority]
+   * @param {string|number} [options.duration]
+   * @param {Array<string>} [options.prerequisites] - Replaces the task's prerequisites
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async updateNode({ nodeId, ...changes } = {}) {
+    return await this.edit('updateNode', { nodeId }, async tree => {
+      const { ValidationError } = await import('./errors.js');
+      const target = await this.requireTarget(tree, nodeId);
+      const supplied = defined(changes);
+      const fields = Object.keys(supplied);
+      if (fields.length === 0) {
+        throw new ValidationError('fields', 'none', `at least one of ${TASK_FIELDS.join(', ')}`);
+      }
+
+      const allowed = target.branch ? BRANCH_FIELDS : TASK_FIELDS;
+      const unsupported = fields.find(field => !allowed.includes(field));
+      if (unsupported) {
+        throw new ValidationError(
+          unsupported,
+          supplied[unsupported],
+          `one of the editable fields ${allowed.join(', ')}`
+        );
+      }
+
+      if (target.branch) {
+        if ('title' in supplied && !String(supplied.title).trim()) {
+          throw new ValidationError('title', supplied.title, 'a non-empty title');
+        }
+        Object.assign(target.branch, {
+          ...supplied,
+          ...(supplied.title ? { title: supplied.title.trim() } : {}),
+          updated_at: new Date().toISOString(),
+        });
+        return {
+          text: `✏️ Updated branch "${target.branch.title}" (${nodeId}): ${fields.join(', ')}.`,
+          branch: this.branchSummary(target.branch),
+          changed: fields,
+        };
+      }
+
+      const node = target.node;
+      await this.checkPrerequisites(tree, node.id, supplied.prerequisites);
+      const normalised = await this.modelFields({ ...node, ...supplied }, supplied);
+      const updated = { ...node };
+      for (const field of fields) {
+        updated[field] = normalised[field];
+      }
+      tree.frontierNodes.splice(target.index, 1, updated);
+
+      // Tasks that name this one by title follow the new title
+      if (updated.title !== node.title) {
+        this.replacePrerequisite(tree, node.title, [updated.title]);
+      }
+
+      return {
+        text: `✏️ Updated "${updated.title}" (${node.id}): ${fields.join(', ')}.`,
+        node: updated,
+        changed: fields,
+      };
+    });
+  }
+
+  /**
+   * Move a task to another branch, or a branch under another branch, and/or to a new position
+   * among its siblings
+   * @param {Object} options
+   * @param {string} options.nodeId - Task or branch id
+   * @param {string} [options.parentId] - Branch to move into; for a branch, "" moves it to the
+   *   top level. Omit to stay in place and only reorder.
+   * @param {number} [options.position] - Place among the siblings, from 0 (defaults to last)
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async moveNode({ nodeId, parentId, position } = {}) {
+    return await this.edit('moveNode', { nodeId, parentId, position }, async tree => {
+      const { ValidationError } = await import('./errors.js');
+      const target = await this.requireTarget(tree, nodeId);
+      if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+        throw new ValidationError('position', position, 'a whole number of 0 or more');
+      }
+
+      if (target.node) {
+        const to = parentId || target.node.branch;
+        if (!this.isKnownBranch(tree, to)) {
+          throw new ValidationError('parent_id', parentId, this.expectedBranch(tree));
+        }
+        const [node] = tree.frontierNodes.splice(target.index, 1);
+        const moved = {
+          ...node,
+          branch: to,
+          ...(node.branch_path !== undefined || node.branch_depth !== undefined
+            ? this.branchInfo(tree, to)
+            : {}),
+        };
+        this.insertTask(tree, moved, position);
+        return {
+          text: `↪️ Moved "${node.title}" from ${this.branchTitle(tree, node.branch)} to ${this.branchTitle(tree, to)}.`,
+          node: moved,
+          from: node.branch,
+          to,
+        };
+      }
+
+      const { branch, siblings, parent } = target;
+      const newParent =
+        parentId === undefined ? parent : parentId ? this.findBranch(tree, parentId) : null;
+      if (parentId && !newParent) {
+        throw new ValidationError('parent_id', parentId, this.expectedBranch(tree));
+      }
+      if (newParent && this.branchesUnder(branch).includes(newParent.branch)) {
+        throw new ValidationError('parent_id', parentId, `a branch outside "${branch.title}"`);
+      }
+
+      siblings.splice(siblings.indexOf(branch), 1);
+      const destination = newParent
+        ? (newParent.branch.sub_branches ||= [])
+        : tree.strategicBranches;
+      destination.splice(position ?? destination.length, 0, branch);
+      branch.parent_id = newParent ? newParent.branch.id : null;
+      this.setDepths(branch, newParent ? (newParent.branch.depth || 1) + 1 : 1);
+
+      return {
+        text: `↪️ Moved branch "${branch.title}" ${newParent ? `under "${newParent.branch.title}"` : 'to the top level'}.`,
+        branch: this.branchSummary(branch),
+        from: parent?.branch.id || null,
+        to: branch.parent_id,
+      };
+    });
+  }
+
+  /**
+   * Replace a task with smaller subtasks in its place. The first subtask takes over the task's
+   * prerequisites and, when sequential, each further one waits for the one before; tasks that
+   * waited for the split task wait for the last subtask (or all of them).
+   * @param {Object} options
+   * @param {string} options.nodeId - Task id
+   * @param {Array<Object>} options.subtasks - At least two, each with a title and optionally a
+   *   description, duration and difficulty
+   * @param {boolean} [options.sequential=true] - Chain the subtasks in the order given
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async splitNode({ nodeId, subtasks = [], sequential = true } = {}) {
+    return await this.edit('splitNode', { nodeId }, async tree => {
+      const { ValidationError } = await import('./errors.js');
+      const target = await this.requireTarget(tree, nodeId);
+      if (!target.node) {
+        throw new ValidationError('node_id', nodeId, 'the id of a task, not a branch');
+      }
+      const original = target.node;
+      if (original.completed || isRecurring(original)) {
+        throw new ValidationError(
+          'node_id',
+          nodeId,
+          'a task that is neither completed nor recurring'
+        );
+      }
+      if (!Array.isArray(subtasks) || subtasks.length < MIN_SUBTASKS) {
+        throw new ValidationError(
+          'subtasks',
+          subtasks?.length ?? subtasks,
+          'at least two subtasks'
+        );
+      }
+
+      const minutes = new HtaNode(original).getDurationInMinutes();
+      const share = `${Math.max(MIN_SPLIT_MINUTES, Math.round(minutes / subtasks.length))} minutes`;
+      const first = Number(this.nextNodeId(tree).match(NODE_ID_PATTERN)[1]);
+      const created = [];
+      for (const [index, subtask] of subtasks.entries()) {
+        const id = `node_${first + index}`;
+        const supplied = defined({
+          title: subtask?.title,
+          description: subtask?.description,
+          duration: subtask?.duration,
+          difficulty: subtask?.difficulty,
+        });
+        const previous = created[created.length - 1];
+        const prerequisites =
+          index === 0 || !sequential ? [...(original.prerequisites || [])] : [previous.id];
+        created.push({
+          ...original,
+          ...(await this.modelFields(
+            {
+              ...original,
+              id,
+              duration: share,
+              description: '',
+              ...supplied,
+              prerequisites,
+            },
+            supplied
+          )),
+          id,
+          prerequisites,
+          created_at: new Date().toISOString(),
+          split_from: original.id,
+        });
+      }
+
+      tree.frontierNodes.splice(target.index, 1, ...created);
+      const waiting = sequential ? [created[created.length - 1].id] : created.map(node => node.id);
+      const updated = [
+        ...this.replacePrerequisite(tree, original.id, waiting),
+        ...this.replacePrerequisite(tree, original.title, waiting),
+      ];
+
+      return {
+        text:
+          `✂️ Split "${original.title}" into ${created.length} subtasks: ` +
+          `${created.map(node => `${node.title} (${node.id})`).join(', ')}.`,
+        removed: original.id,
+        subtasks: created,
+        updated_prerequisites: [...new Set(updated)],
+      };
+    });
+  }
+
+  /**
+   * Delete a task, or a branch with everything in it. Tasks that waited for a deleted task wait
+   * for its own prerequisites instead, so their order is kept.
+   * @param {Object} options
+   * @param {string} options.nodeId - Task or branch id
+   * @param {boolean} [options.cascade=false] - Required to delete a branch that is not empty
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async deleteNode({ nodeId, cascade = false } = {}) {
+    return await this.edit('deleteNode', { nodeId, cascade }, async tree => {
+      const { ValidationError } = await import('./errors.js');
+      const target = await this.requireTarget(tree, nodeId);
+
+      let tasks = target.node ? [target.node] : [];
+      let branchIds = [];
+      if (target.branch) {
+        branchIds = this.branchesUnder(target.branch).map(branch => branch.id);
+        tasks = tree.frontierNodes.filter(node => branchIds.includes(node.branch));
+        if ((tasks.length > 0 || branchIds.length > 1) && !cascade) {
+          throw new ValidationError(
+            'cascade',
+            cascade,
+            `true to delete "${target.branch.title}" with its ${tasks.length} tasks and ${branchIds.length - 1} sub-branches`
+          );
+        }
+        target.siblings.splice(target.siblings.indexOf(target.branch), 1);
+      }
+
+      // A deleted task's prerequisites pass through any other deleted task it waited for
+      const deletedTask = prereq => tasks.find(task => task.id === prereq || task.title === prereq);
+      const inheritedFrom = (task, seen = new Set()) => {
+        seen.add(task.id);
+        return (task.prerequisites || []).flatMap(prereq => {
+          const deleted = deletedTask(prereq);
+          if (!deleted) {
+            return [prereq];
+          }
+          return seen.has(deleted.id) ? [] : inheritedFrom(deleted, seen);
+        });
+      };
+
+      const deletedIds = tasks.map(task => task.id);
+      tree.frontierNodes = tree.frontierNodes.filter(node => !deletedIds.includes(node.id));
+      const updated = [];
+      for (const task of tasks) {
+        const inherited = [...new Set(inheritedFrom(task))];
+        updated.push(
+          ...this.replacePrerequisite(tree, task.id, inherited),
+          ...this.replacePrerequisite(tree, task.title, inherited)
+        );
+      }
+
+      const name = target.node ? `"${target.node.title}"` : `branch "${target.branch.title}"`;
+      const extra = target.branch && tasks.length > 0 ? ` and its ${tasks.length} tasks` : '';
+      return {
+        text: `🗑️ Deleted ${name}${extra}.`,
+        deleted: deletedIds,
+        deleted_branches: branchIds,
+        updated_prerequisites: [...new Set(updated)],
+      };
+    });
+  }
+
+  /**
+   * Load the active path's tree, apply an edit to a copy and save it
+   * @private
+   */
+  async edit(operation, context, work) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error('Project configuration not found');
+      }
+      const pathName = config.activePath || DEFAULT_PATHS.GENERAL;
+      const stored = await this.loadPathHTA(projectId, pathName);
+      if (!stored) {
+        return this.textResponse(
+          `❌ No HTA tree found for "${pathName}" path. Use \`build_hta_tree\` first.`
+        );
+      }
+
+      const tree = JSON.parse(JSON.stringify(stored));
+      tree.frontierNodes = tree.frontierNodes || [];
+      tree.strategicBranches = tree.strategicBranches || [];
+      const { text, ...result } = await work(tree);
+      this.recount(tree);
+      tree.lastUpdated = new Date().toISOString();
+      await this.savePathHTA(projectId, pathName, tree);
+
+      return { content: [{ type: 'text', text }], path: pathName, ...result };
+    } catch (error) {
+      await this.dataPersistence.logError(operation, error, context);
+      return this.textResponse(`Error editing HTA tree: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a task's fields through the HtaNode model. A supplied value the model would have to
+   * replace is rejected rather than silently changed.
+   * @returns {Promise<Object>} The model's title, description, difficulty, priority, duration and
+   *   prerequisites
+   * @private
+   */
+  async modelFields(fields, supplied) {
+    const { ValidationError } = await import('./errors.js');
+    if ('title' in supplied && !(typeof supplied.title === 'string' && supplied.title.trim())) {
+      throw new ValidationError('title', supplied.title, 'a non-empty title');
+    }
+    const model = new HtaNode({ ...fields, title: fields.title.trim() });
+
+    const checks = {
+      difficulty: [
+        model.difficulty === supplied.difficulty,
+        `a whole number from ${TASK_CONFIG.MIN_DIFFICULTY} to ${TASK_CONFIG.MAX_DIFFICULTY}`,
+      ],
+      priority: [model.priority === supplied.priority, 'a whole number of 0 or more'],
+      duration: [
+        typeof supplied.duration === 'number'
+          ? Number.isInteger(supplied.duration) && supplied.duration > 0
+          : model.duration === String(supplied.duration).trim() &&
+            DURATION_PATTERN.test(model.duration),
+        'a duration in minutes such as "45 minutes"',
+      ],
+      prerequisites: [
+        Array.isArray(supplied.prerequisites) &&
+          model.prerequisites.length === supplied.prerequisites.length,
+        'a list of task ids',
+      ],
+    };
+    for (const [field, [valid, expected]] of Object.entries(checks)) {
+      if (field in supplied && !valid) {
+        throw new ValidationError(field, supplied[field], expected);
+      }
+    }
+
+    return {
+      title: model.title,
+      description: model.description,
+      difficulty: model.difficulty,
+      priority: model.priority,
+      duration: model.duration,
+      prerequisites: model.prerequisites,
+    };
+  }
+
+  /**
+   * Prerequisites must be other tasks in the tree that do not, in turn, wait for this one
+   * @private
+   */
+  async checkPrerequisites(tree, nodeId, prerequisites) {
+    if (!Array.isArray(prerequisites)) {
+      return;
+    }
+    const { ValidationError } = await import('./errors.js');
+    const graph = new DependencyGraph(tree.frontierNodes);
+    for (const prereq of prerequisites) {
+      const node = graph.resolve(prereq);
+      if (!node || node.id === nodeId) {
+        throw new ValidationError('prerequisites', prereq, 'the id of another task in the tree');
+      }
+      if (graph.waitChain(node.id, nodeId)) {
+        throw new ValidationError(
+          'prerequisites',
+          prereq,
+          `a task that does not itself wait for ${nodeId}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Swap a prerequisite for others in every task that has it
+   * @returns {Array<string>} Ids of the tasks changed
+   * @private
+   */
+  replacePrerequisite(tree, prereq, replacements) {
+    const changed = [];
+    tree.frontierNodes = tree.frontierNodes.map(node => {
+      if (!(node.prerequisites || []).includes(prereq)) {
+        return node;
+      }
+      changed.push(node.id);
+      const prerequisites = node.prerequisites.flatMap(entry =>
+        entry === prereq ? replacements : [entry]
+      );
+      return {
+        ...node,
+        prerequisites: [...new Set(prerequisites)].filter(
+          entry => entry !== node.id && entry !== node.title
+        ),
+      };
+    });
+    return changed;
+  }
+
+  /**
+   * The task or branch an id names
+   * @returns {Promise<{node: Object, index: number}|{branch: Object, siblings: Array<Object>,
+   *   parent: Object|null}>}
+   * @private
+   */
+  async requireTarget(tree, nodeId) {
+    const index = tree.frontierNodes.findIndex(node => node.id === nodeId);
+    if (index !== -1) {
+      return { node: tree.frontierNodes[index], index };
+    }
+    const found = this.findBranch(tree, nodeId);
+    if (found) {
+      return found;
+    }
+    const { ValidationError } = await import('./errors.js');
+    throw new ValidationError('node_id', nodeId, 'the id of a task or branch in the tree');
+  }
+
+  /**
+   * A branch anywhere in the tree, with the list that holds it and its parent entry
+   * @private
+   */
+  findBranch(tree, branchId, branches = tree.strategicBranches, parent = null) {
+    for (const branch of branches) {
+      if (branch.id === branchId) {
+        return { branch, siblings: branches, parent };
+      }
+      const found = this.findBranch(tree, branchId, branch.sub_branches || [], {
+        branch,
+        siblings: branches,
+        parent,
+      });
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A branch and every branch below it
+   * @private
+   */
+  branchesUnder(branch) {
+    return [branch, ...(branch.sub_branches || []).flatMap(sub => this.branchesUnder(sub))];
+  }
+
+  /**
+   * What a branch argument should have been, for validation errors
+   * @private
+   */
+  expectedBranch(tree) {
+    const ids = this.branchIds(tree);
+    return ids.length > 0
+      ? `one of ${ids.join(', ')}`
+      : 'an existing branch, but the tree has no branches yet; run generate_hta_tasks or import_hta first';
+  }
+
+  branchIds(tree) {
+    const ids = tree.strategicBranches.flatMap(branch =>
+      this.branchesUnder(branch).map(entry => entry.id)
+    );
+    return [...new Set([...ids, ...tree.frontierNodes.map(node => node.branch).filter(Boolean)])];
+  }
+
+  /**
+   * Branches are those in strategicBranches plus any a task already names
+   * @private
+   */
+  isKnownBranch(tree, branchId) {
+    return Boolean(branchId) && this.branchIds(tree).includes(branchId);
+  }
+
+  branchTitle(tree, branchId) {
+    return `"${this.findBranch(tree, branchId)?.branch.title || branchId}"`;
+  }
+
+  /**
+   * The branch_path and branch_depth a task in a branch carries
+   * @private
+   */
+  branchInfo(tree, branchId) {
+    const chain = [];
+    for (let entry = this.findBranch(tree, branchId); entry; entry = entry.parent) {
+      chain.unshift(entry.branch.title);
+    }
+    return chain.length > 0 ? { branch_path: chain.join(' → '), branch_depth: chain.length } : {};
+  }
+
+  setDepths(branch, depth) {
+    branch.depth = depth;
+    for (const sub of branch.sub_branches || []) {
+      this.setDepths(sub, depth + 1);
+    }
+  }
+
+  branchSummary(branch) {
+    const { sub_branches: subBranches = [], ...rest } = branch;
+    return { ...rest, sub_branches: subBranches.map(sub => sub.id) };
+  }
+
+  /**
+   * Put a task among its branch's tasks: before the one at `position`, or after the last
+   * @private
+   */
+  insertTask(tree, node, position) {
+    const siblings = tree.frontierNodes.filter(other => other.branch === node.branch);
+    const before = position === undefined || position === null ? null : siblings[position];
+    const last = siblings[siblings.length - 1];
+    const index = before
+      ? tree.frontierNodes.indexOf(before)
+      : last
+        ? tree.frontierNodes.indexOf(last) + 1
+        : tree.frontierNodes.length;
+    tree.frontierNodes.splice(index, 0, node);
+  }
+
+  /**
+   * The next free node_N id
+   * @private
+   */
+  nextNodeId(tree) {
+    const numbers = tree.frontierNodes
+      .map(node => NODE_ID_PATTERN.exec(String(node.id)))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+    return `node_${Math.max(0, ...numbers) + 1}`;
+  }
+
+  /**
+   * Bring the branch task counts and hierarchy metadata in line with the tasks
+   * @private
+   */
+  recount(tree) {
+    const count = branch => {
+      const own = tree.frontierNodes.filter(node => node.branch === branch.id).length;
+      const total = (branch.sub_branches || []).reduce((sum, sub) => sum + count(sub), own);
+      if (branch.task_count !== undefined) {
+        branch.task_count = own;
+        branch.total_task_count = total;
+      }
+      return total;
+    };
+    tree.strategicBranches.forEach(count);
+    if (tree.hierarchy_metadata) {
+      tree.hierarchy_metadata.total_branches = tree.strategicBranches.length;
+      tree.hierarchy_metadata.total_tasks = tree.frontierNodes.length;
+    }
+  }
+
+  async loadPathHTA(projectId, pathName) {
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
+    }
+    return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+  }
+
+  async savePathHTA(projectId, pathName, htaData) {
+    const saved =
+      pathName === DEFAULT_PATHS.GENERAL
+        ? await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, htaData)
+        : await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData);
+
+    this.eventBus.emit(
+      'project:files_changed',
+      { projectId, pathName, files: [FILE_NAMES.HTA] },
+      'HtaEditor'
+    );
+    return saved;
+  }
+
+  textResponse(text) {
+    return { content: [{ type: 'text', text }] };
+  }
+}
@@ -0,0 +1,457 @@
+/**
+ * HTA Exchange Module
+ * Takes the active path's HTA tree out of Forest in formats other tools can show: a Mermaid
+ * mindmap or flowchart, a Graphviz DOT graph with prerequisite edges and tasks coloured by
+ * completion, or an OPML outline. The export can be narrowed to one branch and a number of levels.
+ * Curricula written as markdown outlines, OPML or CSV come in the other way, as the same
+ * branch_tasks generate_hta_tasks stores, after a preview of what they would create if wanted.
+ */
+
+import { DEFAULT_PATHS, FILE_NAMES } from './constants.js';
+import { DependencyGraph, linkPrerequisites } from './dependency-graph.js';
+import { describeRecurrence, isRecurring } from './recurring-tasks.js';
+import { FileSystem } from './utils/file-system.js';
+import {
+  flattenOutline,
+  parseCsvOutline,
+  parseMarkdownOutline,
+  parseOpml,
+  renderDot,
+  renderMermaidFlowchart,
+  renderMermaidMindmap,
+  renderOpml,
+} from './utils/hta-formats.js';
+
+// Each export format, with the fence language its text is shown in
+const EXPORT_FORMATS = {
+  mermaid_mindmap: { render: outline => renderMermaidMindmap(outline), fence: 'mermaid' },
+  mermaid_flowchart: {
+    render: (outline, prerequisites) => renderMermaidFlowchart(outline, prerequisites),
+    fence: 'mermaid',
+  },
+  dot: { render: (outline, prerequisites) => renderDot(outline, prerequisites), fence: 'dot' },
+  opml: { render: outline => renderOpml(outline), fence: 'xml' },
+};
+
+// Each import format, with the file extensions it is recognised by
+const IMPORT_FORMATS = {
+  markdown: { parse: parseMarkdownOutline, extensions: ['.md', '.markdown', '.txt'] },
+  opml: { parse: parseOpml, extensions: ['.opml', '.xml'] },
+  csv: { parse: parseCsvOutline, extensions: ['.csv', '.tsv'] },
+};
+const IMPORT_DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?)?$/i;
+const MINUTES_PER_HOUR = 60;
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 5;
+// Branch for tasks an outline lists outside any branch, when it has no title of its own
+const UNSORTED_BRANCH = 'Imported';
+
+export class HtaExchange {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {Object} [options]
+   * @param {Function} [options.storeGeneratedTasks] - Stores generate_hta_tasks branch_tasks
+   */
+  constructor(dataPersistence, projectManagement, options = {}) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.storeGeneratedTasks = options.storeGeneratedTasks || null;
+  }
+
+  /**
+   * Render the active path's HTA tree
+   * @param {Object} [options]
+   * @param {string} [options.format='mermaid_mindmap'] - mermaid_mindmap, mermaid_flowchart, dot
+   *   or opml
+   * @param {string} [options.branch] - Id or title of the branch to export instead of the whole tree
+   * @param {number} [options.depth] - Levels below the goal (or branch) to include; tasks sit one
+   *   level below their branch
+   * @param {string} [options.outputPath] - File to write the export to as well, relative to the
+   *   exports directory of the data directory (see DataPersistence.resolveExchangePath)
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async exportHta({
+    format = 'mermaid_mindmap',
+    branch = null,
+    depth = null,
+    outputPath = null,
+  } = {}) {
+    try {
+      const { ValidationError } = await import('./errors.js');
+      if (!EXPORT_FORMATS[format]) {
+        throw new ValidationError('format', format, Object.keys(EXPORT_FORMATS).join(', '));
+      }
+      if (depth !== null && depth !== undefined && !(Number.isInteger(depth) && depth > 0)) {
+        throw new ValidationError('depth', depth, 'a whole number of levels, at least 1');
+      }
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const pathName = config?.activePath || DEFAULT_PATHS.GENERAL;
+      const hta = await this.loadPathHTA(projectId, pathName);
+      if (!hta?.frontierNodes?.length && !hta?.strategicBranches?.length) {
+        return this.textResponse(
+          `❌ No HTA tree found for "${pathName}" path. Use \`build_hta_tree\` first.`
+        );
+      }
+
+      const graph = DependencyGraph.fromHTA(hta);
+      let outline = this.buildOutline(hta, graph, hta.goal || config?.goal || pathName);
+      if (branch) {
+        outline = flattenOutline(outline).find(
+          item => item.kind === 'branch' && (item.id === branch || item.title === branch)
+        );
+        if (!outline) {
+          throw new ValidationError('branch', branch, 'the id or title of a branch in the tree');
+        }
+      }
+      if (depth) {
+        this.prune(outline, depth);
+      }
+
+      const items = flattenOutline(outline);
+      const tasks = new Map(
+        items.filter(item => item.kind === 'task').map(item => [item.node.id, item])
+      );
+      const prerequisites = [...tasks.values()].flatMap(item =>
+        graph
+          .prerequisitesOf(item.node)
+          .filter(prereq => tasks.has(prereq.id))
+          .map(prereq => [tasks.get(prereq.id), item])
+      );
+      const { render, fence } = EXPORT_FORMATS[format];
+      const rendered = render(outline, prerequisites);
+
+      const outputFile = outputPath
+        ? await this.dataPersistence.resolveExchangePath(outputPath, 'output_path')
+        : null;
+      if (outputFile) {
+        await FileSystem.ensureDir(FileSystem.dirname(outputFile.path));
+        await FileSystem.writeFile(outputFile.path, rendered);
+      }
+
+      const counts = {
+        branches: items.filter(item => item.kind === 'branch').length,
+        tasks: tasks.size,
+      };
+      const saved = outputFile ? `\n\n**File**: ${outputFile.name}` : '';
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `🗺️ **${outline.title}** as ${format}: ${counts.branches} branches, ${counts.tasks} tasks${saved}\n\n` +
+              `\`\`\`${fence}\n${rendered}\`\`\``,
+          },
+        ],
+        format,
+        path: pathName,
+        export: rendered,
+        counts,
+        ...(outputFile ? { output_path: outputFile.name } : {}),
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('exportHta', error, { format, branch, depth });
+      return this.textResponse(`Error exporting HTA tree: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import a markdown outline, OPML file or CSV into the active path's HTA tree. Branches and
+   * sub-branches are created or added to the way generate_hta_tasks does it, and prerequisites
+   * may name imported tasks or ones already in the tree by title.
+   * @param {Object} options
+   * @param {string} [options.filePath] - File to import, relative to the exports directory of the
+   *   data directory
+   * @param {string} [options.content] - Outline text, instead of a file
+   * @param {string} [options.format] - markdown, opml or csv; by default read from the file
+   *   extension or the text
+   * @param {boolean} [options.preview=false] - Only report what would be created
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async importHta({ filePath = null, content = null, format = null, preview = false } = {}) {
+    try {
+      const { RequiredFieldsError, ValidationError } = await import('./errors.js');
+      if (!filePath && typeof content !== 'string') {
+        throw new RequiredFieldsError(['file_path or content'], 'HTA import');
+      }
+      const text = filePath
+        ? await FileSystem.readFile(
+            (await this.dataPersistence.resolveExchangePath(filePath, 'file_path')).path
+          )
+        : content;
+      const resolvedFormat = format || this.detectFormat(filePath, text);
+      if (!IMPORT_FORMATS[resolvedFormat]) {
+        throw new ValidationError('format', format, Object.keys(IMPORT_FORMATS).join(', '));
+      }
+
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const pathName = config?.activePath || DEFAULT_PATHS.GENERAL;
+      const hta = await this.loadPathHTA(projectId, pathName);
+
+      const outline = IMPORT_FORMATS[resolvedFormat].parse(text);
+      const plan = this.planImport(outline, hta);
+      if (plan.tasks === 0) {
+        plan.problems.push('the outline has no tasks');
+      }
+      const summary = {
+        format: resolvedFormat,
+        path: pathName,
+        branches: plan.branches,
+        tasks: plan.tasks,
+        depth: plan.depth,
+        problems: plan.problems,
+        warnings: plan.warnings,
+      };
+
+      if (preview || plan.problems.length > 0) {
+        if (!preview) {
+          throw new ValidationError(
+            filePath ? 'file_path' : 'content',
+            plan.problems.join('; '),
+            `a ${resolvedFormat} outline Forest can import`
+          );
+        }
+        return {
+          content: [{ type: 'text', text: this.formatImportPreview(plan, summary) }],
+          preview: true,
+          import_summary: summary,
+          branch_tasks: plan.branchTasks,
+        };
+      }
+
+      if (!this.storeGeneratedTasks) {
+        throw new Error('Task storage is not available');
+      }
+      const stored = await this.storeGeneratedTasks(plan.branchTasks);
+      if (stored?.error) {
+        return stored;
+      }
+      const warnings = plan.warnings.length > 0 ? `\n\n⚠️ ${plan.warnings.join('\n⚠️ ')}` : '';
+      return {
+        ...stored,
+        content: [
+          {
+            type: 'text',
+            text: `📥 Imported ${plan.tasks} tasks in ${plan.branches} branches from ${resolvedFormat} into the "${pathName}" path.${warnings}`,
+          },
+        ],
+        import_summary: summary,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('importHta', error, { filePath, format, preview });
+      return this.textResponse(`Error importing HTA outline: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  detectFormat(filePath, text) {
+    const extension = filePath ? FileSystem.extname(filePath).toLowerCase() : '';
+    const byExtension = Object.keys(IMPORT_FORMATS).find(name =>
+      IMPORT_FORMATS[name].extensions.includes(extension)
+    );
+    if (byExtension) {
+      return byExtension;
+    }
+    return /<opml\b/i.test(text) ? 'opml' : 'markdown';
+  }
+
+  /**
+   * Turn a parsed outline into generate_hta_tasks branch_tasks, checking each task's fields and
+   * that its prerequisites name a task and form no cycle with the tree it joins
+   * @returns {{branchTasks: Array<Object>, lines: Array<string>, branches: number, tasks: number,
+   *   depth: number, problems: Array<string>, warnings: Array<string>}}
+   * @private
+   */
+  planImport(outline, hta) {
+    const plan = { lines: [], branches: 0, tasks: 0, depth: 0, problems: [], warnings: [] };
+    const where = item => (item.line ? `line ${item.line}: ` : '');
+    const taskItems = flattenOutline(outline).filter(item => item.kind === 'task');
+
+    const toTask = item => {
+      const task = { title: item.title, description: item.description || '' };
+      if (!item.title) {
+        plan.problems.push(`${where(item)}a task needs a title`);
+      }
+      if (item.duration !== null && item.duration !== '') {
+        const match = String(item.duration).trim().match(IMPORT_DURATION_PATTERN);
+        if (match) {
+          const hours = /^h/i.test(match[2] || '');
+          task.duration = Math.round(Number(match[1]) * (hours ? MINUTES_PER_HOUR : 1));
+        } else {
+          plan.problems.push(
+            `${where(item)}"${item.title}" has a duration Forest cannot read: ${item.duration}`
+          );
+        }
+      }
+      if (item.difficulty !== null && item.difficulty !== '') {
+        const difficulty = Number(item.difficulty);
+        if (
+          Number.isInteger(difficulty) &&
+          difficulty >= MIN_DIFFICULTY &&
+          difficulty <= MAX_DIFFICULTY
+        ) {
+          task.difficulty = difficulty;
+        } else {
+          plan.problems.push(
+            `${where(item)}"${item.title}" needs a difficulty from ${MIN_DIFFICULTY} to ${MAX_DIFFICULTY}, not ${item.difficulty}`
+          );
+        }
+      }
+      task.prerequisites = item.prerequisites;
+      plan.tasks++;
+      return task;
+    };
+    const toBranch = (item, depth) => {
+      plan.branches++;
+      plan.depth = Math.max(plan.depth, depth);
+      if (!item.title) {
+        plan.problems.push(`${where(item)}a branch needs a title`);
+      }
+      const branchItems = item.children.filter(child => child.kind === 'branch');
+      const tasks = item.children.filter(child => child.kind === 'task').map(toTask);
+      const total = flattenOutline(item).filter(child => child.kind === 'task').length;
+      plan.lines.push(`${'  '.repeat(depth - 1)}• ${item.title}: ${total} tasks`);
+      return {
+        branch_name: item.title,
+        description: item.description || '',
+        sub_branches: branchItems.map(child => toBranch(child, depth + 1)),
+        tasks,
+      };
+    };
+
+    const loose = outline.children.filter(child => child.kind === 'task');
+    const top = outline.children.filter(child => child.kind === 'branch');
+    if (loose.length > 0) {
+      top.push({
+        ...outline,
+        kind: 'branch',
+        title: outline.title || UNSORTED_BRANCH,
+        children: loose,
+      });
+    }
+    plan.branchTasks = top.map(item => toBranch(item, 1));
+
+    // Prerequisites resolve the way generate_hta_tasks will resolve them once stored
+    const existing = DependencyGraph.fromHTA(hta);
+    const imported = new Set(taskItems.map(item => item.title));
+    for (const item of taskItems) {
+      for (const prereq of item.prerequisites) {
+        if (!imported.has(prereq) && !existing.resolve(prereq)) {
+          plan.warnings.push(
+            `"${item.title}" waits for "${prereq}", which names no task; it will be dropped`
+          );
+        }
+      }
+    }
+    const draft = {
+      frontierNodes: [...(hta?.frontierNodes || [])],
+      completed_nodes: hta?.completed_nodes || [],
+    };
+    const added = taskItems.map((item, index) => ({
+      id: `import_${index + 1}`,
+      title: item.title,
+      prerequisites: item.prerequisites,
+    }));
+    draft.frontierNodes.push(...added);
+    for (const cycle of linkPrerequisites(draft, added)) {
+      const titles = [...cycle, cycle[0]].map(node => node.title);
+      plan.problems.push(`prerequisites form a cycle: ${titles.join(' → ')}`);
+    }
+    return plan;
+  }
+
+  /**
+   * @private
+   */
+  formatImportPreview(plan, summary) {
+    let report = `🔍 **Import preview** (${summary.format}, "${summary.path}" path)\n\n`;
+    report += `Would create ${summary.tasks} tasks in ${summary.branches} branches, ${summary.depth} levels deep:\n`;
+    report += `${plan.lines.join('\n')}\n`;
+    if (summary.problems.length > 0) {
+      report += `\n❌ **Problems** (fix these before importing):\n• ${summary.problems.join('\n• ')}\n`;
+    }
+    if (summary.warnings.length > 0) {
+      report += `\n⚠️ **Warnings**:\n• ${summary.warnings.join('\n• ')}\n`;
+    }
+    if (summary.problems.length === 0) {
+      report += '\nRun `import_hta` again without `preview` to add them to the tree.';
+    }
+    return report;
+  }
+
+  /**
+   * The goal with its branches, sub-branches and tasks as nested outline items. Tasks whose branch
+   * is not in the tree sit directly under the goal.
+   * @private
+   */
+  buildOutline(hta, graph, goal) {
+    const tasksByBranch = new Map();
+    for (const node of hta.frontierNodes || []) {
+      tasksByBranch.set(node.branch, [...(tasksByBranch.get(node.branch) || []), node]);
+    }
+    const taskItem = node => ({
+      kind: 'task',
+      id: node.id,
+      title: node.title,
+      description: node.description || '',
+      status: node.completed ? 'done' : graph.isReady(node) ? 'ready' : 'blocked',
+      recurrence: isRecurring(node) ? describeRecurrence(node.recurrence.rule) : null,
+      node,
+      children: [],
+    });
+    const branchItem = branch => {
+      const children = [
+        ...(branch.sub_branches || []).map(branchItem),
+        ...(tasksByBranch.get(branch.id) || []).map(taskItem),
+      ];
+      tasksByBranch.delete(branch.id);
+      return {
+        kind: 'branch',
+        id: branch.id,
+        title: branch.title || branch.id,
+        description: branch.description || '',
+        children,
+      };
+    };
+
+    const branches = (hta.strategicBranches || []).map(branchItem);
+    return {
+      kind: 'goal',
+      id: 'goal',
+      title: goal,
+      description: '',
+      children: [...branches, ...[...tasksByBranch.values()].flat().map(taskItem)],
+    };
+  }
+
+  /**
+   * Drop every item more than a number of levels below the outline's root
+   * @private
+   */
+  prune(item, depth) {
+    if (depth === 0) {
+      item.children = [];
+      return;
+    }
+    item.children.forEach(child => this.prune(child, depth - 1));
+  }
+
+  async loadPathHTA(projectId, pathName) {
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
+    }
+    return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+  }
+
+  /**
+   * @private
+   */
+  textResponse(text) {
+    return { content: [{ type: 'text', text }] };
+  }
+}
@@ -3,13 +3,26 @@
  * Handles HTA tree status reporting and metadata
  */
 
+import { addDays } from './calendar-commitments.js';
+import { SCHEDULING } from './constants.js';
+import { DependencyGraph, durationMinutes } from './dependency-graph.js';
+import { formatRecurrenceStats, isRecurring, recurrenceStats } from './recurring-tasks.js';
+import { attributedTo } from './utils/attribution.js';
+
+const DAYS_PER_WEEK = 7;
+const GATING_TASKS_SHOWN = 5;
+
 export class HtaStatus {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
   }
 
-  async getHTAStatus() {
+  /**
+   * @param {string|null} [member] - Only report the nodes this project member created, last
+   *   edited or completed
+   */
+  async getHTAStatus(member = null) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
@@ -19,9 +32,9 @@ export class HtaStatus {
       }
 
       const activePath = config.activePath || 'general';
-      const htaData = await this.loadPathHTA(projectId, activePath);
+      const storedHta = await this.loadPathHTA(projectId, activePath);
 
-      if (!htaData) {
+      if (!storedHta) {
         return {
           content: [
             {
@@ -32,7 +45,18 @@ export class HtaStatus {
         };
       }
 
-      const statusReport = this.generateStatusReport(htaData, activePath);
+      const htaData = member
+        ? {
+            ...storedHta,
+            frontierNodes: (storedHta.frontierNodes || []).filter(node =>
+              attributedTo(node, member)
+            ),
+          }
+        : storedHta;
+      let statusReport = this.generateStatusReport(htaData, activePath);
+      if (member) {
+        statusReport = `👤 **Member**: ${member}\n\n${statusReport}`;
+      }
 
       return {
         content: [
@@ -46,11 +70,13 @@ export class HtaStatus {
           strategic_branches: htaData.strategicBranches || [],
           frontier_nodes: htaData.frontierNodes || [],
           progress: this.calculateProgress(htaData),
+          recurring: this.getRecurringStats(htaData.frontierNodes || []),
           last_updated: htaData.lastUpdated,
+          ...(member ? { member } : {}),
         },
       };
     } catch (error) {
-      await this.dataPersistence.logError('getHTAStatus', error);
+      await this.dataPersistence.logError('getHTAStatus', error, { member });
       return {
         content: [
           {
@@ -62,6 +88,144 @@ export class HtaStatus {
     }
   }
 
+  /**
+   * The chain of unfinished tasks that decides how soon the active path can be finished, the
+   * dates it and all remaining work could be done by, and the tasks holding up the most others
+   * @param {Object} [options]
+   * @param {number} [options.dailyMinutes] - Minutes a day to assume; defaults to the path's or
+   *   project's weekly_hours spread over the week
+   */
+  async getCriticalPath({ dailyMinutes } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+      if (!config) {
+        throw new Error('Project configuration not found');
+      }
+      if (
+        dailyMinutes !== undefined &&
+        !(
+          Number.isFinite(dailyMinutes) &&
+          dailyMinutes > 0 &&
+          dailyMinutes <= SCHEDULING.MINUTES_PER_DAY
+        )
+      ) {
+        const { ValidationError } = await import('./errors.js');
+        throw new ValidationError(
+          'daily_minutes',
+          dailyMinutes,
+          `a number of minutes from 1 to ${SCHEDULING.MINUTES_PER_DAY}`
+        );
+      }
+
+      const activePath = config.activePath || 'general';
+      const htaData = await this.loadPathHTA(projectId, activePath);
+      if (!htaData?.frontierNodes?.length) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ No HTA tree found for "${activePath}" path. Use \`build_hta_tree\` first.`,
+            },
+          ],
+        };
+      }
+
+      const graph = DependencyGraph.fromHTA(htaData);
+      const critical = graph.criticalPath();
+      const onPath = new Set(critical.path.map(node => node.id));
+      const perDay = dailyMinutes || this.dailyLearningMinutes(config, activePath);
+      const today = new Date().toISOString().split('T')[0];
+      const finishedBy = minutes =>
+        minutes > 0 ? addDays(today, Math.ceil(minutes / perDay) - 1) : null;
+
+      const result = {
+        path: activePath,
+        tasks: critical.path.map(node => ({
+          id: node.id,
+          title: node.title,
+          duration_minutes: durationMinutes(node),
+          ready: graph.isReady(node),
+        })),
+        minutes: critical.minutes,
+        total_minutes: critical.totalMinutes,
+        daily_minutes: perDay,
+        earliest_completion: finishedBy(critical.minutes),
+        all_tasks_completion: finishedBy(critical.totalMinutes),
+        gating_tasks: graph.gatingTasks(GATING_TASKS_SHOWN).map(entry => ({
+          id: entry.node.id,
+          title: entry.node.title,
+          downstream: entry.downstream,
+          downstream_minutes: entry.downstreamMinutes,
+          ready: entry.ready,
+          on_critical_path: onPath.has(entry.node.id),
+        })),
+        cyclic: critical.cyclic,
+        unresolved_prerequisites: graph.unresolvedPrerequisites(),
+      };
+
+      return {
+        content: [{ type: 'text', text: this.formatCriticalPath(result) }],
+        critical_path: result,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getCriticalPath', error, { dailyMinutes });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error getting critical path: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Minutes a day set aside for a path: its own weekly_hours, else the project's, over the week
+   * @private
+   */
+  dailyLearningMinutes(config, pathName) {
+    const entry = (config.learning_paths || []).find(path => path.path_name === pathName);
+    const weeklyHours = entry?.weekly_hours || config.weekly_hours;
+    return weeklyHours
+      ? Math.round((weeklyHours * 60) / DAYS_PER_WEEK)
+      : SCHEDULING.DEFAULT_DAILY_LEARNING_MINUTES;
+  }
+
+  /**
+   * @private
+   */
+  formatCriticalPath(result) {
+    let report = `🧭 **Critical Path - ${result.path} Path**\n\n`;
+    if (result.tasks.length === 0 && result.cyclic.length === 0) {
+      report += '✅ Every task on this path is done.\n';
+    } else if (result.tasks.length > 0) {
+      report += `**Length**: ${result.tasks.length} tasks, ${result.minutes} min of the ${result.total_minutes} min left\n`;
+      report += `**Earliest completion**: ${result.earliest_completion} at ${result.daily_minutes} min/day`;
+      report += ` (all remaining tasks: ${result.all_tasks_completion})\n\n`;
+      result.tasks.forEach((task, index) => {
+        const ready = task.ready ? ' - ready' : '';
+        report += `${index + 1}. ${task.title} (${task.duration_minutes} min)${ready}\n`;
+      });
+    }
+
+    if (result.gating_tasks.length > 0) {
+      report += `\n🚧 **Gating Tasks**:\n`;
+      for (const task of result.gating_tasks) {
+        const marker = task.on_critical_path ? ' (critical)' : '';
+        report += `• **${task.title}**${marker}: holds up ${task.downstream} tasks (${task.downstream_minutes} min)\n`;
+      }
+    }
+    if (result.cyclic.length > 0) {
+      report += `\n⚠️ ${result.cyclic.length} tasks are in or behind a cycle of prerequisites and can never start: ${result.cyclic.join(', ')}\n`;
+    }
+    if (result.unresolved_prerequisites.length > 0) {
+      report += `\n⚠️ Prerequisites naming no task: ${result.unresolved_prerequisites.join(', ')}\n`;
+    }
+    return report;
+  }
+
   async loadPathHTA(projectId, pathName) {
     if (pathName === 'general') {
       return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
@@ -83,7 +247,7 @@ export class HtaStatus {
     // Strategic Branches Status
     report += `📊 **Strategic Branches** (${branches.length}):\n`;
     for (const branch of branches) {
-      const branchNodes = nodes.filter(n => n.branch === branch.id);
+      const branchNodes = nodes.filter(n => n.branch === branch.id && !isRecurring(n));
       const completedBranchNodes = branchNodes.filter(n => n.completed);
       const branchProgress =
         branchNodes.length > 0
@@ -112,6 +276,16 @@ export class HtaStatus {
       }
     }
 
+    // Recurring Practice
+    const recurring = this.getRecurringStats(nodes);
+    if (recurring.length > 0) {
+      report += `\n🔁 **Recurring Practice** (${recurring.length}):\n`;
+      for (const stats of recurring) {
+        const due = stats.dueToday ? ' - due today' : '';
+        report += `• **${stats.title}** (${stats.schedule}): ${formatRecurrenceStats(stats)}${due}\n`;
+      }
+    }
+
     // Next Actions
     report += '\n🚀 **Next Actions**:\n';
     if (readyNodes.length > 0) {
@@ -125,8 +299,11 @@ export class HtaStatus {
     return report;
   }
 
+  /**
+   * Progress through the one-off tasks; recurring practice never finishes
+   */
   calculateProgress(htaData) {
-    const nodes = htaData.frontierNodes || [];
+    const nodes = (htaData.frontierNodes || []).filter(n => !isRecurring(n));
     const completed = nodes.filter(n => n.completed).length;
     const total = nodes.length;
     const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
@@ -139,23 +316,20 @@ export class HtaStatus {
   }
 
   getReadyNodes(nodes) {
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
-
-    return nodes.filter(node => {
-      if (node.completed) {
-        return false;
-      }
-
-      // Check if all prerequisites are met
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return node.prerequisites.every(
-          prereq =>
-            completedNodeIds.includes(prereq) || nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
+    return new DependencyGraph(nodes).readyNodes().filter(node => !isRecurring(node));
+  }
 
-      return true; // No prerequisites, so it's ready
-    });
+  /**
+   * Streak and adherence of each recurring node, as of today
+   * @param {Array<Object>} nodes - Frontier nodes
+   * @returns {Array<Object>} See recurrenceStats
+   */
+  getRecurringStats(nodes) {
+    const today = new Date().toISOString().split('T')[0];
+    return nodes
+      .filter(isRecurring)
+      .map(node => recurrenceStats(node, today))
+      .filter(Boolean);
   }
 
   getBranchProgress(branchId, nodes) {
@@ -6,10 +6,18 @@
 import { FILE_NAMES, DEFAULT_PATHS } from './constants.js';
 
 export class HtaTreeBuilder {
-  constructor(dataPersistence, projectManagement, claudeInterface) {
+  /**
+   * @param {Object} [options]
+   * @param {import('./mcp-sampling.js').McpSampling} [options.sampling] - Generates branches
+   *   through the connected client when it supports sampling
+   * @param {Function} [options.storeGeneratedTasks] - Stores generate_hta_tasks branch_tasks
+   */
+  constructor(dataPersistence, projectManagement, claudeInterface, options = {}) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
     this.claudeInterface = claudeInterface;
+    this.sampling = options.sampling || null;
+    this.storeGeneratedTasks = options.storeGeneratedTasks || null;
   }
 
   /**
@@ -63,6 +71,33 @@ export class HtaTreeBuilder {
       // Save initial structure
       await this.savePathHTA(projectId, pathName || 'general', htaData);
 
+      // Let the client generate and store the branches in-band when it can
+      const generated = await this.generateBranchesViaSampling(branchPrompt);
+      if (generated) {
+        return {
+          success: true,
+          content: [
+            {
+              type: 'text',
+              text: `🌳 **Deep HTA Tree Generated!**
+
+**Your Goal**: ${config.goal}
+
+**Complexity Analysis**:
+• Complexity Score: ${complexityAnalysis.score}/10
+• Recommended Depth: ${complexityAnalysis.recommended_depth} levels
+
+Your client generated the branches for this goal, and they have been stored.
+
+${generated.content?.[0]?.text || ''}`,
+            },
+          ],
+          complexity_analysis: complexityAnalysis,
+          generated_via: 'sampling',
+          requires_branch_generation: false,
+        };
+      }
+
       return {
         success: true,
         content: [{
@@ -111,6 +146,30 @@ Your goal deserves the depth and detail this system will provide!`
     }
   }
 
+  /**
+   * Ask the connected client (MCP sampling) for generate_hta_tasks arguments and store them
+   * @param {string} branchPrompt - Prompt from generateDeepBranchPrompt
+   * @returns {Promise<Object|null>} Result of storing the tasks, or null to fall back to the
+   *   two-step flow (no sampling support, or no valid reply)
+   */
+  async generateBranchesViaSampling(branchPrompt) {
+    if (!this.sampling?.isAvailable() || !this.storeGeneratedTasks) {
+      return null;
+    }
+    const args = await this.sampling.requestToolArguments(
+      'generate_hta_tasks',
+      `${branchPrompt}
+
+Wrap the main branches in a "branch_tasks" array. Every branch and sub-branch needs a "tasks" array (empty if its tasks live in its sub-branches).`,
+      { purpose: 'hta-branches' }
+    );
+    if (!args || args.branch_tasks.length === 0) {
+      return null;
+    }
+    const stored = await this.storeGeneratedTasks(args.branch_tasks);
+    return stored?.error ? null : stored;
+  }
+
   /**
    * Analyze goal complexity to determine appropriate tree depth
    */
@@ -0,0 +1,218 @@
+/**
+ * HTTP Authentication Module
+ * API users and the tokens that authenticate their HTTP API and MCP-over-HTTP requests.
+ *
+ * Users and SHA-256 hashes of their tokens are kept in <dataDir>/auth/users.json; a plain token
+ * is only shown once, when it is issued (see tools/manage-users.js). Authenticated requests run
+ * in a session carrying the user's id, which DataPersistence uses to keep every user's projects
+ * in their own data root under <dataDir>/users/<userId>.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { AUTH, DIRECTORIES, SERVER_CONFIG } from './constants.js';
+import { resolveHttpAuthMode } from './core-infrastructure.js';
+import {
+  AuthenticationError,
+  AuthorizationError,
+  ResourceNotFoundError,
+  ValidationError,
+} from './errors.js';
+import { FileSystem } from './utils/file-system.js';
+import { sendJson } from './utils/http-json.js';
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+function publicUser({ tokens = [], ...user }) {
+  return { ...user, tokens: tokens.map(({ hash: _hash, ...token }) => token) };
+}
+
+export class HttpAuth {
+  /**
+   * @param {string} dataDir - Root data directory
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'token' or 'none' (defaults to FOREST_HTTP_AUTH)
+   */
+  constructor(dataDir, options = {}) {
+    this.mode = options.mode ?? resolveHttpAuthMode();
+    this.usersPath = FileSystem.join(dataDir, DIRECTORIES.AUTH, AUTH.USERS_FILE);
+  }
+
+  isEnabled() {
+    return this.mode === SERVER_CONFIG.AUTH_MODES.TOKEN;
+  }
+
+  static hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  // ===== USERS AND TOKENS =====
+
+  async loadUsers() {
+    if (!(await FileSystem.exists(this.usersPath))) {
+      return { users: [] };
+    }
+    return FileSystem.readJSON(this.usersPath);
+  }
+
+  async saveUsers(registry) {
+    await FileSystem.ensureDir(FileSystem.dirname(this.usersPath));
+    await FileSystem.writeJSON(this.usersPath, registry);
+  }
+
+  /**
+   * Register an API user
+   * @param {string} userId - User identifier, also the name of their data root
+   * @param {Object} [options]
+   * @param {string} [options.role] - 'user' (default) or 'admin'
+   * @returns {Promise<Object>} The new user
+   */
+  async addUser(userId, { role = AUTH.ROLES.USER } = {}) {
+    if (typeof userId !== 'string' || !AUTH.USER_ID_PATTERN.test(userId)) {
+      throw new ValidationError('user_id', userId, 'up to 64 letters, digits, ".", "_" or "-"');
+    }
+    if (!Object.values(AUTH.ROLES).includes(role)) {
+      throw new ValidationError('role', role, `one of: ${Object.values(AUTH.ROLES).join(', ')}`);
+    }
+
+    const registry = await this.loadUsers();
+    if (registry.users.some(user => user.id === userId)) {
+      throw new ValidationError('user_id', userId, 'a user id that is not already taken');
+    }
+    const user = { id: userId, role, createdAt: new Date().toISOString(), tokens: [] };
+    registry.users.push(user);
+    await this.saveUsers(registry);
+    return publicUser(user);
+  }
+
+  /**
+   * Issue a new API token for a user. Only its hash is stored.
+   * @param {string} userId - User identifier
+   * @param {Object} [options]
+   * @param {string} [options.label] - Note identifying where the token is used
+   * @returns {Promise<{userId: string, tokenId: string, token: string}>}
+   */
+  async issueToken(userId, { label = null } = {}) {
+    const registry = await this.loadUsers();
+    const user = registry.users.find(candidate => candidate.id === userId);
+    if (!user) {
+      throw new ResourceNotFoundError('User', userId);
+    }
+
+    const token = `${AUTH.TOKEN_PREFIX}${randomBytes(AUTH.TOKEN_BYTES).toString('base64url')}`;
+    const tokenId = randomBytes(4).toString('hex');
+    user.tokens.push({
+      id: tokenId,
+      label,
+      hash: HttpAuth.hashToken(token),
+      createdAt: new Date().toISOString(),
+    });
+    await this.saveUsers(registry);
+    return { userId, tokenId, token };
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the user has no such token
+   */
+  async revokeToken(userId, tokenId) {
+    const registry = await this.loadUsers();
+    const user = registry.users.find(candidate => candidate.id === userId);
+    if (!user) {
+      throw new ResourceNotFoundError('User', userId);
+    }
+    const remaining = user.tokens.filter(token => token.id !== tokenId);
+    if (remaining.length === user.tokens.length) {
+      return false;
+    }
+    user.tokens = remaining;
+    await this.saveUsers(registry);
+    return true;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Every user, with token metadata but no token hashes
+   */
+  async listUsers() {
+    const registry = await this.loadUsers();
+    return registry.users.map(publicUser);
+  }
+
+  // ===== REQUESTS =====
+
+  /**
+   * Identify the user a request's API token belongs to
+   * @param {import('http').IncomingMessage} req
+   * @returns {Promise<{id: string, role: string}>}
+   */
+  async authenticate(req) {
+    const token = extractToken(req);
+    if (!token) {
+      throw new AuthenticationError(
+        'send an API token as "Authorization: Bearer <token>" or "X-API-Key: <token>"'
+      );
+    }
+
+    const presented = Buffer.from(HttpAuth.hashToken(token), 'hex');
+    const { users } = await this.loadUsers();
+    for (const user of users) {
+      const match = user.tokens.some(record =>
+        timingSafeEqual(presented, Buffer.from(record.hash, 'hex'))
+      );
+      if (match) {
+        return { id: user.id, role: user.role };
+      }
+    }
+    throw new AuthenticationError('unknown or revoked API token');
+  }
+
+  /**
+   * Authenticate a request before it is routed, setting `req.user`. Does nothing when
+   * authentication is off.
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {Promise<boolean>} false once the request has been answered with 401
+   */
+  async authenticateRequest(req, res) {
+    if (!this.isEnabled()) {
+      return true;
+    }
+    try {
+      attachUser(req, await this.authenticate(req));
+      return true;
+    } catch (error) {
+      if (!(error instanceof AuthenticationError)) {
+        throw error;
+      }
+      sendJson(
+        res,
+        401,
+        { error: { type: error.name, message: error.message } },
+        { 'WWW-Authenticate': 'Bearer realm="forest"' }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Check that an authenticated user may perform an administrative action
+   * @param {{id: string, role: string}|undefined} user - `req.user`
+   * @param {string} action - What is being attempted, for the error message
+   */
+  requireAdmin(user, action) {
+    if (this.isEnabled() && user?.role !== AUTH.ROLES.ADMIN) {
+      throw new AuthorizationError(action, user?.id);
+    }
+  }
+}
+
+function attachUser(req, user) {
+  req.user = user;
+}
+
+function extractToken(req) {
+  const bearer = BEARER_PATTERN.exec(req.headers.authorization || '');
+  if (bearer) {
+    return bearer[1];
+  }
+  const apiKey = req.headers['x-api-key'];
+  return typeof apiKey === 'string' && apiKey.trim() !== '' ? apiKey.trim() : null;
+}
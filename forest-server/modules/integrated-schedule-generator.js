@@ -1,5 +1,36 @@
 // Integrated Schedule Generator
-// Builds a daily integrated schedule by asking Claude to allocate tasks into free blocks.
+// Builds a daily schedule across all projects: works out the free windows left by meals, timed
+// habits, fixed commitments (busy_times.json) and blocks already planned, shares them between
+// projects by urgency and weekly time budget, and merges the result into each project's day file.
+
+import {
+  CalendarCommitments,
+  addDays,
+  dailyRoutine,
+  formatClockTime,
+  freeWindows,
+  parseClockTime,
+} from './calendar-commitments.js';
+import { FILE_NAMES, SCHEDULING } from './constants.js';
+import { parseJsonCompletion } from './llm/index.js';
+import { resolveActiveProject } from './utils/session-context.js';
+
+// Shape of the schedule the model is asked for
+const SCHEDULE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      task_id: { type: ['string', 'number'] },
+      start: { type: 'string' },
+      end: { type: 'string' },
+      project_id: { type: 'string' },
+    },
+    required: ['task_id', 'start', 'end'],
+  },
+};
+
+const DEFAULT_BREAK_MINUTES = 15;
 
 export class IntegratedScheduleGenerator {
   /**
@@ -8,13 +39,25 @@ export class IntegratedScheduleGenerator {
    * @param {any} llmInterface  // Claude interface from CoreInfrastructure
    * @param {import('../modules/data-persistence.js').DataPersistence} dataPersistence
    * @param {import('../modules/schedule-generator.js').ScheduleGenerator} scheduleGenerator
+   * @param {import('./mcp-sampling.js').McpSampling} [sampling] - Asks the connected client first
+   * @param {CalendarCommitments} [commitments] - Fixed commitments to plan around
    */
-  constructor(taskPool, projectManagement, llmInterface, dataPersistence, scheduleGenerator) {
+  constructor(
+    taskPool,
+    projectManagement,
+    llmInterface,
+    dataPersistence,
+    scheduleGenerator,
+    sampling = null,
+    commitments = null
+  ) {
     this.taskPool = taskPool;
     this.projectManagement = projectManagement;
     this.llm = llmInterface;
     this.dataPersistence = dataPersistence;
     this.scheduleGenerator = scheduleGenerator;
+    this.sampling = sampling;
+    this.commitments = commitments || new CalendarCommitments(dataPersistence);
   }
 
   /**
@@ -25,113 +68,433 @@ export class IntegratedScheduleGenerator {
   async generateIntegratedSchedule(dateStr = null, energyLevel = 3) {
     const date = dateStr || new Date().toISOString().split('T')[0];
 
+    const projects = await this.loadProjects(date);
+    if (projects.length === 0) {
+      return { content: [{ type: 'text', text: '⚠️ No active projects found.' }] };
+    }
+
     // Collect tasks from all projects
-    const tasks = await this.taskPool.getTaskPool(25);
+    const tasks = await this.taskPool.getTaskPool(SCHEDULING.TASKS_PER_PROJECT, date);
     if (tasks.length === 0) {
       return { content: [{ type: 'text', text: '⚠️ No available tasks across active projects.' }] };
     }
 
-    // Build free-block list from the active project template (takes first project with prefs)
-    const projectsResp = await this.projectManagement.listProjects();
-    const projectIds = Array.isArray(projectsResp) ? projectsResp : projectsResp.projects || [];
-
-    if (projectIds.length === 0) {
-      return { content: [{ type: 'text', text: '⚠️ No active projects found.' }] };
-    }
-    const primaryProjectId =
-      typeof projectIds[0] === 'string' ? projectIds[0] : projectIds[0].id || projectIds[0];
-    const primaryConfig = await this.dataPersistence.loadProjectData(
-      primaryProjectId,
-      'config.json'
+    const day = await this.planDay(date, projects);
+    const budgets = Object.fromEntries(
+      projects.map(project => [project.id, this.remainingBudget(project)])
     );
-    const prefs = primaryConfig.life_structure_preferences || {};
-    const wake = this._parseTime(prefs.wake_time || '7:00 AM');
-    const sleep = this._parseTime(prefs.sleep_time || '10:00 PM');
-
-    // Simple free-blocks: entire day as one block for now (can refine later)
-    const freeBlocks = [{ start: this._formatTime(wake), end: this._formatTime(sleep) }];
 
     // Build prompt
     const prompt =
-      "You are an intelligent scheduler. Place tasks into the free blocks so that they fit within the block length and match the user's energy level. Output JSON array of {task_id,start,end,project_id}. If a task is longer than remaining time, skip it.";
+      "You are an intelligent scheduler. Place tasks into the free blocks so that they fit within the block length and match the user's energy level. Share the time between projects in proportion to their weight, and never give a project more minutes than its remaining_weekly_minutes (null means no limit). Output JSON array of {task_id,start,end,project_id} with 24-hour HH:MM times. If a task is longer than remaining time, skip it.";
 
     const contextPayload = {
       date,
       energy_level: energyLevel,
-      free_blocks: freeBlocks,
+      free_blocks: day.freeWindows.map(window => this.formatWindow(window)),
+      projects: projects.map(project => ({
+        project_id: project.id,
+        urgency_level: project.urgency,
+        weight: project.weight,
+        remaining_weekly_minutes: budgets[project.id],
+      })),
       tasks,
     };
 
-    const llmResp = await this.llm.requestIntelligence('integrated-schedule', {
-      prompt: `${prompt}\n\nContext JSON:\n${JSON.stringify(contextPayload)}`,
-    });
-
-    let scheduleArr = [];
-    try {
-      scheduleArr = JSON.parse(llmResp.completion || llmResp.answer || llmResp.text || '[]');
-    } catch (_) {
-      /* ignore parse errors */
-    }
+    const fullPrompt = `${prompt}\n\nContext JSON:\n${JSON.stringify(contextPayload)}`;
 
-    // Basic validation: ensure each entry has task_id
-    scheduleArr = Array.isArray(scheduleArr) ? scheduleArr.filter(x => x.task_id) : [];
+    // Keep only entries that fit the free windows and budgets, whoever produced them
+    let scheduleArr = this.acceptEntries(
+      await this.requestSchedule(fullPrompt),
+      tasks,
+      day.freeWindows,
+      budgets
+    );
 
     /* ── HEURISTIC FALLBACK ──
-     * If the LLM is offline (resp.request_for_claude) or returned an empty array,
-     * build a simple sequential schedule that packs tasks into the first free block.
+     * If the LLM is offline (resp.request_for_claude) or returned nothing usable,
+     * share the free windows between projects by weight.
      */
-    if (scheduleArr.length === 0 && tasks.length > 0) {
-      let current = this._parseTime(freeBlocks[0].start);
-      const blockEnd = this._parseTime(freeBlocks[0].end);
-
-      for (const t of tasks) {
-        const minutes =
-          typeof t.est_minutes === 'number'
-            ? t.est_minutes
-            : this._parseDuration(String(t.est_minutes || 30));
-        if (current + minutes > blockEnd) {
-          break;
-        }
-        scheduleArr.push({
-          task_id: t.id,
-          project_id: t.project_id,
-          start: this._formatTime(current),
-          end: this._formatTime(current + minutes),
-        });
-        current += minutes;
-      }
+    if (scheduleArr.length === 0) {
+      scheduleArr = this.allocate(tasks, day.freeWindows, projects, budgets, {
+        energyLevel,
+        breakMinutes: day.breakMinutes,
+      });
     }
 
-    // Store per project day files
-    const byProject = {};
-    for (const entry of scheduleArr) {
-      if (!byProject[entry.project_id]) {
-        byProject[entry.project_id] = [];
+    const tasksById = new Map(tasks.map(task => [String(task.id), task]));
+    await this.dataPersistence.runInTransaction(async () => {
+      for (const project of projects) {
+        const entries = scheduleArr.filter(entry => entry.project_id === project.id);
+        await this.mergeDayFile(project, date, entries, tasksById);
       }
-      byProject[entry.project_id].push(entry);
-    }
-    for (const [projectId, blocks] of Object.entries(byProject)) {
-      const fileName = `day_${date}.json`;
-      await this.dataPersistence.saveProjectData(projectId, fileName, {
-        date,
-        blocks,
-        generated: new Date().toISOString(),
-      });
-    }
+    }, 'generate_integrated_schedule');
+
+    const minutesByProject = projects
+      .map(project => ({
+        id: project.id,
+        minutes: scheduleArr
+          .filter(entry => entry.project_id === project.id)
+          .reduce((sum, entry) => sum + this.entryMinutes(entry), 0),
+      }))
+      .filter(project => project.minutes > 0);
 
     return {
       content: [
         {
           type: 'text',
-          text: `🗓️ Integrated schedule generated for ${date} with ${scheduleArr.length} tasks.`,
+          text: this.formatSummary(date, scheduleArr, day, minutesByProject),
         },
       ],
       schedule: scheduleArr,
-      free_blocks: freeBlocks,
+      free_blocks: day.freeWindows.map(window => this.formatWindow(window)),
+      busy_blocks: day.busy.map(interval => ({
+        ...this.formatWindow(interval),
+        title: interval.title,
+        source: interval.source,
+      })),
       task_count: tasks.length,
     };
   }
 
+  /**
+   * Ask for a schedule: the connected client generates it when it supports sampling; otherwise
+   * the configured LLM provider does
+   * @private
+   */
+  async requestSchedule(fullPrompt) {
+    const sampled = await this.sampling?.requestJson(fullPrompt, {
+      schema: SCHEDULE_SCHEMA,
+      purpose: 'integrated-schedule',
+    });
+    if (sampled) {
+      return Array.isArray(sampled) ? sampled : [];
+    }
+    const llmResp = await this.llm.requestIntelligence('integrated-schedule', {
+      prompt: fullPrompt,
+    });
+    // Models often wrap JSON in code fences; unparseable output falls through to the heuristic
+    const parsed = parseJsonCompletion(
+      llmResp.completion || llmResp.answer || llmResp.text || '[]',
+      []
+    );
+    return Array.isArray(parsed) ? parsed : [];
+  }
+
+  /**
+   * Every project with its scheduling weight, weekly budget and the day file for `date`
+   * @private
+   */
+  async loadProjects(date) {
+    const projects = [];
+    for (const id of await this.dataPersistence.listProjects()) {
+      const config = await this.dataPersistence.loadProjectData(id, FILE_NAMES.CONFIG);
+      if (!config?.goal) {
+        continue;
+      }
+      const urgency = this.urgencyOf(config);
+      const weeklyHours = Number(config.weekly_hours);
+      projects.push({
+        id,
+        config,
+        urgency,
+        weight: SCHEDULING.URGENCY_WEIGHTS[urgency],
+        weeklyBudget: weeklyHours > 0 ? Math.round(weeklyHours * 60) : null,
+        usedThisWeek: await this.minutesScheduledThisWeek(id, date),
+        dayFile: await this.dataPersistence.loadProjectData(id, FILE_NAMES.DAILY_SCHEDULE(date)),
+      });
+    }
+    return projects;
+  }
+
+  /**
+   * A project's urgency_level, or its priority when that names a level
+   * @private
+   */
+  urgencyOf(config) {
+    for (const value of [config.urgency_level, config.priority]) {
+      const level = String(value || '').toLowerCase();
+      if (SCHEDULING.URGENCY_WEIGHTS[level]) {
+        return level;
+      }
+    }
+    return SCHEDULING.DEFAULT_URGENCY;
+  }
+
+  /**
+   * Learning minutes a project already has planned in the Monday-to-Sunday week of `date`,
+   * other than on `date` itself (which is counted once its blocks are merged)
+   * @private
+   */
+  async minutesScheduledThisWeek(projectId, date) {
+    const monday = addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+    const week = new Set(
+      Array.from({ length: 7 }, (_, offset) => FILE_NAMES.DAILY_SCHEDULE(addDays(monday, offset)))
+    );
+    week.delete(FILE_NAMES.DAILY_SCHEDULE(date));
+
+    let minutes = 0;
+    for (const fileName of await this.dataPersistence.listProjectFiles(projectId)) {
+      if (week.has(fileName)) {
+        const schedule = await this.dataPersistence.loadProjectData(projectId, fileName);
+        minutes += this.learningMinutes(schedule?.blocks || []);
+      }
+    }
+    return minutes;
+  }
+
+  /**
+   * Weekly minutes a project has left, or null when it has no budget. Blocks kept on the day
+   * being planned count against it.
+   * @private
+   */
+  remainingBudget(project) {
+    if (project.weeklyBudget === null) {
+      return null;
+    }
+    const keptToday = this.learningMinutes(this.keptBlocks(project.dayFile?.blocks || []));
+    return Math.max(project.weeklyBudget - project.usedThisWeek - keptToday, 0);
+  }
+
+  learningMinutes(blocks) {
+    return blocks
+      .filter(block => block.type === 'learning' || block.taskId)
+      .reduce((sum, block) => sum + (Number(block.duration) || 0), 0);
+  }
+
+  /**
+   * Blocks in a day file a regenerated schedule keeps: everything except this scheduler's own
+   * blocks that have not been completed
+   * @private
+   */
+  keptBlocks(blocks) {
+    return blocks.filter(
+      block => block.completed || !String(block.id || '').startsWith(SCHEDULING.BLOCK_ID_PREFIX)
+    );
+  }
+
+  /**
+   * The day's bounds, what already takes up time in it, and the free windows left
+   * @private
+   */
+  async planDay(date, projects) {
+    const template = await this.templateProject(projects);
+    const prefs = template.config.life_structure_preferences || {};
+    const { wake, sleep, busy: routine } = dailyRoutine(template.config);
+
+    const busy = [...routine, ...(await this.commitments.commitmentsFor(date))];
+    for (const project of projects) {
+      for (const block of this.keptBlocks(project.dayFile?.blocks || [])) {
+        const start = parseClockTime(block.startTime);
+        if (start !== null) {
+          const end = start + (Number(block.duration) || SCHEDULING.MIN_BLOCK_MINUTES);
+          busy.push({ title: block.title, start, end, source: `day:${project.id}` });
+        }
+      }
+    }
+    busy.sort((a, b) => a.start - b.start);
+
+    return {
+      wake,
+      sleep,
+      busy: busy.filter(interval => interval.end > wake && interval.start < sleep),
+      freeWindows: freeWindows(wake, sleep, busy, SCHEDULING.MIN_BLOCK_MINUTES),
+      breakMinutes: this.scheduleGenerator?.getBreakDuration(prefs) ?? DEFAULT_BREAK_MINUTES,
+    };
+  }
+
+  /**
+   * The project whose life structure preferences shape the day: the active one, or the first
+   * @private
+   */
+  async templateProject(projects) {
+    const globalData = await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG);
+    const activeProjectId = resolveActiveProject(globalData);
+    return projects.find(project => project.id === activeProjectId) || projects[0];
+  }
+
+  /**
+   * Entries for known tasks that sit inside a free window, do not overlap each other and stay
+   * within their project's weekly budget
+   * @private
+   */
+  acceptEntries(entries, tasks, windows, budgets) {
+    const tasksById = new Map(tasks.map(task => [String(task.id), task]));
+    const remaining = { ...budgets };
+    const accepted = [];
+    const placed = [];
+
+    for (const entry of entries) {
+      const task = tasksById.get(String(entry?.task_id));
+      const start = parseClockTime(String(entry?.start));
+      const end = parseClockTime(String(entry?.end));
+      if (!task || start === null || end === null || end <= start) {
+        continue;
+      }
+      const minutes = end - start;
+      const fits = windows.some(window => start >= window.start && end <= window.end);
+      const overlaps = placed.some(other => start < other.end && end > other.start);
+      const budget = remaining[task.project_id];
+      if (!fits || overlaps || accepted.some(other => other.task_id === task.id)) {
+        continue;
+      }
+      if (budget !== null && budget !== undefined && minutes > budget) {
+        continue;
+      }
+      if (budget !== null && budget !== undefined) {
+        remaining[task.project_id] = budget - minutes;
+      }
+      placed.push({ start, end });
+      accepted.push({
+        task_id: task.id,
+        project_id: task.project_id,
+        start: formatClockTime(start),
+        end: formatClockTime(end),
+      });
+    }
+    return accepted.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /**
+   * Fill the free windows in order, each time giving the next task to the project with the
+   * least time so far relative to its weight that still has a task that fits and budget left
+   * @private
+   */
+  allocate(tasks, windows, projects, budgets, { energyLevel, breakMinutes }) {
+    const queues = new Map(
+      projects.map(project => [project.id, tasks.filter(task => task.project_id === project.id)])
+    );
+    const allocated = new Map(projects.map(project => [project.id, 0]));
+    const remaining = { ...budgets };
+    const schedule = [];
+
+    for (const window of windows) {
+      let cursor = window.start;
+      while (window.end - cursor >= SCHEDULING.MIN_BLOCK_MINUTES) {
+        const candidates = projects
+          .filter(project => queues.get(project.id).length > 0)
+          .sort(
+            (a, b) =>
+              allocated.get(a.id) / a.weight - allocated.get(b.id) / b.weight || b.weight - a.weight
+          );
+
+        let placed = null;
+        for (const project of candidates) {
+          const budget = remaining[project.id];
+          const limit = Math.min(window.end - cursor, budget ?? Infinity);
+          const task = this.pickTask(queues.get(project.id), limit, energyLevel);
+          if (task) {
+            placed = { project, task };
+            break;
+          }
+        }
+        if (!placed) {
+          break;
+        }
+
+        const { project, task } = placed;
+        const minutes = this.taskMinutes(task);
+        queues.get(project.id).splice(queues.get(project.id).indexOf(task), 1);
+        allocated.set(project.id, allocated.get(project.id) + minutes);
+        if (remaining[project.id] !== null) {
+          remaining[project.id] -= minutes;
+        }
+        schedule.push({
+          task_id: task.id,
+          project_id: project.id,
+          start: formatClockTime(cursor),
+          end: formatClockTime(cursor + minutes),
+        });
+        cursor += minutes + breakMinutes;
+      }
+    }
+    return schedule;
+  }
+
+  /**
+   * The highest-priority task that fits, preferring ones not too hard for the energy level
+   * @private
+   */
+  pickTask(queue, limit, energyLevel) {
+    const fitting = queue.filter(task => this.taskMinutes(task) <= limit);
+    return fitting.find(task => (task.difficulty || 1) <= energyLevel + 1) || fitting[0] || null;
+  }
+
+  taskMinutes(task) {
+    return typeof task.est_minutes === 'number'
+      ? task.est_minutes
+      : this._parseDuration(String(task.est_minutes || 30));
+  }
+
+  entryMinutes(entry) {
+    return this._parseTime(entry.end) - this._parseTime(entry.start);
+  }
+
+  /**
+   * Replace the project's unfinished integrated blocks for the day with the new ones, keeping
+   * everything else in the file
+   * @private
+   */
+  async mergeDayFile(project, date, entries, tasksById) {
+    const existing = project.dayFile?.blocks || [];
+    const kept = this.keptBlocks(existing);
+    if (entries.length === 0 && kept.length === existing.length) {
+      return;
+    }
+
+    let next = Math.max(
+      0,
+      ...kept
+        .filter(block => String(block.id).startsWith(SCHEDULING.BLOCK_ID_PREFIX))
+        .map(block => Number(String(block.id).slice(SCHEDULING.BLOCK_ID_PREFIX.length)) || 0)
+    );
+    const blocks = entries.map(entry => {
+      const task = tasksById.get(String(entry.task_id)) || {};
+      return {
+        id: `${SCHEDULING.BLOCK_ID_PREFIX}${++next}`,
+        type: task.occurrence ? 'habit' : 'learning',
+        title: task.title || String(entry.task_id),
+        startTime: entry.start,
+        duration: this.entryMinutes(entry),
+        taskId: entry.task_id,
+        branch: task.branch || 'general',
+        difficulty: task.difficulty || 1,
+        priority: task.priority || 200,
+        ...(task.occurrence ? { occurrence: task.occurrence } : {}),
+        completed: false,
+      };
+    });
+    const startOf = block => parseClockTime(block.startTime) ?? 0;
+
+    const now = new Date().toISOString();
+    await this.dataPersistence.saveProjectData(project.id, FILE_NAMES.DAILY_SCHEDULE(date), {
+      ...project.dayFile,
+      date,
+      blocks: [...kept, ...blocks].sort((a, b) => startOf(a) - startOf(b)),
+      generated: project.dayFile?.generated || now,
+      integratedAt: now,
+    });
+  }
+
+  formatWindow(window) {
+    return { start: this._formatTime(window.start), end: this._formatTime(window.end) };
+  }
+
+  formatSummary(date, schedule, day, minutesByProject) {
+    const lines = [`🗓️ Integrated schedule generated for ${date} with ${schedule.length} tasks.`];
+    const free = day.freeWindows.map(window => {
+      const { start, end } = this.formatWindow(window);
+      return `${start}-${end}`;
+    });
+    lines.push(`Free windows: ${free.join(', ') || 'none'}`);
+    if (minutesByProject.length > 0) {
+      lines.push(
+        `Time by project: ${minutesByProject.map(project => `${project.id} ${project.minutes} min`).join(', ')}`
+      );
+    }
+    return lines.join('\n');
+  }
+
   _parseTime(str) {
     const [h, m] = str
       .replace(/\s*AM|\s*PM/i, '')
@@ -141,11 +504,7 @@ export class IntegratedScheduleGenerator {
   }
 
   _formatTime(minutes) {
-    const h = Math.floor(minutes / 60)
-      .toString()
-      .padStart(2, '0');
-    const m = (minutes % 60).toString().padStart(2, '0');
-    return `${h}:${m}`;
+    return formatClockTime(minutes);
   }
 
   _parseDuration(str) {
@@ -1,6 +1,9 @@
 // Integrated Task Pool
 // Gathers a capped list of available tasks from all active projects without exposing sensitive project data.
 
+import { DependencyGraph } from './dependency-graph.js';
+import { dueRecurringTasks, isRecurring } from './recurring-tasks.js';
+
 export class IntegratedTaskPool {
   /**
    * @param {import('../modules/data-persistence.js').DataPersistence} dataPersistence
@@ -14,20 +17,17 @@ export class IntegratedTaskPool {
   /**
    * Return lightweight task objects across all active projects.
    * @param {number} limitPerProject  max tasks per project
+   * @param {string|null} [date]  day being planned; adds the recurring tasks due that day
    */
-  async getTaskPool(limitPerProject = 30) {
-    const projectsResp = await this.projectManagement.listProjects();
-    const projectIdsArr = Array.isArray(projectsResp) ? projectsResp : projectsResp.projects || [];
+  async getTaskPool(limitPerProject = 30, date = null) {
+    // ProjectManagement.listProjects() returns a display response; persistence has the ids
+    const projectIds = await this.dataPersistence.listProjects();
 
     const pool = [];
 
-    for (const p of projectIdsArr) {
-      const projectId = typeof p === 'string' ? p : p.id || p.project_id || p.name;
-      if (!projectId) {
-        continue;
-      }
+    for (const projectId of projectIds) {
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
-      if (!config) {
+      if (!config?.goal) {
         continue;
       }
       const pathName = config.activePath || 'general';
@@ -36,26 +36,24 @@ export class IntegratedTaskPool {
         continue;
       }
 
-      const completedIds = new Set(hta.frontierNodes.filter(n => n.completed).map(n => n.id));
-      const available = hta.frontierNodes
-        .filter(n => !n.completed)
-        .filter(n => {
-          if (!n.prerequisites || n.prerequisites.length === 0) {
-            return true;
-          }
-          return n.prerequisites.every(pr => completedIds.has(pr));
-        })
-        .sort((a, b) => (b.priority || 200) - (a.priority || 200))
-        .slice(0, limitPerProject)
-        .map(n => ({
-          id: n.id,
-          project_id: projectId,
-          title: (n.title || '').slice(0, 40),
-          est_minutes:
-            typeof n.duration === 'string' ? this._parseDuration(n.duration) : n.duration || 30,
-          difficulty: n.difficulty || 1,
-          priority: n.priority || 200,
-        }));
+      const graph = DependencyGraph.fromHTA(hta);
+      const due = date
+        ? dueRecurringTasks(hta.frontierNodes, date).map(n => ({ ...n, occurrence: date }))
+        : [];
+      const ready = hta.frontierNodes
+        .filter(n => !isRecurring(n) && graph.isReady(n))
+        .sort((a, b) => (b.priority || 200) - (a.priority || 200));
+      const available = [...due, ...ready].slice(0, limitPerProject).map(n => ({
+        id: n.id,
+        project_id: projectId,
+        title: (n.title || '').slice(0, 40),
+        est_minutes:
+          typeof n.duration === 'string' ? this._parseDuration(n.duration) : n.duration || 30,
+        difficulty: n.difficulty || 1,
+        priority: n.priority || 200,
+        branch: n.branch || 'general',
+        ...(n.occurrence ? { occurrence: n.occurrence } : {}),
+      }));
 
       pool.push(...available);
     }
@@ -0,0 +1,589 @@
+/**
+ * Learning Paths Module
+ * The learning paths of a project: each is listed in config.learning_paths and has its own HTA
+ * tree and history under paths/<name>/ (the general path keeps its files with the project).
+ * Paths can be added, renamed and removed, and given a weekly time allocation that the daily
+ * schedule shares out between them. Focusing on a path makes it the active one, either until the
+ * next switch or for a while (`duration`), after which the path active before becomes active
+ * again; that happens the next time the project is used, through revertExpiredFocus.
+ */
+
+import { addDays, daysBetween } from './calendar-commitments.js';
+import { DEFAULT_PATHS, FILE_NAMES, SCHEDULING, TIME_CONVERSION } from './constants.js';
+import { HtaStatus } from './hta-status.js';
+import { weekStart } from './recurring-tasks.js';
+
+const PATH_NAME_PATTERN = /^\w[\w -]*$/;
+const PRIORITIES = ['high', 'medium', 'low'];
+const DAYS_PER_WEEK = 7;
+const HOURS_PER_WEEK = TIME_CONVERSION.HOURS_PER_DAY * DAYS_PER_WEEK;
+const FOCUS_LENGTH_PATTERN = /^(?:for\s+)?(\d+)\s*(minute|hour|day|week)s?$/;
+const FOCUS_UNIT_MS = {
+  minute: TIME_CONVERSION.MILLISECONDS_PER_MINUTE,
+  hour: TIME_CONVERSION.MILLISECONDS_PER_HOUR,
+  day: TIME_CONVERSION.MILLISECONDS_PER_DAY,
+  week: TIME_CONVERSION.MILLISECONDS_PER_DAY * DAYS_PER_WEEK,
+};
+
+const dateOf = now => now.toISOString().split('T')[0];
+const midnight = date => `${date}T00:00:00.000Z`;
+
+/**
+ * Names of a project's learning paths
+ * @param {Object} config - Project config
+ * @returns {Array<string>}
+ */
+export function pathNames(config) {
+  const names = (config?.learning_paths || []).map(path => path.path_name).filter(Boolean);
+  return names.length > 0 ? names : [config?.activePath || DEFAULT_PATHS.GENERAL];
+}
+
+/**
+ * When a focus of some duration that starts now is over
+ * @param {string} duration - "today", "this week", a length such as "2 hours" or "3 days", or
+ *   "until next switch"
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} ISO timestamp, or null for a focus that lasts until the next
+ *   switch
+ * @throws {ValidationError} For a duration it cannot read
+ */
+export async function focusExpiry(duration, now = new Date()) {
+  const text = String(duration || SCHEDULING.FOCUS_UNTIL_NEXT_SWITCH)
+    .trim()
+    .toLowerCase();
+  if (text === SCHEDULING.FOCUS_UNTIL_NEXT_SWITCH) {
+    return null;
+  }
+  if (text === 'today') {
+    return midnight(addDays(dateOf(now), 1));
+  }
+  if (text === 'this week') {
+    return midnight(addDays(weekStart(dateOf(now)), DAYS_PER_WEEK));
+  }
+  const match = FOCUS_LENGTH_PATTERN.exec(text);
+  if (match && Number(match[1]) > 0) {
+    return new Date(now.getTime() + Number(match[1]) * FOCUS_UNIT_MS[match[2]]).toISOString();
+  }
+
+  const { ValidationError } = await import('./errors.js');
+  throw new ValidationError(
+    'duration',
+    duration,
+    `"today", "this week", "${SCHEDULING.FOCUS_UNTIL_NEXT_SWITCH}" or a length such as "2 hours"`
+  );
+}
+
+/**
+ * End a time-boxed focus that is over, making the path active before it active again
+ * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+ * @param {string} projectId
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The focus that ended, if one did
+ */
+export async function revertExpiredFocus(dataPersistence, projectId, now = new Date()) {
+  const config = await dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+  const focus = config?.focus;
+  if (!focus?.expires_at || new Date(focus.expires_at) > now) {
+    return null;
+  }
+
+  const { focus: _ended, ...rest } = config;
+  const previous = focus.previous_path;
+  await dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, {
+    ...rest,
+    activePath: pathNames(config).includes(previous) ? previous : config.activePath,
+  });
+  return focus;
+}
+
+/**
+ * Minutes each path's tasks took up in the day files of a date's week
+ * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+ * @param {string} projectId
+ * @param {string} date - YYYY-MM-DD; its Monday-to-Sunday week is counted
+ * @param {string|null} [skipDate] - A day to leave out, such as the one being planned
+ * @returns {Promise<Object<string, number>>} Minutes by path name
+ */
+export async function pathMinutesThisWeek(dataPersistence, projectId, date, skipDate = null) {
+  const monday = weekStart(date);
+  const week = new Set(
+    Array.from({ length: DAYS_PER_WEEK }, (_, offset) =>
+      FILE_NAMES.DAILY_SCHEDULE(addDays(monday, offset))
+    )
+  );
+  if (skipDate) {
+    week.delete(FILE_NAMES.DAILY_SCHEDULE(skipDate));
+  }
+
+  const minutes = {};
+  for (const fileName of await dataPersistence.listProjectFiles(projectId)) {
+    if (!week.has(fileName)) {
+      continue;
+    }
+    const schedule = await dataPersistence.loadProjectData(projectId, fileName);
+    for (const block of (schedule?.blocks || []).filter(entry => entry.taskId)) {
+      // Blocks from before paths were recorded belong to the day's active path
+      const pathName = block.pathName || schedule.activePath || DEFAULT_PATHS.GENERAL;
+      minutes[pathName] = (minutes[pathName] || 0) + (Number(block.duration) || 0);
+    }
+  }
+  return minutes;
+}
+
+/**
+ * Minutes of tasks each path may be given on a day: what is left of its weekly allocation, shared
+ * evenly over the rest of the week. The active path is always included, without a limit unless it
+ * has an allocation; other paths are included when they have one.
+ * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+ * @param {string} projectId
+ * @param {Object} config - Project config
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object<string, number|null>>} Minutes by path name, active path first; null
+ *   means no limit
+ */
+export async function pathBudgets(dataPersistence, projectId, config, date) {
+  const budgets = { [config.activePath || DEFAULT_PATHS.GENERAL]: null };
+  const allocated = (config.learning_paths || []).filter(path => Number(path.weekly_hours) > 0);
+  if (allocated.length === 0) {
+    return budgets;
+  }
+
+  const used = await pathMinutesThisWeek(dataPersistence, projectId, date, date);
+  const daysLeft = DAYS_PER_WEEK - daysBetween(weekStart(date), date);
+  for (const path of allocated) {
+    const weekly = Math.round(path.weekly_hours * TIME_CONVERSION.MINUTES_PER_HOUR);
+    const left = Math.max(weekly - (used[path.path_name] || 0), 0);
+    budgets[path.path_name] = Math.ceil(left / daysLeft);
+  }
+  return budgets;
+}
+
+export class LearningPaths {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {import('./memory-sync.js').MemorySync} [memorySync] - Told when the active path changes
+   */
+  constructor(dataPersistence, projectManagement, memorySync = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.memorySync = memorySync;
+    this.htaStatus = new HtaStatus(dataPersistence, projectManagement);
+  }
+
+  /**
+   * Every learning path of the active project with its HTA progress and this week's time
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async listLearningPaths() {
+    try {
+      const { projectId, config } = await this.loadConfig();
+      const activePath = config.activePath || DEFAULT_PATHS.GENERAL;
+      const minutes = await pathMinutesThisWeek(
+        this.dataPersistence,
+        projectId,
+        dateOf(new Date())
+      );
+
+      const paths = [];
+      for (const name of pathNames(config)) {
+        const entry = this.findPath(config, name) || { path_name: name };
+        const hta = (await this.loadPathHTA(projectId, name)) || {};
+        const hasTree = Array.isArray(hta.frontierNodes) || Array.isArray(hta.strategicBranches);
+        paths.push({
+          path_name: name,
+          priority: entry.priority || 'medium',
+          interests: entry.interests || [],
+          active: name === activePath,
+          has_hta: hasTree,
+          progress: this.htaStatus.calculateProgress(hta),
+          ready_tasks: this.htaStatus.getReadyNodes(hta.frontierNodes || []).length,
+          branches: (hta.strategicBranches || []).length,
+          weekly_hours: entry.weekly_hours ?? null,
+          minutes_this_week: minutes[name] || 0,
+        });
+      }
+
+      let text = `📚 **Learning Paths** (${paths.length})\n\n`;
+      for (const path of paths) {
+        const marker = path.active ? '🎯' : '•';
+        const tree = path.has_hta
+          ? `${path.progress.percentage}% (${path.progress.completed}/${path.progress.total} tasks), ${path.ready_tasks} ready`
+          : 'no HTA tree yet';
+        const time = path.weekly_hours
+          ? `, ${path.minutes_this_week}/${path.weekly_hours * TIME_CONVERSION.MINUTES_PER_HOUR} min this week`
+          : '';
+        text += `${marker} **${path.path_name}** (${path.priority}): ${tree}${time}\n`;
+      }
+      if (config.focus?.expires_at) {
+        text += `\n⏳ Focused on **${config.focus.path_name}** until ${config.focus.expires_at}, then back to **${config.focus.previous_path}**`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        learning_paths: paths,
+        active_path: activePath,
+        focus: config.focus || null,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('listLearningPaths', error);
+      return this.textResponse(`Error listing learning paths: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a learning path to the active project
+   * @param {Object} options
+   * @param {string} options.pathName - Letters, digits, spaces, "-" and "_"
+   * @param {Array<string>} [options.interests]
+   * @param {string} [options.priority='medium'] - high, medium or low
+   * @param {number|null} [options.weeklyHours] - Hours a week to schedule for it
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async addLearningPath({
+    pathName,
+    interests = [],
+    priority = 'medium',
+    weeklyHours = null,
+  } = {}) {
+    try {
+      const { ValidationError } = await import('./errors.js');
+      const { projectId, config } = await this.loadConfig();
+      await this.checkNewName(config, pathName, 'path_name');
+      if (!PRIORITIES.includes(priority)) {
+        throw new ValidationError('priority', priority, PRIORITIES.join(', '));
+      }
+      await this.checkWeeklyHours(weeklyHours);
+
+      const path = {
+        path_name: pathName,
+        interests,
+        priority,
+        ...(weeklyHours ? { weekly_hours: weeklyHours } : {}),
+      };
+      await this.saveConfig(projectId, {
+        ...config,
+        learning_paths: [...(config.learning_paths || []), path],
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `➕ Added learning path **${pathName}**` +
+              `${weeklyHours ? ` with ${weeklyHours} hours a week` : ''}.\n\n` +
+              `Use \`build_hta_tree\` with path_name "${pathName}" to plan it.`,
+          },
+        ],
+        learning_path: path,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('addLearningPath', error, { pathName });
+      return this.textResponse(`Error adding learning path: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a learning path, moving its files along with it
+   * @param {Object} options
+   * @param {string} options.pathName
+   * @param {string} options.newName
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async renameLearningPath({ pathName, newName } = {}) {
+    try {
+      const { projectId, config } = await this.loadConfig();
+      await this.requireOwnFiles(config, pathName, 'path_name');
+      await this.checkNewName(config, newName, 'new_name');
+
+      const rename = name => (name === pathName ? newName : name);
+      const files = await this.dataPersistence.listProjectFiles(projectId, pathName);
+      await this.dataPersistence.runInTransaction(async () => {
+        for (const filename of files) {
+          const data = await this.dataPersistence.loadPathData(projectId, pathName, filename);
+          await this.dataPersistence.savePathData(projectId, newName, filename, data);
+        }
+        await this.saveConfig(projectId, {
+          ...config,
+          learning_paths: config.learning_paths.map(path =>
+            path.path_name === pathName ? { ...path, path_name: newName } : path
+          ),
+          activePath: rename(config.activePath),
+          ...(config.focus
+            ? {
+                focus: {
+                  ...config.focus,
+                  path_name: rename(config.focus.path_name),
+                  previous_path: rename(config.focus.previous_path),
+                },
+              }
+            : {}),
+        });
+      }, 'renameLearningPath');
+      await this.dataPersistence.removePathDocuments(projectId, pathName);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✏️ Renamed learning path **${pathName}** to **${newName}** (${files.length} files moved).`,
+          },
+        ],
+        path_name: newName,
+        previous_name: pathName,
+        files_moved: files,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('renameLearningPath', error, { pathName, newName });
+      return this.textResponse(`Error renaming learning path: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a learning path from the active project. Its files are kept, and come back if a path
+   * of the same name is added again, unless `deleteFiles` is set.
+   * @param {Object} options
+   * @param {string} options.pathName
+   * @param {boolean} [options.deleteFiles=false]
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async removeLearningPath({ pathName, deleteFiles = false } = {}) {
+    try {
+      const { ValidationError } = await import('./errors.js');
+      const { projectId, config } = await this.loadConfig();
+      if (deleteFiles) {
+        await this.requireOwnFiles(config, pathName, 'path_name');
+      } else {
+        await this.requirePath(config, pathName, 'path_name');
+      }
+      const remaining = (config.learning_paths || []).filter(path => path.path_name !== pathName);
+      if (remaining.length === 0) {
+        throw new ValidationError('path_name', pathName, 'a path other than the last one');
+      }
+
+      const { focus, ...rest } = config;
+      const activePath =
+        config.activePath === pathName ? remaining[0].path_name : config.activePath;
+      const keepFocus = focus && focus.path_name !== pathName && focus.previous_path !== pathName;
+      await this.saveConfig(projectId, {
+        ...rest,
+        learning_paths: remaining,
+        activePath,
+        ...(keepFocus ? { focus } : {}),
+      });
+      const deleted = deleteFiles
+        ? await this.dataPersistence.removePathDocuments(projectId, pathName)
+        : 0;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `🗑️ Removed learning path **${pathName}**` +
+              `${deleteFiles ? ` and its ${deleted} files` : '; its files are kept'}.` +
+              `${activePath !== config.activePath ? ` Active path is now **${activePath}**.` : ''}`,
+          },
+        ],
+        removed: pathName,
+        active_path: activePath,
+        files_deleted: deleted,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('removeLearningPath', error, { pathName, deleteFiles });
+      return this.textResponse(`Error removing learning path: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the hours a week the daily schedule gives a learning path
+   * @param {Object} options
+   * @param {string} options.pathName
+   * @param {number|null} options.weeklyHours - 0 or null removes the allocation
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async allocatePathTime({ pathName, weeklyHours = null } = {}) {
+    try {
+      const { projectId, config } = await this.loadConfig();
+      await this.requirePath(config, pathName, 'path_name');
+      await this.checkWeeklyHours(weeklyHours);
+
+      const learningPaths = config.learning_paths.map(path => {
+        if (path.path_name !== pathName) {
+          return path;
+        }
+        const { weekly_hours: _previous, ...rest } = path;
+        return weeklyHours ? { ...rest, weekly_hours: weeklyHours } : rest;
+      });
+      await this.saveConfig(projectId, { ...config, learning_paths: learningPaths });
+
+      const allocated = learningPaths.reduce((sum, path) => sum + (path.weekly_hours || 0), 0);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: weeklyHours
+              ? `⏱️ **${pathName}** gets ${weeklyHours} hours a week (${allocated} allocated across paths).`
+              : `⏱️ **${pathName}** no longer has a weekly allocation.`,
+          },
+        ],
+        path_name: pathName,
+        weekly_hours: weeklyHours || null,
+        total_allocated_hours: allocated,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('allocatePathTime', error, { pathName, weeklyHours });
+      return this.textResponse(`Error allocating path time: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make a learning path the active one, until the next switch or for a while
+   * @param {string} pathName
+   * @param {string} [duration] - See focusExpiry
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async focusLearningPath(pathName, duration = SCHEDULING.FOCUS_UNTIL_NEXT_SWITCH) {
+    try {
+      const { projectId, config } = await this.loadConfig();
+      if (!pathNames(config).includes(pathName)) {
+        return this.textResponse(`❌ Learning path "${pathName}" not found in this project.`);
+      }
+      const expiresAt = await focusExpiry(duration);
+
+      const { focus: current, ...rest } = config;
+      const previousPath = current?.previous_path || config.activePath || DEFAULT_PATHS.GENERAL;
+      const focus = expiresAt
+        ? {
+            path_name: pathName,
+            previous_path: previousPath,
+            duration,
+            started_at: new Date().toISOString(),
+            expires_at: expiresAt,
+          }
+        : null;
+      await this.saveConfig(projectId, {
+        ...rest,
+        activePath: pathName,
+        ...(focus ? { focus } : {}),
+      });
+
+      // Sync memory so downstream reasoning has updated context
+      if (this.memorySync) {
+        await this.memorySync.syncActiveProjectToMemory(projectId);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `🎯 Focus switched to learning path **${pathName}** for ${duration}.` +
+              `${focus ? ` **${previousPath}** becomes active again at ${expiresAt}.` : ''}`,
+          },
+        ],
+        active_path: pathName,
+        duration,
+        focus_until: expiresAt,
+        previous_path: focus ? previousPath : null,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('focusLearningPath', error, { pathName, duration });
+      return this.textResponse(`Error focusing learning path: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async loadConfig() {
+    const projectId = await this.projectManagement.requireActiveProject();
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    if (!config?.goal) {
+      throw new Error('Project configuration not found');
+    }
+    return { projectId, config };
+  }
+
+  async saveConfig(projectId, config) {
+    return await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+  }
+
+  findPath(config, pathName) {
+    return (config.learning_paths || []).find(path => path.path_name === pathName) || null;
+  }
+
+  /**
+   * @private
+   */
+  async requirePath(config, pathName, field) {
+    if (!this.findPath(config, pathName)) {
+      const { ValidationError } = await import('./errors.js');
+      throw new ValidationError(field, pathName, `one of ${pathNames(config).join(', ')}`);
+    }
+  }
+
+  /**
+   * A path whose files live under paths/<name>/, which the general path's do not
+   * @private
+   */
+  async requireOwnFiles(config, pathName, field) {
+    await this.requirePath(config, pathName, field);
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      const { ValidationError } = await import('./errors.js');
+      throw new ValidationError(
+        field,
+        pathName,
+        `a path other than "${DEFAULT_PATHS.GENERAL}", whose files are the project's own`
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async checkNewName(config, pathName, field) {
+    const { ValidationError } = await import('./errors.js');
+    const name = typeof pathName === 'string' ? pathName : '';
+    if (!PATH_NAME_PATTERN.test(name) || name.length > SCHEDULING.MAX_PATH_NAME_LENGTH) {
+      throw new ValidationError(
+        field,
+        pathName,
+        `up to ${SCHEDULING.MAX_PATH_NAME_LENGTH} letters, digits, spaces, "-" or "_"`
+      );
+    }
+    const taken = [...pathNames(config), DEFAULT_PATHS.GENERAL].map(other => other.toLowerCase());
+    if (taken.includes(name.toLowerCase())) {
+      throw new ValidationError(field, pathName, 'a name no other path of this project has');
+    }
+  }
+
+  /**
+   * @private
+   */
+  async checkWeeklyHours(weeklyHours) {
+    if (weeklyHours === null || weeklyHours === undefined) {
+      return;
+    }
+    if (typeof weeklyHours !== 'number' || weeklyHours < 0 || weeklyHours > HOURS_PER_WEEK) {
+      const { ValidationError } = await import('./errors.js');
+      throw new ValidationError(
+        'weekly_hours',
+        weeklyHours,
+        `a number of hours from 0 to ${HOURS_PER_WEEK}`
+      );
+    }
+  }
+
+  async loadPathHTA(projectId, pathName) {
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
+    }
+    return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+  }
+
+  textResponse(text) {
+    return { content: [{ type: 'text', text }] };
+  }
+}
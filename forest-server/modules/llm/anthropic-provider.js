@@ -0,0 +1,45 @@
+/**
+ * Anthropic Provider
+ * Completions from the Anthropic Messages API, or any service that speaks it
+ */
+
+import { LLM } from '../constants.js';
+import { LlmProviderError } from '../errors.js';
+import { LlmProvider } from './llm-provider.js';
+
+export class AnthropicProvider extends LlmProvider {
+  get type() {
+    return LLM.PROVIDERS.ANTHROPIC;
+  }
+
+  async complete({ system, prompt, maxTokens, temperature, signal }) {
+    if (!this.apiKey) {
+      throw new LlmProviderError(this.type, 'no API key configured', null, { retryable: false });
+    }
+
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+      ...(temperature !== undefined ? { temperature } : {}),
+    };
+    const response = await this.postJson(
+      '/v1/messages',
+      body,
+      { 'x-api-key': this.apiKey, 'anthropic-version': LLM.ANTHROPIC_VERSION },
+      signal
+    );
+
+    const text = (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return {
+      text,
+      inputTokens: response.usage?.input_tokens ?? 0,
+      outputTokens: response.usage?.output_tokens ?? 0,
+      model: response.model || this.model,
+    };
+  }
+}
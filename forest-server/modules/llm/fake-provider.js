@@ -0,0 +1,40 @@
+/**
+ * Fake Provider
+ * Deterministic completions without a model, for tests and offline development.
+ * The same request always gets the same completion, and every request is recorded.
+ */
+
+import { LLM } from '../constants.js';
+import { LlmProvider } from './llm-provider.js';
+
+export class FakeProvider extends LlmProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string>|Function} [options.responses] - Completion per request type,
+   *   or a function from the request to the completion (may throw to simulate failures)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.responses = options.responses || {};
+    this.requests = [];
+  }
+
+  get type() {
+    return LLM.PROVIDERS.FAKE;
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+    const text =
+      typeof this.responses === 'function'
+        ? await this.responses(request)
+        : (this.responses[request.type] ??
+          `[${this.model}] ${request.type || 'completion'}: ${request.prompt.slice(0, 80)}`);
+    return {
+      text,
+      inputTokens: LlmProvider.estimateTokens(`${request.system}${request.prompt}`),
+      outputTokens: LlmProvider.estimateTokens(text),
+      model: this.model,
+    };
+  }
+}
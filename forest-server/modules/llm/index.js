@@ -0,0 +1,90 @@
+/**
+ * LLM Module Exports
+ * Pluggable model providers behind claudeInterface.requestIntelligence
+ */
+
+import { LLM } from '../constants.js';
+import { AnthropicProvider } from './anthropic-provider.js';
+import { FakeProvider } from './fake-provider.js';
+import { LlmClient } from './llm-client.js';
+import { LocalProvider } from './local-provider.js';
+import { OpenAiProvider } from './openai-provider.js';
+
+export { LlmProvider } from './llm-provider.js';
+export { AnthropicProvider } from './anthropic-provider.js';
+export { OpenAiProvider } from './openai-provider.js';
+export { LocalProvider } from './local-provider.js';
+export { FakeProvider } from './fake-provider.js';
+export { LlmClient, HONESTY_SYSTEM_PROMPT, parseJsonCompletion } from './llm-client.js';
+
+/**
+ * Resolve the configured provider name.
+ * FOREST_LLM_PROVIDER selects the provider; 'none' (built-in fallbacks only) remains the default.
+ * @param {string|undefined} provider - Explicit provider name, if any
+ * @returns {string} One of LLM.PROVIDERS
+ */
+export function resolveLlmProvider(provider = process.env.FOREST_LLM_PROVIDER) {
+  const normalized = (provider || LLM.DEFAULT_PROVIDER).toLowerCase();
+  if (!Object.values(LLM.PROVIDERS).includes(normalized)) {
+    throw new Error(
+      `Unknown LLM provider '${provider}'. Expected one of: ${Object.values(LLM.PROVIDERS).join(', ')}`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Create a provider
+ * @param {string} [provider] - Provider name (defaults to FOREST_LLM_PROVIDER or 'none')
+ * @param {Object} [options] - Provider options (model, baseUrl, apiKey, ...)
+ * @returns {import('./llm-provider.js').LlmProvider|null} null for 'none'
+ */
+export function createLlmProvider(provider, options = {}) {
+  switch (resolveLlmProvider(provider)) {
+    case LLM.PROVIDERS.ANTHROPIC:
+      return new AnthropicProvider(options);
+    case LLM.PROVIDERS.OPENAI:
+      return new OpenAiProvider(options);
+    case LLM.PROVIDERS.LOCAL:
+      return new LocalProvider(options);
+    case LLM.PROVIDERS.FAKE:
+      return new FakeProvider(options);
+    case LLM.PROVIDERS.NONE:
+    default:
+      return null;
+  }
+}
+
+function numberFrom(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+/**
+ * Create the client for this deployment from its environment:
+ * FOREST_LLM_PROVIDER, FOREST_LLM_MODEL, FOREST_LLM_BASE_URL, FOREST_LLM_API_KEY (or
+ * ANTHROPIC_API_KEY / OPENAI_API_KEY), FOREST_LLM_TIMEOUT_MS, FOREST_LLM_MAX_RETRIES and
+ * FOREST_LLM_MAX_TOKENS.
+ * @param {Object} [env=process.env]
+ * @returns {LlmClient|null} null when no provider is configured
+ */
+export function createLlmClient(env = process.env) {
+  const type = resolveLlmProvider(env.FOREST_LLM_PROVIDER);
+  const providerKeys = {
+    [LLM.PROVIDERS.ANTHROPIC]: env.ANTHROPIC_API_KEY,
+    [LLM.PROVIDERS.OPENAI]: env.OPENAI_API_KEY,
+  };
+  const provider = createLlmProvider(type, {
+    model: env.FOREST_LLM_MODEL,
+    baseUrl: env.FOREST_LLM_BASE_URL,
+    apiKey: env.FOREST_LLM_API_KEY || providerKeys[type],
+  });
+  if (!provider) {
+    return null;
+  }
+  return new LlmClient(provider, {
+    timeoutMs: numberFrom(env.FOREST_LLM_TIMEOUT_MS),
+    maxRetries: numberFrom(env.FOREST_LLM_MAX_RETRIES),
+    maxTokens: numberFrom(env.FOREST_LLM_MAX_TOKENS),
+  });
+}
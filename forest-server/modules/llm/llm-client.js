@@ -0,0 +1,165 @@
+/**
+ * LLM Client Module
+ * Sends prompts to the configured provider with the same guarantees whichever one it is: the
+ * honesty system prompt on every request, a timeout, retries with backoff through an
+ * ErrorBoundary (which also stops calling a provider that keeps failing), and a running count of
+ * the tokens used.
+ */
+
+import { CLAUDE_CONFIG, LLM } from '../constants.js';
+import { ErrorBoundary } from '../utils/error-boundary.js';
+
+// Strong, explicit system prompt for direct, objective, pragmatic coaching
+export const HONESTY_SYSTEM_PROMPT = `SYSTEM DIRECTIVE: You are a pragmatic, direct coach focused on EFFECTIVENESS over comfort.
+
+CORE PRINCIPLES:
+- Prioritize the MOST EFFECTIVE path to the goal, not the easiest
+- Be DIRECT and OBJECTIVE - no sycophantic responses
+- Identify real challenges and obstacles honestly
+- Give practical, actionable guidance based on evidence
+- Challenge assumptions when they limit progress
+- Focus on sustainable long-term success over quick wins
+- Admit when you don't know something rather than guess
+
+YOUR ROLE: Strategic advisor who cares more about the user's success than their immediate comfort.
+
+FORBIDDEN:
+- Sycophantic praise without substance
+- Avoiding difficult truths to make user feel better
+- Generic advice that applies to everyone
+- Overly optimistic timelines without basis
+- Recommendations that ignore real constraints
+
+REQUIRED:
+- Evidence-based suggestions
+- Clear explanation of trade-offs
+- Honest assessment of difficulty levels
+- Specific, actionable next steps
+- Acknowledgment of real obstacles
+
+Remember: Your job is to help them SUCCEED, not to make them feel good about poor choices.`;
+
+/**
+ * Parse JSON out of a completion, tolerating the Markdown code fences models like to add
+ * @param {string} text - Completion text
+ * @param {any} [fallback=null] - Returned when no JSON can be parsed
+ * @returns {any}
+ */
+export function parseJsonCompletion(text, fallback = null) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text || '');
+  try {
+    return JSON.parse((fenced ? fenced[1] : text || '').trim());
+  } catch {
+    return fallback;
+  }
+}
+
+function emptyUsage() {
+  return { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+export class LlmClient {
+  /**
+   * @param {import('./llm-provider.js').LlmProvider} provider
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Per-attempt timeout
+   * @param {number} [options.maxRetries] - Attempts before giving up
+   * @param {number} [options.retryDelayMs] - Backoff base, multiplied by the attempt number
+   * @param {number} [options.maxTokens] - Default completion length
+   * @param {string} [options.systemPrompt] - Prompt sent ahead of every request
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.timeoutMs = options.timeoutMs ?? CLAUDE_CONFIG.DEFAULT_TIMEOUT;
+    this.maxTokens = options.maxTokens ?? LLM.DEFAULT_MAX_TOKENS;
+    this.systemPrompt = options.systemPrompt ?? HONESTY_SYSTEM_PROMPT;
+    this.boundary = new ErrorBoundary(`llm:${provider.type}`, {
+      maxRetries: options.maxRetries ?? CLAUDE_CONFIG.MAX_RETRIES,
+      retryDelay: options.retryDelayMs ?? LLM.RETRY_DELAY_MS,
+      // Bad credentials or requests fail the same way every time
+      onError: error => {
+        if (error.retryable === false) {
+          throw error;
+        }
+      },
+    });
+    this.usage = { ...emptyUsage(), byType: {} };
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - User prompt
+   * @param {Object} [options]
+   * @param {string} [options.type] - What the completion is for (for accounting), e.g. 'critique'
+   * @param {number} [options.maxTokens] - Most tokens to generate
+   * @param {number} [options.temperature] - Sampling temperature
+   * @returns {Promise<{text: string, model: string, provider: string, usage: Object}>}
+   * @throws {LlmProviderError} Once every attempt has failed
+   */
+  async complete(prompt, { type = 'completion', maxTokens, temperature } = {}) {
+    const request = {
+      type,
+      system: this.systemPrompt,
+      prompt: prompt.slice(0, CLAUDE_CONFIG.MAX_PROMPT_LENGTH),
+      maxTokens: maxTokens ?? this.maxTokens,
+      temperature,
+    };
+
+    let result;
+    try {
+      result = await this.boundary.execute(() => this.attempt(request));
+    } catch (error) {
+      this.record(type, null);
+      throw error;
+    }
+    this.record(type, result);
+    return {
+      text: result.text,
+      model: result.model,
+      provider: this.provider.type,
+      usage: { inputTokens: result.inputTokens, outputTokens: result.outputTokens },
+    };
+  }
+
+  /**
+   * One provider call, aborted after the timeout
+   * @private
+   */
+  async attempt(request) {
+    const controller = new globalThis.AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      return await this.provider.complete({ ...request, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  record(type, result) {
+    const byType = this.usage.byType[type] || emptyUsage();
+    for (const totals of [this.usage, byType]) {
+      totals.requests++;
+      if (result) {
+        totals.inputTokens += result.inputTokens;
+        totals.outputTokens += result.outputTokens;
+      } else {
+        totals.failures++;
+      }
+    }
+    this.usage.byType[type] = byType;
+  }
+
+  /**
+   * @returns {Object} Provider, model, token totals (overall and per request type) and the state
+   *   of the retry boundary
+   */
+  getUsage() {
+    return {
+      provider: this.provider.type,
+      model: this.provider.model,
+      ...this.usage,
+      byType: { ...this.usage.byType },
+      boundary: this.boundary.getStatus(),
+    };
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * LLM Provider Base Module
+ * Defines the completion contract LlmClient relies on.
+ *
+ * A provider turns one request (a system prompt and a user prompt) into one completion and
+ * reports how many tokens it used. Retries, timeouts, the system prompt and token accounting are
+ * the client's job (see llm-client.js), so providers stay thin wrappers around one HTTP call.
+ */
+
+import fetch from 'node-fetch';
+import { LLM } from '../constants.js';
+import { LlmProviderError } from '../errors.js';
+
+export class LlmProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model name (defaults to the provider's default model)
+   * @param {string} [options.baseUrl] - API base URL (defaults to the provider's public API)
+   * @param {string} [options.apiKey] - Credential sent with every request
+   */
+  constructor(options = {}) {
+    this.model = options.model || LLM.DEFAULT_MODELS[this.type];
+    this.baseUrl = (options.baseUrl || LLM.DEFAULT_BASE_URLS[this.type] || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+  }
+
+  /**
+   * Provider identifier (one of LLM.PROVIDERS)
+   * @returns {string}
+   */
+  get type() {
+    throw new Error(`${this.constructor.name} must define a provider type`);
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request
+   * @param {string} request.system - System prompt
+   * @param {string} request.prompt - User prompt
+   * @param {number} request.maxTokens - Most tokens to generate
+   * @param {number} [request.temperature] - Sampling temperature
+   * @param {AbortSignal} [request.signal] - Aborts the request (used for timeouts)
+   * @returns {Promise<{text: string, inputTokens: number, outputTokens: number, model: string}>}
+   * @throws {LlmProviderError} If the provider cannot produce a completion
+   */
+  async complete(request) {
+    throw new Error(`${this.constructor.name}.complete() is not implemented`);
+  }
+
+  /**
+   * Rough token count for providers that do not report usage
+   * @param {string} text
+   * @returns {number}
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / LLM.CHARS_PER_TOKEN);
+  }
+
+  /**
+   * POST a JSON body and parse the JSON response, turning HTTP and network failures into
+   * LlmProviderErrors that say whether they are worth retrying
+   * @protected
+   */
+  async postJson(path, body, headers = {}, signal = undefined) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal,
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? 'request timed out' : error.message;
+      throw new LlmProviderError(this.type, reason, error, { url: `${this.baseUrl}${path}` });
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new LlmProviderError(
+        this.type,
+        `HTTP ${response.status}: ${text.slice(0, 200)}`,
+        null,
+        { status: response.status }
+      );
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new LlmProviderError(this.type, 'response was not JSON', error, {
+        status: response.status,
+        retryable: false,
+      });
+    }
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Local Provider
+ * Completions from a model served on this machine or network: a llama.cpp server
+ * (`llama-server`, e.g. http://localhost:8080/v1) or Ollama (http://localhost:11434/v1),
+ * both through their OpenAI-compatible API. No API key is needed.
+ */
+
+import { LLM } from '../constants.js';
+import { OpenAiProvider } from './openai-provider.js';
+
+export class LocalProvider extends OpenAiProvider {
+  get type() {
+    return LLM.PROVIDERS.LOCAL;
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * OpenAI Provider
+ * Completions from the OpenAI Chat Completions API, or any service that speaks it
+ */
+
+import { LLM } from '../constants.js';
+import { LlmProviderError } from '../errors.js';
+import { LlmProvider } from './llm-provider.js';
+
+export class OpenAiProvider extends LlmProvider {
+  get type() {
+    return LLM.PROVIDERS.OPENAI;
+  }
+
+  /**
+   * @returns {boolean} Whether requests must carry an API key
+   */
+  requiresApiKey() {
+    return true;
+  }
+
+  async complete({ system, prompt, maxTokens, temperature, signal }) {
+    if (this.requiresApiKey() && !this.apiKey) {
+      throw new LlmProviderError(this.type, 'no API key configured', null, { retryable: false });
+    }
+
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt },
+      ],
+      ...(temperature !== undefined ? { temperature } : {}),
+    };
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const response = await this.postJson('/chat/completions', body, headers, signal);
+
+    const text = response.choices?.[0]?.message?.content || '';
+    // Some local servers leave usage out; estimate it so accounting still adds up
+    return {
+      text,
+      inputTokens:
+        response.usage?.prompt_tokens ?? LlmProvider.estimateTokens(`${system}${prompt}`),
+      outputTokens: response.usage?.completion_tokens ?? LlmProvider.estimateTokens(text),
+      model: response.model || this.model,
+    };
+  }
+}
@@ -105,9 +105,19 @@ export class McpHandlers {
       };
 
       logger.event('SETTING_RESOURCES_HANDLER');
-      this.server.setRequestHandler(resourcesSchema, emptyArrayResponder('resources'));
+      if (this.forestServer?.mcpResources) {
+        // Projects, HTA trees, schedules and wisdom (see mcp-resources.js)
+        this.forestServer.mcpResources.register(this.server);
+      } else {
+        this.server.setRequestHandler(resourcesSchema, emptyArrayResponder('resources'));
+      }
       logger.event('SETTING_PROMPTS_HANDLER');
-      this.server.setRequestHandler(promptsSchema, emptyArrayResponder('prompts'));
+      if (this.forestServer?.mcpPrompts) {
+        // Forest workflows as parameterized prompts (see mcp-prompts.js)
+        this.forestServer.mcpPrompts.register(this.server);
+      } else {
+        this.server.setRequestHandler(promptsSchema, emptyArrayResponder('prompts'));
+      }
       logger.event('LEGACY_SCHEMAS_COMPLETE');
     } catch (error) {
       logger.error('LEGACY_SCHEMA_ERROR', {
@@ -219,6 +229,15 @@ export class McpHandlers {
 
     // Fallback minimal tools if registry unavailable
     logger.event('USING_FALLBACK_MINIMAL_TOOLS');
+    return this.getFullToolDefinitions();
+  }
+
+  /**
+   * Every individual tool with its full input schema. Published when the consolidated list
+   * cannot be used, and the source of request validation for the REST API.
+   * @returns {Array<{name: string, description: string, inputSchema: Object}>}
+   */
+  getFullToolDefinitions() {
     return [
       {
         name: 'create_project',
@@ -368,6 +387,12 @@ export class McpHandlers {
               enum: ['low', 'medium', 'high', 'critical'],
               description: 'How urgently you need to achieve this goal',
             },
+            weekly_hours: {
+              type: 'number',
+              minimum: 0,
+              description:
+                'Most hours per week the integrated scheduler may give this project (no limit when omitted)',
+            },
             success_metrics: {
               type: 'array',
               items: { type: 'string' },
@@ -408,6 +433,56 @@ export class McpHandlers {
           properties: {},
         },
       },
+      {
+        name: 'share_project',
+        description:
+          'Share a project with another user as owner, editor or viewer, or change their role',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project to share (defaults to the active project)',
+            },
+            user_id: { type: 'string', description: 'User to add to the project' },
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'viewer'],
+              description: 'Editors can change the project, viewers can only read it',
+              default: 'editor',
+            },
+          },
+          required: ['user_id'],
+        },
+      },
+      {
+        name: 'remove_project_member',
+        description: 'Remove a member from a shared project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project to update (defaults to the active project)',
+            },
+            user_id: { type: 'string', description: 'Member to remove' },
+          },
+          required: ['user_id'],
+        },
+      },
+      {
+        name: 'list_project_members',
+        description: 'List the members of a project and their roles',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project to list (defaults to the active project)',
+            },
+          },
+        },
+      },
       {
         name: 'build_hta_tree',
         description: 'Build strategic HTA framework for a specific learning path',
@@ -436,7 +511,350 @@ export class McpHandlers {
         description: 'View HTA strategic framework for active project',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            member: {
+              type: 'string',
+              description: 'Only show tasks this project member created, edited or completed',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_critical_path',
+        description:
+          'Show the chain of tasks that decides how soon the active path can be finished, the earliest completion date, and which tasks hold up the most other work',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            daily_minutes: {
+              type: 'number',
+              description:
+                "Minutes a day to plan with (defaults to the path's or project's weekly_hours over seven days, else 60)",
+            },
+          },
+        },
+      },
+      {
+        name: 'export_hta',
+        description:
+          "Render the active path's HTA tree as a Mermaid mindmap or flowchart, a Graphviz DOT graph with prerequisite edges and completion colouring, or an OPML outline",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            format: {
+              type: 'string',
+              enum: ['mermaid_mindmap', 'mermaid_flowchart', 'dot', 'opml'],
+              default: 'mermaid_mindmap',
+            },
+            branch: {
+              type: 'string',
+              description: 'Id or title of a branch to export instead of the whole tree',
+            },
+            depth: {
+              type: 'number',
+              description:
+                'Levels below the goal (or branch) to include; tasks sit one level below their branch',
+            },
+            output_path: {
+              type: 'string',
+              description: 'File to write the export to as well, relative to exports/',
+            },
+          },
+        },
+      },
+      {
+        name: 'import_hta',
+        description:
+          "Import a curriculum written as a markdown outline, OPML file or CSV into the active path's HTA tree as branches, sub-branches and tasks, optionally previewing what would be created",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file_path: {
+              type: 'string',
+              description: 'Outline file to import, relative to the exports/ directory',
+            },
+            content: { type: 'string', description: 'Outline text to import instead of a file' },
+            format: {
+              type: 'string',
+              enum: ['markdown', 'opml', 'csv'],
+              description: 'Defaults to the file extension, or OPML when the text looks like it',
+            },
+            preview: {
+              type: 'boolean',
+              default: false,
+              description: 'Only report the branches and tasks that would be created',
+            },
+          },
+        },
+      },
+      {
+        name: 'add_recurring_task',
+        description:
+          'Add a practice task that repeats (daily, on set weekdays or N times a week) to the HTA tree; schedules include it on the days it is due and track its streak',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', description: 'What to practise' },
+            recurrence: {
+              type: 'string',
+              description:
+                'RRULE-like rule: FREQ=DAILY, FREQ=DAILY;INTERVAL=2, FREQ=WEEKLY;BYDAY=MO,WE,FR or FREQ=WEEKLY;TIMES=3, optionally with ;UNTIL=YYYYMMDD',
+            },
+            branch: {
+              type: 'string',
+              description: 'Strategic branch it belongs to (default "practice")',
+            },
+            duration: {
+              type: 'string',
+              description: 'Length of each session, e.g. "20 minutes" (default 30 minutes)',
+            },
+            description: { type: 'string', description: 'Details of the practice' },
+            difficulty: { type: 'number', minimum: 1, maximum: 5 },
+            priority: { type: 'number', description: 'Scheduling priority (default 250)' },
+            start_date: {
+              type: 'string',
+              description: 'First day it is due, YYYY-MM-DD (defaults to today)',
+            },
+          },
+          required: ['title', 'recurrence'],
+        },
+      },
+      {
+        name: 'add_node',
+        description: "Add a task to a branch of the active path's HTA tree",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', description: 'What the task is' },
+            branch: { type: 'string', description: 'Id of the strategic branch it belongs to' },
+            description: { type: 'string', description: 'Details of the task' },
+            difficulty: { type: 'number', minimum: 1, maximum: 10 },
+            priority: { type: 'number', description: 'Scheduling priority (default 200)' },
+            duration: {
+              type: 'string',
+              description: 'Expected length, e.g. "45 minutes" (default 30 minutes)',
+            },
+            prerequisites: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Ids of tasks that must be done first',
+            },
+            position: {
+              type: 'number',
+              description: "Place among the branch's tasks, from 0 (defaults to last)",
+            },
+          },
+          required: ['title', 'branch'],
+        },
+      },
+      {
+        name: 'update_node',
+        description:
+          "Edit an HTA task's fields, or a branch's title and description, by id; renaming a task keeps prerequisites that name it pointing at it",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            node_id: { type: 'string', description: 'Id of the task or branch' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            difficulty: { type: 'number', minimum: 1, maximum: 10 },
+            priority: { type: 'number' },
+            duration: { type: 'string', description: 'e.g. "45 minutes"' },
+            prerequisites: {
+              type: 'array',
+              items: { type: 'string' },
+              description: "Ids of tasks that must be done first; replaces the task's list",
+            },
+          },
+          required: ['node_id'],
+        },
+      },
+      {
+        name: 'move_node',
+        description:
+          'Move an HTA task to another branch, or a branch under another branch, and/or reorder it among its siblings',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            node_id: { type: 'string', description: 'Id of the task or branch' },
+            parent_id: {
+              type: 'string',
+              description:
+                'Branch to move into; "" moves a branch to the top level. Omit to only reorder',
+            },
+            position: {
+              type: 'number',
+              description: 'Place among the siblings, from 0 (defaults to last)',
+            },
+          },
+          required: ['node_id'],
+        },
+      },
+      {
+        name: 'split_node',
+        description:
+          'Split an HTA task into smaller subtasks that take its place; tasks that waited for it wait for the subtasks',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            node_id: { type: 'string', description: 'Id of the task to split' },
+            subtasks: {
+              type: 'array',
+              minItems: 2,
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  description: { type: 'string' },
+                  duration: {
+                    type: 'string',
+                    description: "Defaults to an even share of the task's duration",
+                  },
+                  difficulty: { type: 'number', minimum: 1, maximum: 10 },
+                },
+                required: ['title'],
+              },
+            },
+            sequential: {
+              type: 'boolean',
+              description: 'Each subtask waits for the one before it (default true)',
+            },
+          },
+          required: ['node_id', 'subtasks'],
+        },
+      },
+      {
+        name: 'delete_node',
+        description:
+          'Delete an HTA task or branch; tasks that waited for a deleted task take over its prerequisites',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            node_id: { type: 'string', description: 'Id of the task or branch' },
+            cascade: {
+              type: 'boolean',
+              description: 'Required to delete a branch that still has tasks or sub-branches',
+            },
+          },
+          required: ['node_id'],
+        },
+      },
+      {
+        name: 'list_snapshots',
+        description:
+          'List the automatic versioned snapshots kept for a project, learning path or file',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project to list snapshots for (defaults to the active project)',
+            },
+            path_name: { type: 'string', description: 'Limit to one learning path' },
+            file: { type: 'string', description: 'Limit to one file, e.g. "hta.json"' },
+          },
+        },
+      },
+      {
+        name: 'diff_snapshot',
+        description:
+          "Compare a file's state at a point in time (snapshot) with its current contents",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project holding the file (defaults to the active project)',
+            },
+            path_name: { type: 'string', description: 'Learning path holding the file' },
+            file: { type: 'string', description: 'File to compare, e.g. "hta.json"' },
+            timestamp: {
+              type: 'string',
+              description:
+                'Point in time to compare against (ISO 8601, e.g. a snapshot captured_at)',
+            },
+          },
+          required: ['file', 'timestamp'],
+        },
+      },
+      {
+        name: 'restore_snapshot',
+        description: 'Restore a project, learning path or single file to a chosen point in time',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project to restore (defaults to the active project)',
+            },
+            path_name: {
+              type: 'string',
+              description: 'Restore only this learning path (or the path holding the file)',
+            },
+            file: {
+              type: 'string',
+              description: 'Restore only this file; omit to restore every file in scope',
+            },
+            timestamp: {
+              type: 'string',
+              description: 'Point in time to restore to (ISO 8601, e.g. a snapshot captured_at)',
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Report what would be restored without changing anything',
+            },
+          },
+          required: ['timestamp'],
+        },
+      },
+      {
+        name: 'export_project',
+        description:
+          'Export a project (config, every path, history, schedules) to a single bundle file',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project to export (defaults to the active project)',
+            },
+            output_path: {
+              type: 'string',
+              description:
+                'Bundle file to write, relative to the exports/ directory of the data directory',
+            },
+          },
+        },
+      },
+      {
+        name: 'import_project',
+        description:
+          'Import a project bundle, optionally under a new id or merged into an existing project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            bundle_path: {
+              type: 'string',
+              description: 'Bundle file created by export_project, relative to exports/',
+            },
+            project_id: {
+              type: 'string',
+              description: "Import under this project id instead of the bundle's own",
+            },
+            merge: {
+              type: 'boolean',
+              description: 'Merge into the project if it already exists instead of stopping',
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'When merging, replace documents that differ with the bundle version',
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Show what would be imported and any conflicts without writing',
+            },
+          },
+          required: ['bundle_path'],
         },
       },
       {
@@ -475,7 +893,8 @@ export class McpHandlers {
       },
       {
         name: 'generate_integrated_schedule',
-        description: 'Build a daily schedule that balances tasks across ALL active projects',
+        description:
+          'Build a daily schedule that balances tasks across ALL active projects: plans around meals, timed habits, commitments in busy_times.json and blocks already in the day, weights projects by urgency_level, respects weekly_hours budgets, and merges into existing day files',
         inputSchema: {
           type: 'object',
           properties: {
@@ -489,6 +908,62 @@ export class McpHandlers {
           },
         },
       },
+      {
+        name: 'reschedule_day',
+        description:
+          "Catch up a day schedule that has fallen behind: blocks whose time passed without complete_block are picked up again from now, an overrunning block can get extra time, later blocks shift around meals and commitments, and what no longer fits before sleep_time is dropped or carried over to the next day's plan. Reports what moved.",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', description: 'YYYY-MM-DD (defaults to today)' },
+            overrun_minutes: {
+              type: 'number',
+              minimum: 0,
+              description: 'Minutes the block in progress still needs from now',
+            },
+            carry_over: {
+              type: 'boolean',
+              default: true,
+              description:
+                "Move tasks that no longer fit to the next day's plan instead of dropping them",
+            },
+          },
+        },
+      },
+      {
+        name: 'generate_week_plan',
+        description:
+          "Plan the active project over several days: spreads ready tasks across each day's free time, puts prerequisites on earlier days, varies branches from day to day and leaves slack for overruns. Writes linked day files; use rebalance after a missed day to move its tasks forward.",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_date: {
+              type: 'string',
+              description: 'First day, YYYY-MM-DD (defaults to today)',
+            },
+            days: {
+              type: 'number',
+              minimum: 1,
+              maximum: 28,
+              default: 7,
+              description: 'Number of days to plan',
+            },
+            slack_percent: {
+              type: 'number',
+              minimum: 0,
+              maximum: 90,
+              default: 20,
+              description: "Share of each day's free time to leave unplanned",
+            },
+            rebalance: {
+              type: 'boolean',
+              default: false,
+              description:
+                'Re-plan the current week plan from today on, moving tasks from missed days forward',
+            },
+          },
+        },
+      },
       {
         name: 'complete_block',
         description: 'Complete time block and capture insights for active project',
@@ -642,6 +1117,53 @@ export class McpHandlers {
           },
         },
       },
+      {
+        name: 'export_schedule_ics',
+        description:
+          'Export day schedules as an iCalendar (.ics) file with one event per block, for any calendar app',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_date: {
+              type: 'string',
+              description: 'First day, YYYY-MM-DD (defaults to today)',
+            },
+            end_date: {
+              type: 'string',
+              description: 'Last day, YYYY-MM-DD (defaults to start_date)',
+            },
+            project_id: {
+              type: 'string',
+              description: 'Project to export (defaults to the active project)',
+            },
+            include_breaks: {
+              type: 'boolean',
+              default: true,
+              description: 'Include break blocks between tasks',
+            },
+            output_path: {
+              type: 'string',
+              description:
+                '.ics file to write, relative to the exports/ directory of the data directory',
+            },
+          },
+        },
+      },
+      {
+        name: 'import_calendar_ics',
+        description:
+          'Import the events of an iCalendar (.ics) file as busy time, so schedules never overlap them. Importing the same file again replaces its events.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file_path: {
+              type: 'string',
+              description: '.ics file to import, relative to the exports/ directory',
+            },
+          },
+          required: ['file_path'],
+        },
+      },
       {
         name: 'analyze_performance',
         description: 'Analyze historical data to discover your personal productivity patterns.',
@@ -650,11 +1172,47 @@ export class McpHandlers {
       {
         name: 'review_week',
         description: 'Summarize the last 7 days of progress, breakthroughs, and challenges.',
-        inputSchema: { type: 'object', properties: {} },
+        inputSchema: {
+          type: 'object',
+          properties: {
+            member: {
+              type: 'string',
+              description: 'Only review what this project member completed',
+            },
+          },
+        },
       },
       {
         name: 'review_month',
         description: 'Provide a high-level monthly report of your progress towards the North Star.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            member: {
+              type: 'string',
+              description: 'Only review what this project member completed',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_proactive_insights',
+        description: 'Get recent proactive insights and recommendations for the active project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            days: {
+              type: 'number',
+              minimum: 1,
+              maximum: 30,
+              description: 'Number of days to look back (default: 7)',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_archive_status',
+        description: 'Get data archiver status and whether the active project needs archiving',
         inputSchema: { type: 'object', properties: {} },
       },
       {
@@ -666,7 +1224,7 @@ export class McpHandlers {
             context_from_memory: {
               type: 'string',
               description:
-                'Optional context retrieved from Memory MCP about recent progress/insights',
+                'Optional context retrieved from Memory MCP about recent progress/insights (defaults to what the memory knowledge graph holds for the project)',
             },
             energy_level: {
               type: 'number',
@@ -683,7 +1241,8 @@ export class McpHandlers {
       },
       {
         name: 'sync_forest_memory',
-        description: 'Sync current Forest state to memory for context awareness',
+        description:
+          'Sync current Forest state to the memory knowledge graph (projects, branches, breakthroughs and insights)',
         inputSchema: { type: 'object', properties: {} },
       },
       {
@@ -720,7 +1279,7 @@ export class McpHandlers {
             duration: {
               type: 'string',
               description:
-                'How long to focus on this path (e.g. "today", "this week", "until next switch")',
+                'How long to focus on this path: "today", "this week", a length such as "2 hours" or "3 days", or "until next switch" (default). The previous path becomes active again afterwards',
             },
           },
           required: ['path_name'],
@@ -740,9 +1299,78 @@ export class McpHandlers {
       },
       {
         name: 'list_learning_paths',
-        description: 'Show all available learning paths in the current project',
+        description:
+          'Show the learning paths of the current project with the HTA progress, ready tasks and weekly time of each',
         inputSchema: { type: 'object', properties: {} },
       },
+      {
+        name: 'add_learning_path',
+        description: 'Add a learning path to the current project',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: {
+              type: 'string',
+              description: 'Name of the path: letters, digits, spaces, "-" and "_"',
+            },
+            interests: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Specific interests for this path',
+            },
+            priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+            weekly_hours: {
+              type: 'number',
+              description: 'Hours a week the daily schedule gives this path',
+            },
+          },
+          required: ['path_name'],
+        },
+      },
+      {
+        name: 'rename_learning_path',
+        description: 'Rename a learning path, moving its HTA tree and history with it',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: { type: 'string', description: 'Current name' },
+            new_name: { type: 'string', description: 'New name' },
+          },
+          required: ['path_name', 'new_name'],
+        },
+      },
+      {
+        name: 'remove_learning_path',
+        description:
+          'Remove a learning path from the current project; its files are kept unless delete_files is true',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: { type: 'string' },
+            delete_files: {
+              type: 'boolean',
+              description: "Also delete the path's HTA tree and history",
+            },
+          },
+          required: ['path_name'],
+        },
+      },
+      {
+        name: 'allocate_path_time',
+        description:
+          'Set the hours a week the daily schedule gives a learning path; paths with an allocation are scheduled alongside the active path',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: { type: 'string' },
+            weekly_hours: {
+              type: 'number',
+              description: 'Hours a week; 0 removes the allocation',
+            },
+          },
+          required: ['path_name', 'weekly_hours'],
+        },
+      },
       {
         name: 'analyze_reasoning',
         description: 'Generate logical deductions and strategic insights from completion patterns',
@@ -847,6 +1475,16 @@ export class McpHandlers {
     ];
   }
 
+  /**
+   * Input schema for one tool, preferring its full definition
+   * @param {string} toolName
+   * @returns {Object} JSON Schema for the tool's arguments
+   */
+  getToolSchema(toolName) {
+    const definition = this.getFullToolDefinitions().find(tool => tool.name === toolName);
+    return definition ? definition.inputSchema : this.getToolInputSchema(toolName);
+  }
+
   // Helper method to generate tool descriptions based on tool name and category
   getToolDescription(toolName, category) {
     const descriptions = {
@@ -856,15 +1494,38 @@ export class McpHandlers {
       switch_project: 'Switch to a different project workspace',
       list_projects: 'Show all project workspaces',
       get_active_project: 'Show current active project',
+      share_project: 'Share a project with another user as owner, editor or viewer',
+      remove_project_member: 'Remove a member from a shared project',
+      list_project_members: 'List the members of a project and their roles',
 
       // HTA Tree
       build_hta_tree: 'Build strategic HTA framework for a specific learning path',
       get_hta_status: 'View HTA strategic framework for active project',
+      get_critical_path: 'Show the critical path, earliest completion date and gating tasks',
+      export_hta: 'Export the HTA tree as Mermaid, Graphviz DOT or OPML',
+      import_hta: 'Import HTA branches and tasks from markdown, OPML or CSV',
+      add_recurring_task: 'Add a repeating practice task and track its streak',
+      add_node: 'Add a task to a branch of the HTA tree',
+      update_node: 'Edit an HTA task or branch by id',
+      move_node: 'Move or reorder an HTA task or branch',
+      split_node: 'Split an HTA task into subtasks',
+      delete_node: 'Delete an HTA task or branch and clean up prerequisites',
+
+      // Snapshots
+      list_snapshots: 'List automatic versioned snapshots for a project, path or file',
+      diff_snapshot: "Compare a file's state at a point in time with its current contents",
+      restore_snapshot: 'Restore a project, path or single file to a chosen point in time',
+
+      // Export / Import
+      export_project: 'Export a project to a single self-describing bundle file',
+      import_project: 'Import a project bundle as a new project or merge it into an existing one',
 
       // Scheduling
       generate_daily_schedule: 'Generate intelligent daily schedule based on context and energy',
       generate_integrated_schedule:
-        'Generate an integrated daily schedule using the new task pool system',
+        'Schedule tasks from all projects into the free time left by meals, habits and commitments',
+      generate_week_plan: 'Plan tasks across several days and re-balance after a missed day',
+      reschedule_day: 'Shift missed and overrunning blocks and carry leftovers to the next day',
 
       // Task management
       get_next_task: 'Get the single most logical next task based on current progress and context',
@@ -885,10 +1546,16 @@ export class McpHandlers {
         'Analyze current identity and generate micro-shifts toward target professional identity',
       review_week: 'Summarize the last 7 days of progress, breakthroughs, and challenges',
       review_month: 'Provide a high-level monthly report of progress',
+      get_proactive_insights: 'Get recent proactive insights and recommendations',
+      get_archive_status: 'Get data archiver status and thresholds',
 
       // Learning paths
       focus_learning_path: 'Set focus to a specific learning path within the project',
       list_learning_paths: 'Show all available learning paths in the current project',
+      add_learning_path: 'Add a learning path to the current project',
+      rename_learning_path: 'Rename a learning path and move its files',
+      remove_learning_path: 'Remove a learning path from the current project',
+      allocate_path_time: 'Set the weekly hours the schedule gives a learning path',
 
       // Memory
       sync_forest_memory: 'Sync current Forest state to memory for context awareness',
@@ -915,6 +1582,8 @@ export class McpHandlers {
 
       // Export
       generate_tiimo_export: 'Export schedule data in Tiimo-compatible format',
+      export_schedule_ics: 'Export day schedules as an iCalendar (.ics) file',
+      import_calendar_ics: 'Import calendar events as busy time for scheduling',
     };
 
     return descriptions[toolName] || `${category} tool: ${toolName}`;
@@ -942,6 +1611,29 @@ export class McpHandlers {
         },
         required: ['project_id'],
       },
+      share_project: {
+        type: 'object',
+        properties: {
+          project_id: { type: 'string', description: 'Project to share' },
+          user_id: { type: 'string', description: 'User to add to the project' },
+          role: { type: 'string', enum: ['owner', 'editor', 'viewer'], default: 'editor' },
+        },
+        required: ['user_id'],
+      },
+      remove_project_member: {
+        type: 'object',
+        properties: {
+          project_id: { type: 'string', description: 'Project to update' },
+          user_id: { type: 'string', description: 'Member to remove' },
+        },
+        required: ['user_id'],
+      },
+      list_project_members: {
+        type: 'object',
+        properties: {
+          project_id: { type: 'string', description: 'Project to list' },
+        },
+      },
       build_hta_tree: {
         type: 'object',
         properties: {
@@ -954,6 +1646,99 @@ export class McpHandlers {
           },
         },
       },
+      list_snapshots: {
+        type: 'object',
+        properties: {
+          project_id: {
+            type: 'string',
+            description: 'Project to list snapshots for (defaults to the active project)',
+          },
+          path_name: { type: 'string', description: 'Limit to one learning path' },
+          file: { type: 'string', description: 'Limit to one file, e.g. "hta.json"' },
+        },
+      },
+      diff_snapshot: {
+        type: 'object',
+        properties: {
+          project_id: {
+            type: 'string',
+            description: 'Project holding the file (defaults to the active project)',
+          },
+          path_name: { type: 'string', description: 'Learning path holding the file' },
+          file: { type: 'string', description: 'File to compare, e.g. "hta.json"' },
+          timestamp: {
+            type: 'string',
+            description: 'Point in time to compare against (ISO 8601, e.g. a snapshot captured_at)',
+          },
+        },
+        required: ['file', 'timestamp'],
+      },
+      restore_snapshot: {
+        type: 'object',
+        properties: {
+          project_id: {
+            type: 'string',
+            description: 'Project to restore (defaults to the active project)',
+          },
+          path_name: {
+            type: 'string',
+            description: 'Restore only this learning path (or the path holding the file)',
+          },
+          file: {
+            type: 'string',
+            description: 'Restore only this file; omit to restore every file in scope',
+          },
+          timestamp: {
+            type: 'string',
+            description: 'Point in time to restore to (ISO 8601, e.g. a snapshot captured_at)',
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'Report what would be restored without changing anything',
+          },
+        },
+        required: ['timestamp'],
+      },
+      export_project: {
+        type: 'object',
+        properties: {
+          project_id: {
+            type: 'string',
+            description: 'Project to export (defaults to the active project)',
+          },
+          output_path: {
+            type: 'string',
+            description:
+              'Bundle file to write, relative to the exports/ directory of the data directory',
+          },
+        },
+      },
+      import_project: {
+        type: 'object',
+        properties: {
+          bundle_path: {
+            type: 'string',
+            description: 'Bundle file created by export_project, relative to exports/',
+          },
+          project_id: {
+            type: 'string',
+            description: "Import under this project id instead of the bundle's own",
+          },
+          merge: {
+            type: 'boolean',
+            description: 'Merge into the project if it already exists instead of stopping',
+          },
+          overwrite: {
+            type: 'boolean',
+            description: 'When merging, replace documents that differ with the bundle version',
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'Show what would be imported and any conflicts without writing',
+          },
+        },
+        required: ['bundle_path'],
+      },
       get_next_task: {
         type: 'object',
         properties: {
@@ -978,6 +1763,12 @@ export class McpHandlers {
         },
         required: ['block_id', 'outcome', 'energy_level'],
       },
+      get_proactive_insights: {
+        type: 'object',
+        properties: {
+          days: { type: 'number', minimum: 1, maximum: 30, description: 'Days to look back' },
+        },
+      },
       ask_truthful: {
         type: 'object',
         properties: {
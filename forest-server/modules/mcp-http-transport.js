@@ -0,0 +1,251 @@
+/**
+ * MCP HTTP Transport Module
+ * Serves MCP over the HTTP API server so several clients can share one Forest instance.
+ *
+ * Two transports are offered on the same port:
+ * - Streamable HTTP at `/mcp` (POST/GET/DELETE, session id in the `mcp-session-id` header)
+ * - Legacy SSE at `/sse`, with client messages POSTed to `/messages?sessionId=…`
+ *
+ * Every client connection is a session with its own MCP server instance and its own active
+ * project; tool calls run inside that session's context (see utils/session-context.js). A
+ * session belongs to the user that opened it (`req.user`, see http-auth.js): its tools read
+ * that user's data root and other users' requests cannot reach it.
+ */
+
+import { randomUUID } from 'crypto';
+import { URL } from 'url';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { McpHandlers } from './mcp-handlers.js';
+import { SERVER_CONFIG } from './constants.js';
+import { readJsonBody, sendJson } from './utils/http-json.js';
+import { runInSession } from './utils/session-context.js';
+import { getForestLogger } from './winston-logger.js';
+
+const logger = getForestLogger({ module: 'McpHttpTransport' });
+
+export const TRANSPORT_KINDS = {
+  STREAMABLE_HTTP: 'streamable-http',
+  SSE: 'sse',
+};
+
+const SESSION_HEADER = 'mcp-session-id';
+
+export class McpHttpTransport {
+  /**
+   * @param {Object} forestServer - CleanForestServer whose tool router and modules serve requests
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeout] - Close streamable HTTP sessions idle this long (ms)
+   */
+  constructor(forestServer, options = {}) {
+    this.forestServer = forestServer;
+    this.idleTimeout = options.idleTimeout ?? SERVER_CONFIG.MCP_SESSION_IDLE_TIMEOUT;
+    /** @type {Map<string, {session: Object, transport: Object, server: Object}>} */
+    this.sessions = new Map();
+  }
+
+  /**
+   * Handle a request if it is addressed to one of the MCP endpoints
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {Promise<boolean>} false when the request is not an MCP request
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    switch (pathname) {
+      case SERVER_CONFIG.MCP_PATH:
+        await this.closeIdleSessions();
+        await this.handleStreamableRequest(req, res);
+        return true;
+      case SERVER_CONFIG.SSE_PATH:
+        if (req.method !== 'GET') {
+          sendJson(res, 405, { error: 'Method not allowed' });
+          return true;
+        }
+        await this.openSseSession(req, res);
+        return true;
+      case SERVER_CONFIG.SSE_MESSAGES_PATH:
+        await this.handleSseMessage(req, res);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Close every open session (server shutdown)
+   */
+  async closeAll() {
+    const entries = [...this.sessions.values()];
+    this.sessions.clear();
+    await Promise.all(entries.map(entry => entry.transport.close().catch(() => {})));
+  }
+
+  // ===== STREAMABLE HTTP =====
+
+  async handleStreamableRequest(req, res) {
+    const body = req.method === 'POST' ? await this.readMessage(req, res) : undefined;
+    if (body === undefined && req.method === 'POST') {
+      return;
+    }
+
+    const sessionId = req.headers[SESSION_HEADER];
+    const existing = sessionId ? this.findSession(sessionId, req) : null;
+
+    if (sessionId && !existing) {
+      sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+      return;
+    }
+    if (existing && existing.session.transport !== TRANSPORT_KINDS.STREAMABLE_HTTP) {
+      sendJsonRpcError(res, 400, -32000, `Session ${sessionId} uses the SSE transport`);
+      return;
+    }
+    if (!existing && (req.method !== 'POST' || !isInitializationBody(body))) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const entry = existing || (await this.openStreamableSession(req));
+    this.touchSession(entry.session);
+    await runInSession(entry.session, () => entry.transport.handleRequest(req, res, body));
+  }
+
+  async openStreamableSession(req) {
+    const session = this.createSession(TRANSPORT_KINDS.STREAMABLE_HTTP, req);
+    const entry = { session, transport: null, server: await this.createSessionServer() };
+
+    // The session id is only assigned once the initialize request has been handled
+    entry.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: sessionId => {
+        session.id = sessionId;
+        this.sessions.set(sessionId, entry);
+        logger.info('MCP session opened', { sessionId, transport: session.transport });
+      },
+    });
+    entry.transport.onclose = () => this.forgetSession(session);
+
+    await entry.server.connect(entry.transport);
+    return entry;
+  }
+
+  async closeIdleSessions() {
+    const cutoff = Date.now() - this.idleTimeout;
+    const idle = [...this.sessions.values()].filter(
+      ({ session }) =>
+        session.transport === TRANSPORT_KINDS.STREAMABLE_HTTP && session.lastSeenAt < cutoff
+    );
+    for (const entry of idle) {
+      logger.info('Closing idle MCP session', { sessionId: entry.session.id });
+      this.forgetSession(entry.session);
+      await entry.transport.close().catch(() => {});
+    }
+  }
+
+  // ===== LEGACY SSE =====
+
+  async openSseSession(req, res) {
+    const session = this.createSession(TRANSPORT_KINDS.SSE, req);
+    const transport = new SSEServerTransport(SERVER_CONFIG.SSE_MESSAGES_PATH, res);
+    session.id = transport.sessionId;
+
+    const server = await this.createSessionServer();
+    this.sessions.set(session.id, { session, transport, server });
+    transport.onclose = () => this.forgetSession(session);
+    res.on('close', () => this.forgetSession(session));
+
+    // connect() starts the transport, which writes the SSE headers and endpoint event
+    await server.connect(transport);
+    logger.info('MCP session opened', { sessionId: session.id, transport: session.transport });
+  }
+
+  async handleSseMessage(req, res) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const sessionId = new URL(req.url, 'http://localhost').searchParams.get('sessionId');
+    const entry = sessionId ? this.findSession(sessionId, req) : null;
+    if (!entry || entry.session.transport !== TRANSPORT_KINDS.SSE) {
+      sendJson(res, 404, { error: `Session not found: ${sessionId}` });
+      return;
+    }
+
+    const body = await this.readMessage(req, res);
+    if (body === undefined) {
+      return;
+    }
+    this.touchSession(entry.session);
+    await runInSession(entry.session, () => entry.transport.handlePostMessage(req, res, body));
+  }
+
+  /**
+   * Read the JSON-RPC message(s) in a POST body, answering the request itself when unusable
+   * @returns {Promise<any>} Parsed body, or undefined once an error response has been sent
+   */
+  async readMessage(req, res) {
+    const { body, status, error } = await readJsonBody(req);
+    if (error) {
+      sendJsonRpcError(res, status, status === 400 ? -32700 : -32000, error);
+    } else if (body === undefined) {
+      sendJsonRpcError(res, 400, -32700, 'Parse error: empty request body');
+    }
+    return error ? undefined : body;
+  }
+
+  // ===== SESSIONS =====
+
+  createSession(transport, req) {
+    const now = Date.now();
+    return {
+      id: null,
+      transport,
+      userId: req.user?.id ?? null,
+      activeProject: null,
+      connectedAt: now,
+      lastSeenAt: now,
+    };
+  }
+
+  /**
+   * Look up a session for a request; another user's session is reported as not found
+   */
+  findSession(sessionId, req) {
+    const entry = this.sessions.get(sessionId);
+    return entry && entry.session.userId === (req.user?.id ?? null) ? entry : null;
+  }
+
+  /**
+   * Each session gets its own MCP server so protocol state (initialization, capabilities,
+   * request ids) never mixes between clients; handlers route into the shared Forest modules.
+   */
+  async createSessionServer() {
+    const server = this.forestServer.core.createServer();
+    const handlers = new McpHandlers(server, this.forestServer);
+    await handlers.setupHandlers();
+    this.forestServer.toolRouter.setupRouter(server);
+    return server;
+  }
+
+  touchSession(session) {
+    session.lastSeenAt = Date.now();
+  }
+
+  forgetSession(session) {
+    if (session.id && this.sessions.delete(session.id)) {
+      logger.info('MCP session closed', { sessionId: session.id, transport: session.transport });
+    }
+  }
+}
+
+// ===== HTTP HELPERS =====
+
+function isInitializationBody(body) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
@@ -0,0 +1,250 @@
+/**
+ * MCP Prompts Module
+ * Publishes Forest's workflows as parameterized MCP prompts, so clients can run them directly:
+ *
+ * - build-hta-branches   the deep HTA branch prompt build_hta_tree hands out
+ * - weekly-reflection    a reflection on the period review_week reports
+ * - unstick-me           a diagnosis of stalled progress, with next tasks to add
+ * - plan-tomorrow        a plan for tomorrow from the open tasks and daily rhythm
+ *
+ * prompts/get fills each prompt from the active project's (or `project_id`'s) config, HTA and
+ * learning history, using the same builders as the tools. Shared projects need the viewer role.
+ */
+
+import {
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { DEFAULT_PATHS, FILE_NAMES, PROJECT_ROLES } from './constants.js';
+
+const PROJECT_ARGUMENT = {
+  name: 'project_id',
+  description: 'Project to use (defaults to the active project)',
+  required: false,
+};
+
+export const PROMPT_DEFINITIONS = [
+  {
+    name: 'build-hta-branches',
+    description: 'Break the project goal into a deep hierarchy of branches and tasks',
+    arguments: [
+      PROJECT_ARGUMENT,
+      { name: 'learning_style', description: 'e.g. visual, hands-on, mixed', required: false },
+      { name: 'focus_areas', description: 'Comma-separated areas to focus on', required: false },
+    ],
+    build: 'buildHtaBranches',
+  },
+  {
+    name: 'weekly-reflection',
+    description: 'Reflect on what was completed and learned recently',
+    arguments: [
+      PROJECT_ARGUMENT,
+      { name: 'days', description: 'Days to look back (default 7)', required: false },
+      {
+        name: 'member',
+        description: "Only this member's work, in a shared project",
+        required: false,
+      },
+    ],
+    build: 'buildWeeklyReflection',
+  },
+  {
+    name: 'unstick-me',
+    description: 'Work out why progress stalled and what small step gets it moving',
+    arguments: [
+      PROJECT_ARGUMENT,
+      { name: 'feeling', description: 'What feels stuck, in your own words', required: false },
+    ],
+    build: 'buildUnstickMe',
+  },
+  {
+    name: 'plan-tomorrow',
+    description: "Plan tomorrow's sessions from the open tasks and your daily rhythm",
+    arguments: [
+      PROJECT_ARGUMENT,
+      { name: 'energy_level', description: 'Expected energy, 1-5', required: false },
+      { name: 'available_time', description: 'e.g. "2 hours" or "evening only"', required: false },
+    ],
+    build: 'buildPlanTomorrow',
+  },
+];
+
+export class McpPrompts {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {Object} builders - Modules whose prompts and analyses are reused
+   * @param {import('./hta-tree-builder.js').HtaTreeBuilder} builders.htaTreeBuilder
+   * @param {import('./task-intelligence.js').TaskIntelligence} builders.taskIntelligence
+   * @param {import('./analytics-tools.js').AnalyticsTools} builders.analyticsTools
+   * @param {import('./project-members.js').ProjectMembers} [projectMembers] - Role checks for
+   *   shared projects
+   */
+  constructor(dataPersistence, projectManagement, builders, projectMembers = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.htaTreeBuilder = builders.htaTreeBuilder;
+    this.taskIntelligence = builders.taskIntelligence;
+    this.analyticsTools = builders.analyticsTools;
+    this.projectMembers = projectMembers;
+  }
+
+  /**
+   * Serve prompts on an MCP server. Call before the server connects.
+   * @param {Object} server - MCP server instance (one per client session over HTTP)
+   */
+  register(server) {
+    server.registerCapabilities({ prompts: {} });
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: PROMPT_DEFINITIONS.map(({ build, ...prompt }) => prompt),
+    }));
+    server.setRequestHandler(GetPromptRequestSchema, async request =>
+      this.getPrompt(request.params.name, request.params.arguments)
+    );
+  }
+
+  /**
+   * Fill a prompt from the project's documents
+   * @param {string} name - Prompt name
+   * @param {Object<string, string>} [args] - Prompt arguments
+   * @returns {Promise<{description: string, messages: Array<Object>}>}
+   * @throws {ResourceNotFoundError} If there is no such prompt or project
+   */
+  async getPrompt(name, args = {}) {
+    const definition = PROMPT_DEFINITIONS.find(prompt => prompt.name === name);
+    if (!definition) {
+      const { ResourceNotFoundError } = await import('./errors.js');
+      throw new ResourceNotFoundError('Prompt', name);
+    }
+
+    const projectId = args.project_id || (await this.projectManagement.requireActiveProject());
+    const build = async () => {
+      const files = await this.dataPersistence.listProjectFiles(projectId);
+      if (!files.includes(FILE_NAMES.CONFIG)) {
+        const { ResourceNotFoundError } = await import('./errors.js');
+        throw new ResourceNotFoundError('Project', projectId);
+      }
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const pathName = config.activePath || DEFAULT_PATHS.GENERAL;
+      return await this[definition.build]({ projectId, pathName, config, args });
+    };
+    const text = this.projectMembers
+      ? await this.projectMembers.withProjectAccess(projectId, PROJECT_ROLES.VIEWER, build, 'read')
+      : await build();
+
+    return {
+      description: `${definition.description} (${projectId})`,
+      messages: [{ role: 'user', content: { type: 'text', text } }],
+    };
+  }
+
+  async buildHtaBranches({ config, args }) {
+    const focusAreas = (args.focus_areas || '')
+      .split(',')
+      .map(area => area.trim())
+      .filter(Boolean);
+    const complexity = this.htaTreeBuilder.analyzeGoalComplexity(config.goal, config.context);
+    const prompt = this.htaTreeBuilder.generateDeepBranchPrompt(
+      config,
+      args.learning_style || 'mixed',
+      focusAreas,
+      complexity
+    );
+    return `${prompt}
+
+When the hierarchy is ready, store its tasks with the \`generate_hta_tasks\` tool.`;
+  }
+
+  async buildWeeklyReflection({ projectId, pathName, config, args }) {
+    const days = await this.numberArgument('days', args.days, 7);
+    const review = await this.analyticsTools.generatePeriodReview(
+      projectId,
+      config,
+      days,
+      args.member || null
+    );
+    const history = (await this.analyticsTools.loadLearningHistory(projectId, pathName)) || {};
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const completions = (history.completedTopics || [])
+      .filter(topic => new Date(topic.completedAt).getTime() > cutoff)
+      .filter(topic => !args.member || topic.completedBy === args.member)
+      .map(topic => `- ${topic.topic}${topic.learned ? ` (learned: ${topic.learned})` : ''}`);
+
+    return `Help me reflect on the last ${days} days of working toward "${config.goal}".
+
+${this.analyticsTools.formatPeriodReview(review, days)}
+**Completed**:
+${completions.join('\n') || '- Nothing yet'}
+
+Ask me, one at a time, what went well, what was harder than expected and what I want to change. Then sum up the patterns you see and suggest at most three adjustments for the next ${days} days. Be honest: do not praise progress the record above does not show.`;
+  }
+
+  async buildUnstickMe({ projectId, pathName, config, args }) {
+    const feeling = args.feeling || '';
+    const analysis = await this.taskIntelligence.analyzeCurrentStrategy(
+      projectId,
+      pathName,
+      feeling
+    );
+    const htaData = (await this.taskIntelligence.loadPathHTA(projectId, pathName)) || {};
+
+    return `I feel stuck working toward "${config.goal}".${feeling ? ` In my words: ${feeling}` : ''}
+
+First, work out with me why progress has stalled: look at the signals below and ask me at most two questions. Then suggest the smallest next step I could take in 15 minutes.
+
+${this.taskIntelligence.buildNextTasksPrompt(config, htaData, analysis)}
+
+Store any new tasks with the \`generate_hta_tasks\` tool, or pass my feedback to \`evolve_strategy\`.`;
+  }
+
+  async buildPlanTomorrow({ projectId, pathName, config, args }) {
+    const energy = await this.numberArgument('energy_level', args.energy_level, 3);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const today = new Date().toISOString().split('T')[0];
+    const preferences = config.life_structure_preferences || {};
+    const htaData = (await this.taskIntelligence.loadPathHTA(projectId, pathName)) || {};
+    const openTasks = (htaData.frontierNodes || [])
+      .filter(node => !node.completed)
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+      .slice(0, 15)
+      .map(
+        node =>
+          `- ${node.title} (${node.branch || 'general'}, difficulty ${node.difficulty || '?'}, ${node.duration || 'unknown duration'})`
+      );
+    const schedule = await this.dataPersistence.loadProjectData(
+      projectId,
+      FILE_NAMES.DAILY_SCHEDULE(today)
+    );
+    const blocks = schedule?.blocks || [];
+    const unfinished = blocks.filter(block => !block.completed).map(block => `- ${block.title}`);
+
+    return `Plan my sessions for tomorrow (${tomorrow}) toward "${config.goal}".
+
+**Rhythm**: wake ${preferences.wake_time || 'unknown'}, sleep ${preferences.sleep_time || 'unknown'}, focus blocks of ${preferences.focus_duration || '25 minutes'}
+**Expected energy**: ${energy}/5
+**Available time**: ${args.available_time || 'not specified'}
+**Today**: ${blocks.filter(block => block.completed).length}/${blocks.length} blocks completed
+**Left over from today**:
+${unfinished.join('\n') || '- Nothing'}
+**Open tasks**:
+${openTasks.join('\n') || '- None; suggest generating new tasks with `evolve_strategy`'}
+
+Pick tasks that fit my energy and time, hardest when my energy is highest, with breaks between focus blocks. Give each a start time and duration, and say why it made the cut. Then generate the day with \`generate_daily_schedule\`.`;
+  }
+
+  /**
+   * Prompt arguments arrive as strings
+   * @private
+   */
+  async numberArgument(name, value, fallback) {
+    if (value === undefined || value === '') {
+      return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      const { ValidationError } = await import('./errors.js');
+      throw new ValidationError(name, value, 'a positive whole number');
+    }
+    return number;
+  }
+}
@@ -0,0 +1,419 @@
+/**
+ * MCP Resources Module
+ * Publishes projects, HTA trees, schedules and wisdom as MCP resources:
+ *
+ * - forest://projects                                  every project the user can reach
+ * - forest://projects/{projectId}/config               a project's configuration
+ * - forest://projects/{projectId}/paths/{path}/hta     the HTA tree of one learning path
+ * - forest://projects/{projectId}/schedule/{date}      the schedule for a day (YYYY-MM-DD)
+ * - forest://projects/{projectId}/wisdom               distilled wisdom and breakthrough insights
+ *
+ * Clients can subscribe to any of them; when TaskCompletion or StrategyEvolver changes the
+ * underlying document, subscribers get a resources/updated notification once the change has
+ * committed. Resources resolve in the caller's data root, and shared projects in the shared one
+ * for their members (see project-members.js), exactly as tools do.
+ */
+
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { AUTH, DEFAULT_PATHS, FILE_NAMES, PROJECT_ROLES, SERVER_CONFIG } from './constants.js';
+import { bus } from './utils/event-bus.js';
+import { getForestLogger } from './winston-logger.js';
+
+const logger = getForestLogger({ module: 'McpResources' });
+
+const SCHEME = `${SERVER_CONFIG.RESOURCE_SCHEME}://`;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SCHEDULE_FILE = /^day_(\d{4}-\d{2}-\d{2})\.json$/;
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${SCHEME}projects/{projectId}/config`,
+    name: 'Project configuration',
+    description: 'Goal, context, learning paths and life structure preferences of a project',
+    read: 'readConfig',
+  },
+  {
+    uriTemplate: `${SCHEME}projects/{projectId}/paths/{pathName}/hta`,
+    name: 'HTA tree',
+    description: 'Strategic branches and frontier tasks of one learning path',
+    read: 'readHta',
+  },
+  {
+    uriTemplate: `${SCHEME}projects/{projectId}/schedule/{date}`,
+    name: 'Daily schedule',
+    description: 'Time blocks scheduled for a day (YYYY-MM-DD) and their completion',
+    read: 'readSchedule',
+  },
+  {
+    uriTemplate: `${SCHEME}projects/{projectId}/wisdom`,
+    name: 'Project wisdom',
+    description: 'Wisdom distilled from archived history, plus breakthrough insights so far',
+    read: 'readWisdom',
+  },
+];
+
+const PROJECTS_URI = `${SCHEME}projects`;
+
+/**
+ * Match a resource URI against a URI template
+ * @param {string} template - e.g. forest://projects/{projectId}/config
+ * @param {string} uri - Requested URI
+ * @returns {Object<string, string>|null} Template variables, or null when it does not match
+ */
+function matchTemplate(template, uri) {
+  const expected = template.slice(SCHEME.length).split('/');
+  const actual = uri.startsWith(SCHEME) ? uri.slice(SCHEME.length).split('/') : [];
+  if (expected.length !== actual.length) {
+    return null;
+  }
+  const params = {};
+  for (let i = 0; i < expected.length; i++) {
+    const variable = /^\{(\w+)\}$/.exec(expected[i]);
+    if (variable) {
+      params[variable[1]] = decodeURIComponent(actual[i]);
+    } else if (expected[i] !== actual[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+export function projectResourceUri(projectId, ...segments) {
+  return [`${PROJECTS_URI}/${encodeURIComponent(projectId)}`, ...segments].join('/');
+}
+
+export class McpResources {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {import('./project-members.js').ProjectMembers} [projectMembers] - Role checks for
+   *   shared projects
+   * @param {Object} [eventBus] - Bus TaskCompletion and StrategyEvolver report changes on
+   */
+  constructor(dataPersistence, projectManagement, projectMembers = null, eventBus = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.projectMembers = projectMembers;
+    this.eventBus = eventBus || bus;
+    /** @type {Map<Object, Set<string>>} Subscribed watch keys per MCP server instance */
+    this.subscriptions = new Map();
+
+    this.eventBus.on(
+      'project:files_changed',
+      change => this.handleFilesChanged(change),
+      'McpResources'
+    );
+  }
+
+  /**
+   * Serve resources on an MCP server. Call before the server connects.
+   * @param {Object} server - MCP server instance (one per client session over HTTP)
+   */
+  register(server) {
+    server.registerCapabilities({ resources: { subscribe: true } });
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await this.listResources(),
+    }));
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES.map(({ read, ...template }) => ({
+        ...template,
+        mimeType: SERVER_CONFIG.RESOURCE_MIME_TYPE,
+      })),
+    }));
+    server.setRequestHandler(ReadResourceRequestSchema, async request => ({
+      contents: [await this.readResource(request.params.uri)],
+    }));
+    server.setRequestHandler(SubscribeRequestSchema, async request => {
+      await this.subscribe(server, request.params.uri);
+      return {};
+    });
+    server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+      await this.unsubscribe(server, request.params.uri);
+      return {};
+    });
+
+    const previousOnClose = server.onclose;
+    server.onclose = () => {
+      this.subscriptions.delete(server);
+      previousOnClose?.();
+    };
+  }
+
+  // ===== LISTING =====
+
+  /**
+   * Concrete resources for every project the current user can reach
+   * @returns {Promise<Array<Object>>}
+   */
+  async listResources() {
+    const resources = [
+      {
+        uri: PROJECTS_URI,
+        name: 'Projects',
+        description: 'Every project you can reach, with its goal and your role',
+        mimeType: SERVER_CONFIG.RESOURCE_MIME_TYPE,
+      },
+    ];
+    for (const { project_id: projectId } of await this.reachableProjects()) {
+      resources.push(
+        ...(await this.withReadAccess(projectId, () => this.projectResources(projectId)))
+      );
+    }
+    return resources;
+  }
+
+  async projectResources(projectId) {
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    const entry = (uri, name) => ({ uri, name, mimeType: SERVER_CONFIG.RESOURCE_MIME_TYPE });
+    const resources = [
+      entry(projectResourceUri(projectId, 'config'), `${projectId}: configuration`),
+      entry(projectResourceUri(projectId, 'wisdom'), `${projectId}: wisdom`),
+    ];
+    for (const pathName of this.pathNamesOf(config)) {
+      resources.push(
+        entry(
+          projectResourceUri(projectId, 'paths', encodeURIComponent(pathName), 'hta'),
+          `${projectId}: ${pathName} HTA tree`
+        )
+      );
+    }
+    const files = await this.dataPersistence.listProjectFiles(projectId);
+    for (const date of files
+      .map(file => SCHEDULE_FILE.exec(file)?.[1])
+      .filter(Boolean)
+      .sort()) {
+      resources.push(
+        entry(projectResourceUri(projectId, 'schedule', date), `${projectId}: schedule ${date}`)
+      );
+    }
+    return resources;
+  }
+
+  /**
+   * The user's own projects and the shared projects they are a member of
+   * @returns {Promise<Array<{project_id: string, goal: string, role?: string}>>}
+   */
+  async reachableProjects() {
+    const own = [];
+    for (const projectId of await this.dataPersistence.listProjects()) {
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      own.push({ project_id: projectId, goal: config?.goal || null });
+    }
+    const shared =
+      this.projectMembers && this.dataPersistence.inUserRoot()
+        ? await this.projectMembers.sharedProjectsFor()
+        : [];
+    return [...own, ...shared];
+  }
+
+  pathNamesOf(config) {
+    const paths = (config?.learning_paths || []).map(path => path.path_name).filter(Boolean);
+    return paths.length > 0 ? paths : [DEFAULT_PATHS.GENERAL];
+  }
+
+  // ===== READING =====
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<{uri: string, mimeType: string, text: string}>}
+   * @throws {ResourceNotFoundError} If the URI names nothing the user can read
+   * @throws {AuthorizationError} If the user has no role on the shared project
+   */
+  async readResource(uri) {
+    let data;
+    if (uri === PROJECTS_URI) {
+      data = { projects: await this.reachableProjects() };
+    } else {
+      const { template, params } = await this.resolve(uri);
+      data = await this.withReadAccess(params.projectId, () => this[template.read](params));
+    }
+    return {
+      uri,
+      mimeType: SERVER_CONFIG.RESOURCE_MIME_TYPE,
+      text: JSON.stringify(data, null, 2),
+    };
+  }
+
+  /**
+   * Find the template a URI belongs to and check its variables
+   * @private
+   */
+  async resolve(uri) {
+    for (const template of RESOURCE_TEMPLATES) {
+      const params = matchTemplate(template.uriTemplate, uri);
+      const valid =
+        params &&
+        [params.projectId, params.pathName].every(
+          segment => segment === undefined || AUTH.SAFE_SEGMENT_PATTERN.test(segment)
+        ) &&
+        (params.date === undefined || DATE_PATTERN.test(params.date));
+      if (valid) {
+        return { template, params };
+      }
+    }
+    const { ResourceNotFoundError } = await import('./errors.js');
+    throw new ResourceNotFoundError('Resource', uri);
+  }
+
+  async withReadAccess(projectId, work) {
+    return this.projectMembers
+      ? await this.projectMembers.withProjectAccess(projectId, PROJECT_ROLES.VIEWER, work, 'read')
+      : await work();
+  }
+
+  async requireDocument(projectId, filename, pathName = null) {
+    const files = await this.dataPersistence.listProjectFiles(projectId, pathName);
+    if (!files.includes(filename)) {
+      const { ResourceNotFoundError } = await import('./errors.js');
+      const kind = filename === FILE_NAMES.CONFIG ? 'Project' : filename;
+      throw new ResourceNotFoundError(kind, filename === FILE_NAMES.CONFIG ? projectId : filename, {
+        projectId,
+        pathName,
+      });
+    }
+  }
+
+  async readConfig({ projectId }) {
+    await this.requireDocument(projectId, FILE_NAMES.CONFIG);
+    return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+  }
+
+  async readHta({ projectId, pathName }) {
+    await this.requireDocument(projectId, FILE_NAMES.CONFIG);
+    // The general path keeps its tree at project level
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      await this.requireDocument(projectId, FILE_NAMES.HTA);
+      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
+    }
+    await this.requireDocument(projectId, FILE_NAMES.HTA, pathName);
+    return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+  }
+
+  async readSchedule({ projectId, date }) {
+    const filename = FILE_NAMES.DAILY_SCHEDULE(date);
+    await this.requireDocument(projectId, filename);
+    return await this.dataPersistence.loadProjectData(projectId, filename);
+  }
+
+  async readWisdom({ projectId }) {
+    await this.requireDocument(projectId, FILE_NAMES.CONFIG);
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    const files = await this.dataPersistence.listProjectFiles(projectId);
+    const store = files.includes(FILE_NAMES.WISDOM)
+      ? await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WISDOM)
+      : null;
+
+    const insights = [];
+    for (const pathName of this.pathNamesOf(config)) {
+      const history =
+        pathName === DEFAULT_PATHS.GENERAL
+          ? await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.LEARNING_HISTORY)
+          : await this.dataPersistence.loadPathData(
+              projectId,
+              pathName,
+              FILE_NAMES.LEARNING_HISTORY
+            );
+      insights.push(...(history?.insights || []).map(insight => ({ ...insight, path: pathName })));
+    }
+    return {
+      project_id: projectId,
+      wisdom_entries: store?.wisdomEntries || [],
+      insights,
+    };
+  }
+
+  // ===== SUBSCRIPTIONS =====
+
+  /**
+   * Subscribe a client to updates of a resource it can read
+   * @param {Object} server - MCP server instance of the client's session
+   * @param {string} uri - Resource URI
+   */
+  async subscribe(server, uri) {
+    const key = await this.watchKey(uri);
+    if (!this.subscriptions.has(server)) {
+      this.subscriptions.set(server, new Set());
+    }
+    this.subscriptions.get(server).add(key);
+  }
+
+  async unsubscribe(server, uri) {
+    const key = await this.watchKey(uri);
+    this.subscriptions.get(server)?.delete(key);
+  }
+
+  /**
+   * Identify a resource across users: the same project id in two users' data roots is two
+   * resources, while a shared project is one resource for all its members
+   * @private
+   */
+  async watchKey(uri) {
+    if (uri === PROJECTS_URI) {
+      return `${this.dataPersistence.dataDir}\n${uri}`;
+    }
+    const { params } = await this.resolve(uri);
+    const root = await this.withReadAccess(params.projectId, async () => {
+      await this.requireDocument(params.projectId, FILE_NAMES.CONFIG);
+      return this.dataPersistence.dataDir;
+    });
+    return `${root}\n${uri}`;
+  }
+
+  /**
+   * Resources backed by documents of a project
+   * @param {string} projectId - Project identifier
+   * @param {string} pathName - Learning path the documents belong to
+   * @param {string[]} files - Document file names
+   * @returns {string[]} Resource URIs
+   */
+  urisForFiles(projectId, pathName = DEFAULT_PATHS.GENERAL, files = []) {
+    const uris = new Set();
+    for (const file of files) {
+      const date = SCHEDULE_FILE.exec(file)?.[1];
+      if (date) {
+        uris.add(projectResourceUri(projectId, 'schedule', date));
+      } else if (file === FILE_NAMES.HTA) {
+        uris.add(projectResourceUri(projectId, 'paths', encodeURIComponent(pathName), 'hta'));
+      } else if (file === FILE_NAMES.CONFIG) {
+        uris.add(projectResourceUri(projectId, 'config'));
+      } else if (file === FILE_NAMES.LEARNING_HISTORY || file === FILE_NAMES.WISDOM) {
+        uris.add(projectResourceUri(projectId, 'wisdom'));
+      }
+    }
+    return [...uris];
+  }
+
+  /**
+   * Notify subscribers of the resources behind changed documents. Runs in the context of the
+   * change, so the data root is the one the documents were written to.
+   * @param {{projectId: string, pathName?: string, files: string[]}} change
+   */
+  async handleFilesChanged({ projectId, pathName, files }) {
+    const root = this.dataPersistence.dataDir;
+    const keys = this.urisForFiles(projectId, pathName, files).map(uri => `${root}\n${uri}`);
+    const watched = [...this.subscriptions].flatMap(([server, subscribed]) =>
+      keys.filter(key => subscribed.has(key)).map(key => ({ server, uri: key.split('\n')[1] }))
+    );
+    if (watched.length === 0) {
+      return;
+    }
+
+    try {
+      // Subscribers re-read the resource straight away; hold the notification until they can
+      // see the change, and drop it if the change rolled back
+      if (!(await this.dataPersistence.whenSettled())) {
+        return;
+      }
+      await Promise.all(watched.map(({ server, uri }) => server.sendResourceUpdated({ uri })));
+    } catch (error) {
+      logger.warn('Could not send resource update', { projectId, error: error.message });
+    }
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * MCP Sampling Module
+ * Asks the connected MCP client to generate completions in-band (sampling/createMessage), so
+ * tools can fill in HTA branches, schedules and strategy updates themselves instead of handing
+ * a prompt back to the user. Clients that do not support sampling, and requests that fail or
+ * return output that does not validate, yield null and callers fall back to their two-step flow.
+ */
+
+import { LLM } from './constants.js';
+import { HONESTY_SYSTEM_PROMPT, parseJsonCompletion } from './llm/index.js';
+import { validateSchema } from './utils/json-schema.js';
+import { currentMcpServer } from './utils/session-context.js';
+import { getForestLogger } from './winston-logger.js';
+
+const logger = getForestLogger({ module: 'McpSampling' });
+
+export class McpSampling {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.toolSchema] - Looks up a tool's input schema by name
+   * @param {number} [options.timeoutMs] - How long to wait for the client
+   * @param {number} [options.maxTokens] - Default completion length
+   */
+  constructor(options = {}) {
+    this.toolSchema = options.toolSchema || (() => null);
+    this.timeoutMs = options.timeoutMs ?? LLM.SAMPLING_TIMEOUT_MS;
+    this.maxTokens = options.maxTokens ?? LLM.SAMPLING_MAX_TOKENS;
+  }
+
+  /**
+   * Whether the client behind the current request accepts sampling requests
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(currentMcpServer()?.getClientCapabilities?.()?.sampling);
+  }
+
+  /**
+   * Ask the client for a completion
+   * @param {string} prompt - User prompt
+   * @param {Object} [options]
+   * @param {string} [options.purpose] - What the completion is for, for logs
+   * @param {number} [options.maxTokens] - Most tokens to generate
+   * @returns {Promise<string|null>} Completion text, or null if sampling is unavailable or failed
+   */
+  async requestText(prompt, { purpose = 'completion', maxTokens } = {}) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+    try {
+      const result = await currentMcpServer().createMessage(
+        {
+          messages: [{ role: 'user', content: { type: 'text', text: prompt } }],
+          systemPrompt: HONESTY_SYSTEM_PROMPT,
+          includeContext: 'none',
+          maxTokens: maxTokens ?? this.maxTokens,
+        },
+        { timeout: this.timeoutMs }
+      );
+      if (result.content?.type !== 'text') {
+        logger.warn('Sampling returned non-text content', { purpose, type: result.content?.type });
+        return null;
+      }
+      return result.content.text;
+    } catch (error) {
+      logger.warn('Sampling request failed', { purpose, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Ask the client for JSON matching a schema
+   * @param {string} prompt - User prompt; should say what JSON to return
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - JSON Schema the reply must satisfy
+   * @param {string} [options.purpose] - What the completion is for, for logs
+   * @param {number} [options.maxTokens] - Most tokens to generate
+   * @returns {Promise<any|null>} Parsed reply, or null if unavailable, unparseable or invalid
+   */
+  async requestJson(prompt, { schema, purpose = 'json', maxTokens } = {}) {
+    const text = await this.requestText(prompt, { purpose, maxTokens });
+    if (text === null) {
+      return null;
+    }
+    const value = parseJsonCompletion(text);
+    if (value === null) {
+      logger.warn('Sampling reply was not JSON', { purpose });
+      return null;
+    }
+    const problems = validateSchema(schema, value);
+    if (problems.length > 0) {
+      logger.warn('Sampling reply did not match its schema', { purpose, problems });
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Ask the client for the arguments of a tool call, validated against that tool's input schema
+   * @param {string} toolName - Tool whose arguments to generate, e.g. 'generate_hta_tasks'
+   * @param {string} prompt - User prompt
+   * @param {Object} [options] - As for requestJson
+   * @returns {Promise<Object|null>}
+   */
+  async requestToolArguments(toolName, prompt, options = {}) {
+    const schema = this.toolSchema(toolName);
+    const instructions = `${prompt}
+
+Respond with only a JSON object (no commentary) that matches this JSON Schema for the arguments of \`${toolName}\`:
+${JSON.stringify(schema)}`;
+    return await this.requestJson(instructions, { purpose: toolName, ...options, schema });
+  }
+}
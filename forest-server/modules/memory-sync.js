@@ -1,11 +1,46 @@
 /**
  * Memory Sync Module
- * Handles Memory MCP integration and state synchronization
+ * Handles Memory MCP integration and state synchronization.
+ *
+ * Projects, their branches, breakthroughs and insights are kept in a knowledge graph in the
+ * Memory MCP server's entity/relation format (see memory/): in full whenever a project is
+ * created, switched to or synced, and incrementally as blocks are completed. get_next_task
+ * reads the graph back when the caller passes no context of its own.
  */
 
+import { DEFAULT_PATHS, FILE_NAMES, MEMORY_SYNC } from './constants.js';
+import { bus } from './utils/event-bus.js';
+import { currentUserId, resolveActiveProject } from './utils/session-context.js';
+import { getForestLogger } from './winston-logger.js';
+
+const logger = getForestLogger({ module: 'MemorySync' });
+
+const ENTITY_TYPES = {
+  PROJECT: 'forest_project',
+  BRANCH: 'forest_branch',
+  BREAKTHROUGH: 'forest_breakthrough',
+  INSIGHT: 'forest_insight',
+};
+
 export class MemorySync {
-  constructor(dataPersistence) {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./memory/memory-graph.js').MemoryGraph} [memoryGraph] - Where the knowledge
+   *   graph is written; without one, syncing only builds the memory context
+   * @param {Object} [eventBus] - Bus completed blocks are announced on
+   */
+  constructor(dataPersistence, memoryGraph = null, eventBus = null) {
     this.dataPersistence = dataPersistence;
+    this.memoryGraph = memoryGraph;
+    this.eventBus = eventBus || bus;
+
+    if (this.memoryGraph) {
+      this.eventBus.on(
+        'block:completed',
+        completion => this.syncCompletedBlock(completion),
+        'MemorySync'
+      );
+    }
   }
 
   async syncActiveProjectToMemory(projectId) {
@@ -49,6 +84,12 @@ export class MemorySync {
         sync_timestamp: new Date().toISOString(),
       };
 
+      if (this.memoryGraph) {
+        memoryContext.knowledge_graph = await this.writeGraph(
+          this.buildProjectGraph(projectId, config, htaData, learningHistory)
+        );
+      }
+
       return memoryContext;
     } catch (error) {
       await this.dataPersistence.logError('syncActiveProjectToMemory', error, { projectId });
@@ -63,7 +104,7 @@ export class MemorySync {
   async syncForestMemory() {
     try {
       const globalData = (await this.dataPersistence.loadGlobalData('config.json')) || {};
-      const activeProjectId = globalData.activeProject;
+      const activeProjectId = resolveActiveProject(globalData);
 
       if (!activeProjectId) {
         return {
@@ -89,6 +130,7 @@ export class MemorySync {
                 `• Current Focus: ${memoryData.current_focus}\n` +
                 `• Progress: ${memoryData.progress_summary}\n` +
                 `• Today: ${memoryData.today_progress}\n\n` +
+                this.formatGraphStatus(memoryData.knowledge_graph) +
                 `🔍 Suggested Memory Queries:\n${memoryData.suggested_memory_queries
                   ?.map(q => `• ${q}`)
                   .join('\n')}` || 'None available',
@@ -109,6 +151,225 @@ export class MemorySync {
     }
   }
 
+  // ===== KNOWLEDGE GRAPH =====
+
+  /**
+   * Name of a project's entity. Projects in a user's own data root are scoped by user, since
+   * two users may pick the same project id.
+   * @param {string} projectId - Project identifier
+   * @returns {string}
+   */
+  projectEntityName(projectId) {
+    const scope = this.dataPersistence.inUserRoot() ? `${currentUserId()}/` : '';
+    return `${MEMORY_SYNC.ENTITY_PREFIX}/${scope}${projectId}`;
+  }
+
+  /**
+   * Entities and relations for a project, its branches, breakthroughs and insights
+   * @returns {{entities: Array<Object>, relations: Array<Object>}}
+   */
+  buildProjectGraph(projectId, config, htaData, learningHistory) {
+    const project = this.projectEntityName(projectId);
+    const graph = {
+      entities: [
+        {
+          name: project,
+          entityType: ENTITY_TYPES.PROJECT,
+          observations: [
+            `Goal: ${config.goal || 'Unknown goal'}`,
+            ...(config.context ? [`Context: ${config.context}`] : []),
+            ...(config.learning_paths || []).map(path => `Learning path: ${path.path_name}`),
+          ],
+        },
+      ],
+      relations: [],
+    };
+
+    const branches = new Map(
+      (htaData.strategicBranches || []).map(branch => [branch.id, branch.description])
+    );
+    for (const node of htaData.frontierNodes || []) {
+      if (node.branch && !branches.has(node.branch)) {
+        branches.set(node.branch, '');
+      }
+    }
+    for (const [branch, description] of branches) {
+      this.addBranch(graph, project, branch, description);
+    }
+
+    for (const topic of learningHistory.completedTopics || []) {
+      if (topic.breakthrough) {
+        this.addBreakthrough(graph, project, topic);
+      }
+    }
+    for (const insight of learningHistory.insights || []) {
+      this.addInsight(graph, project, insight);
+    }
+    return graph;
+  }
+
+  addBranch(graph, project, branch, description = '') {
+    const name = `${project}/branch/${branch}`;
+    graph.entities.push({
+      name,
+      entityType: ENTITY_TYPES.BRANCH,
+      observations: description ? [`Description: ${description}`] : [],
+    });
+    graph.relations.push({ from: name, to: project, relationType: 'belongs_to' });
+    return name;
+  }
+
+  addBreakthrough(graph, project, topic, branch = null) {
+    const name = `${project}/breakthrough/${topic.completedAt}`;
+    graph.entities.push({
+      name,
+      entityType: ENTITY_TYPES.BREAKTHROUGH,
+      observations: [
+        `Completed "${topic.topic}" on ${String(topic.completedAt).split('T')[0]}`,
+        ...(topic.outcome ? [`Outcome: ${topic.outcome}`] : []),
+        ...(topic.learned ? [`Learned: ${topic.learned}`] : []),
+      ],
+    });
+    graph.relations.push({
+      from: name,
+      to: branch ? this.addBranch(graph, project, branch) : project,
+      relationType: 'happened_in',
+    });
+  }
+
+  addInsight(graph, project, insight) {
+    const name = `${project}/insight/${insight.timestamp}`;
+    graph.entities.push({
+      name,
+      entityType: ENTITY_TYPES.INSIGHT,
+      observations: [
+        insight.insight,
+        ...(insight.topic ? [`While working on "${insight.topic}"`] : []),
+      ],
+    });
+    graph.relations.push({ from: name, to: project, relationType: 'learned_in' });
+    // Insights are recorded for breakthroughs, under the completion's timestamp
+    const breakthrough = `${project}/breakthrough/${insight.timestamp}`;
+    if (graph.entities.some(entity => entity.name === breakthrough)) {
+      graph.relations.push({ from: name, to: breakthrough, relationType: 'came_from' });
+    }
+  }
+
+  /**
+   * Write entities and relations, reporting rather than throwing on failure so syncing memory
+   * never fails the operation that triggered it
+   * @returns {Promise<Object>} What was written, or the error
+   */
+  async writeGraph(graph) {
+    try {
+      await this.memoryGraph.merge(graph);
+      return {
+        backend: this.memoryGraph.type,
+        location: this.memoryGraph.describe(),
+        entities: graph.entities.length,
+        relations: graph.relations.length,
+      };
+    } catch (error) {
+      logger.warn('Could not write the memory graph', { error: error.message });
+      await this.dataPersistence.logError('writeMemoryGraph', error);
+      return { backend: this.memoryGraph.type, error: error.message };
+    }
+  }
+
+  /**
+   * Add what a completed block taught to the graph
+   * @param {{projectId: string, pathName: string, block: Object}} completion
+   */
+  async syncCompletedBlock({ projectId, pathName, block }) {
+    const config = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) || {};
+    const project = this.projectEntityName(projectId);
+    const graph = {
+      entities: [
+        { name: project, entityType: ENTITY_TYPES.PROJECT, observations: [`Goal: ${config.goal}`] },
+      ],
+      relations: [],
+    };
+    const branch = block.branch || pathName || DEFAULT_PATHS.GENERAL;
+    this.addBranch(graph, project, branch);
+    const topic = { ...block, topic: block.title };
+    if (block.breakthrough) {
+      this.addBreakthrough(graph, project, topic, branch);
+      if (block.learned) {
+        this.addInsight(graph, project, {
+          insight: block.learned,
+          topic: block.title,
+          timestamp: block.completedAt,
+        });
+      }
+    } else if (block.learned) {
+      graph.entities.push({
+        name: `${project}/branch/${branch}`,
+        entityType: ENTITY_TYPES.BRANCH,
+        observations: [`Learned from "${block.title}": ${block.learned}`],
+      });
+    }
+    await this.writeGraph(graph);
+  }
+
+  /**
+   * What the graph remembers about a project, as context for task selection: the observations
+   * on the project (including any other MCP clients added) and its most recent insights
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<string>} Empty when there is no graph or nothing in it
+   */
+  async recallContext(projectId) {
+    if (!this.memoryGraph) {
+      return '';
+    }
+    const project = this.projectEntityName(projectId);
+    let graph;
+    try {
+      graph = await this.memoryGraph.searchNodes(project);
+    } catch (error) {
+      logger.warn('Could not read the memory graph', { error: error.message });
+      return '';
+    }
+
+    const ownEntities = graph.entities.filter(
+      entity => entity.name === project || entity.name.startsWith(`${project}/`)
+    );
+    const projectFacts = ownEntities.find(entity => entity.name === project)?.observations || [];
+    const insights = ownEntities
+      .filter(entity => entity.entityType === ENTITY_TYPES.INSIGHT)
+      .sort((a, b) => b.name.localeCompare(a.name))
+      .slice(0, MEMORY_SYNC.RECALLED_INSIGHTS)
+      .map(entity => entity.observations[0]);
+    if (projectFacts.length === 0 && insights.length === 0) {
+      return '';
+    }
+
+    let context = `Remembered about ${projectId}:\n${projectFacts.map(fact => `- ${fact}`).join('\n')}`;
+    if (insights.length > 0) {
+      context += `\nRecent insights:\n${insights.map(insight => `- ${insight}`).join('\n')}`;
+    }
+    return context;
+  }
+
+  /**
+   * recallContext for the current user's active project
+   * @returns {Promise<string>}
+   */
+  async recallActiveContext() {
+    const globalData = (await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG)) || {};
+    const projectId = resolveActiveProject(globalData);
+    return projectId ? await this.recallContext(projectId) : '';
+  }
+
+  formatGraphStatus(status) {
+    if (!status) {
+      return '';
+    }
+    if (status.error) {
+      return `⚠️ Knowledge graph not updated: ${status.error}\n\n`;
+    }
+    return `🧠 Knowledge graph: ${status.entities} entities, ${status.relations} relations in ${status.location}\n\n`;
+  }
+
   generateProgressSummary(learningHistory, htaData) {
     const completedCount = learningHistory.completedTopics?.length || 0;
     const totalBranches = htaData.strategicBranches?.length || 0;
@@ -0,0 +1,152 @@
+/**
+ * File Memory Graph
+ * Reads and writes a memory.json in the Memory MCP server's own format (one JSON object per
+ * line, each an entity or a relation), so the file can be shared with that server.
+ */
+
+import { MEMORY_SYNC } from '../constants.js';
+import { MemorySyncError } from '../errors.js';
+import { FileSystem } from '../utils/file-system.js';
+import { MemoryGraph } from './memory-graph.js';
+
+export class FileMemoryGraph extends MemoryGraph {
+  /**
+   * @param {string} filePath - Path of the memory file
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    // Writes are read-modify-write; run them one at a time
+    this.queue = Promise.resolve();
+  }
+
+  get type() {
+    return MEMORY_SYNC.BACKENDS.FILE;
+  }
+
+  describe() {
+    return this.filePath;
+  }
+
+  /**
+   * Load the graph
+   * @returns {Promise<{entities: Array<Object>, relations: Array<Object>}>}
+   * @throws {MemorySyncError} If the file is not a knowledge graph, so it is never overwritten
+   */
+  async load() {
+    if (!(await FileSystem.exists(this.filePath))) {
+      return { entities: [], relations: [] };
+    }
+    const graph = { entities: [], relations: [] };
+    const lines = (await FileSystem.readFile(this.filePath)).split('\n');
+    for (const [index, line] of lines.entries()) {
+      if (line.trim() === '') {
+        continue;
+      }
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (error) {
+        throw new MemorySyncError('load', error, { file: this.filePath, line: index + 1 });
+      }
+      if (item?.type === 'entity') {
+        graph.entities.push({
+          name: item.name,
+          entityType: item.entityType,
+          observations: item.observations || [],
+        });
+      } else if (item?.type === 'relation') {
+        graph.relations.push({ from: item.from, to: item.to, relationType: item.relationType });
+      } else {
+        throw new MemorySyncError('load', new Error('Not an entity or relation'), {
+          file: this.filePath,
+          line: index + 1,
+        });
+      }
+    }
+    return graph;
+  }
+
+  async save(graph) {
+    const lines = [
+      ...graph.entities.map(entity => JSON.stringify({ type: 'entity', ...entity })),
+      ...graph.relations.map(relation => JSON.stringify({ type: 'relation', ...relation })),
+    ];
+    await FileSystem.ensureDir(FileSystem.dirname(this.filePath));
+    await FileSystem.writeFileAtomic(this.filePath, lines.join('\n'));
+  }
+
+  /**
+   * Apply a change to the graph and save it
+   * @private
+   */
+  update(change) {
+    const run = this.queue.then(async () => {
+      const graph = await this.load();
+      change(graph);
+      await this.save(graph);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async createEntities(entities) {
+    await this.update(graph => {
+      const names = new Set(graph.entities.map(entity => entity.name));
+      for (const entity of entities) {
+        if (!names.has(entity.name)) {
+          graph.entities.push({ ...entity, observations: [...new Set(entity.observations)] });
+          names.add(entity.name);
+        }
+      }
+    });
+  }
+
+  async createRelations(relations) {
+    const key = relation => `${relation.from}\n${relation.relationType}\n${relation.to}`;
+    await this.update(graph => {
+      const existing = new Set(graph.relations.map(key));
+      for (const relation of relations) {
+        if (!existing.has(key(relation))) {
+          graph.relations.push({ ...relation });
+          existing.add(key(relation));
+        }
+      }
+    });
+  }
+
+  async addObservations(observations) {
+    await this.update(graph => {
+      for (const { entityName, contents } of observations) {
+        const entity = graph.entities.find(candidate => candidate.name === entityName);
+        if (!entity) {
+          throw new MemorySyncError('addObservations', new Error('No such entity'), {
+            entityName,
+          });
+        }
+        entity.observations.push(
+          ...contents.filter(content => !entity.observations.includes(content))
+        );
+      }
+    });
+  }
+
+  async searchNodes(query) {
+    await this.queue;
+    const graph = await this.load();
+    const needle = query.toLowerCase();
+    const entities = graph.entities.filter(
+      entity =>
+        entity.name.toLowerCase().includes(needle) ||
+        entity.entityType.toLowerCase().includes(needle) ||
+        entity.observations.some(observation => observation.toLowerCase().includes(needle))
+    );
+    const names = new Set(entities.map(entity => entity.name));
+    return {
+      entities,
+      relations: graph.relations.filter(
+        relation => names.has(relation.from) && names.has(relation.to)
+      ),
+    };
+  }
+}
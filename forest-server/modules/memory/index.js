@@ -0,0 +1,46 @@
+/**
+ * Memory Module Exports
+ * Knowledge-graph backends MemorySync writes projects, branches, breakthroughs and insights to
+ */
+
+import path from 'path';
+import { MEMORY_SYNC } from '../constants.js';
+import { FileMemoryGraph } from './file-memory-graph.js';
+import { McpMemoryGraph } from './mcp-memory-graph.js';
+
+export { MemoryGraph } from './memory-graph.js';
+export { FileMemoryGraph } from './file-memory-graph.js';
+export { McpMemoryGraph } from './mcp-memory-graph.js';
+
+/**
+ * Create the graph for this deployment from its environment:
+ * FOREST_MEMORY selects the backend ('file', the default, 'mcp' or 'none');
+ * MEMORY_FILE_PATH is the file to write (the variable the Memory MCP server reads, so both can
+ * share one file), by default memory.json in the data directory; FOREST_MEMORY_SERVER is the
+ * command line that starts the memory server for 'mcp'.
+ * @param {string} dataDir - Forest data directory
+ * @param {Object} [env=process.env]
+ * @returns {import('./memory-graph.js').MemoryGraph|null} null when memory sync is off
+ */
+export function createMemoryGraph(dataDir, env = process.env) {
+  const backend = (env.FOREST_MEMORY || MEMORY_SYNC.BACKENDS.FILE).toLowerCase();
+  switch (backend) {
+    case MEMORY_SYNC.BACKENDS.FILE:
+      return new FileMemoryGraph(
+        path.resolve(env.MEMORY_FILE_PATH || path.join(dataDir, MEMORY_SYNC.DEFAULT_FILE))
+      );
+    case MEMORY_SYNC.BACKENDS.MCP: {
+      const [command, ...args] = (env.FOREST_MEMORY_SERVER || '').trim().split(/\s+/);
+      if (!command) {
+        throw new Error('FOREST_MEMORY=mcp needs FOREST_MEMORY_SERVER, the memory server command');
+      }
+      return new McpMemoryGraph({ command, args });
+    }
+    case MEMORY_SYNC.BACKENDS.NONE:
+      return null;
+    default:
+      throw new Error(
+        `Unknown memory backend '${backend}'. Expected one of: ${Object.values(MEMORY_SYNC.BACKENDS).join(', ')}`
+      );
+  }
+}
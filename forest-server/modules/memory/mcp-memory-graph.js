@@ -0,0 +1,113 @@
+/**
+ * MCP Memory Graph
+ * Forest as an MCP client of a Memory MCP server: the server is spawned over stdio on first use
+ * and the graph is written and searched through its create_entities, create_relations,
+ * add_observations and search_nodes tools.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { MEMORY_SYNC } from '../constants.js';
+import { MemorySyncError } from '../errors.js';
+import { MemoryGraph } from './memory-graph.js';
+
+export class McpMemoryGraph extends MemoryGraph {
+  /**
+   * @param {Object} options
+   * @param {string} options.command - Executable that starts the memory server
+   * @param {string[]} [options.args] - Its arguments
+   * @param {Object} [options.env] - Extra environment, e.g. MEMORY_FILE_PATH
+   * @param {number} [options.timeoutMs] - How long to wait for each tool call
+   * @param {Function} [options.createTransport] - Builds the client transport (for tests)
+   */
+  constructor(options) {
+    super();
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || {};
+    this.timeoutMs = options.timeoutMs ?? MEMORY_SYNC.MCP_TIMEOUT_MS;
+    this.createTransport =
+      options.createTransport ||
+      (() =>
+        new StdioClientTransport({
+          command: this.command,
+          args: this.args,
+          env: { ...process.env, ...this.env },
+        }));
+    this.connecting = null;
+  }
+
+  get type() {
+    return MEMORY_SYNC.BACKENDS.MCP;
+  }
+
+  describe() {
+    return [this.command, ...this.args].join(' ');
+  }
+
+  /**
+   * Connect on first use; a failed connection is retried on the next call
+   * @private
+   */
+  async connect() {
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        const client = new Client({ name: 'forest-server', version: '2.0.0' });
+        await client.connect(this.createTransport());
+        return client;
+      })();
+      this.connecting.catch(() => {
+        this.connecting = null;
+      });
+    }
+    return await this.connecting;
+  }
+
+  async callTool(name, args) {
+    let result;
+    try {
+      const client = await this.connect();
+      result = await client.callTool({ name, arguments: args }, undefined, {
+        timeout: this.timeoutMs,
+      });
+    } catch (error) {
+      throw new MemorySyncError(name, error, { server: this.describe() });
+    }
+    const text = (result.content || []).map(item => item.text || '').join('');
+    if (result.isError) {
+      throw new MemorySyncError(name, new Error(text), { server: this.describe() });
+    }
+    return text;
+  }
+
+  async createEntities(entities) {
+    await this.callTool('create_entities', { entities });
+  }
+
+  async createRelations(relations) {
+    await this.callTool('create_relations', { relations });
+  }
+
+  async addObservations(observations) {
+    await this.callTool('add_observations', { observations });
+  }
+
+  async searchNodes(query) {
+    const text = await this.callTool('search_nodes', { query });
+    try {
+      const graph = JSON.parse(text);
+      return { entities: graph.entities || [], relations: graph.relations || [] };
+    } catch (error) {
+      throw new MemorySyncError('search_nodes', error, { server: this.describe() });
+    }
+  }
+
+  async close() {
+    const connecting = this.connecting;
+    this.connecting = null;
+    if (connecting) {
+      const client = await connecting.catch(() => null);
+      await client?.close();
+    }
+  }
+}
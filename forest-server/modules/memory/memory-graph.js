@@ -0,0 +1,88 @@
+/**
+ * Memory Graph Base Module
+ * Defines the knowledge-graph contract MemorySync writes through.
+ *
+ * The graph follows the Memory MCP server's model: entities have a unique name, a type and a list
+ * of observations (facts, as strings); relations link two entity names with an active-voice
+ * relation type. Writes are idempotent: entities and relations that exist are left alone and
+ * observations already recorded are not added again, so a full sync can be repeated safely.
+ */
+
+export class MemoryGraph {
+  /**
+   * Backend identifier (one of MEMORY_SYNC.BACKENDS)
+   * @returns {string}
+   */
+  get type() {
+    throw new Error(`${this.constructor.name} must define a backend type`);
+  }
+
+  /**
+   * Where the graph lives, for status output
+   * @returns {string}
+   */
+  describe() {
+    return this.type;
+  }
+
+  /**
+   * Create entities that do not exist yet
+   * @param {Array<{name: string, entityType: string, observations: string[]}>} entities
+   * @returns {Promise<void>}
+   */
+  async createEntities(entities) {
+    throw new Error(`${this.constructor.name} must implement createEntities`);
+  }
+
+  /**
+   * Create relations that do not exist yet
+   * @param {Array<{from: string, to: string, relationType: string}>} relations
+   * @returns {Promise<void>}
+   */
+  async createRelations(relations) {
+    throw new Error(`${this.constructor.name} must implement createRelations`);
+  }
+
+  /**
+   * Record new observations on existing entities
+   * @param {Array<{entityName: string, contents: string[]}>} observations
+   * @returns {Promise<void>}
+   */
+  async addObservations(observations) {
+    throw new Error(`${this.constructor.name} must implement addObservations`);
+  }
+
+  /**
+   * Entities whose name, type or observations contain the query (case-insensitive), and the
+   * relations between them
+   * @param {string} query
+   * @returns {Promise<{entities: Array<Object>, relations: Array<Object>}>}
+   */
+  async searchNodes(query) {
+    throw new Error(`${this.constructor.name} must implement searchNodes`);
+  }
+
+  /**
+   * Write a set of entities (with their observations) and relations
+   * @param {{entities: Array<Object>, relations: Array<Object>}} graph
+   * @returns {Promise<void>}
+   */
+  async merge({ entities = [], relations = [] }) {
+    if (entities.length > 0) {
+      await this.createEntities(entities);
+      // Entities that already existed keep their observations; add the new ones
+      await this.addObservations(
+        entities.map(entity => ({ entityName: entity.name, contents: entity.observations }))
+      );
+    }
+    if (relations.length > 0) {
+      await this.createRelations(relations);
+    }
+  }
+
+  /**
+   * Release connections and handles
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
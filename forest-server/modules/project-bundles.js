@@ -0,0 +1,346 @@
+/**
+ * Project Bundles Module
+ * Exports a project to a single self-describing bundle file and imports bundles back,
+ * so projects can move between machines or be shared as templates.
+ *
+ * A bundle is one JSON file holding a manifest (one entry per document, with a SHA-256
+ * checksum) and the documents themselves: config, every path's HTA, learning history,
+ * schedules, wisdom store, archives and insight history.
+ */
+
+import crypto from 'crypto';
+import { FileSystem } from './utils/file-system.js';
+import { diffDocuments } from './utils/document-diff.js';
+import { migrateDocument, SnapshotStore, StorageAdapter } from './storage/index.js';
+import { AUTH, DIRECTORIES, FILE_NAMES, STORAGE } from './constants.js';
+
+export class ProjectBundles {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * Write every document of a project into a bundle file
+   * @param {Object} options - Export options
+   * @param {string} [options.projectId] - Project to export (defaults to the active project)
+   * @param {string} [options.outputPath] - Bundle file to write, relative to the exports directory
+   *   of the data directory (see DataPersistence.resolveExchangePath)
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async exportProject({ projectId, outputPath = null } = {}) {
+    try {
+      const resolvedProjectId = await this.resolveProjectId(projectId);
+      const bundle = await this.buildBundle(resolvedProjectId);
+      const bundleFile = await this.dataPersistence.resolveExchangePath(
+        outputPath || `${resolvedProjectId}-${SnapshotStore.toStamp()}${STORAGE.BUNDLE_EXTENSION}`,
+        'output_path'
+      );
+
+      await FileSystem.ensureDir(FileSystem.dirname(bundleFile.path));
+      await FileSystem.writeJSON(bundleFile.path, bundle);
+
+      const paths = new Set(bundle.manifest.map(entry => entry.path_name).filter(Boolean));
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `📦 Exported project "${resolvedProjectId}" (${bundle.manifest.length} documents` +
+              `${paths.size > 0 ? `, paths: ${[...paths].join(', ')}` : ''})\n\n` +
+              `**Bundle**: ${bundleFile.name}\n\n` +
+              'Use `import_project` with this file to restore it here or on another machine.',
+          },
+        ],
+        bundle_path: bundleFile.name,
+        project_id: resolvedProjectId,
+        documents: bundle.manifest.map(entry => entry.path),
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('exportProject', error, { projectId, outputPath });
+      return {
+        content: [{ type: 'text', text: `Error exporting project: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * Import a bundle as a new project, or merge it into an existing one
+   * @param {Object} options - Import options
+   * @param {string} options.bundlePath - Bundle file produced by exportProject, relative to the
+   *   exports directory of the data directory
+   * @param {string} [options.projectId] - Import under this id instead of the bundle's
+   * @param {boolean} [options.merge=false] - Add to an existing project instead of failing
+   * @param {boolean} [options.overwrite=false] - When merging, let bundle documents replace differing ones
+   * @param {boolean} [options.dryRun=false] - Report the plan and conflicts without writing
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async importProject({
+    bundlePath,
+    projectId = null,
+    merge = false,
+    overwrite = false,
+    dryRun = false,
+  } = {}) {
+    try {
+      const bundle = await this.readBundle(bundlePath);
+      const sourceProjectId = bundle.project.id;
+      const targetProjectId = projectId || sourceProjectId;
+
+      const exists = (await this.dataPersistence.listProjects()).includes(targetProjectId);
+      const plan = await this.planImport(bundle, sourceProjectId, targetProjectId, exists);
+      const conflicts = plan.filter(entry => entry.status === 'conflict');
+      const blocked = exists && !merge;
+
+      const writes = plan.filter(
+        entry => entry.status === 'new' || (entry.status === 'conflict' && overwrite)
+      );
+      if (!dryRun && !blocked) {
+        // The whole import commits or rolls back together
+        await this.dataPersistence.runInTransaction(async () => {
+          for (const entry of writes) {
+            await this.saveDocument(targetProjectId, entry);
+          }
+          await this.registerProject(targetProjectId);
+        }, 'import_project');
+      }
+
+      const result = {
+        project_id: targetProjectId,
+        source_project_id: sourceProjectId,
+        imported: blocked ? [] : writes.map(entry => entry.path),
+        unchanged: plan.filter(entry => entry.status === 'identical').map(entry => entry.path),
+        conflicts: conflicts.map(entry => ({
+          path: entry.path,
+          changes: entry.changes.length,
+          resolution: blocked ? 'blocked' : overwrite ? 'use_bundle' : 'keep_existing',
+        })),
+        dry_run: dryRun,
+      };
+
+      return {
+        content: [{ type: 'text', text: this.formatImport(result, { exists, blocked }) }],
+        ...result,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('importProject', error, { bundlePath, projectId });
+      return {
+        content: [{ type: 'text', text: `Error importing project: ${error.message}` }],
+      };
+    }
+  }
+
+  // ===== BUNDLE FORMAT =====
+
+  async buildBundle(projectId) {
+    const documents = {};
+    const manifest = [];
+    for (const document of await this.dataPersistence.listProjectDocuments(projectId)) {
+      const path = this.bundlePath(document);
+      const data = await this.loadDocument(projectId, document);
+      documents[path] = data;
+      manifest.push({
+        path,
+        path_name: document.pathName,
+        file: document.filename,
+        sha256: this.checksum(data),
+      });
+    }
+
+    const config = documents[FILE_NAMES.CONFIG] || {};
+    return {
+      format: STORAGE.BUNDLE_FORMAT,
+      format_version: STORAGE.BUNDLE_FORMAT_VERSION,
+      schema_version: STORAGE.SCHEMA_VERSION,
+      exported_at: new Date().toISOString(),
+      project: { id: projectId, goal: config.goal || null },
+      manifest,
+      checksum: this.checksum(manifest),
+      documents,
+    };
+  }
+
+  /**
+   * Read a bundle file and verify its format and every checksum
+   * @throws {ValidationError} If the bundle is malformed, from a newer release, or corrupted
+   */
+  async readBundle(bundlePath) {
+    const { ValidationError } = await import('./errors.js');
+    if (!bundlePath) {
+      throw new ValidationError('bundle_path', bundlePath, 'the path of an exported bundle file');
+    }
+
+    const bundleFile = await this.dataPersistence.resolveExchangePath(bundlePath, 'bundle_path');
+    const bundle = await FileSystem.readJSON(bundleFile.path);
+    if (bundle?.format !== STORAGE.BUNDLE_FORMAT) {
+      throw new ValidationError('format', bundle?.format, `"${STORAGE.BUNDLE_FORMAT}"`);
+    }
+    if (bundle.format_version > STORAGE.BUNDLE_FORMAT_VERSION) {
+      throw new ValidationError(
+        'format_version',
+        bundle.format_version,
+        `version ${STORAGE.BUNDLE_FORMAT_VERSION} or older (update Forest to import this bundle)`
+      );
+    }
+    // Project ids, path names and file names all become storage key segments
+    if (!AUTH.SAFE_SEGMENT_PATTERN.test(bundle.project?.id)) {
+      throw new ValidationError('project.id', bundle.project?.id, 'the exported project id');
+    }
+    if (!Array.isArray(bundle.manifest) || this.checksum(bundle.manifest) !== bundle.checksum) {
+      throw new ValidationError('manifest', 'checksum mismatch', 'an intact bundle manifest');
+    }
+    for (const entry of bundle.manifest) {
+      const segments = [entry.file, ...(entry.path_name ? [entry.path_name] : [])];
+      if (!segments.every(segment => AUTH.SAFE_SEGMENT_PATTERN.test(segment))) {
+        throw new ValidationError(entry.path, entry.path, 'a plain file and path name');
+      }
+      if (this.checksum(bundle.documents?.[entry.path]) !== entry.sha256) {
+        throw new ValidationError(entry.path, 'checksum mismatch', `sha256 ${entry.sha256}`);
+      }
+    }
+    return bundle;
+  }
+
+  /**
+   * Classify every bundle document against the target project
+   * @returns {Promise<Array<{path, pathName, filename, data, status: 'new'|'identical'|'conflict', changes}>>}
+   */
+  async planImport(bundle, sourceProjectId, targetProjectId, exists) {
+    const existingPaths = exists
+      ? new Set(
+          (await this.dataPersistence.listProjectDocuments(targetProjectId)).map(document =>
+            this.bundlePath(document)
+          )
+        )
+      : new Set();
+
+    const plan = [];
+    for (const entry of bundle.manifest) {
+      const document = { pathName: entry.path_name || null, filename: entry.file };
+      const key = document.pathName
+        ? this.dataPersistence.getPathKey(targetProjectId, document.pathName, document.filename)
+        : this.dataPersistence.getProjectKey(targetProjectId, document.filename);
+      const { data: upgraded } = migrateDocument(key, bundle.documents[entry.path]);
+      const data = this.renameProject(upgraded, sourceProjectId, targetProjectId);
+
+      if (!existingPaths.has(entry.path)) {
+        plan.push({ ...document, path: entry.path, data, status: 'new', changes: [] });
+        continue;
+      }
+      const current = await this.loadDocument(targetProjectId, document);
+      const changes = diffDocuments(current, data);
+      plan.push({
+        ...document,
+        path: entry.path,
+        data,
+        status: changes.length === 0 ? 'identical' : 'conflict',
+        changes,
+      });
+    }
+    return plan;
+  }
+
+  /**
+   * Point project-identifying fields at the imported id
+   */
+  renameProject(data, sourceProjectId, targetProjectId) {
+    if (sourceProjectId === targetProjectId || !data || Array.isArray(data)) {
+      return data;
+    }
+    const renamed = { ...data };
+    for (const field of ['id', 'projectId', 'project_id']) {
+      if (renamed[field] === sourceProjectId) {
+        renamed[field] = targetProjectId;
+      }
+    }
+    return renamed;
+  }
+
+  async registerProject(projectId) {
+    const globalData = (await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG)) || {
+      projects: [],
+    };
+    const projects = globalData.projects || [];
+    if (!projects.includes(projectId)) {
+      await this.dataPersistence.saveGlobalData(FILE_NAMES.CONFIG, {
+        ...globalData,
+        projects: [...projects, projectId],
+      });
+    }
+  }
+
+  // ===== HELPERS =====
+
+  async resolveProjectId(projectId) {
+    if (!projectId) {
+      return await this.projectManagement.requireActiveProject();
+    }
+    const projects = await this.dataPersistence.listProjects();
+    if (!projects.includes(projectId)) {
+      throw new Error(`Project "${projectId}" not found`);
+    }
+    return projectId;
+  }
+
+  bundlePath({ pathName, filename }) {
+    return pathName ? StorageAdapter.key(DIRECTORIES.PATHS, pathName, filename) : filename;
+  }
+
+  checksum(data) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(data) ?? '')
+      .digest('hex');
+  }
+
+  async loadDocument(projectId, { pathName, filename }) {
+    return pathName
+      ? await this.dataPersistence.loadPathData(projectId, pathName, filename)
+      : await this.dataPersistence.loadProjectData(projectId, filename);
+  }
+
+  async saveDocument(projectId, { pathName, filename, data, path }) {
+    const saved = pathName
+      ? await this.dataPersistence.savePathData(projectId, pathName, filename, data)
+      : await this.dataPersistence.saveProjectData(projectId, filename, data);
+    if (!saved) {
+      throw new Error(`Failed to import ${path}`);
+    }
+  }
+
+  formatImport(result, { exists, blocked }) {
+    const target = `"${result.project_id}"`;
+    const renamed =
+      result.project_id === result.source_project_id
+        ? ''
+        : ` (exported as "${result.source_project_id}")`;
+
+    let text;
+    if (blocked) {
+      text =
+        `⚠️ Project ${target} already exists${renamed}. Pass \`merge: true\` to merge the bundle ` +
+        'into it, or `project_id` to import under a new id.\n';
+    } else if (result.dry_run) {
+      text = `[dry run] Would ${exists ? 'merge into' : 'create'} project ${target}${renamed}:\n`;
+    } else {
+      text = `✅ ${exists ? 'Merged bundle into' : 'Imported'} project ${target}${renamed}:\n`;
+    }
+
+    if (!blocked) {
+      text += `• ${result.imported.length} document(s) ${result.dry_run ? 'to write' : 'written'}\n`;
+      text += `• ${result.unchanged.length} already identical\n`;
+    }
+    if (result.conflicts.length > 0) {
+      text += `\n**Conflicts** (${result.conflicts.length}):\n`;
+      for (const conflict of result.conflicts) {
+        const resolution = {
+          blocked: '',
+          use_bundle: ' → bundle version wins',
+          keep_existing: ' → existing version kept (pass `overwrite: true` to replace)',
+        }[conflict.resolution];
+        text += `• ${conflict.path}: ${conflict.changes} difference(s)${resolution}\n`;
+      }
+    }
+    return text.trimEnd();
+  }
+}
@@ -3,6 +3,10 @@
  * Handles project creation, switching, and lifecycle management
  */
 
+import { FILE_NAMES } from './constants.js';
+import { revertExpiredFocus } from './learning-paths.js';
+import { currentSession, currentUserId, resolveActiveProject } from './utils/session-context.js';
+
 export class ProjectManagement {
   constructor(dataPersistence, memorySync) {
     this.dataPersistence = dataPersistence;
@@ -23,6 +27,7 @@ export class ProjectManagement {
         current_habits = {},
         life_structure_preferences,
         urgency_level = 'medium',
+        weekly_hours = null,
         success_metrics = [],
       } = args;
 
@@ -31,9 +36,8 @@ export class ProjectManagement {
       const missingFields = requiredFields.filter(field => !args[field]);
 
       if (missingFields.length > 0) {
-        throw new Error(
-          `Missing required fields for project creation: ${missingFields.join(', ')}. Please provide all required fields.`
-        );
+        const { RequiredFieldsError } = await import('./errors.js');
+        throw new RequiredFieldsError(missingFields, 'project creation');
       }
 
       // Validate life_structure_preferences sub-fields
@@ -41,7 +45,11 @@ export class ProjectManagement {
       const prefsMissing = requiredPrefs.filter(p => !life_structure_preferences[p]);
 
       if (prefsMissing.length > 0) {
-        throw new Error(`Missing required life structure preferences: ${prefsMissing.join(', ')}`);
+        const { RequiredFieldsError } = await import('./errors.js');
+        throw new RequiredFieldsError(
+          prefsMissing.map(p => `life_structure_preferences.${p}`),
+          'project creation'
+        );
       }
 
       // Calculate knowledge boost from existing credentials
@@ -62,8 +70,10 @@ export class ProjectManagement {
         current_habits,
         life_structure_preferences,
         urgency_level,
+        weekly_hours,
         success_metrics,
         created_at: new Date().toISOString(),
+        owner: currentUserId(),
         knowledge_level: knowledgeLevel,
         skill_mappings: skillMappings,
         progress: 0,
@@ -80,12 +90,9 @@ export class ProjectManagement {
       if (!globalData.projects.includes(project_id)) {
         globalData.projects.push(project_id);
       }
-      globalData.activeProject = project_id;
+      this.activateProject(globalData, project_id);
       await this.dataPersistence.saveGlobalData('config.json', globalData);
 
-      // Set as active project
-      this.activeProject = project_id;
-
       // Sync to memory
       const memoryData = await this.memorySync.syncActiveProjectToMemory(project_id);
 
@@ -121,18 +128,22 @@ export class ProjectManagement {
 
   async switchProject(projectId) {
     try {
-      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
-      if (!config) {
-        throw new Error(`Project "${projectId}" not found`);
+      // Loading would hand back a default config, so check what is actually stored
+      const files = await this.dataPersistence.listProjectFiles(projectId);
+      if (!files.includes(FILE_NAMES.CONFIG)) {
+        const { ResourceNotFoundError } = await import('./errors.js');
+        throw new ResourceNotFoundError('Project', projectId);
+      }
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+
+      // Network sessions keep their own active project; everyone else updates the global one
+      if (currentSession()) {
+        this.activateProject(null, projectId);
+      } else {
+        const globalData = (await this.dataPersistence.loadGlobalData('config.json')) || {};
+        this.activateProject(globalData, projectId);
+        await this.dataPersistence.saveGlobalData('config.json', globalData);
       }
-
-      // Update global configuration
-      const globalData = (await this.dataPersistence.loadGlobalData('config.json')) || {};
-      globalData.activeProject = projectId;
-      await this.dataPersistence.saveGlobalData('config.json', globalData);
-
-      // Set as active project
-      this.activeProject = projectId;
 
       // Sync to memory
       const memoryData = await this.memorySync.syncActiveProjectToMemory(projectId);
@@ -170,7 +181,7 @@ export class ProjectManagement {
       const globalData = (await this.dataPersistence.loadGlobalData('config.json')) || {
         projects: [],
       };
-      const activeProject = globalData.activeProject;
+      const activeProject = resolveActiveProject(globalData);
 
       if (globalData.projects.length === 0) {
         return {
@@ -228,7 +239,7 @@ export class ProjectManagement {
   async getActiveProject() {
     try {
       const globalData = (await this.dataPersistence.loadGlobalData('config.json')) || {};
-      const activeProjectId = globalData.activeProject;
+      const activeProjectId = resolveActiveProject(globalData);
 
       if (!activeProjectId) {
         return {
@@ -283,7 +294,7 @@ export class ProjectManagement {
 
   async requireActiveProject() {
     const globalData = (await this.dataPersistence.loadGlobalData('config.json')) || {};
-    const activeProjectId = globalData.activeProject;
+    const activeProjectId = resolveActiveProject(globalData);
 
     if (!activeProjectId) {
       throw new Error(
@@ -291,10 +302,31 @@ export class ProjectManagement {
       );
     }
 
+    // A time-boxed focus on a learning path ends the first time the project is used after it
+    await revertExpiredFocus(this.dataPersistence, activeProjectId);
+
     this.activeProject = activeProjectId;
     return activeProjectId;
   }
 
+  /**
+   * Make a project the active one for the caller. Inside a network MCP session only that
+   * session switches; otherwise the choice is recorded for the current user in the (not yet
+   * saved) global config.
+   * @param {Object|null} globalData - Global config to update when outside a session
+   * @param {string} projectId
+   */
+  activateProject(globalData, projectId) {
+    const session = currentSession();
+    if (session) {
+      session.activeProject = projectId;
+    } else {
+      globalData.activeProjects = { ...globalData.activeProjects, [currentUserId()]: projectId };
+      globalData.activeProject = projectId;
+    }
+    this.activeProject = projectId;
+  }
+
   calculateKnowledgeBoost(existingCredentials, goal) {
     let knowledgeLevel = 1; // Base level
     const skillMappings = {};
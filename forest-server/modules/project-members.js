@@ -0,0 +1,542 @@
+/**
+ * Project Members Module
+ * Lets several people work on one project: owners share it with editors and viewers, every
+ * tool call is checked against the caller's role, and what each member does is recorded in the
+ * project's learning history and on the HTA nodes they touch (see utils/attribution.js).
+ *
+ * A project without members belongs to whoever can reach its data root and is unrestricted.
+ * Sharing gives it a `members` list in config.json; for an API user (see http-auth.js) sharing
+ * also moves the project from their own data root into the shared data directory, where every
+ * member's tool calls are routed while they work on it.
+ */
+
+import { AUTH, FILE_NAMES, MEMBERSHIP, PROJECT_ROLES } from './constants.js';
+import { currentUserId, resolveActiveProject } from './utils/session-context.js';
+
+const ROLE_RANK = {
+  [PROJECT_ROLES.VIEWER]: 1,
+  [PROJECT_ROLES.EDITOR]: 2,
+  [PROJECT_ROLES.OWNER]: 3,
+};
+
+// Tools that do not act on an existing project
+const UNSCOPED_TOOLS = new Set(['create_project', 'list_projects']);
+
+// Tools that only read; every other tool that reaches a project needs the editor role
+const VIEWER_TOOLS = new Set([
+  'switch_project',
+  'get_active_project',
+  'get_hta_status',
+  'get_critical_path',
+  'export_hta',
+  'list_snapshots',
+  'diff_snapshot',
+  'export_project',
+  'get_next_task',
+  'current_status',
+  'analyze_performance',
+  'analyze_reasoning',
+  'analyze_complexity_evolution',
+  'analyze_identity_transformation',
+  'review_week',
+  'review_month',
+  'get_proactive_insights',
+  'get_archive_status',
+  'generate_tiimo_export',
+  'export_schedule_ics',
+  'list_learning_paths',
+  'get_generation_history',
+  'list_project_members',
+  'debug_health_check',
+  'debug_trace_task',
+  'debug_validate',
+  'debug_export',
+  'debug_summary',
+  'debug_task_sequence',
+  'ask_truthful',
+  'ask_truthful_claude',
+  'mcp_forest_ask_truthful',
+  'mcp_forest_ask_truthful_claude',
+]);
+
+const OWNER_TOOLS = new Set(['share_project', 'remove_project_member']);
+
+const COMPLETION_TOOLS = new Set([
+  'complete_block',
+  'complete_with_opportunities',
+  'complete_block_and_next',
+]);
+
+/**
+ * The role a user holds on a project. Projects nobody has been added to are unrestricted.
+ * @param {Object} config - Project config.json
+ * @param {string} userId - User identifier
+ * @returns {string|null} Role, or null when the user is not a member
+ */
+export function roleOf(config, userId) {
+  const members = config?.members || [];
+  if (members.length === 0) {
+    return PROJECT_ROLES.OWNER;
+  }
+  return members.find(member => member.user_id === userId)?.role || null;
+}
+
+export function requiredRoleFor(toolName) {
+  if (OWNER_TOOLS.has(toolName)) {
+    return PROJECT_ROLES.OWNER;
+  }
+  return VIEWER_TOOLS.has(toolName) ? PROJECT_ROLES.VIEWER : PROJECT_ROLES.EDITOR;
+}
+
+/**
+ * A project's members, or just its owner when it has not been shared yet
+ * @param {Object} config - Project config.json
+ * @returns {Array<Object>}
+ */
+function membersOf(config) {
+  if (config.members?.length > 0) {
+    return config.members;
+  }
+  const owner = config.owner || currentUserId();
+  return [
+    {
+      user_id: owner,
+      role: PROJECT_ROLES.OWNER,
+      added_by: owner,
+      added_at: new Date().toISOString(),
+    },
+  ];
+}
+
+function activityAction(toolName, filenames) {
+  if (COMPLETION_TOOLS.has(toolName)) {
+    return MEMBERSHIP.ACTIONS.BLOCK_COMPLETED;
+  }
+  if (toolName === 'evolve_strategy') {
+    return MEMBERSHIP.ACTIONS.STRATEGY_EVOLVED;
+  }
+  return filenames.includes(FILE_NAMES.HTA) ? MEMBERSHIP.ACTIONS.HTA_EDITED : null;
+}
+
+export class ProjectMembers {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  // ===== ACCESS =====
+
+  async hasProject(projectId) {
+    const files = await this.dataPersistence.listProjectFiles(projectId);
+    return files.includes(FILE_NAMES.CONFIG);
+  }
+
+  /**
+   * Find the data root a project lives in for the current user: their own, else (for API
+   * users) the shared data directory when they are a member there
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<{shared: boolean, config: Object}|null>} null when the user cannot reach it
+   */
+  async locateProject(projectId) {
+    if (await this.hasProject(projectId)) {
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      return { shared: false, config };
+    }
+    if (!this.dataPersistence.inUserRoot()) {
+      return null;
+    }
+
+    const userId = currentUserId();
+    return await this.dataPersistence.runInSharedRoot(async () => {
+      if (!(await this.hasProject(projectId))) {
+        return null;
+      }
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const isMember = (config.members || []).some(member => member.user_id === userId);
+      return isMember ? { shared: true, config } : null;
+    });
+  }
+
+  /**
+   * Run work against a project once the current user's role on it has been checked, in the
+   * data root the project lives in. Projects the user cannot find are left to the work itself
+   * to report.
+   * @param {string} projectId - Project identifier
+   * @param {string} requiredRole - Least role the work needs
+   * @param {Function} work - Async function
+   * @param {string} [action] - What the work does, for the error message
+   * @returns {Promise<any>} Whatever `work` returns
+   * @throws {AuthorizationError} If the user's role is not enough
+   */
+  async withProjectAccess(projectId, requiredRole, work, action = 'work on') {
+    const location = await this.locateProject(projectId);
+    if (!location) {
+      return await work();
+    }
+
+    const userId = currentUserId();
+    const role = roleOf(location.config, userId);
+    if (!role || ROLE_RANK[role] < ROLE_RANK[requiredRole]) {
+      const { AuthorizationError } = await import('./errors.js');
+      throw new AuthorizationError(`${action} project '${projectId}'`, userId, {
+        projectId,
+        role,
+        requiredRole,
+      });
+    }
+    return location.shared ? await this.dataPersistence.runInSharedRoot(work) : await work();
+  }
+
+  /**
+   * Run a tool call with the caller's role checked against the project it acts on: the
+   * `project_id` argument, else the caller's active project
+   * @param {string} toolName - Registered tool name
+   * @param {Object} args - Tool arguments
+   * @param {Function} execute - Runs the tool
+   * @returns {Promise<any>} The tool's result
+   */
+  async runToolCall(toolName, args, execute) {
+    if (UNSCOPED_TOOLS.has(toolName)) {
+      return await execute();
+    }
+    const projectId =
+      args?.project_id ||
+      resolveActiveProject(await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG));
+    if (!projectId) {
+      return await execute();
+    }
+    return await this.withProjectAccess(
+      projectId,
+      requiredRoleFor(toolName),
+      execute,
+      `run ${toolName} on`
+    );
+  }
+
+  // ===== MEMBERSHIP =====
+
+  async resolveProjectId(projectId) {
+    return projectId || (await this.projectManagement.requireActiveProject());
+  }
+
+  /**
+   * Add a member to a project, or change the role of an existing one
+   * @param {Object} options
+   * @param {string} [options.projectId] - Project to share (defaults to the active project)
+   * @param {string} options.userId - Member to add
+   * @param {string} [options.role='editor'] - 'owner', 'editor' or 'viewer'
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async shareProject({ projectId, userId, role = PROJECT_ROLES.EDITOR } = {}) {
+    try {
+      const { ValidationError } = await import('./errors.js');
+      if (typeof userId !== 'string' || !AUTH.USER_ID_PATTERN.test(userId)) {
+        throw new ValidationError('user_id', userId, 'up to 64 letters, digits, ".", "_" or "-"');
+      }
+      if (!ROLE_RANK[role]) {
+        throw new ValidationError(
+          'role',
+          role,
+          `one of: ${Object.values(PROJECT_ROLES).join(', ')}`
+        );
+      }
+
+      const resolvedProjectId = await this.resolveProjectId(projectId);
+      const moved = this.dataPersistence.inUserRoot() && (await this.hasProject(resolvedProjectId));
+      if (moved) {
+        await this.moveToSharedRoot(resolvedProjectId);
+      }
+
+      const members = await this.updateMembers(resolvedProjectId, current => {
+        const others = current.filter(member => member.user_id !== userId);
+        this.assertOwnerRemains(resolvedProjectId, others, role === PROJECT_ROLES.OWNER);
+        const existing = current.find(member => member.user_id === userId);
+        return [
+          ...others,
+          {
+            user_id: userId,
+            role,
+            added_by: existing?.added_by || currentUserId(),
+            added_at: existing?.added_at || new Date().toISOString(),
+          },
+        ];
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `🤝 Shared project "${resolvedProjectId}" with **${userId}** as ${role}\n\n` +
+              `**Members**: ${members.map(member => `${member.user_id} (${member.role})`).join(', ')}` +
+              (moved ? '\n\nThe project now lives in the shared data directory.' : ''),
+          },
+        ],
+        project_id: resolvedProjectId,
+        members,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('shareProject', error, { projectId, userId, role });
+      return {
+        content: [{ type: 'text', text: `Error sharing project: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * Take a member off a project. The last owner cannot be removed.
+   * @param {Object} options
+   * @param {string} [options.projectId] - Project (defaults to the active project)
+   * @param {string} options.userId - Member to remove
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async removeMember({ projectId, userId } = {}) {
+    try {
+      const resolvedProjectId = await this.resolveProjectId(projectId);
+      const members = await this.updateMembers(resolvedProjectId, current => {
+        if (!current.some(member => member.user_id === userId)) {
+          return null;
+        }
+        const remaining = current.filter(member => member.user_id !== userId);
+        this.assertOwnerRemains(resolvedProjectId, remaining);
+        return remaining;
+      });
+      if (!members) {
+        const { ResourceNotFoundError } = await import('./errors.js');
+        throw new ResourceNotFoundError('Member', userId, { projectId: resolvedProjectId });
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `👋 Removed **${userId}** from project "${resolvedProjectId}"\n\n` +
+              `**Members**: ${members.map(member => `${member.user_id} (${member.role})`).join(', ')}`,
+          },
+        ],
+        project_id: resolvedProjectId,
+        members,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('removeMember', error, { projectId, userId });
+      return {
+        content: [{ type: 'text', text: `Error removing project member: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} [options.projectId] - Project (defaults to the active project)
+   * @returns {Promise<Object>} MCP tool response listing the project's members
+   */
+  async listMembers({ projectId } = {}) {
+    try {
+      const resolvedProjectId = await this.resolveProjectId(projectId);
+      const config = await this.dataPersistence.loadProjectData(
+        resolvedProjectId,
+        FILE_NAMES.CONFIG
+      );
+      const members = config?.members || [];
+
+      let text = `👥 **Members of ${resolvedProjectId}**\n\n`;
+      if (members.length === 0) {
+        text += `Not shared; owned by ${config?.owner || 'its creator'}. Use \`share_project\` to add members.`;
+      } else {
+        for (const member of members) {
+          text += `• **${member.user_id}** – ${member.role} (added by ${member.added_by})\n`;
+        }
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        project_id: resolvedProjectId,
+        members,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('listMembers', error, { projectId });
+      return {
+        content: [{ type: 'text', text: `Error listing project members: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * Shared projects in the shared data directory that a user is a member of
+   * @param {string} [userId] - Defaults to the current user
+   * @returns {Promise<Array<{project_id: string, role: string, goal: string}>>}
+   */
+  async sharedProjectsFor(userId = currentUserId()) {
+    return await this.dataPersistence.runInSharedRoot(async () => {
+      const projectIds = await this.dataPersistence.listProjects();
+      const shared = [];
+      for (const projectId of projectIds) {
+        const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+        const member = (config?.members || []).find(candidate => candidate.user_id === userId);
+        if (member) {
+          shared.push({ project_id: projectId, role: member.role, goal: config.goal });
+        }
+      }
+      return shared;
+    });
+  }
+
+  /**
+   * Add the shared projects an API user is a member of to a list_projects result
+   * @param {Object} result - MCP tool response listing the user's own projects
+   * @returns {Promise<Object>} The response, with a `shared_projects` list when there are any
+   */
+  async withSharedProjects(result) {
+    if (!this.dataPersistence.inUserRoot()) {
+      return result;
+    }
+
+    const shared = await this.sharedProjectsFor();
+    if (shared.length === 0) {
+      return result;
+    }
+    let text = '\n\n🤝 **Shared With You:**\n\n';
+    for (const project of shared) {
+      text += `• **${project.project_id}** (${project.role})\n  Goal: ${project.goal}\n`;
+    }
+    return {
+      ...result,
+      content: [{ type: 'text', text: `${result.content[0].text.trimEnd()}${text}` }],
+      shared_projects: shared,
+    };
+  }
+
+  /**
+   * Apply a change to a project's member list, seeding it with the project's owner the first
+   * time the project is shared
+   * @private
+   * @param {string} projectId - Project identifier
+   * @param {Function} change - Receives the current members; returns the new list, or null to
+   *   leave them unchanged
+   * @returns {Promise<Array<Object>|null>} The saved members, or null
+   */
+  async updateMembers(projectId, change) {
+    return await this.withProjectAccess(
+      projectId,
+      PROJECT_ROLES.OWNER,
+      async () => {
+        const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+        const members = change(membersOf(config));
+        if (!members) {
+          return null;
+        }
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, {
+          ...config,
+          members,
+        });
+        return members;
+      },
+      'manage the members of'
+    );
+  }
+
+  assertOwnerRemains(projectId, members, addingOwner = false) {
+    if (!addingOwner && !members.some(member => member.role === PROJECT_ROLES.OWNER)) {
+      throw new Error(`Project "${projectId}" must keep at least one owner`);
+    }
+  }
+
+  /**
+   * Move a project out of the current user's data root into the shared data directory
+   * @private
+   * @param {string} projectId - Project identifier
+   */
+  async moveToSharedRoot(projectId) {
+    const { dataPersistence } = this;
+    const documents = [];
+    for (const { pathName, filename } of await dataPersistence.listProjectDocuments(projectId)) {
+      const data = pathName
+        ? await dataPersistence.loadPathData(projectId, pathName, filename)
+        : await dataPersistence.loadProjectData(projectId, filename);
+      documents.push({ pathName, filename, data });
+    }
+
+    await dataPersistence.runInSharedRoot(async () => {
+      if (await this.hasProject(projectId)) {
+        const { ValidationError } = await import('./errors.js');
+        throw new ValidationError(
+          'project_id',
+          projectId,
+          'an id not already used by a shared project'
+        );
+      }
+      await dataPersistence.runInTransaction(async () => {
+        for (const { pathName, filename, data } of documents) {
+          if (pathName) {
+            await dataPersistence.savePathData(projectId, pathName, filename, data);
+          } else if (filename === FILE_NAMES.CONFIG) {
+            // Members can only reach the project there once they are listed
+            await dataPersistence.saveProjectData(projectId, filename, {
+              ...data,
+              members: membersOf(data),
+            });
+          } else {
+            await dataPersistence.saveProjectData(projectId, filename, data);
+          }
+        }
+      }, 'share_project');
+    });
+
+    await dataPersistence.removeProject(projectId);
+    const globalData = await dataPersistence.loadGlobalData(FILE_NAMES.CONFIG);
+    if (globalData?.projects?.includes(projectId)) {
+      await dataPersistence.saveGlobalData(FILE_NAMES.CONFIG, {
+        ...globalData,
+        projects: globalData.projects.filter(id => id !== projectId),
+      });
+    }
+  }
+
+  // ===== ACTIVITY =====
+
+  /**
+   * Append what the current user just did to the learning history of each path of a shared
+   * project that a tool call changed. Runs inside the tool's transaction, so the entry commits
+   * with the change.
+   * @param {string} toolName - Tool that ran
+   * @param {import('./storage/storage-transaction.js').StorageTransaction} transaction
+   */
+  async recordActivity(toolName, transaction) {
+    const touched = new Map();
+    for (const { key } of transaction.documents()) {
+      const document = this.dataPersistence.parseDocumentKey(key);
+      if (document && [FILE_NAMES.HTA, FILE_NAMES.LEARNING_HISTORY].includes(document.filename)) {
+        const target = `${document.projectId}/${document.pathName || ''}`;
+        const filenames = touched.get(target)?.filenames || [];
+        touched.set(target, { ...document, filenames: [...filenames, document.filename] });
+      }
+    }
+
+    for (const { projectId, pathName, filenames } of touched.values()) {
+      const action = activityAction(toolName, filenames);
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!action || !(config?.members?.length > 0)) {
+        continue;
+      }
+      const history = pathName
+        ? await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.LEARNING_HISTORY)
+        : await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.LEARNING_HISTORY);
+      const activity = [
+        ...(history?.activity || []),
+        { action, tool: toolName, by: currentUserId(), at: new Date().toISOString() },
+      ].slice(-MEMBERSHIP.ACTIVITY_LIMIT);
+      const updated = { ...history, activity };
+      if (pathName) {
+        await this.dataPersistence.savePathData(
+          projectId,
+          pathName,
+          FILE_NAMES.LEARNING_HISTORY,
+          updated
+        );
+      } else {
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.LEARNING_HISTORY, updated);
+      }
+    }
+  }
+}
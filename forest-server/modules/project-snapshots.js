@@ -0,0 +1,287 @@
+/**
+ * Project Snapshots Module
+ * Lists, diffs and restores the versioned backups DataPersistence keeps for project data
+ */
+
+import { diffDocuments } from './utils/document-diff.js';
+
+const MAX_DIFF_LINES = 40;
+
+export class ProjectSnapshots {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * List snapshots for a project, a learning path, or a single file
+   * @param {Object} options - Listing options
+   * @param {string} [options.projectId] - Project (defaults to the active project)
+   * @param {string} [options.pathName] - Learning path
+   * @param {string} [options.file] - Document file name, e.g. hta.json
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async listSnapshots({ projectId, pathName = null, file = null } = {}) {
+    try {
+      const resolvedProjectId = await this.resolveProjectId(projectId);
+      const snapshots = await this.dataPersistence.listSnapshots(resolvedProjectId, pathName, file);
+
+      if (snapshots.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No snapshots found for project "${resolvedProjectId}"${this.describeScope(pathName, file)}. Snapshots are taken automatically whenever a saved file changes.`,
+            },
+          ],
+          snapshots: [],
+        };
+      }
+
+      const byDocument = new Map();
+      for (const snapshot of snapshots) {
+        const label = this.describeDocument(snapshot);
+        byDocument.set(label, [...(byDocument.get(label) || []), snapshot]);
+      }
+
+      let text = `**Snapshots for "${resolvedProjectId}"${this.describeScope(pathName, file)}** (${snapshots.length})\n`;
+      for (const [label, versions] of byDocument) {
+        text += `\n${label}\n`;
+        for (const snapshot of [...versions].reverse()) {
+          text += `• ${snapshot.capturedAt}\n`;
+        }
+      }
+      text +=
+        '\nEach snapshot is the file as it was just before that time. Pass a timestamp to `diff_snapshot` or `restore_snapshot`.';
+
+      return {
+        content: [{ type: 'text', text }],
+        snapshots: snapshots.map(snapshot => this.toSummary(snapshot)),
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('listSnapshots', error, { projectId, pathName, file });
+      return {
+        content: [{ type: 'text', text: `Error listing snapshots: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * Compare a file's state at a point in time with its current contents
+   * @param {Object} options - Diff options
+   * @param {string} [options.projectId] - Project (defaults to the active project)
+   * @param {string} [options.pathName] - Learning path holding the file
+   * @param {string} options.file - Document file name
+   * @param {string} options.timestamp - Point in time (usually a snapshot's captured_at)
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async diffSnapshot({ projectId, pathName = null, file, timestamp } = {}) {
+    try {
+      const resolvedProjectId = await this.resolveProjectId(projectId);
+      const pointInTime = await this.parseTimestamp(timestamp);
+      if (!file) {
+        const { ValidationError } = await import('./errors.js');
+        throw new ValidationError('file', file, 'a document file name such as hta.json');
+      }
+
+      const snapshots = await this.dataPersistence.listSnapshots(resolvedProjectId, pathName, file);
+      const snapshot = this.selectSnapshot(snapshots, pointInTime);
+      const label = this.describeDocument({ pathName, filename: file });
+      if (!snapshot) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${label} has not changed since ${pointInTime} — nothing to compare.`,
+            },
+          ],
+          diff: [],
+        };
+      }
+
+      const snapshotData = await this.dataPersistence.readSnapshot(snapshot.key);
+      const currentData = await this.loadCurrent(resolvedProjectId, pathName, file);
+      const changes = diffDocuments(snapshotData, currentData);
+
+      let text = `**${label}: snapshot ${snapshot.capturedAt} → current** (${changes.length} change${changes.length === 1 ? '' : 's'})\n\n`;
+      for (const change of changes.slice(0, MAX_DIFF_LINES)) {
+        text += `${this.formatChange(change)}\n`;
+      }
+      if (changes.length > MAX_DIFF_LINES) {
+        text += `… and ${changes.length - MAX_DIFF_LINES} more\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        snapshot: this.toSummary(snapshot),
+        diff: changes,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('diffSnapshot', error, { projectId, pathName, file });
+      return {
+        content: [{ type: 'text', text: `Error comparing snapshot: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * Restore a single file, a learning path, or a whole project to its state at a point in time.
+   * The current contents are snapshotted by the save itself, so a restore can be undone.
+   * @param {Object} options - Restore options
+   * @param {string} [options.projectId] - Project (defaults to the active project)
+   * @param {string} [options.pathName] - Learning path (or the path holding the file)
+   * @param {string} [options.file] - Document file name; omit to restore every file in scope
+   * @param {string} options.timestamp - Point in time to restore to
+   * @param {boolean} [options.dryRun=false] - Report what would change without writing
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async restoreSnapshot({
+    projectId,
+    pathName = null,
+    file = null,
+    timestamp,
+    dryRun = false,
+  } = {}) {
+    try {
+      const resolvedProjectId = await this.resolveProjectId(projectId);
+      const pointInTime = await this.parseTimestamp(timestamp);
+      const snapshots = await this.dataPersistence.listSnapshots(resolvedProjectId, pathName, file);
+
+      // The earliest snapshot captured at or after the point in time holds the state at that time
+      const targets = new Map();
+      for (const snapshot of snapshots) {
+        if (snapshot.capturedAt >= pointInTime && !targets.has(snapshot.documentKey)) {
+          targets.set(snapshot.documentKey, snapshot);
+        }
+      }
+
+      const restored = [...targets.values()].map(snapshot => this.toSummary(snapshot));
+      if (!dryRun) {
+        // All restored files commit together
+        await this.dataPersistence.runInTransaction(async () => {
+          for (const snapshot of targets.values()) {
+            const data = await this.dataPersistence.readSnapshot(snapshot.key);
+            const saved = snapshot.pathName
+              ? await this.dataPersistence.savePathData(
+                  resolvedProjectId,
+                  snapshot.pathName,
+                  snapshot.filename,
+                  data
+                )
+              : await this.dataPersistence.saveProjectData(
+                  resolvedProjectId,
+                  snapshot.filename,
+                  data
+                );
+            if (!saved) {
+              throw new Error(`Failed to restore ${this.describeDocument(snapshot)}`);
+            }
+          }
+        }, 'restore_snapshot');
+      }
+
+      const scope = file
+        ? this.describeDocument({ pathName, filename: file })
+        : `project "${resolvedProjectId}"${this.describeScope(pathName, null)}`;
+      let text;
+      if (restored.length === 0) {
+        text = `Nothing to restore: ${scope} has not changed since ${pointInTime}.`;
+      } else {
+        text = `${dryRun ? '[dry run] Would restore' : '✅ Restored'} ${scope} to ${pointInTime}:\n`;
+        text += restored
+          .map(entry => `• ${this.describeDocument(entry)} (snapshot ${entry.captured_at})`)
+          .join('\n');
+        if (!dryRun) {
+          text +=
+            '\n\nThe replaced versions were snapshotted, so this restore can itself be undone.';
+        }
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        restored,
+        dry_run: dryRun,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('restoreSnapshot', error, { projectId, pathName, file });
+      return {
+        content: [{ type: 'text', text: `Error restoring snapshot: ${error.message}` }],
+      };
+    }
+  }
+
+  // ===== HELPERS =====
+
+  async resolveProjectId(projectId) {
+    if (!projectId) {
+      return await this.projectManagement.requireActiveProject();
+    }
+    const projects = await this.dataPersistence.listProjects();
+    if (!projects.includes(projectId)) {
+      throw new Error(`Project "${projectId}" not found`);
+    }
+    return projectId;
+  }
+
+  async parseTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    if (!timestamp || Number.isNaN(date.getTime())) {
+      const { ValidationError } = await import('./errors.js');
+      throw new ValidationError('timestamp', timestamp, 'an ISO 8601 date/time');
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Earliest snapshot captured at or after the point in time
+   * @param {Array<Object>} snapshots - Snapshots of one document, oldest first
+   * @param {string} pointInTime - ISO timestamp
+   * @returns {Object|null}
+   */
+  selectSnapshot(snapshots, pointInTime) {
+    return snapshots.find(snapshot => snapshot.capturedAt >= pointInTime) || null;
+  }
+
+  async loadCurrent(projectId, pathName, file) {
+    return pathName
+      ? await this.dataPersistence.loadPathData(projectId, pathName, file)
+      : await this.dataPersistence.loadProjectData(projectId, file);
+  }
+
+  formatChange({ path, change, before, after }) {
+    const show = value => {
+      const json = JSON.stringify(value);
+      return json && json.length > 80 ? `${json.slice(0, 77)}...` : json;
+    };
+    switch (change) {
+      case 'added':
+        return `+ ${path}: ${show(after)}`;
+      case 'removed':
+        return `- ${path}: ${show(before)}`;
+      default:
+        return `~ ${path}: ${show(before)} → ${show(after)}`;
+    }
+  }
+
+  describeDocument({ pathName, path_name: pathNameSnake, filename, file }) {
+    const pathLabel = pathName ?? pathNameSnake;
+    const name = filename ?? file;
+    return pathLabel ? `${pathLabel}/${name}` : name;
+  }
+
+  describeScope(pathName, file) {
+    if (file) {
+      return ` (${this.describeDocument({ pathName, filename: file })})`;
+    }
+    return pathName ? ` (path "${pathName}")` : '';
+  }
+
+  toSummary(snapshot) {
+    return {
+      file: snapshot.filename,
+      path_name: snapshot.pathName,
+      captured_at: snapshot.capturedAt,
+      snapshot_key: snapshot.key,
+    };
+  }
+}
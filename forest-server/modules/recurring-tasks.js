@@ -0,0 +1,487 @@
+/**
+ * Recurring Tasks Module
+ * HTA nodes for practice that repeats instead of being done once. A recurring node carries an
+ * RRULE-like rule in `recurrence.rule`:
+ *
+ *   FREQ=DAILY                    every day
+ *   FREQ=DAILY;INTERVAL=2         every other day
+ *   FREQ=WEEKLY;BYDAY=MO,WE,FR    on the listed weekdays
+ *   FREQ=WEEKLY;TIMES=3           three times a week, on any days (a Forest extension)
+ *
+ * optionally ending on a date with UNTIL=YYYYMMDD. Recurring nodes are never marked completed:
+ * the schedulers add an instance of the node to each day it is due, and every completion is
+ * recorded in the node's `occurrences`, from which streaks and adherence are worked out.
+ */
+
+import { addDays, daysBetween } from './calendar-commitments.js';
+import { DEFAULT_PATHS, FILE_NAMES, SCHEDULING } from './constants.js';
+import { bus } from './utils/event-bus.js';
+import { parseRecurrenceRule } from './utils/ical.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Weekday codes in getUTCDay() order
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'TIMES', 'UNTIL'];
+
+const weekdayOf = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * The Monday starting the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export function weekStart(date) {
+  return addDays(date, -((weekdayOf(date) + 6) % 7));
+}
+
+/**
+ * Read a recurrence rule
+ * @param {string} rule - e.g. FREQ=WEEKLY;BYDAY=MO,WE or FREQ=WEEKLY;TIMES=3
+ * @returns {{freq: string, interval: number, days: Array<number>|null, times: number|null,
+ *   until: string|null}|null} Weekdays as getUTCDay() numbers; null when the rule is not one
+ *   Forest can follow
+ */
+export function parseRecurrence(rule) {
+  const parts = parseRecurrenceRule(
+    String(rule || '')
+      .trim()
+      .replace(/^RRULE:/i, '')
+  );
+  const freq = String(parts.FREQ || '').toUpperCase();
+  if (
+    !['DAILY', 'WEEKLY'].includes(freq) ||
+    Object.keys(parts).some(key => !RULE_PARTS.includes(key))
+  ) {
+    return null;
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return null;
+  }
+
+  let days = null;
+  if (parts.BYDAY !== undefined) {
+    const codes = parts.BYDAY.toUpperCase().split(',');
+    if (freq !== 'WEEKLY' || codes.some(code => !ICAL_WEEKDAYS.includes(code.trim()))) {
+      return null;
+    }
+    days = [...new Set(codes.map(code => ICAL_WEEKDAYS.indexOf(code.trim())))].sort(
+      (a, b) => a - b
+    );
+  }
+
+  let times = null;
+  if (parts.TIMES !== undefined) {
+    times = Number(parts.TIMES);
+    if (freq !== 'WEEKLY' || days || !Number.isInteger(times) || times < 1 || times > 7) {
+      return null;
+    }
+  }
+
+  let until = null;
+  if (parts.UNTIL !== undefined) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(parts.UNTIL);
+    if (!match) {
+      return null;
+    }
+    until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  return { freq, interval, days, times, until };
+}
+
+/**
+ * Write a parsed recurrence back as a rule
+ * @param {Object} recurrence - As returned by parseRecurrence
+ * @returns {string}
+ */
+export function formatRecurrence({ freq, interval, days, times, until }) {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (days) {
+    parts.push(`BYDAY=${days.map(day => ICAL_WEEKDAYS[day]).join(',')}`);
+  }
+  if (times) {
+    parts.push(`TIMES=${times}`);
+  }
+  if (until) {
+    parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * A recurrence in words, e.g. "every 2 days" or "Mon, Wed" or "3 times a week"
+ * @param {string} rule
+ * @returns {string}
+ */
+export function describeRecurrence(rule) {
+  const recurrence = parseRecurrence(rule);
+  if (!recurrence) {
+    return String(rule);
+  }
+  const { freq, interval, days, times, until } = recurrence;
+  const unit = freq === 'DAILY' ? 'day' : 'week';
+  const every = interval > 1 ? `every ${interval} ${unit}s` : `every ${unit}`;
+  let text = every;
+  if (days) {
+    const names = days.map(day => {
+      const name = SCHEDULING.WEEKDAYS[day];
+      return name[0].toUpperCase() + name.slice(1);
+    });
+    text = interval > 1 ? `${names.join(', ')}, ${every}` : names.join(', ');
+  } else if (times) {
+    const count = `${times} time${times === 1 ? '' : 's'}`;
+    text = interval > 1 ? `${count} ${every}` : `${count} a week`;
+  }
+  return until ? `${text} until ${until}` : text;
+}
+
+/**
+ * Whether an HTA node repeats
+ * @param {Object} node - Frontier node
+ * @returns {boolean}
+ */
+export function isRecurring(node) {
+  return Boolean(node?.recurrence?.rule);
+}
+
+/**
+ * Dates the node's practice was completed on, oldest first
+ * @param {Object} node - Recurring frontier node
+ * @returns {Array<string>}
+ */
+export function occurrenceDates(node) {
+  return [...new Set((node.occurrences || []).map(occurrence => occurrence.date))].sort();
+}
+
+/**
+ * The node's recurrence with the date it started, or null when its rule cannot be read
+ * @private
+ */
+function recurrenceOf(node) {
+  const recurrence = isRecurring(node) ? parseRecurrence(node.recurrence.rule) : null;
+  if (!recurrence) {
+    return null;
+  }
+  const startDate =
+    node.recurrence.startDate ||
+    (node.created_at ? String(node.created_at).slice(0, 10) : null) ||
+    occurrenceDates(node)[0] ||
+    null;
+  return { ...recurrence, startDate };
+}
+
+/**
+ * Whether a recurring node is due on a date. A times-a-week node is due until the week's
+ * completions, plus any `plannedDates` for it, reach the target.
+ * @param {Object} node - Recurring frontier node
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array<string>} [plannedDates] - Other dates the node is already planned on
+ * @returns {boolean}
+ */
+export function isDueOn(node, date, plannedDates = []) {
+  const recurrence = recurrenceOf(node);
+  if (
+    !recurrence ||
+    (recurrence.startDate && date < recurrence.startDate) ||
+    (recurrence.until && date > recurrence.until)
+  ) {
+    return false;
+  }
+  const start = recurrence.startDate || date;
+
+  if (recurrence.freq === 'DAILY') {
+    return daysBetween(start, date) % recurrence.interval === 0;
+  }
+  if ((daysBetween(weekStart(start), weekStart(date)) / 7) % recurrence.interval !== 0) {
+    return false;
+  }
+  if (recurrence.times) {
+    const monday = weekStart(date);
+    const sunday = addDays(monday, 6);
+    const taken = new Set([...occurrenceDates(node), ...plannedDates]);
+    taken.delete(date);
+    return [...taken].filter(day => day >= monday && day <= sunday).length < recurrence.times;
+  }
+  return (recurrence.days || [weekdayOf(start)]).includes(weekdayOf(date));
+}
+
+/**
+ * The recurring nodes still to practise on a date: due, and not already completed that day
+ * @param {Array<Object>} nodes - Frontier nodes
+ * @param {string} date - YYYY-MM-DD
+ * @param {Map<string, Array<string>>} [planned] - Other dates each node id is planned on
+ * @returns {Array<Object>}
+ */
+export function dueRecurringTasks(nodes, date, planned = new Map()) {
+  return nodes.filter(
+    node =>
+      isRecurring(node) &&
+      !occurrenceDates(node).includes(date) &&
+      isDueOn(node, date, planned.get(node.id) || [])
+  );
+}
+
+/**
+ * Streak and adherence of a recurring node. Daily and weekday rules count days, times-a-week
+ * rules count weeks; the day (or week) in progress only counts once it has been met, so an
+ * unfinished today never breaks a streak.
+ * @param {Object} node - Recurring frontier node
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} [windowDays] - Days adherence is measured over, ending today
+ * @returns {Object|null} null when the node's rule cannot be read
+ */
+export function recurrenceStats(node, today, windowDays = SCHEDULING.RECURRENCE_ADHERENCE_DAYS) {
+  const recurrence = recurrenceOf(node);
+  if (!recurrence) {
+    return null;
+  }
+  const dates = occurrenceDates(node);
+  const done = new Set(dates);
+  const first = recurrence.startDate || dates[0] || today;
+  const last = recurrence.until && recurrence.until < today ? recurrence.until : today;
+  const windowStart = addDays(today, 1 - windowDays);
+
+  // Each period the rule asks for practice in, with how much of it was met
+  const periods = [];
+  if (recurrence.times) {
+    for (let monday = weekStart(first); monday <= last; monday = addDays(monday, 7)) {
+      if ((daysBetween(weekStart(first), monday) / 7) % recurrence.interval !== 0) {
+        continue;
+      }
+      const sunday = addDays(monday, 6);
+      const count = dates.filter(date => date >= monday && date <= sunday).length;
+      const met = count >= recurrence.times;
+      if (sunday >= today && !met) {
+        continue;
+      }
+      periods.push({
+        start: monday,
+        met,
+        completed: Math.min(count, recurrence.times),
+        expected: recurrence.times,
+        inWindow: sunday >= windowStart,
+      });
+    }
+  } else {
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+      if (!isDueOn(node, date) || (date === today && !done.has(date))) {
+        continue;
+      }
+      const met = done.has(date);
+      periods.push({
+        start: date,
+        met,
+        completed: met ? 1 : 0,
+        expected: 1,
+        inWindow: date >= windowStart,
+      });
+    }
+  }
+
+  let currentStreak = 0;
+  for (let index = periods.length - 1; index >= 0 && periods[index].met; index--) {
+    currentStreak++;
+  }
+  let longestStreak = 0;
+  let run = 0;
+  for (const period of periods) {
+    run = period.met ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+  const window = periods.filter(period => period.inWindow);
+  const completed = window.reduce((sum, period) => sum + period.completed, 0);
+  const expected = window.reduce((sum, period) => sum + period.expected, 0);
+
+  return {
+    taskId: node.id,
+    title: node.title,
+    rule: node.recurrence.rule,
+    schedule: describeRecurrence(node.recurrence.rule),
+    unit: recurrence.times ? 'week' : 'day',
+    currentStreak,
+    longestStreak,
+    completed,
+    expected,
+    adherence: expected > 0 ? Math.round((completed / expected) * 100) : null,
+    lastCompleted: dates[dates.length - 1] || null,
+    dueToday: !done.has(today) && isDueOn(node, today),
+  };
+}
+
+/**
+ * A stats line such as "5-day streak (best 9), 86% adherence (12/14)"
+ * @param {Object} stats - As returned by recurrenceStats
+ * @returns {string}
+ */
+export function formatRecurrenceStats(stats) {
+  const adherence =
+    stats.adherence === null
+      ? 'no sessions due yet'
+      : `${stats.adherence}% adherence (${stats.completed}/${stats.expected})`;
+  return `${stats.currentStreak}-${stats.unit} streak (best ${stats.longestStreak}), ${adherence}`;
+}
+
+export class RecurringTasks {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {import('./utils/event-bus.js').EventBus} [eventBus]
+   */
+  constructor(dataPersistence, projectManagement, eventBus = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.eventBus = eventBus || bus;
+  }
+
+  /**
+   * Add a recurring practice task to the active path's HTA tree
+   * @param {Object} options
+   * @param {string} options.title
+   * @param {string} options.recurrence - RRULE-like rule, see the module comment
+   * @param {string} [options.branch='practice']
+   * @param {string} [options.duration='30 minutes']
+   * @param {string} [options.description]
+   * @param {number} [options.difficulty=1]
+   * @param {number} [options.priority=250]
+   * @param {string} [options.startDate] - First day it is due, YYYY-MM-DD (defaults to today)
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async addRecurringTask({
+    title,
+    recurrence,
+    branch = 'practice',
+    duration = '30 minutes',
+    description = '',
+    difficulty = 1,
+    priority = 250,
+    startDate = null,
+  } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error('Project configuration not found');
+      }
+      const pathName = config.activePath || DEFAULT_PATHS.GENERAL;
+      const first = startDate || new Date().toISOString().split('T')[0];
+      const rule = await this.checkOptions(title, recurrence, first);
+
+      const htaData = await this.loadPathHTA(projectId, pathName);
+      if (!htaData) {
+        return this.textResponse(
+          `❌ No HTA tree found for "${pathName}" path. Use \`build_hta_tree\` first.`
+        );
+      }
+      const nodes = htaData.frontierNodes || [];
+      if (nodes.some(node => node.title === title.trim())) {
+        const { ValidationError } = await import('./errors.js');
+        throw new ValidationError('title', title, 'a title no other task in the tree has');
+      }
+
+      const next = Math.max(
+        0,
+        ...nodes
+          .filter(node => String(node.id).startsWith(SCHEDULING.RECURRING_NODE_ID_PREFIX))
+          .map(
+            node => Number(String(node.id).slice(SCHEDULING.RECURRING_NODE_ID_PREFIX.length)) || 0
+          )
+      );
+      const node = {
+        id: `${SCHEDULING.RECURRING_NODE_ID_PREFIX}${next + 1}`,
+        title: title.trim(),
+        description,
+        branch,
+        difficulty,
+        duration,
+        priority,
+        prerequisites: [],
+        recurrence: { rule, startDate: first },
+        occurrences: [],
+        created_at: new Date().toISOString(),
+        completed: false,
+      };
+
+      await this.savePathHTA(projectId, pathName, {
+        ...htaData,
+        frontierNodes: [...nodes, node],
+        lastUpdated: new Date().toISOString(),
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `🔁 Added recurring task "${node.title}" to the ${pathName} path: ` +
+              `${describeRecurrence(rule)}, from ${first}.\n\n` +
+              'It is added to each schedule on the days it is due; its streak shows in `get_hta_status`.',
+          },
+        ],
+        recurring_task: node,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('addRecurringTask', error, { title, recurrence });
+      return this.textResponse(`Error adding recurring task: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} The rule, normalised
+   * @private
+   */
+  async checkOptions(title, recurrence, startDate) {
+    const { RequiredFieldsError, ValidationError } = await import('./errors.js');
+    const missing = [
+      ...(typeof title === 'string' && title.trim() ? [] : ['title']),
+      ...(recurrence ? [] : ['recurrence']),
+    ];
+    if (missing.length > 0) {
+      throw new RequiredFieldsError(missing, 'add_recurring_task');
+    }
+    const parsed = parseRecurrence(recurrence);
+    if (!parsed) {
+      throw new ValidationError(
+        'recurrence',
+        recurrence,
+        'a rule such as FREQ=DAILY, FREQ=WEEKLY;BYDAY=MO,WE or FREQ=WEEKLY;TIMES=3'
+      );
+    }
+    if (!DATE_PATTERN.test(startDate)) {
+      throw new ValidationError('start_date', startDate, 'a date in YYYY-MM-DD format');
+    }
+    if (parsed.until && parsed.until < startDate) {
+      throw new ValidationError('recurrence', recurrence, 'an UNTIL date after the start date');
+    }
+    return formatRecurrence(parsed);
+  }
+
+  async loadPathHTA(projectId, pathName) {
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
+    }
+    return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+  }
+
+  async savePathHTA(projectId, pathName, htaData) {
+    const saved =
+      pathName === DEFAULT_PATHS.GENERAL
+        ? await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, htaData)
+        : await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData);
+
+    this.eventBus.emit(
+      'project:files_changed',
+      { projectId, pathName, files: [FILE_NAMES.HTA] },
+      'RecurringTasks'
+    );
+    return saved;
+  }
+
+  textResponse(text) {
+    return { content: [{ type: 'text', text }] };
+  }
+}
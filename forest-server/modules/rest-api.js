@@ -0,0 +1,265 @@
+/**
+ * REST API Module
+ * Exposes the ToolRegistry operations as HTTP resources on the existing HTTP server.
+ *
+ * Each route maps onto a registered tool. Path, query and body values become the tool's
+ * arguments and are checked against the tool's published JSON Schema (mcp-handlers.js) before
+ * anything runs. Routes under /projects/:projectId run with that project active for the
+ * duration of the request only (see utils/session-context.js), so REST callers never change
+ * the active project of MCP clients. Requests run as the user `req.user` was authenticated as
+ * (see http-auth.js), against that user's own data root or, for projects shared with them, the
+ * shared one; routes marked `admin` require the admin role.
+ */
+
+import { randomUUID } from 'crypto';
+import { URL } from 'url';
+import { FILE_NAMES, PROJECT_ROLES } from './constants.js';
+import {
+  ProjectConfigurationError,
+  RequestValidationError,
+  ResourceNotFoundError,
+  ToolDispatchError,
+  httpStatusForError,
+} from './errors.js';
+import { readJsonBody, sendJson } from './utils/http-json.js';
+import { coerceQueryParams, validateSchema } from './utils/json-schema.js';
+import { runInSession } from './utils/session-context.js';
+import { getForestLogger } from './winston-logger.js';
+
+const logger = getForestLogger({ module: 'RestApi' });
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Route table. `params` maps path parameters onto tool arguments; `created` marks routes that
+ * answer 201. Routes with a `handler` read data directly instead of running a tool; `admin`
+ * names the action checked against the caller's role.
+ */
+export const REST_ROUTES = [
+  { method: 'GET', path: '/projects', tool: 'list_projects' },
+  { method: 'POST', path: '/projects', tool: 'create_project', created: true },
+  { method: 'GET', path: '/projects/:projectId/hta', tool: 'get_hta_status' },
+  { method: 'POST', path: '/projects/:projectId/hta', tool: 'build_hta_tree', created: true },
+  { method: 'GET', path: '/projects/:projectId/schedules/:date', handler: 'readSchedule' },
+  {
+    method: 'POST',
+    path: '/projects/:projectId/schedules/:date',
+    tool: 'generate_daily_schedule',
+    params: { date: 'date' },
+    created: true,
+  },
+  {
+    method: 'POST',
+    path: '/projects/:projectId/blocks/:blockId/complete',
+    tool: 'complete_block',
+    params: { blockId: 'block_id' },
+  },
+  { method: 'GET', path: '/insights', tool: 'get_proactive_insights' },
+  { method: 'GET', path: '/archive/status', tool: 'get_archive_status' },
+  { method: 'GET', path: '/admin/users', handler: 'listUsers', admin: 'list users' },
+];
+
+const ROOT_SEGMENTS = new Set(REST_ROUTES.map(route => route.path.split('/')[1]));
+
+function matchPath(pattern, pathname) {
+  const expected = pattern.split('/').filter(Boolean);
+  const actual = pathname.split('/').filter(Boolean);
+  if (expected.length !== actual.length) {
+    return null;
+  }
+  const params = {};
+  for (let i = 0; i < expected.length; i++) {
+    if (expected[i].startsWith(':')) {
+      try {
+        params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+      } catch {
+        return null; // malformed escape sequence
+      }
+    } else if (expected[i] !== actual[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+export class RestApi {
+  /**
+   * @param {Object} forestServer - CleanForestServer whose tool router and handlers serve requests
+   */
+  constructor(forestServer) {
+    this.forestServer = forestServer;
+  }
+
+  /**
+   * Handle a request if it is addressed to one of the REST resources
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @returns {Promise<boolean>} false when the path is not part of the REST API
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!ROOT_SEGMENTS.has(url.pathname.split('/')[1])) {
+      return false;
+    }
+
+    const candidates = REST_ROUTES.map(route => ({
+      route,
+      params: matchPath(route.path, url.pathname),
+    })).filter(candidate => candidate.params);
+    const match = candidates.find(candidate => candidate.route.method === req.method);
+
+    if (!match) {
+      if (candidates.length === 0) {
+        this.sendError(res, new ResourceNotFoundError('Route', url.pathname));
+      } else {
+        const allowed = candidates.map(candidate => candidate.route.method).join(', ');
+        sendJson(
+          res,
+          405,
+          { error: { type: 'MethodNotAllowed', message: `${req.method} not allowed` } },
+          { Allow: allowed }
+        );
+      }
+      return true;
+    }
+
+    // A private session scopes the user, active project and any failures logged to this request
+    const session = {
+      id: `rest-${randomUUID()}`,
+      transport: 'rest',
+      userId: req.user?.id ?? null,
+      activeProject: null,
+      errors: [],
+    };
+    try {
+      const { status, result } = await runInSession(session, () =>
+        this.dispatch(match.route, match.params, url, req, session)
+      );
+      sendJson(res, status, result);
+    } catch (error) {
+      this.sendError(res, error);
+    }
+    return true;
+  }
+
+  async dispatch(route, params, url, req, session) {
+    const query = Object.fromEntries(url.searchParams);
+    const projectId = params.projectId ?? query.project_id;
+    session.activeProject = projectId ?? null;
+    if (route.admin) {
+      this.forestServer.httpAuth.requireAdmin(req.user, route.admin);
+    }
+    if (projectId !== undefined) {
+      await this.requireProject(projectId);
+    }
+    if (params.date !== undefined && !DATE_PATTERN.test(params.date)) {
+      throw new RequestValidationError(route.tool || route.handler, [
+        { path: 'date', message: 'expected a date in YYYY-MM-DD format' },
+      ]);
+    }
+
+    if (route.handler) {
+      return { status: 200, result: await this[route.handler]({ ...params, projectId }) };
+    }
+
+    const schema = this.forestServer.mcpHandlers.getToolSchema(route.tool);
+    const args = await this.buildArgs(route, params, schema, query, req);
+    const problems = validateSchema(schema, args);
+    if (problems.length > 0) {
+      throw new RequestValidationError(route.tool, problems);
+    }
+
+    const result = await this.forestServer.toolRouter.dispatchTool(route.tool, args);
+
+    // Tools report most failures as text after logging them; surface those as errors too
+    if (session.errors.length > 0) {
+      throw session.errors[0];
+    }
+    return { status: route.created ? 201 : 200, result };
+  }
+
+  async buildArgs(route, params, schema, query, req) {
+    let args = {};
+    if (req.method === 'GET') {
+      const { project_id: _projectId, ...rest } = query;
+      args = coerceQueryParams(schema, rest);
+    } else {
+      const { body, status, error } = await readJsonBody(req);
+      if (error) {
+        throw new RequestValidationError(route.tool, [{ path: '', message: error }], { status });
+      }
+      if (
+        body !== undefined &&
+        (typeof body !== 'object' || body === null || Array.isArray(body))
+      ) {
+        throw new RequestValidationError(route.tool, [
+          { path: '', message: 'request body must be a JSON object' },
+        ]);
+      }
+      args = { ...body };
+    }
+
+    for (const [param, field] of Object.entries(route.params || {})) {
+      args[field] = params[param];
+    }
+    return args;
+  }
+
+  async requireProject(projectId) {
+    // Loading would hand back default documents, so check what is actually stored. Shared
+    // projects the user is a member of count too (see project-members.js).
+    const { dataPersistence, projectMembers } = this.forestServer;
+    const found = projectMembers
+      ? await projectMembers.locateProject(projectId)
+      : (await dataPersistence.listProjectFiles(projectId)).includes(FILE_NAMES.CONFIG);
+    if (!found) {
+      throw new ProjectConfigurationError(projectId, `projects/${projectId}/${FILE_NAMES.CONFIG}`);
+    }
+  }
+
+  async readSchedule({ projectId, date }) {
+    const { dataPersistence, projectMembers } = this.forestServer;
+    const read = async () => {
+      const filename = `day_${date}.json`;
+      if (!(await dataPersistence.listProjectFiles(projectId)).includes(filename)) {
+        throw new ResourceNotFoundError('Schedule', date, { projectId });
+      }
+      const schedule = await dataPersistence.loadProjectData(projectId, filename);
+      return { project_id: projectId, date, schedule };
+    };
+    return projectMembers
+      ? await projectMembers.withProjectAccess(projectId, PROJECT_ROLES.VIEWER, read, 'read')
+      : await read();
+  }
+
+  async listUsers() {
+    const { dataPersistence, httpAuth } = this.forestServer;
+    const users = await httpAuth.listUsers();
+    return {
+      users: await Promise.all(
+        users.map(async ({ tokens, ...user }) => ({
+          ...user,
+          tokens: tokens.length,
+          storage: await dataPersistence.getUserStorageUsage(user.id),
+        }))
+      ),
+    };
+  }
+
+  sendError(res, error) {
+    // An unreadable body carries its own status (400 or 413)
+    const status = error.context?.status || httpStatusForError(error);
+    const reported =
+      error instanceof ToolDispatchError && error.cause instanceof Error ? error.cause : error;
+    if (status >= 500) {
+      logger.error('REST request failed', { error: reported.message, stack: reported.stack });
+    }
+    sendJson(res, status, {
+      error: {
+        type: reported.name,
+        message: reported.message,
+        ...(reported.problems ? { problems: reported.problems } : {}),
+      },
+    });
+  }
+}
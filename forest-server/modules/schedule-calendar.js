@@ -0,0 +1,381 @@
+/**
+ * Schedule Calendar Module
+ * Exchanges schedules with calendar apps as RFC 5545 .ics files: day schedules are exported as
+ * one VEVENT per block, and events from an imported calendar become commitments in
+ * busy_times.json, which the schedulers treat as blocked time.
+ */
+
+import { addDays, daysBetween, formatClockTime, parseClockTime } from './calendar-commitments.js';
+import { FILE_NAMES, SCHEDULING } from './constants.js';
+import { FileSystem } from './utils/file-system.js';
+import {
+  buildCalendar,
+  escapeText,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  parseCalendar,
+  parseDateTime,
+  parseDuration,
+  parseRecurrenceRule,
+  unescapeText,
+} from './utils/ical.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ICAL_WEEKDAYS = {
+  SU: 'sun',
+  MO: 'mon',
+  TU: 'tue',
+  WE: 'wed',
+  TH: 'thu',
+  FR: 'fri',
+  SA: 'sat',
+};
+
+export class ScheduleCalendar {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {import('./calendar-commitments.js').CalendarCommitments} commitments
+   */
+  constructor(dataPersistence, projectManagement, commitments) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.commitments = commitments;
+  }
+
+  /**
+   * Export a project's day schedules for a date range as an .ics file
+   * @param {Object} options
+   * @param {string} [options.projectId] - Project to export (defaults to the active project)
+   * @param {string} [options.startDate] - First day, YYYY-MM-DD (defaults to today)
+   * @param {string} [options.endDate] - Last day (defaults to startDate)
+   * @param {boolean} [options.includeBreaks=true] - Export break blocks too
+   * @param {string} [options.outputPath] - File to write, relative to the exports directory of the
+   *   data directory (see DataPersistence.resolveExchangePath)
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async exportScheduleIcs({
+    projectId = null,
+    startDate = null,
+    endDate = null,
+    includeBreaks = true,
+    outputPath = null,
+  } = {}) {
+    try {
+      const resolvedProjectId = projectId || (await this.projectManagement.requireActiveProject());
+      const first = startDate || new Date().toISOString().split('T')[0];
+      const last = endDate || first;
+      await this.checkRange(first, last);
+
+      const files = new Set(await this.dataPersistence.listProjectFiles(resolvedProjectId));
+      const dtstamp = formatUtcDateTime();
+      const events = [];
+      const days = [];
+      for (let date = first; date <= last; date = addDays(date, 1)) {
+        if (!files.has(FILE_NAMES.DAILY_SCHEDULE(date))) {
+          continue;
+        }
+        const schedule = await this.dataPersistence.loadProjectData(
+          resolvedProjectId,
+          FILE_NAMES.DAILY_SCHEDULE(date)
+        );
+        const blocks = (schedule?.blocks || []).filter(
+          block => includeBreaks || block.type !== 'break'
+        );
+        const dayEvents = blocks
+          .map(block => this.blockEvent(resolvedProjectId, date, block, dtstamp))
+          .filter(Boolean);
+        if (dayEvents.length > 0) {
+          days.push(date);
+          events.push(...dayEvents);
+        }
+      }
+
+      if (events.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ No scheduled blocks for "${resolvedProjectId}" between ${first} and ${last}. Generate a schedule first with \`generate_daily_schedule\`.`,
+            },
+          ],
+        };
+      }
+
+      const ics = buildCalendar(events, {
+        prodId: SCHEDULING.ICS_PRODID,
+        name: `Forest: ${resolvedProjectId}`,
+      });
+      const range = first === last ? first : `${first}_${last}`;
+      const icsFile = await this.dataPersistence.resolveExchangePath(
+        outputPath || `${resolvedProjectId}-${range}${SCHEDULING.ICS_EXTENSION}`,
+        'output_path'
+      );
+      await FileSystem.ensureDir(FileSystem.dirname(icsFile.path));
+      await FileSystem.writeFile(icsFile.path, ics);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text:
+              `📅 Exported ${events.length} blocks from ${days.length} day(s) of "${resolvedProjectId}"\n\n` +
+              `**Calendar**: ${icsFile.name}\n\n` +
+              'Import it into any calendar app; exporting again updates the same events.',
+          },
+        ],
+        ics_path: icsFile.name,
+        ics,
+        project_id: resolvedProjectId,
+        dates: days,
+        event_count: events.length,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('exportScheduleIcs', error, {
+        projectId,
+        startDate,
+        endDate,
+      });
+      return {
+        content: [{ type: 'text', text: `Error exporting schedule: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * Read the events of an .ics file into busy_times.json. Importing the same file again
+   * replaces the commitments it brought in before.
+   * @param {Object} options
+   * @param {string} options.filePath - Calendar file to import, relative to the exports directory
+   *   of the data directory
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async importIcs({ filePath }) {
+    try {
+      if (!filePath) {
+        const { RequiredFieldsError } = await import('./errors.js');
+        throw new RequiredFieldsError(['file_path'], 'calendar import');
+      }
+      const calendarFile = await this.dataPersistence.resolveExchangePath(filePath, 'file_path');
+      const calendar = calendarFile.name;
+      const text = await FileSystem.readFile(calendarFile.path);
+      if (!/BEGIN:VCALENDAR/i.test(text)) {
+        const { ValidationError } = await import('./errors.js');
+        throw new ValidationError('file_path', filePath, 'an iCalendar (.ics) file');
+      }
+
+      const today = new Date().toISOString().split('T')[0];
+      const imported = { events: [], recurring: [] };
+      const skipped = [];
+      let past = 0;
+      for (const event of parseCalendar(text)) {
+        const result = this.eventCommitment(event, calendar, today);
+        if (result.skipped) {
+          skipped.push(result.skipped);
+        } else if (result.past) {
+          past++;
+        } else if (result.commitment) {
+          imported[result.kind].push(result.commitment);
+        }
+      }
+
+      // Earlier imports of this calendar are replaced; everything else is kept
+      const busyTimes = await this.commitments.loadBusyTimes();
+      const fromOtherCalendars = entry => entry.calendar !== calendar;
+      await this.dataPersistence.saveGlobalData(FILE_NAMES.BUSY_TIMES, {
+        ...busyTimes,
+        recurring: [...busyTimes.recurring.filter(fromOtherCalendars), ...imported.recurring],
+        events: [...busyTimes.events.filter(fromOtherCalendars), ...imported.events],
+      });
+
+      const lines = [
+        `📥 Imported ${imported.events.length} events and ${imported.recurring.length} recurring events from ${calendar}`,
+        'Schedules generated from now on keep these times free.',
+      ];
+      if (past > 0) {
+        lines.push(`Skipped ${past} events that have already ended.`);
+      }
+      if (skipped.length > 0) {
+        lines.push(
+          `Not imported: ${skipped.map(item => `${item.title} (${item.reason})`).join('; ')}`
+        );
+      }
+      return {
+        content: [{ type: 'text', text: lines.join('\n') }],
+        calendar,
+        imported_events: imported.events.length,
+        imported_recurring: imported.recurring.length,
+        skipped,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('importIcs', error, { filePath });
+      return {
+        content: [{ type: 'text', text: `Error importing calendar: ${error.message}` }],
+      };
+    }
+  }
+
+  /**
+   * VEVENT properties for a schedule block, or null for a block without a start time
+   * @private
+   */
+  blockEvent(projectId, date, block, dtstamp) {
+    const start = parseClockTime(String(block.startTime || ''));
+    if (start === null) {
+      return null;
+    }
+    const duration = Number(block.duration) > 0 ? Number(block.duration) : 30;
+    const branch = block.branch || 'general';
+    const description = [
+      block.description,
+      `Branch: ${branch}`,
+      `Forest block: ${block.id}`,
+      block.completed ? 'Completed' : null,
+    ].filter(Boolean);
+
+    return [
+      // Stable, so re-exported blocks update the events a calendar already has
+      ['UID', escapeText(`${projectId}-${date}-${block.id}@${SCHEDULING.ICS_UID_DOMAIN}`)],
+      ['DTSTAMP', dtstamp],
+      ['DTSTART', formatLocalDateTime(date, start)],
+      ['DTEND', formatLocalDateTime(date, start + duration)],
+      ['SUMMARY', escapeText(block.title || block.type || 'Forest block')],
+      ['DESCRIPTION', escapeText(description.join('\n'))],
+      ['CATEGORIES', escapeText(block.type === 'learning' ? branch : block.type || branch)],
+      ['X-FOREST-PROJECT', escapeText(projectId)],
+      ['X-FOREST-BLOCK-ID', escapeText(block.id)],
+      ['X-FOREST-BRANCH', escapeText(branch)],
+    ];
+  }
+
+  /**
+   * The busy_times.json entry for an imported event
+   * @private
+   * @returns {{kind?: 'events'|'recurring', commitment?: Object, past?: boolean,
+   *   skipped?: {title: string, reason: string}}}
+   */
+  eventCommitment(event, calendar, today) {
+    const title = event.SUMMARY ? unescapeText(event.SUMMARY.value) : 'Busy';
+    const skip = reason => ({ skipped: { title, reason } });
+
+    // Free time, cancelled events and Forest's own exported blocks do not block anything
+    if (event['X-FOREST-BLOCK-ID']) {
+      return {};
+    }
+    if (event.TRANSP?.value.toUpperCase() === 'TRANSPARENT') {
+      return {};
+    }
+    if (event.STATUS?.value.toUpperCase() === 'CANCELLED') {
+      return {};
+    }
+
+    const start = parseDateTime(event.DTSTART);
+    if (!start) {
+      return skip('no readable start');
+    }
+    const end = this.eventEnd(event, start);
+    if (!end) {
+      return skip('no readable end');
+    }
+    const minutes =
+      daysBetween(start.date, end.date) * 1440 + this.minutesOf(end) - this.minutesOf(start);
+    if (minutes <= 0) {
+      return {};
+    }
+
+    const base = {
+      title,
+      source: 'ics',
+      uid: event.UID ? unescapeText(event.UID.value) : null,
+      calendar,
+    };
+    const localStart = `${start.date}T${start.time || '00:00'}`;
+    const localEnd = `${end.date}T${end.time || '00:00'}`;
+
+    if (!event.RRULE) {
+      if (end.date < today || (end.date === today && !end.time)) {
+        return { past: true };
+      }
+      return { kind: 'events', commitment: { ...base, start: localStart, end: localEnd } };
+    }
+
+    const rule = parseRecurrenceRule(event.RRULE.value);
+    if (!['DAILY', 'WEEKLY'].includes(rule.FREQ) || (rule.INTERVAL && rule.INTERVAL !== '1')) {
+      return skip(`repeats ${rule.FREQ?.toLowerCase() || 'irregularly'}`);
+    }
+    if (rule.COUNT) {
+      return skip('repeats a set number of times');
+    }
+    if (minutes > 1440) {
+      return skip('repeating event longer than a day');
+    }
+    const until = rule.UNTIL
+      ? parseDateTime({ value: rule.UNTIL, params: event.DTSTART.params })
+      : null;
+    if (until && until.date < today) {
+      return { past: true };
+    }
+
+    const commitment = {
+      ...base,
+      start: start.time || '00:00',
+      // An end at or before the start runs into the next day, so 00:00 to 00:00 is all day
+      end: start.time ? end.time : '00:00',
+      from: start.date,
+    };
+    if (rule.FREQ === 'WEEKLY') {
+      commitment.days = rule.BYDAY
+        ? rule.BYDAY.split(',')
+            .map(day => ICAL_WEEKDAYS[day.slice(-2).toUpperCase()])
+            .filter(Boolean)
+        : [SCHEDULING.WEEKDAYS[new Date(`${start.date}T00:00:00Z`).getUTCDay()]];
+    }
+    if (until) {
+      commitment.until = until.date;
+    }
+    return { kind: 'recurring', commitment };
+  }
+
+  /**
+   * Where an event ends: DTEND, DTSTART plus DURATION, or the end of its day for all-day events
+   * @private
+   */
+  eventEnd(event, start) {
+    if (event.DTEND) {
+      return parseDateTime(event.DTEND);
+    }
+    const duration = event.DURATION ? parseDuration(event.DURATION.value) : start.time ? 0 : 1440;
+    if (duration === null) {
+      return null;
+    }
+    const total = this.minutesOf(start) + duration;
+    const date = addDays(start.date, Math.floor(total / 1440));
+    // All-day events end at the start of a day, like their DATE-valued DTEND would
+    return { date, time: start.time ? formatClockTime(total % 1440) : null };
+  }
+
+  minutesOf({ time }) {
+    return time ? parseClockTime(time) : 0;
+  }
+
+  /** @private */
+  async checkRange(first, last) {
+    const { ValidationError } = await import('./errors.js');
+    for (const [field, value] of [
+      ['start_date', first],
+      ['end_date', last],
+    ]) {
+      if (!DATE_PATTERN.test(value)) {
+        throw new ValidationError(field, value, 'a date in YYYY-MM-DD format');
+      }
+    }
+    const days = daysBetween(first, last) + 1;
+    if (days < 1 || days > SCHEDULING.MAX_EXPORT_DAYS) {
+      throw new ValidationError(
+        'end_date',
+        last,
+        `a date from start_date up to ${SCHEDULING.MAX_EXPORT_DAYS} days later`
+      );
+    }
+  }
+}
@@ -4,15 +4,26 @@
  */
 
 import { parseTimeWithContext } from './utils/time-helpers.js';
+import { CalendarCommitments } from './calendar-commitments.js';
+import { SCHEDULING } from './constants.js';
+import { DependencyGraph } from './dependency-graph.js';
+import { pathBudgets } from './learning-paths.js';
+import { dueRecurringTasks, isRecurring } from './recurring-tasks.js';
 import { v4 as uuidv4 } from 'uuid';
 import { getForestLogger } from './winston-logger.js';
 
 const logger = getForestLogger({ module: 'ScheduleGenerator' });
 
 export class ScheduleGenerator {
-  constructor(dataPersistence, projectManagement) {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {CalendarCommitments} [commitments] - Meetings and other fixed times to plan around
+   */
+  constructor(dataPersistence, projectManagement, commitments = null) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
+    this.commitments = commitments || new CalendarCommitments(dataPersistence);
   }
 
   async generateDailySchedule(
@@ -97,9 +108,24 @@ export class ScheduleGenerator {
       preferences.meal_times || ['8:00 AM', '12:00 PM', '6:00 PM']
     );
 
-    // Get available learning tasks
-    const htaData = await this.loadPathHTA(projectId, config.activePath || 'general');
-    const readyTasks = this.getReadyTasks(htaData);
+    // Get available learning tasks from the active path and any path with weekly time allocated
+    // to it; recurring practice due that day comes first
+    const budgets = await pathBudgets(this.dataPersistence, projectId, config, date);
+    const dueTasks = [];
+    const pathTasks = [];
+    for (const pathName of Object.keys(budgets)) {
+      const htaData = await this.loadPathHTA(projectId, pathName);
+      dueTasks.push(
+        ...dueRecurringTasks(htaData.frontierNodes || [], date).map(node => ({
+          ...node,
+          occurrence: date,
+          pathName,
+        }))
+      );
+      pathTasks.push(...this.getReadyTasks(htaData).map(node => ({ ...node, pathName })));
+    }
+    const readyTasks = [...dueTasks, ...pathTasks];
+    const commitments = await this.commitments.commitmentsFor(date);
 
     // Generate time blocks
     const blocks = this.createTimeBlocks(
@@ -111,7 +137,9 @@ export class ScheduleGenerator {
       focusType,
       preferences,
       constraints,
-      availableHours
+      availableHours,
+      commitments,
+      budgets
     );
 
     return {
@@ -137,24 +165,11 @@ export class ScheduleGenerator {
 
   getReadyTasks(htaData) {
     const nodes = htaData.frontierNodes || [];
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
+    const graph = DependencyGraph.fromHTA(htaData);
 
+    // Recurring nodes are never done; they are added on the days they are due
     return nodes
-      .filter(node => {
-        if (node.completed) {
-          return false;
-        }
-
-        if (node.prerequisites && node.prerequisites.length > 0) {
-          return node.prerequisites.every(
-            prereq =>
-              completedNodeIds.includes(prereq) ||
-              nodes.some(n => n.title === prereq && n.completed)
-          );
-        }
-
-        return true;
-      })
+      .filter(node => !isRecurring(node) && graph.isReady(node))
       .sort((a, b) => (b.priority || 200) - (a.priority || 200));
   }
 
@@ -167,9 +182,22 @@ export class ScheduleGenerator {
     focusType,
     preferences,
     constraints,
-    availableHours
+    availableHours,
+    commitments = [],
+    budgets = {}
   ) {
     const blocks = [];
+    // Minutes each learning path may still be given today; null means no limit
+    const remaining = { ...budgets };
+    const withinBudget = task =>
+      (remaining[task.pathName] ?? Infinity) >= SCHEDULING.MIN_BLOCK_MINUTES;
+    // Due practice first, then paths with an allocation to use, then the rest of the active path
+    const rank = task => {
+      if (task.occurrence) {
+        return 0;
+      }
+      return typeof remaining[task.pathName] === 'number' ? 1 : 2;
+    };
     let currentTime = wakeTime;
     const endTime = sleepTime;
     let blockId = 1;
@@ -181,6 +209,41 @@ export class ScheduleGenerator {
 
     // Create blocks from wake to sleep
     while (currentTime < endTime) {
+      // Commitments (e.g. imported calendar events) are kept as they are
+      const commitment = commitments.find(
+        busy => busy.start <= currentTime && currentTime < busy.end
+      );
+      if (commitment) {
+        blocks.push({
+          id: `busy_${blockId++}`,
+          type: 'meeting',
+          title: commitment.title,
+          startTime: this.formatTime(currentTime),
+          duration: commitment.end - currentTime,
+          completed: false,
+          priority: 'high',
+        });
+        currentTime = commitment.end;
+        continue;
+      }
+
+      // No block may run into the next commitment
+      const nextCommitment = commitments.find(busy => busy.start > currentTime);
+      const room = nextCommitment ? nextCommitment.start - currentTime : Infinity;
+      if (room < SCHEDULING.MIN_BLOCK_MINUTES) {
+        blocks.push({
+          id: `break_${blockId++}`,
+          type: 'break',
+          title: `Get ready for ${nextCommitment.title}`,
+          startTime: this.formatTime(currentTime),
+          duration: room,
+          completed: false,
+          priority: 'medium',
+        });
+        currentTime += room;
+        continue;
+      }
+
       const hour = Math.floor(currentTime / 60);
       const isAvailableHour = priorityHours.length === 0 || priorityHours.includes(hour);
       const isMealTime = this.isMealTime(currentTime, mealTimes);
@@ -193,19 +256,31 @@ export class ScheduleGenerator {
           type: 'meal',
           title: mealType,
           startTime: this.formatTime(currentTime),
-          duration: 45, // 45 minutes for meals
+          duration: Math.min(45, room), // 45 minutes for meals
           completed: false,
           priority: 'high',
         });
-        currentTime += 45;
-      } else if (isAvailableHour && (readyTasks.length > 0 || focusType === 'learning')) {
+        currentTime += Math.min(45, room);
+      } else if (isAvailableHour && (readyTasks.some(withinBudget) || focusType === 'learning')) {
         // Add learning block (either with real tasks or exploration)
-        const task = this.selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType);
-        const duration = this.calculateTaskDuration(task, preferences, energyLevel);
+        const task = this.selectTaskForTimeSlot(
+          readyTasks.filter(withinBudget).sort((a, b) => rank(a) - rank(b)),
+          currentTime,
+          energyLevel,
+          focusType
+        );
+        const duration = Math.min(
+          this.calculateTaskDuration(task, preferences, energyLevel),
+          room,
+          remaining[task.pathName] ?? Infinity
+        );
+        if (typeof remaining[task.pathName] === 'number') {
+          remaining[task.pathName] -= duration;
+        }
 
         blocks.push({
           id: `task_${blockId++}`,
-          type: 'learning',
+          type: task.occurrence ? 'habit' : 'learning',
           title: task.title,
           description: task.description,
           startTime: this.formatTime(currentTime),
@@ -213,6 +288,8 @@ export class ScheduleGenerator {
           difficulty: task.difficulty,
           taskId: task.id,
           branch: task.branch,
+          ...(task.pathName ? { pathName: task.pathName } : {}),
+          ...(task.occurrence ? { occurrence: task.occurrence } : {}),
           completed: false,
           priority: task.priority || 200,
         });
@@ -228,31 +305,33 @@ export class ScheduleGenerator {
         currentTime += duration;
 
         // Add break after learning blocks
-        if (currentTime < endTime - 30) {
+        const breakDuration = Math.min(this.getBreakDuration(preferences), room - duration);
+        if (currentTime < endTime - 30 && breakDuration > 0) {
           blocks.push({
             id: `break_${blockId++}`,
             type: 'break',
             title: 'Break & Reflection',
             startTime: this.formatTime(currentTime),
-            duration: this.getBreakDuration(preferences),
+            duration: breakDuration,
             completed: false,
             priority: 'medium',
           });
-          currentTime += this.getBreakDuration(preferences);
+          currentTime += breakDuration;
         }
       } else {
         // Add habit/routine block for non-learning time, but advance by larger increments
         const habitBlock = this.generateHabitBlock(currentTime, constraints, preferences);
+        const habitDuration = Math.min(habitBlock.duration, room);
         blocks.push({
           id: `habit_${blockId++}`,
           type: 'habit',
           title: habitBlock.title,
           startTime: this.formatTime(currentTime),
-          duration: habitBlock.duration,
+          duration: habitDuration,
           completed: false,
           priority: 'low',
         });
-        currentTime += habitBlock.duration;
+        currentTime += habitDuration;
       }
 
       // Safety check to prevent infinite loops
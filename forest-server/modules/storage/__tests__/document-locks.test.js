@@ -0,0 +1,133 @@
+/**
+ * Document Lock Tests
+ * Covers advisory write locks and cross-process cache invalidation for a shared data directory
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DocumentLocks, JsonFileStorageAdapter, SqliteStorageAdapter } from '../index.js';
+import { DataPersistence } from '../../data-persistence.js';
+import { LockAcquisitionError } from '../../errors.js';
+
+describe('DocumentLocks', () => {
+  let dataDir;
+  let locks;
+
+  const writeForeignLock = async (key, holder) => {
+    await fs.mkdir(locks.lockDir, { recursive: true });
+    await fs.writeFile(locks.lockPath(key), JSON.stringify({ key, ...holder }));
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-locks-'));
+    locks = new DocumentLocks(dataDir, { timeoutMs: 150, retryMs: 5 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('serialises holders of the same document', async () => {
+    const order = [];
+    const release = await locks.acquire('config.json');
+
+    const waiter = locks.withLocks(['config.json'], async () => {
+      order.push('second');
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    order.push('first');
+    await release();
+    await waiter;
+
+    expect(order).toEqual(['first', 'second']);
+    expect(await fs.readdir(locks.lockDir)).toEqual([]);
+  });
+
+  test('fails with a clear error when another live process holds the lock', async () => {
+    await writeForeignLock('projects/alpha/config.json', {
+      pid: process.ppid,
+      hostname: os.hostname(),
+      acquiredAt: new Date().toISOString(),
+    });
+
+    const attempt = locks.acquire('projects/alpha/config.json');
+    await expect(attempt).rejects.toBeInstanceOf(LockAcquisitionError);
+    await expect(locks.acquire('projects/alpha/config.json')).rejects.toThrow(
+      `Could not acquire lock on 'projects/alpha/config.json' within 150ms (held by pid ${process.ppid}`
+    );
+  });
+
+  test('breaks locks left behind by dead or long-gone processes', async () => {
+    await writeForeignLock('config.json', {
+      pid: 2 ** 22 + 1, // above the Linux pid limit, so never alive
+      hostname: os.hostname(),
+      acquiredAt: new Date().toISOString(),
+    });
+    await writeForeignLock('hta.json', {
+      pid: 1,
+      hostname: 'another-host',
+      acquiredAt: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+    });
+
+    const releases = [await locks.acquire('config.json'), await locks.acquire('hta.json')];
+    for (const release of releases) {
+      await release();
+    }
+  });
+});
+
+describe.each([
+  ['json', dir => new JsonFileStorageAdapter(dir)],
+  ['sqlite', dir => new SqliteStorageAdapter(dir)],
+])('DataPersistence sharing a %s data directory', (name, createAdapter) => {
+  let dataDir;
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), `forest-shared-${name}-`));
+    const options = { locking: { timeoutMs: 150, retryMs: 5 } };
+    first = new DataPersistence(dataDir, { ...options, storage: createAdapter(dataDir) });
+    second = new DataPersistence(dataDir, { ...options, storage: createAdapter(dataDir) });
+  });
+
+  afterEach(async () => {
+    for (const persistence of [first, second]) {
+      clearInterval(persistence.cacheManager.cleanupInterval);
+      await persistence.storage.close();
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('does not serve cached documents another process has since rewritten', async () => {
+    await first.saveProjectData('alpha', 'config.json', { goal: 'Piano', activePath: 'general' });
+    expect(await first.loadProjectData('alpha', 'config.json')).toMatchObject({ goal: 'Piano' });
+    expect(await second.loadProjectData('alpha', 'config.json')).toMatchObject({ goal: 'Piano' });
+
+    // Guarantee a distinct version token even on coarse-grained clocks
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await second.saveProjectData('alpha', 'config.json', { goal: 'Piano', activePath: 'jazz' });
+
+    expect(await first.loadProjectData('alpha', 'config.json')).toEqual({
+      goal: 'Piano',
+      activePath: 'jazz',
+      schemaVersion: 1,
+    });
+  });
+
+  test('surfaces lock contention instead of reporting a silent failed save', async () => {
+    await second.locks.acquire('config.json');
+
+    await expect(first.saveGlobalData('config.json', { activeProject: 'alpha' })).rejects.toThrow(
+      LockAcquisitionError
+    );
+    await expect(
+      first.runInTransaction(async () => {
+        await first.saveGlobalData('config.json', { activeProject: 'alpha' });
+      })
+    ).rejects.toThrow("Could not acquire lock on 'config.json'");
+    expect(await first.loadGlobalData('config.json')).toBeNull();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Document Schema Tests
+ * Covers schema version stamping, model-backed validation and migrating legacy documents
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JsonFileStorageAdapter, migrateDocument, validateDocument } from '../index.js';
+import { DataPersistence } from '../../data-persistence.js';
+import { DocumentValidationError } from '../../errors.js';
+
+const legacyHta = () => ({
+  frontierNodes: [
+    { id: 'node_1', title: 'Learn scales', branch: 'technique', prerequisites: [] },
+    {
+      id: 'node_2',
+      title: 'Play a song',
+      branch: 'repertoire',
+      prerequisites: ['Learn scales', 'node_1', 'Archived task'],
+    },
+  ],
+});
+
+describe('validateDocument', () => {
+  test('checks each document type against its model', () => {
+    expect(validateDocument('projects/alpha/hta.json', legacyHta())).toEqual([]);
+    expect(
+      validateDocument('projects/alpha/hta.json', { frontierNodes: [{ id: 'n1', title: 'x' }] })
+    ).toEqual([{ path: 'frontierNodes[0]', message: 'HtaNode requires a branch' }]);
+    expect(
+      validateDocument('projects/alpha/day_2025-01-01.json', { blocks: [{ id: 'b1', title: 'x' }] })
+    ).toEqual([{ path: 'blocks[0]', message: 'ScheduleBlock requires a startTime' }]);
+    expect(validateDocument('projects/alpha/config.json', { goal: 'Piano' })).toEqual([]);
+    expect(validateDocument('projects/alpha/config.json', { context: 'no goal' })).toEqual([
+      { path: '', message: 'Project requires a goal' },
+    ]);
+    expect(validateDocument('config.json', { projects: 'alpha' })).toEqual([
+      { path: 'projects', message: 'expected an array' },
+    ]);
+    expect(validateDocument('projects/alpha/proactive_alerts.json', [{ alert: 1 }])).toEqual([]);
+  });
+
+  test('rejects documents written by a newer release', () => {
+    const [problem] = validateDocument('projects/alpha/hta.json', { schemaVersion: 99 });
+    expect(problem.path).toBe('schemaVersion');
+    expect(problem.message).toContain('schema 99');
+  });
+});
+
+describe('migrateDocument', () => {
+  test('resolves title-based prerequisites and reports what changed', () => {
+    const stored = legacyHta();
+    const migration = migrateDocument('projects/alpha/hta.json', stored);
+
+    expect(migration.fromVersion).toBe(0);
+    expect(migration.toVersion).toBe(1);
+    expect(migration.data.frontierNodes[1].prerequisites).toEqual([
+      'node_1',
+      'node_1',
+      'Archived task',
+    ]);
+    expect(migration.changes).toEqual([
+      {
+        path: 'frontierNodes[id=node_2].prerequisites[0]',
+        change: 'changed',
+        before: 'Learn scales',
+        after: 'node_1',
+      },
+      { path: 'schemaVersion', change: 'added', after: 1 },
+    ]);
+    // The stored copy is never modified
+    expect(stored).toEqual(legacyHta());
+  });
+
+  test('turns integrated scheduler entries into schedule blocks', () => {
+    const { data } = migrateDocument('projects/alpha/day_2025-01-01.json', {
+      date: '2025-01-01',
+      blocks: [{ task_id: 'node_1', project_id: 'alpha', start: '09:00', end: '09:45' }],
+    });
+
+    expect(data.blocks).toEqual([
+      {
+        id: 'integrated_1',
+        type: 'learning',
+        title: 'node_1',
+        startTime: '09:00',
+        duration: 45,
+        taskId: 'node_1',
+      },
+    ]);
+    expect(validateDocument('projects/alpha/day_2025-01-01.json', data)).toEqual([]);
+  });
+
+  test('leaves current documents alone', () => {
+    const current = { goal: 'Piano', schemaVersion: 1 };
+    expect(migrateDocument('projects/alpha/config.json', current)).toEqual({
+      data: current,
+      fromVersion: 1,
+      toVersion: 1,
+      changes: [],
+    });
+  });
+});
+
+describe('DataPersistence schema versions', () => {
+  let dataDir;
+  let storage;
+  let persistence;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-schema-'));
+    storage = new JsonFileStorageAdapter(dataDir);
+    persistence = new DataPersistence(dataDir, { storage });
+  });
+
+  afterEach(async () => {
+    clearInterval(persistence.cacheManager.cleanupInterval);
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('stamps saved documents and refuses ones that fail validation', async () => {
+    const config = { goal: 'Piano' };
+    await persistence.saveProjectData('alpha', 'config.json', config);
+
+    expect(await storage.read('projects/alpha/config.json')).toEqual({
+      goal: 'Piano',
+      schemaVersion: 1,
+    });
+    expect(config).toEqual({ goal: 'Piano' });
+
+    await expect(
+      persistence.saveProjectData('alpha', 'hta.json', { frontierNodes: [{ id: 'n1' }] })
+    ).rejects.toThrow(DocumentValidationError);
+    expect(await storage.exists('projects/alpha/hta.json')).toBe(false);
+  });
+
+  test('upgrades legacy documents on read without rewriting them', async () => {
+    await storage.write('projects/alpha/hta.json', legacyHta());
+
+    const loaded = await persistence.loadProjectData('alpha', 'hta.json');
+    expect(loaded.schemaVersion).toBe(1);
+    expect(loaded.frontierNodes[1].prerequisites[0]).toBe('node_1');
+    expect(await storage.read('projects/alpha/hta.json')).toEqual(legacyHta());
+  });
+
+  test('migrates a whole data directory with a report', async () => {
+    await storage.write('config.json', { projects: ['alpha'] });
+    await storage.write('projects/alpha/config.json', { goal: 'Piano', schemaVersion: 1 });
+    await storage.write('projects/alpha/paths/jazz/hta.json', legacyHta());
+    await storage.write('projects/alpha/day_2025-01-01.json', { blocks: [{ id: 'b1' }] });
+
+    const preview = await persistence.migrateDocuments({ dryRun: true });
+    expect(preview.upgraded.map(entry => entry.key)).toEqual([
+      'config.json',
+      'projects/alpha/paths/jazz/hta.json',
+    ]);
+    expect(preview.current).toEqual(['projects/alpha/config.json']);
+    expect(preview.invalid).toEqual([
+      {
+        key: 'projects/alpha/day_2025-01-01.json',
+        problems: [{ path: 'blocks[0]', message: 'ScheduleBlock requires a title' }],
+      },
+    ]);
+    expect(await storage.read('config.json')).toEqual({ projects: ['alpha'] });
+
+    const report = await persistence.migrateDocuments();
+    expect(report.upgraded[1]).toMatchObject({ fromVersion: 0, toVersion: 1 });
+    expect(report.upgraded[1].changes).toHaveLength(2);
+    expect(await storage.read('projects/alpha/paths/jazz/hta.json')).toMatchObject({
+      schemaVersion: 1,
+    });
+    expect(await storage.read('projects/alpha/day_2025-01-01.json')).toEqual({
+      blocks: [{ id: 'b1' }],
+    });
+
+    // The pre-migration version was snapshotted like any other save
+    const [snapshot] = await persistence.listSnapshots('alpha', 'jazz', 'hta.json');
+    expect(await persistence.readSnapshot(snapshot.key)).toEqual(legacyHta());
+    expect((await persistence.migrateDocuments()).upgraded).toEqual([]);
+  });
+});
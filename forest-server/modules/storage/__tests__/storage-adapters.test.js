@@ -0,0 +1,163 @@
+/**
+ * Storage Adapter Tests
+ * Runs the same document-store contract against every backend and checks migration between them
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  JsonFileStorageAdapter,
+  SqliteStorageAdapter,
+  createStorageAdapter,
+  migrateStorage,
+} from '../index.js';
+import { DataPersistence } from '../../data-persistence.js';
+
+const backends = [
+  ['json', dir => new JsonFileStorageAdapter(dir)],
+  ['sqlite', dir => new SqliteStorageAdapter(dir)],
+];
+
+describe.each(backends)('%s storage adapter', (name, createAdapter) => {
+  let dataDir;
+  let adapter;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), `forest-storage-${name}-`));
+    adapter = createAdapter(dataDir);
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('returns null for missing documents', async () => {
+    expect(await adapter.read('projects/missing/config.json')).toBeNull();
+    expect(await adapter.exists('projects/missing/config.json')).toBe(false);
+  });
+
+  test('round-trips documents', async () => {
+    const config = { id: 'alpha', goal: 'Learn piano', learning_paths: [{ path_name: 'general' }] };
+    await adapter.write('projects/alpha/config.json', config);
+
+    expect(await adapter.read('projects/alpha/config.json')).toEqual(config);
+    expect(await adapter.exists('projects/alpha/config.json')).toBe(true);
+  });
+
+  test('lists documents and implied directories like readdir', async () => {
+    await adapter.write('config.json', { activeProject: 'alpha' });
+    await adapter.write('projects/alpha/config.json', {});
+    await adapter.write('projects/alpha/day_2025-01-01.json', { blocks: [] });
+    await adapter.write('projects/alpha/paths/piano/hta.json', {});
+    await adapter.write('projects/beta/config.json', {});
+
+    expect(await adapter.list('projects')).toEqual(['alpha', 'beta']);
+    expect(await adapter.list('projects/alpha')).toEqual([
+      'config.json',
+      'day_2025-01-01.json',
+      'paths',
+    ]);
+    expect(await adapter.list('projects/gamma')).toEqual([]);
+    expect(await adapter.listAll()).toEqual([
+      'config.json',
+      'projects/alpha/config.json',
+      'projects/alpha/day_2025-01-01.json',
+      'projects/alpha/paths/piano/hta.json',
+      'projects/beta/config.json',
+    ]);
+  });
+
+  test('removes documents', async () => {
+    await adapter.write('projects/alpha/hta.json', { frontierNodes: [] });
+
+    expect(await adapter.remove('projects/alpha/hta.json')).toBe(true);
+    expect(await adapter.remove('projects/alpha/hta.json')).toBe(false);
+    expect(await adapter.read('projects/alpha/hta.json')).toBeNull();
+  });
+
+  test('backs DataPersistence load/save with defaults for new projects', async () => {
+    const persistence = new DataPersistence(dataDir, { storage: adapter });
+    persistence.cacheManager.clearCache();
+
+    expect(await persistence.loadProjectData('alpha', 'learning_history.json')).toEqual({
+      completions: [],
+      insights: [],
+    });
+
+    await persistence.saveProjectData('alpha', 'config.json', { goal: 'Ship it' });
+    const node = { id: 'n1', title: 'Scales', branch: 'technique' };
+    await persistence.savePathData('alpha', 'piano', 'hta.json', { frontierNodes: [node] });
+    await persistence.saveGlobalData('config.json', { activeProject: 'alpha' });
+
+    expect(await persistence.loadProjectData('alpha', 'config.json')).toEqual({
+      goal: 'Ship it',
+      schemaVersion: 1,
+    });
+    expect(await persistence.loadPathData('alpha', 'piano', 'hta.json')).toEqual({
+      frontierNodes: [node],
+      schemaVersion: 1,
+    });
+    expect(await persistence.loadGlobalData('config.json')).toEqual({
+      activeProject: 'alpha',
+      schemaVersion: 1,
+    });
+    expect(await persistence.listProjects()).toEqual(['alpha']);
+
+    clearInterval(persistence.cacheManager.cleanupInterval);
+  });
+});
+
+describe('storage backend selection and migration', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-migrate-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('createStorageAdapter rejects unknown backends', () => {
+    expect(() => createStorageAdapter(dataDir, 'postgres')).toThrow(
+      "Unknown storage backend 'postgres'"
+    );
+    expect(createStorageAdapter(dataDir, 'SQLite')).toBeInstanceOf(SqliteStorageAdapter);
+  });
+
+  test('migrates a JSON data directory into SQLite and back', async () => {
+    const json = new JsonFileStorageAdapter(dataDir);
+    await json.write('config.json', { activeProject: 'alpha' });
+    await json.write('projects/alpha/config.json', { goal: 'Learn piano' });
+    await json.write('projects/alpha/day_2025-01-01.json', { blocks: [{ id: 'b1' }] });
+
+    const sqlite = new SqliteStorageAdapter(dataDir);
+    const dryRun = await migrateStorage(json, sqlite, { dryRun: true });
+    expect(dryRun.copied).toHaveLength(3);
+    expect(await sqlite.listAll()).toEqual([]);
+
+    const report = await migrateStorage(json, sqlite);
+    expect(report.copied).toHaveLength(3);
+    expect(report.failed).toEqual([]);
+    expect(await sqlite.read('projects/alpha/day_2025-01-01.json')).toEqual({
+      blocks: [{ id: 'b1' }],
+    });
+
+    // Existing target documents are preserved unless overwrite is requested
+    const again = await migrateStorage(json, sqlite);
+    expect(again.skipped).toHaveLength(3);
+
+    const backDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-migrate-back-'));
+    const back = await migrateStorage(sqlite, new JsonFileStorageAdapter(backDir));
+    expect(back.copied).toHaveLength(3);
+    expect(JSON.parse(await fs.readFile(path.join(backDir, 'config.json'), 'utf8'))).toEqual({
+      activeProject: 'alpha',
+    });
+
+    await sqlite.close();
+    await fs.rm(backDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Document Locks Module
+ * Advisory, cross-process write locks for documents in a shared data directory.
+ *
+ * A lock is a file under `<dataDir>/locks/` created with O_EXCL, so only one process can
+ * hold it. The file records the holder so a lock left behind by a crashed process (dead
+ * pid on this host, or older than LOCK_STALE_MS) can be broken instead of blocking forever.
+ */
+
+import os from 'os';
+import { FileSystem } from '../utils/file-system.js';
+import { DIRECTORIES, STORAGE } from '../constants.js';
+import { LockAcquisitionError } from '../errors.js';
+import { getForestLogger } from '../winston-logger.js';
+
+const logger = getForestLogger({ module: 'DocumentLocks' });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class DocumentLocks {
+  /**
+   * @param {string} dataDir - Root data directory shared between processes
+   * @param {Object} options - Lock options
+   * @param {number} [options.timeoutMs] - How long to wait for a held lock
+   * @param {number} [options.retryMs] - Delay between attempts
+   * @param {number} [options.staleMs] - Age after which a lock is considered abandoned
+   */
+  constructor(dataDir, options = {}) {
+    this.lockDir = FileSystem.join(dataDir, DIRECTORIES.LOCKS);
+    this.timeoutMs = options.timeoutMs ?? STORAGE.LOCK_TIMEOUT_MS;
+    this.retryMs = options.retryMs ?? STORAGE.LOCK_RETRY_MS;
+    this.staleMs = options.staleMs ?? STORAGE.LOCK_STALE_MS;
+  }
+
+  /**
+   * Lock file path for a document key
+   * @param {string} key - Document key
+   * @returns {string}
+   */
+  lockPath(key) {
+    return FileSystem.join(this.lockDir, `${encodeURIComponent(key)}.lock`);
+  }
+
+  /**
+   * Hold locks on several documents while running `work`.
+   * Keys are locked in sorted order so two processes can never deadlock each other.
+   * @param {string[]} keys - Document keys
+   * @param {Function} work - Async function to run while the locks are held
+   * @returns {Promise<any>} Whatever `work` returns
+   * @throws {LockAcquisitionError} If any lock cannot be acquired in time
+   */
+  async withLocks(keys, work) {
+    const releases = [];
+    try {
+      for (const key of [...new Set(keys)].sort()) {
+        releases.push(await this.acquire(key));
+      }
+      return await work();
+    } finally {
+      for (const release of releases.reverse()) {
+        await release();
+      }
+    }
+  }
+
+  /**
+   * Acquire the lock on a single document, waiting up to the timeout
+   * @param {string} key - Document key
+   * @returns {Promise<Function>} Async function that releases the lock
+   * @throws {LockAcquisitionError} If the lock is still held when the timeout expires
+   */
+  async acquire(key) {
+    const lockPath = this.lockPath(key);
+    const holder = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      acquiredAt: new Date().toISOString(),
+      key,
+    };
+    const deadline = Date.now() + this.timeoutMs;
+    await FileSystem.ensureDir(this.lockDir);
+
+    for (;;) {
+      if (await FileSystem.writeFileExclusive(lockPath, JSON.stringify(holder))) {
+        return async () => {
+          await FileSystem.deleteFile(lockPath).catch(() => {});
+        };
+      }
+
+      const current = await this.readHolder(lockPath);
+      if (current && this.isStale(current)) {
+        logger.warn('Breaking stale document lock', { key, holder: current });
+        await FileSystem.deleteFile(lockPath).catch(() => {});
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new LockAcquisitionError(key, this.timeoutMs, current, { lockPath });
+      }
+      await sleep(this.retryMs);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async readHolder(lockPath) {
+    try {
+      return await FileSystem.readJSON(lockPath);
+    } catch {
+      // Released meanwhile, or left empty by a holder that died mid-write
+      try {
+        const stats = await FileSystem.stat(lockPath);
+        return { pid: null, hostname: null, acquiredAt: stats.mtime.toISOString() };
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * A lock is stale when its holder is a dead process on this host, or it is too old
+   * @private
+   */
+  isStale(holder) {
+    if (Date.now() - Date.parse(holder.acquiredAt) > this.staleMs) {
+      return true;
+    }
+    if (holder.hostname !== os.hostname()) {
+      return false;
+    }
+    try {
+      process.kill(holder.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * Document Schema Module
+ * Schema versions, model-backed validation and forward migrations for persisted documents.
+ *
+ * Every object document is stamped with `schemaVersion` when saved. Documents written by an
+ * older release are upgraded in memory when read, and the upgraded form is what the next save
+ * writes back. Array documents (e.g. proactive_alerts.json) have nowhere to carry a version
+ * and are stored as-is.
+ */
+
+import { HtaNode, Project, ScheduleBlock } from '../../models/index.js';
+import { DIRECTORIES, FILE_NAMES, PROJECT_ROLES, STORAGE } from '../constants.js';
+import { diffDocuments } from '../utils/document-diff.js';
+
+export const DOCUMENT_TYPES = {
+  GLOBAL_CONFIG: 'global_config',
+  PROJECT_CONFIG: 'project_config',
+  HTA: 'hta',
+  SCHEDULE: 'schedule',
+  LEARNING_HISTORY: 'learning_history',
+  OTHER: 'other',
+};
+
+const DAILY_SCHEDULE_PATTERN = /^day_.+\.json$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Classify a document by its storage key
+ * @param {string} key - Document key, e.g. 'projects/alpha/hta.json'
+ * @returns {string} One of DOCUMENT_TYPES
+ */
+export function documentType(key) {
+  const segments = key.split('/');
+  const filename = segments[segments.length - 1];
+
+  if (filename === FILE_NAMES.CONFIG) {
+    return segments.length === 1 ? DOCUMENT_TYPES.GLOBAL_CONFIG : DOCUMENT_TYPES.PROJECT_CONFIG;
+  }
+  if (filename === FILE_NAMES.HTA) {
+    return DOCUMENT_TYPES.HTA;
+  }
+  if (filename === FILE_NAMES.LEARNING_HISTORY) {
+    return DOCUMENT_TYPES.LEARNING_HISTORY;
+  }
+  if (DAILY_SCHEDULE_PATTERN.test(filename)) {
+    return DOCUMENT_TYPES.SCHEDULE;
+  }
+  return DOCUMENT_TYPES.OTHER;
+}
+
+/**
+ * Schema version a stored document was written with
+ * @param {any} data - Stored document
+ * @returns {number|null} 0 for documents that predate versioning, null for array documents
+ */
+export function schemaVersionOf(data) {
+  if (!isPlainObject(data)) {
+    return null;
+  }
+  return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Copy of a document carrying the current schema version
+ * @param {any} data - Document about to be saved
+ * @returns {any}
+ */
+export function stampSchemaVersion(data) {
+  if (!isPlainObject(data)) {
+    return data;
+  }
+  return { ...data, schemaVersion: STORAGE.SCHEMA_VERSION };
+}
+
+// ===== VALIDATION =====
+
+/**
+ * Run a model constructor purely for its validation; the document itself is not replaced,
+ * so fields the model does not know about are preserved.
+ */
+function modelProblems(path, build) {
+  try {
+    build();
+    return [];
+  } catch (error) {
+    return [{ path, message: error.message }];
+  }
+}
+
+function arrayProblems(document, field, build = null) {
+  const items = document[field];
+  if (items === undefined || items === null) {
+    return [];
+  }
+  if (!Array.isArray(items)) {
+    return [{ path: field, message: 'expected an array' }];
+  }
+  if (!build) {
+    return [];
+  }
+  return items.flatMap((item, index) =>
+    isPlainObject(item)
+      ? modelProblems(`${field}[${index}]`, () => build(item))
+      : [{ path: `${field}[${index}]`, message: 'expected an object' }]
+  );
+}
+
+function checkMember(member) {
+  if (typeof member.user_id !== 'string' || member.user_id === '') {
+    throw new Error('user_id is required');
+  }
+  if (!Object.values(PROJECT_ROLES).includes(member.role)) {
+    throw new Error(`role must be one of: ${Object.values(PROJECT_ROLES).join(', ')}`);
+  }
+}
+
+const VALIDATORS = {
+  [DOCUMENT_TYPES.GLOBAL_CONFIG]: document => arrayProblems(document, 'projects'),
+  // Project configs are keyed by their directory, so the id may be implied
+  [DOCUMENT_TYPES.PROJECT_CONFIG]: (document, { projectId }) => [
+    ...modelProblems('', () => new Project({ id: document.id || projectId, goal: document.goal })),
+    ...arrayProblems(document, 'members', checkMember),
+  ],
+  [DOCUMENT_TYPES.HTA]: document => [
+    ...arrayProblems(document, 'frontierNodes', node => new HtaNode(node)),
+    ...arrayProblems(document, 'completed_nodes', node => new HtaNode(node)),
+  ],
+  [DOCUMENT_TYPES.SCHEDULE]: document =>
+    arrayProblems(document, 'blocks', block => new ScheduleBlock(block)),
+  [DOCUMENT_TYPES.LEARNING_HISTORY]: document => [
+    ...arrayProblems(document, 'completions'),
+    ...arrayProblems(document, 'insights'),
+  ],
+  [DOCUMENT_TYPES.OTHER]: () => [],
+};
+
+/**
+ * Check a document against the models for its type
+ * @param {string} key - Document key
+ * @param {any} data - Document contents
+ * @returns {Array<{path: string, message: string}>} Problems found (empty when valid)
+ */
+export function validateDocument(key, data) {
+  const type = documentType(key);
+  if (!isPlainObject(data)) {
+    return type === DOCUMENT_TYPES.OTHER && Array.isArray(data)
+      ? []
+      : [{ path: '', message: 'expected an object' }];
+  }
+
+  const version = schemaVersionOf(data);
+  if (version > STORAGE.SCHEMA_VERSION) {
+    return [
+      {
+        path: 'schemaVersion',
+        message: `written by a newer Forest release (schema ${version}, this release understands ${STORAGE.SCHEMA_VERSION})`,
+      },
+    ];
+  }
+
+  const segments = key.split('/');
+  const projectId = segments[0] === DIRECTORIES.PROJECTS ? segments[1] : null;
+  return VALIDATORS[type](data, { projectId });
+}
+
+// ===== MIGRATIONS =====
+
+/**
+ * Early HTA generators stored prerequisites as task titles. Rewrite every title that names a
+ * known node to that node's id; anything unresolvable is left for the HTA repair tools.
+ */
+function resolveTitlePrerequisites(hta) {
+  const nodes = [
+    ...(Array.isArray(hta.frontierNodes) ? hta.frontierNodes : []),
+    ...(Array.isArray(hta.completed_nodes) ? hta.completed_nodes : []),
+  ].filter(isPlainObject);
+  const ids = new Set(nodes.map(node => String(node.id)));
+  const idsByTitle = new Map();
+  for (const node of nodes) {
+    if (node.title && !idsByTitle.has(node.title)) {
+      idsByTitle.set(node.title, node.id);
+    }
+  }
+
+  for (const node of nodes) {
+    if (Array.isArray(node.prerequisites)) {
+      node.prerequisites = node.prerequisites.map(prereq =>
+        ids.has(String(prereq)) ? prereq : (idsByTitle.get(prereq) ?? prereq)
+      );
+    }
+  }
+}
+
+/**
+ * The integrated scheduler used to store bare `{task_id, project_id, start, end}` entries.
+ * Give them the ScheduleBlock fields the rest of Forest reads.
+ */
+function normalizeIntegratedBlocks(schedule) {
+  if (!Array.isArray(schedule.blocks)) {
+    return;
+  }
+  schedule.blocks = schedule.blocks.map((block, index) => {
+    if (!isPlainObject(block) || block.id || !block.task_id) {
+      return block;
+    }
+    const { task_id: taskId, project_id: _projectId, start, end, ...rest } = block;
+    return {
+      id: `integrated_${index + 1}`,
+      type: 'learning',
+      title: taskId,
+      startTime: start,
+      duration: minutesBetween(start, end),
+      taskId,
+      ...rest,
+    };
+  });
+}
+
+function minutesBetween(start, end) {
+  const toMinutes = time => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  };
+  const minutes = toMinutes(end) - toMinutes(start);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : undefined;
+}
+
+/**
+ * Ordered schema migrations. Each `migrate` mutates a private copy of a document that is
+ * older than `version`; documents are stamped with the final version afterwards.
+ */
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      'Resolve title-based HTA prerequisites to node ids; normalise integrated schedules',
+    migrate(document, type) {
+      if (type === DOCUMENT_TYPES.HTA) {
+        resolveTitlePrerequisites(document);
+      } else if (type === DOCUMENT_TYPES.SCHEDULE) {
+        normalizeIntegratedBlocks(document);
+      }
+    },
+  },
+];
+
+/**
+ * Upgrade a stored document to the current schema version
+ * @param {string} key - Document key
+ * @param {any} data - Stored document
+ * @returns {{data: any, fromVersion: number|null, toVersion: number|null, changes: Array<Object>}}
+ *   The upgraded document and a diffDocuments() report of what the migrations changed
+ */
+export function migrateDocument(key, data) {
+  const fromVersion = schemaVersionOf(data);
+  if (fromVersion === null || fromVersion >= STORAGE.SCHEMA_VERSION) {
+    return { data, fromVersion, toVersion: fromVersion, changes: [] };
+  }
+
+  const type = documentType(key);
+  const upgraded = JSON.parse(JSON.stringify(data));
+  for (const migration of SCHEMA_MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migration.migrate(upgraded, type);
+    }
+  }
+  upgraded.schemaVersion = STORAGE.SCHEMA_VERSION;
+
+  return {
+    data: upgraded,
+    fromVersion,
+    toVersion: STORAGE.SCHEMA_VERSION,
+    changes: diffDocuments(data, upgraded),
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Storage Module Exports
+ * Pluggable document storage backends for DataPersistence
+ */
+
+import { STORAGE } from '../constants.js';
+import { JsonFileStorageAdapter } from './json-file-adapter.js';
+import { SqliteStorageAdapter } from './sqlite-adapter.js';
+
+export { StorageAdapter } from './storage-adapter.js';
+export { JsonFileStorageAdapter } from './json-file-adapter.js';
+export { SqliteStorageAdapter } from './sqlite-adapter.js';
+export { migrateStorage } from './storage-migrator.js';
+export { WriteJournal } from './write-journal.js';
+export { SnapshotStore } from './snapshot-store.js';
+export { DocumentLocks } from './document-locks.js';
+export { StorageTransaction, TRANSACTION_STATES } from './storage-transaction.js';
+export {
+  DOCUMENT_TYPES,
+  SCHEMA_MIGRATIONS,
+  documentType,
+  migrateDocument,
+  schemaVersionOf,
+  stampSchemaVersion,
+  validateDocument,
+} from './document-schema.js';
+
+/**
+ * Resolve the configured backend name.
+ * FOREST_STORAGE_BACKEND selects the backend; JSON files remain the default.
+ * @param {string|undefined} backend - Explicit backend name, if any
+ * @returns {string} One of STORAGE.BACKENDS
+ */
+export function resolveStorageBackend(backend = process.env.FOREST_STORAGE_BACKEND) {
+  const normalized = (backend || STORAGE.DEFAULT_BACKEND).toLowerCase();
+  if (!Object.values(STORAGE.BACKENDS).includes(normalized)) {
+    throw new Error(
+      `Unknown storage backend '${backend}'. Expected one of: ${Object.values(STORAGE.BACKENDS).join(', ')}`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Create a storage adapter for a data directory
+ * @param {string} dataDir - Root data directory
+ * @param {string} [backend] - Backend name (defaults to FOREST_STORAGE_BACKEND or 'json')
+ * @param {Object} [options] - Adapter-specific options
+ * @returns {import('./storage-adapter.js').StorageAdapter}
+ */
+export function createStorageAdapter(dataDir, backend, options = {}) {
+  switch (resolveStorageBackend(backend)) {
+    case STORAGE.BACKENDS.SQLITE:
+      return new SqliteStorageAdapter(dataDir, options);
+    case STORAGE.BACKENDS.JSON:
+    default:
+      return new JsonFileStorageAdapter(dataDir);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * JSON File Storage Adapter
+ * The original Forest layout: one pretty-printed JSON file per document under FOREST_DATA_DIR
+ */
+
+import { FileSystem } from '../utils/file-system.js';
+import { DIRECTORIES, STORAGE } from '../constants.js';
+import { StorageAdapter } from './storage-adapter.js';
+
+const JSON_EXTENSION = '.json';
+
+// Top-level directories that hold other data roots (per-user data, API credentials)
+const SEPARATE_ROOTS = new Set([DIRECTORIES.USERS, DIRECTORIES.AUTH]);
+
+export class JsonFileStorageAdapter extends StorageAdapter {
+  get type() {
+    return STORAGE.BACKENDS.JSON;
+  }
+
+  /**
+   * Resolve a document key to its absolute file path
+   * @param {string} key - Document key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    return FileSystem.join(this.dataDir, ...key.split('/'));
+  }
+
+  describe(key) {
+    return this.resolvePath(key);
+  }
+
+  async read(key) {
+    const filePath = this.resolvePath(key);
+    if (!(await FileSystem.exists(filePath))) {
+      return null;
+    }
+
+    try {
+      return await FileSystem.readJSON(filePath);
+    } catch (error) {
+      // The file may have been removed between the exists check and the read
+      if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(key, data) {
+    const filePath = this.resolvePath(key);
+    await FileSystem.ensureDir(FileSystem.dirname(filePath));
+    await FileSystem.writeJSON(filePath, data);
+  }
+
+  async remove(key) {
+    const filePath = this.resolvePath(key);
+    if (!(await FileSystem.exists(filePath))) {
+      return false;
+    }
+    await FileSystem.deleteFile(filePath);
+    // Drop directories left empty so list() stops reporting e.g. a removed project
+    const segments = key.split('/').slice(0, -1);
+    while (
+      segments.length > 0 &&
+      (await FileSystem.removeEmptyDir(this.resolvePath(segments.join('/'))))
+    ) {
+      segments.pop();
+    }
+    return true;
+  }
+
+  async version(key) {
+    try {
+      const stats = await FileSystem.stat(this.resolvePath(key));
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  async exists(key) {
+    return await FileSystem.exists(this.resolvePath(key));
+  }
+
+  async list(prefix = '') {
+    const dirPath = prefix ? this.resolvePath(prefix) : this.dataDir;
+    if (!(await FileSystem.exists(dirPath))) {
+      return [];
+    }
+    const entries = await FileSystem.readdir(dirPath);
+    return entries.sort();
+  }
+
+  async listAll() {
+    const keys = [];
+    await this._collectKeys('', keys);
+    return keys.sort();
+  }
+
+  /**
+   * Recursively gather JSON document keys below a prefix
+   * @private
+   */
+  async _collectKeys(prefix, keys) {
+    const dirPath = prefix ? this.resolvePath(prefix) : this.dataDir;
+    if (!(await FileSystem.exists(dirPath))) {
+      return;
+    }
+
+    for (const entry of await FileSystem.readdir(dirPath)) {
+      if (!prefix && SEPARATE_ROOTS.has(entry)) {
+        continue;
+      }
+      const childKey = StorageAdapter.key(prefix, entry);
+      const stats = await FileSystem.stat(this.resolvePath(childKey));
+      if (stats.isDirectory()) {
+        await this._collectKeys(childKey, keys);
+      } else if (FileSystem.extname(entry) === JSON_EXTENSION) {
+        keys.push(childKey);
+      }
+    }
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Snapshot Store Module
+ * Keeps rotating, timestamped versions of documents under `backups/` so an overwrite
+ * (e.g. regenerating an HTA tree) can always be undone.
+ *
+ * Before a document is replaced, its previous contents are stored as
+ * `backups/<document dir>/<filename>.backup.<stamp>`. A snapshot captured at time C
+ * therefore holds the state the document was in just before C.
+ */
+
+import { DIRECTORIES, FILE_NAMES, STORAGE } from '../constants.js';
+import { StorageAdapter } from './storage-adapter.js';
+
+const BACKUP_MARKER = '.backup.';
+const STAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+export class SnapshotStore {
+  /**
+   * @param {StorageAdapter} storage - Adapter that holds both documents and their snapshots
+   * @param {Object} options - Snapshot options
+   * @param {number} [options.retention] - Versions kept per document (oldest are pruned)
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.retention = options.retention ?? STORAGE.BACKUP_RETENTION;
+  }
+
+  /**
+   * Encode a date as a key-safe, lexically sortable stamp
+   * @param {Date} date - Capture time
+   * @returns {string} e.g. 2025-01-31T09-15-00-000Z
+   */
+  static toStamp(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+  }
+
+  /**
+   * Decode a stamp back to an ISO timestamp
+   * @param {string} stamp - Stamp produced by toStamp
+   * @returns {string|null} ISO timestamp, or null if the stamp is malformed
+   */
+  static fromStamp(stamp) {
+    const match = STAMP_PATTERN.exec(stamp);
+    return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+  }
+
+  /**
+   * Key prefix under which a document's snapshots are stored
+   * @param {string} documentKey - Document key
+   * @returns {string}
+   */
+  snapshotPrefix(documentKey) {
+    const segments = documentKey.split('/');
+    segments.pop();
+    return StorageAdapter.key(DIRECTORIES.BACKUPS, ...segments);
+  }
+
+  /**
+   * Save the current version of a document before it is replaced by `nextData`.
+   * Nothing is stored for new documents or when the contents are unchanged.
+   * @param {string} documentKey - Document about to be written
+   * @param {any} nextData - Contents about to be written
+   * @returns {Promise<Object|null>} The snapshot record, or null if none was needed
+   */
+  async capture(documentKey, nextData) {
+    const previous = await this.storage.read(documentKey);
+    if (previous === null || JSON.stringify(previous) === JSON.stringify(nextData)) {
+      return null;
+    }
+
+    const filename = documentKey.split('/').pop();
+    const stamp = SnapshotStore.toStamp();
+    const key = StorageAdapter.key(
+      this.snapshotPrefix(documentKey),
+      FILE_NAMES.BACKUP(filename, stamp)
+    );
+    await this.storage.write(key, previous);
+    await this.prune(documentKey);
+
+    return { key, documentKey, filename, capturedAt: SnapshotStore.fromStamp(stamp) };
+  }
+
+  /**
+   * Snapshots of a single document, oldest first
+   * @param {string} documentKey - Document key
+   * @returns {Promise<Array<{key: string, documentKey: string, filename: string, capturedAt: string}>>}
+   */
+  async list(documentKey) {
+    const filename = documentKey.split('/').pop();
+    const prefix = this.snapshotPrefix(documentKey);
+    return (await this._listDirectory(prefix)).filter(record => record.filename === filename);
+  }
+
+  /**
+   * Snapshots of every document below a document-key prefix (e.g. a project), oldest first
+   * @param {string} prefix - Document key prefix such as `projects/<id>`
+   * @returns {Promise<Array<Object>>}
+   */
+  async listBelow(prefix) {
+    const records = [];
+    await this._collect(StorageAdapter.key(DIRECTORIES.BACKUPS, prefix), records);
+    return records.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+  }
+
+  /**
+   * Read a snapshot's contents
+   * @param {string} key - Snapshot key from a listing
+   * @returns {Promise<any|null>}
+   */
+  async read(key) {
+    return await this.storage.read(key);
+  }
+
+  /**
+   * Drop the oldest snapshots of a document beyond the retention limit
+   * @param {string} documentKey - Document key
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  async prune(documentKey) {
+    const snapshots = await this.list(documentKey);
+    const excess = snapshots.slice(0, Math.max(0, snapshots.length - this.retention));
+    for (const { key } of excess) {
+      await this.storage.remove(key);
+    }
+    return excess.length;
+  }
+
+  /**
+   * Parse the snapshots stored directly inside one backup directory
+   * @private
+   */
+  async _listDirectory(prefix) {
+    const records = [];
+    for (const name of await this.storage.list(prefix)) {
+      const record = this._parse(prefix, name);
+      if (record) {
+        records.push(record);
+      }
+    }
+    return records.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+  }
+
+  /**
+   * @private
+   */
+  async _collect(prefix, records) {
+    let names;
+    try {
+      names = await this.storage.list(prefix);
+    } catch {
+      // Not a directory (e.g. an unrelated file); nothing to collect
+      return;
+    }
+
+    for (const name of names) {
+      const record = this._parse(prefix, name);
+      if (record) {
+        records.push(record);
+      } else if (!name.includes(BACKUP_MARKER)) {
+        await this._collect(StorageAdapter.key(prefix, name), records);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parse(prefix, name) {
+    const markerIndex = name.lastIndexOf(BACKUP_MARKER);
+    if (markerIndex <= 0) {
+      return null;
+    }
+
+    const capturedAt = SnapshotStore.fromStamp(name.slice(markerIndex + BACKUP_MARKER.length));
+    if (!capturedAt) {
+      return null;
+    }
+
+    const filename = name.slice(0, markerIndex);
+    const documentDir = prefix.split('/').slice(1);
+    return {
+      key: StorageAdapter.key(prefix, name),
+      documentKey: StorageAdapter.key(...documentDir, filename),
+      filename,
+      capturedAt,
+    };
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * SQLite Storage Adapter
+ * Keeps every Forest document in a single embedded SQLite database file.
+ *
+ * Documents are stored as JSON text keyed by the same relative keys the JSON
+ * layout uses, with the parent "directory" indexed so listings (projects,
+ * day_* schedules) never have to parse document bodies.
+ */
+
+import { FileSystem } from '../utils/file-system.js';
+import { STORAGE } from '../constants.js';
+import { StorageAdapter } from './storage-adapter.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    key TEXT PRIMARY KEY,
+    parent TEXT NOT NULL,
+    name TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS documents_parent ON documents (parent);
+`;
+
+export class SqliteStorageAdapter extends StorageAdapter {
+  /**
+   * @param {string} dataDir - Data directory holding the database file
+   * @param {Object} options - Adapter options
+   * @param {string} [options.filename] - Database file name (default: STORAGE.SQLITE_FILE)
+   */
+  constructor(dataDir, options = {}) {
+    super(dataDir);
+    this.dbPath = FileSystem.join(dataDir, options.filename || STORAGE.SQLITE_FILE);
+    this.db = null;
+    this.statements = null;
+  }
+
+  get type() {
+    return STORAGE.BACKENDS.SQLITE;
+  }
+
+  describe(key) {
+    return `${this.dbPath}#${key}`;
+  }
+
+  /**
+   * Open the database on first use. better-sqlite3 is loaded lazily so
+   * JSON-only deployments never need the native module.
+   * @private
+   */
+  async _open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    const { default: Database } = await import('better-sqlite3');
+    await FileSystem.ensureDir(this.dataDir);
+
+    const db = new Database(this.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    this.statements = {
+      read: db.prepare('SELECT data FROM documents WHERE key = ?'),
+      write: db.prepare(
+        `INSERT INTO documents (key, parent, name, data, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+      ),
+      remove: db.prepare('DELETE FROM documents WHERE key = ?'),
+      exists: db.prepare('SELECT 1 FROM documents WHERE key = ?'),
+      version: db.prepare(
+        "SELECT updated_at || ':' || length(data) AS version FROM documents WHERE key = ?"
+      ),
+      children: db.prepare('SELECT name FROM documents WHERE parent = ?'),
+      descendants: db.prepare("SELECT key FROM documents WHERE key LIKE ? ESCAPE '\\'"),
+      all: db.prepare('SELECT key FROM documents ORDER BY key'),
+    };
+    this.db = db;
+    return db;
+  }
+
+  /**
+   * Split a key into its parent prefix and leaf name
+   * @private
+   */
+  _splitKey(key) {
+    const index = key.lastIndexOf('/');
+    return index === -1
+      ? { parent: '', name: key }
+      : { parent: key.slice(0, index), name: key.slice(index + 1) };
+  }
+
+  async read(key) {
+    await this._open();
+    const row = this.statements.read.get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async write(key, data) {
+    await this._open();
+    const { parent, name } = this._splitKey(key);
+    this.statements.write.run(key, parent, name, JSON.stringify(data), new Date().toISOString());
+  }
+
+  async remove(key) {
+    await this._open();
+    return this.statements.remove.run(key).changes > 0;
+  }
+
+  async version(key) {
+    await this._open();
+    return this.statements.version.get(key)?.version ?? null;
+  }
+
+  async exists(key) {
+    await this._open();
+    return Boolean(this.statements.exists.get(key));
+  }
+
+  async list(prefix = '') {
+    await this._open();
+    const names = new Set(this.statements.children.all(prefix).map(row => row.name));
+
+    // Sub-directories are implied by deeper keys, e.g. projects/<id>/config.json
+    // makes <id> a child of "projects".
+    const escaped = prefix.replace(/[\\%_]/g, match => `\\${match}`);
+    const pattern = prefix ? `${escaped}/%/%` : '%/%';
+    const offset = prefix ? prefix.length + 1 : 0;
+    for (const { key } of this.statements.descendants.all(pattern)) {
+      names.add(key.slice(offset).split('/')[0]);
+    }
+
+    return Array.from(names).sort();
+  }
+
+  async listAll() {
+    await this._open();
+    return this.statements.all.all().map(row => row.key);
+  }
+
+  get supportsAtomicBatch() {
+    return true;
+  }
+
+  /**
+   * Run several writes atomically inside one SQLite transaction
+   * @param {Array<{key: string, data: any}>} documents - Documents to write
+   * @returns {Promise<void>}
+   */
+  async writeMany(documents) {
+    const db = await this._open();
+    const now = new Date().toISOString();
+    const insertAll = db.transaction(docs => {
+      for (const { key, data } of docs) {
+        const { parent, name } = this._splitKey(key);
+        this.statements.write.run(key, parent, name, JSON.stringify(data), now);
+      }
+    });
+    insertAll(documents);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+}
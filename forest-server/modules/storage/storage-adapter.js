@@ -0,0 +1,139 @@
+/**
+ * Storage Adapter Base Module
+ * Defines the document-store contract that DataPersistence relies on.
+ *
+ * Documents are addressed by POSIX-style keys relative to the data directory,
+ * mirroring the historical on-disk layout (e.g. `projects/<id>/config.json`,
+ * `projects/<id>/paths/<path>/hta.json`, `config.json`). Keeping the keys
+ * identical across backends is what makes migration a straight copy.
+ */
+
+export class StorageAdapter {
+  /**
+   * @param {string} dataDir - Root data directory for this backend
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+  }
+
+  /**
+   * Backend identifier (one of STORAGE.BACKENDS)
+   * @returns {string}
+   */
+  get type() {
+    throw new Error(`${this.constructor.name} must define a backend type`);
+  }
+
+  /**
+   * Build a document key from path segments
+   * @param {...string} segments - Key segments (directory names and file name)
+   * @returns {string} Normalised document key
+   */
+  static key(...segments) {
+    return segments
+      .filter(segment => segment !== null && segment !== undefined && segment !== '')
+      .join('/');
+  }
+
+  /**
+   * Read and parse a document
+   * @param {string} key - Document key
+   * @returns {Promise<any|null>} Parsed document, or null if it does not exist
+   * @throws {Error} If the document exists but cannot be read or parsed
+   */
+  async read(key) {
+    throw new Error(`${this.constructor.name}.read(${key}) is not implemented`);
+  }
+
+  /**
+   * Serialize and store a document, replacing any existing version
+   * @param {string} key - Document key
+   * @param {any} data - JSON-serializable document
+   * @returns {Promise<void>}
+   */
+  async write(key, data) {
+    throw new Error(`${this.constructor.name}.write(${key}) is not implemented`);
+  }
+
+  /**
+   * Cheap change token for a document, used to detect writes made by other processes.
+   * The token changes whenever the stored document changes; its format is backend-specific.
+   * @param {string} key - Document key
+   * @returns {Promise<string|null>} Version token, or null if the document does not exist
+   */
+  async version(key) {
+    throw new Error(`${this.constructor.name}.version(${key}) is not implemented`);
+  }
+
+  /**
+   * Store several documents. The default writes them one at a time; backends that can
+   * apply the whole batch atomically override this and report supportsAtomicBatch
+   * @param {Array<{key: string, data: any}>} documents - Documents to write
+   * @returns {Promise<void>}
+   */
+  async writeMany(documents) {
+    for (const { key, data } of documents) {
+      await this.write(key, data);
+    }
+  }
+
+  /**
+   * Whether writeMany commits all documents or none, even across a crash.
+   * When false, DataPersistence protects multi-document transactions with a write-ahead journal.
+   * @returns {boolean}
+   */
+  get supportsAtomicBatch() {
+    return false;
+  }
+
+  /**
+   * Remove a document
+   * @param {string} key - Document key
+   * @returns {Promise<boolean>} True if a document was removed
+   */
+  async remove(key) {
+    throw new Error(`${this.constructor.name}.remove(${key}) is not implemented`);
+  }
+
+  /**
+   * Check whether a document exists
+   * @param {string} key - Document key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    throw new Error(`${this.constructor.name}.exists(${key}) is not implemented`);
+  }
+
+  /**
+   * List the immediate children (documents and sub-directories) below a prefix,
+   * equivalent to a readdir on the JSON layout
+   * @param {string} prefix - Directory-style key prefix ('' for the root)
+   * @returns {Promise<string[]>} Child names, sorted
+   */
+  async list(prefix) {
+    throw new Error(`${this.constructor.name}.list(${prefix}) is not implemented`);
+  }
+
+  /**
+   * List every document key held by this backend
+   * @returns {Promise<string[]>} All document keys, sorted
+   */
+  async listAll() {
+    throw new Error(`${this.constructor.name}.listAll() is not implemented`);
+  }
+
+  /**
+   * Human-readable location of a document, used in error messages and logs
+   * @param {string} key - Document key
+   * @returns {string}
+   */
+  describe(key) {
+    return `${this.type}:${key}`;
+  }
+
+  /**
+   * Release any handles held by the backend
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
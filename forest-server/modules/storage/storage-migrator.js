@@ -0,0 +1,74 @@
+/**
+ * Storage Migrator Module
+ * Copies every document from one storage backend into another
+ */
+
+import { getForestLogger } from '../winston-logger.js';
+
+const logger = getForestLogger({ module: 'StorageMigrator' });
+
+/**
+ * Migrate all documents between two storage adapters.
+ * Documents are copied verbatim under identical keys; the source is never modified.
+ * @param {import('./storage-adapter.js').StorageAdapter} source - Adapter to read from
+ * @param {import('./storage-adapter.js').StorageAdapter} target - Adapter to write to
+ * @param {Object} options - Migration options
+ * @param {boolean} [options.dryRun=false] - Report what would be copied without writing
+ * @param {boolean} [options.overwrite=false] - Replace documents that already exist in the target
+ * @returns {Promise<Object>} Migration report
+ */
+export async function migrateStorage(source, target, options = {}) {
+  const { dryRun = false, overwrite = false } = options;
+  const report = {
+    from: source.type,
+    to: target.type,
+    dryRun,
+    copied: [],
+    skipped: [],
+    failed: [],
+  };
+
+  const keys = await source.listAll();
+  logger.info('Starting storage migration', {
+    from: source.type,
+    to: target.type,
+    count: keys.length,
+  });
+
+  const pending = [];
+  for (const key of keys) {
+    try {
+      if (!overwrite && (await target.exists(key))) {
+        report.skipped.push(key);
+        continue;
+      }
+      const data = await source.read(key);
+      if (data === null) {
+        report.skipped.push(key);
+        continue;
+      }
+      pending.push({ key, data });
+    } catch (error) {
+      report.failed.push({ key, error: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    if (typeof target.writeMany === 'function') {
+      await target.writeMany(pending);
+    } else {
+      for (const { key, data } of pending) {
+        await target.write(key, data);
+      }
+    }
+  }
+  report.copied = pending.map(({ key }) => key);
+
+  logger.info('Storage migration finished', {
+    copied: report.copied.length,
+    skipped: report.skipped.length,
+    failed: report.failed.length,
+    dryRun,
+  });
+  return report;
+}
@@ -0,0 +1,84 @@
+/**
+ * Storage Transaction Module
+ * Buffers the documents written during one unit of work (typically one tool call)
+ * so DataPersistence can commit them together or discard them together.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const TRANSACTION_STATES = {
+  ACTIVE: 'active',
+  COMMITTING: 'committing',
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled_back',
+};
+
+export class StorageTransaction {
+  /**
+   * @param {string} label - What started the transaction, used in logs and the journal
+   */
+  constructor(label = 'transaction') {
+    this.id = `${Date.now()}-${randomUUID()}`;
+    this.label = label;
+    this.state = TRANSACTION_STATES.ACTIVE;
+    this.writes = new Map();
+    this.settled = new Promise(resolve => {
+      this._resolveSettled = resolve;
+    });
+  }
+
+  get isActive() {
+    return this.state === TRANSACTION_STATES.ACTIVE;
+  }
+
+  /**
+   * Buffer a document write. Later writes to the same key replace earlier ones.
+   * The data is cloned so callers mutating their object afterwards do not alter the commit.
+   * @param {string} key - Document key
+   * @param {any} data - Document contents
+   * @param {string|null} cacheKey - Cache entry to invalidate once committed
+   */
+  stage(key, data, cacheKey = null) {
+    this.writes.delete(key);
+    this.writes.set(key, { data: JSON.parse(JSON.stringify(data)), cacheKey });
+  }
+
+  /**
+   * @param {string} key - Document key
+   * @returns {boolean} True if the transaction holds an uncommitted write for the key
+   */
+  has(key) {
+    return this.writes.has(key);
+  }
+
+  /**
+   * @param {string} key - Document key
+   * @returns {any} The buffered document contents
+   */
+  get(key) {
+    return this.writes.get(key)?.data;
+  }
+
+  /**
+   * @returns {Array<{key: string, data: any}>} Buffered documents in write order
+   */
+  documents() {
+    return Array.from(this.writes, ([key, { data }]) => ({ key, data }));
+  }
+
+  /**
+   * @returns {string[]} Cache keys touched by the transaction
+   */
+  cacheKeys() {
+    return Array.from(this.writes.values(), ({ cacheKey }) => cacheKey).filter(Boolean);
+  }
+
+  /**
+   * Mark the transaction finished and release anyone waiting on it
+   * @param {string} state - TRANSACTION_STATES.COMMITTED or TRANSACTION_STATES.ROLLED_BACK
+   */
+  settle(state) {
+    this.state = state;
+    this._resolveSettled();
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Write-Ahead Journal Module
+ * Records the full contents of a multi-document commit before any document is touched,
+ * so a crash part-way through applying it can be rolled forward on the next startup.
+ *
+ * Journal entries live under `<dataDir>/journal/<transactionId>.wal`. They use their own
+ * extension so storage listings and migrations never mistake them for documents.
+ */
+
+import { FileSystem } from '../utils/file-system.js';
+import { DIRECTORIES, STORAGE } from '../constants.js';
+
+export class WriteJournal {
+  /**
+   * @param {string} dataDir - Root data directory
+   */
+  constructor(dataDir) {
+    this.journalDir = FileSystem.join(dataDir, DIRECTORIES.JOURNAL);
+  }
+
+  /**
+   * Path of the journal entry for a transaction
+   * @param {string} transactionId - Transaction identifier
+   * @returns {string}
+   */
+  entryPath(transactionId) {
+    return FileSystem.join(this.journalDir, `${transactionId}${STORAGE.JOURNAL_EXTENSION}`);
+  }
+
+  /**
+   * Durably record a transaction's writes. Once this resolves the transaction is committed:
+   * recovery will finish applying it even if the process dies immediately afterwards.
+   * @param {string} transactionId - Transaction identifier
+   * @param {Object} entry - Journal payload
+   * @param {string} entry.label - What started the transaction (usually a tool name)
+   * @param {Array<{key: string, data: any, previous: any}>} entry.writes - Documents with before-images
+   * @returns {Promise<void>}
+   */
+  async record(transactionId, { label, writes }) {
+    await FileSystem.ensureDir(this.journalDir);
+    await FileSystem.writeJSON(this.entryPath(transactionId), {
+      id: transactionId,
+      label,
+      createdAt: new Date().toISOString(),
+      writes,
+    });
+  }
+
+  /**
+   * Remove a transaction's journal entry after it has been fully applied (or rolled back)
+   * @param {string} transactionId - Transaction identifier
+   * @returns {Promise<void>}
+   */
+  async clear(transactionId) {
+    const entryPath = this.entryPath(transactionId);
+    if (await FileSystem.exists(entryPath)) {
+      await FileSystem.deleteFile(entryPath);
+    }
+  }
+
+  /**
+   * Load every journal entry left behind by an interrupted commit, oldest first.
+   * Entries that cannot be parsed are returned with an `error` so the caller can discard them.
+   * @returns {Promise<Array<Object>>}
+   */
+  async pending() {
+    if (!(await FileSystem.exists(this.journalDir))) {
+      return [];
+    }
+
+    const entries = [];
+    for (const name of await FileSystem.readdir(this.journalDir)) {
+      if (FileSystem.extname(name) !== STORAGE.JOURNAL_EXTENSION) {
+        continue;
+      }
+      const id = FileSystem.basename(name, STORAGE.JOURNAL_EXTENSION);
+      try {
+        entries.push(await FileSystem.readJSON(FileSystem.join(this.journalDir, name)));
+      } catch (error) {
+        entries.push({ id, error: error.message, writes: [] });
+      }
+    }
+
+    return entries.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  }
+}
@@ -415,10 +415,16 @@ export class StrategyEvolver {
   }
 
   async savePathHTA(projectId, pathName, htaData) {
-    if (pathName === DEFAULT_PATHS.GENERAL) {
-      return await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, htaData);
-    } else {
-      return await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData);
-    }
+    const saved =
+      pathName === DEFAULT_PATHS.GENERAL
+        ? await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, htaData)
+        : await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData);
+
+    this.eventBus.emit(
+      'project:files_changed',
+      { projectId, pathName, files: [FILE_NAMES.HTA] },
+      'StrategyEvolver'
+    );
+    return saved;
   }
 }
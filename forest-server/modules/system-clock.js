@@ -17,13 +17,15 @@ export class SystemClock {
     projectManagement,
     reasoningEngine,
     identityEngine,
-    eventBus = null
+    eventBus = null,
+    dayRescheduler = null
   ) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
     this.reasoningEngine = reasoningEngine;
     this.identityEngine = identityEngine;
     this.eventBus = eventBus || bus;
+    this.dayRescheduler = dayRescheduler;
 
     // Initialize Data Archiver for long-term scalability
     this.dataArchiver = new DataArchiver(dataPersistence, this.eventBus);
@@ -55,6 +57,8 @@ export class SystemClock {
    * @param {number} config.opportunityScansHours - Hours between opportunity scans (default: 6)
    * @param {number} config.identityReflectionDays - Days between identity reflection (default: 7)
    * @param {number} config.archivingDays - Days between archiving checks (default: 30)
+   * @param {number} config.rescheduleIntervalMinutes - Minutes between checks of today's
+   *   schedule for missed blocks (default: off)
    */
   start(config = {}) {
     if (this.isRunning) {
@@ -68,6 +72,7 @@ export class SystemClock {
       opportunityScansHours: 6,
       identityReflectionDays: 7,
       archivingDays: 30,
+      rescheduleIntervalMinutes: null,
       enableBackgroundTicks: true,
     };
 
@@ -94,6 +99,11 @@ export class SystemClock {
       this.scheduleArchiving(clockConfig.archivingDays);
     }
 
+    // Opt-in, so it also runs in MCP mode
+    if (clockConfig.rescheduleIntervalMinutes && this.dayRescheduler) {
+      this.scheduleRescheduling(clockConfig.rescheduleIntervalMinutes);
+    }
+
     // Emit system clock started event
     this.eventBus.emit(
       'system:clock_started',
@@ -233,6 +243,24 @@ export class SystemClock {
     }, 150000); // 2.5 minutes delay
   }
 
+  /**
+   * Schedule periodic repair of today's schedule
+   * @param {number} minutes - Interval in minutes
+   */
+  scheduleRescheduling(minutes) {
+    const intervalId = setInterval(
+      () => {
+        this.performRescheduling();
+      },
+      minutes * 60 * 1000
+    );
+    // Never the reason the process stays up
+    intervalId.unref?.();
+
+    this.intervals.set('day_rescheduling', intervalId);
+    logger.info(`🔁 Day rescheduling scheduled every ${minutes} minutes`);
+  }
+
   /**
    * Perform strategic analysis - main proactive reasoning tick
    */
@@ -418,6 +446,42 @@ export class SystemClock {
     }
   }
 
+  /**
+   * Move today's missed and overrun blocks, as reschedule_day does
+   */
+  async performRescheduling() {
+    if (!this.dayRescheduler) {
+      logger.warn('⚠️ No day rescheduler configured');
+      return;
+    }
+    try {
+      logger.debug("🔁 SystemClock: Checking today's schedule...");
+      const result = await this.dayRescheduler.rescheduleDay();
+      this.lastAnalysis.set('day_rescheduling', new Date().toISOString());
+
+      if (result.changed) {
+        this.eventBus.emit(
+          'schedule:rescheduled',
+          {
+            projectId: result.project_id,
+            date: result.date,
+            moved: result.moved,
+            dropped: result.dropped,
+            carried: result.carried,
+            rescheduledAt: new Date().toISOString(),
+          },
+          'SystemClock'
+        );
+        logger.info(
+          `🔁 Rescheduled ${result.date} - ${result.moved.length} moved, ${result.carried.length} carried over`
+        );
+      }
+    } catch (error) {
+      logger.error(`❌ Day rescheduling failed: ${error.message}`, { error });
+      await this.dataPersistence.logError('SystemClock.performRescheduling', error);
+    }
+  }
+
   /**
    * Gather comprehensive system state for analysis
    * @param {string} projectId - Active project ID
@@ -611,6 +675,9 @@ export class SystemClock {
       case 'archive':
         await this.performArchiving();
         break;
+      case 'reschedule':
+        await this.performRescheduling();
+        break;
       default:
         logger.error(`❌ Unknown analysis type: ${analysisType}`);
     }
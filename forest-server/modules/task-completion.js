@@ -5,7 +5,9 @@
  */
 
 import { FILE_NAMES, DEFAULT_PATHS, TASK_CONFIG } from './constants.js';
+import { isRecurring } from './recurring-tasks.js';
 import { bus } from './utils/event-bus.js';
+import { currentUserId } from './utils/session-context.js';
 
 export class TaskCompletion {
   constructor(dataPersistence, projectManagement, eventBus = null) {
@@ -128,6 +130,7 @@ export class TaskCompletion {
           difficulty: node?.difficulty || difficultyRating,
           taskId: node?.id || blockId,
           branch: node?.branch || config.activePath || DEFAULT_PATHS.GENERAL,
+          ...(isRecurring(node) ? { occurrence: today } : {}),
           completed: false,
           priority: node?.priority || 200,
         };
@@ -139,6 +142,7 @@ export class TaskCompletion {
       // Mark block as completed
       block.completed = true;
       block.completedAt = new Date().toISOString();
+      block.completedBy = currentUserId();
       block.outcome = out;
       block.learned = lrnd;
       block.nextQuestions = nq;
@@ -160,15 +164,9 @@ export class TaskCompletion {
         };
       }
 
-      // Save updated schedule
-      await this.dataPersistence.saveProjectData(projectId, `day_${today}.json`, schedule);
-
-      // Update learning history
-      await this.updateLearningHistory(
-        projectId,
-        config.activePath || DEFAULT_PATHS.GENERAL,
-        block
-      );
+      // Blocks from another learning path's allocation belong to that path
+      const pathName = block.pathName || config.activePath || DEFAULT_PATHS.GENERAL;
+      await this.persistCompletion(projectId, pathName, `day_${today}.json`, schedule, block);
 
       // Emit block completion event for decoupled strategy evolution
       if (lrnd || nq || br) {
@@ -176,7 +174,7 @@ export class TaskCompletion {
           'block:completed',
           {
             projectId,
-            pathName: config.activePath || DEFAULT_PATHS.GENERAL,
+            pathName,
             block,
           },
           'TaskCompletion'
@@ -212,12 +210,41 @@ export class TaskCompletion {
     }
   }
 
+  /**
+   * Save the schedule, learning history and HTA node as one transaction so a crash can
+   * never leave the block marked complete while its HTA node is still open
+   * @param {string} projectId - Project ID
+   * @param {string} pathName - Learning path name
+   * @param {string} scheduleFile - Day schedule file name
+   * @param {Object} schedule - Updated day schedule
+   * @param {Object} block - Completed block
+   */
+  async persistCompletion(projectId, pathName, scheduleFile, schedule, block) {
+    await this.dataPersistence.runInTransaction(async () => {
+      await this.dataPersistence.saveProjectData(projectId, scheduleFile, schedule);
+      await this.updateLearningHistory(projectId, pathName, block);
+      await this.markHTANodeCompleted(projectId, pathName, block);
+    }, 'complete_block');
+
+    this.eventBus.emit(
+      'project:files_changed',
+      {
+        projectId,
+        pathName,
+        files: [scheduleFile, FILE_NAMES.LEARNING_HISTORY, FILE_NAMES.HTA],
+      },
+      'TaskCompletion'
+    );
+  }
+
   async updateLearningHistory(projectId, pathName, block) {
-    const learningHistory = (await this.loadPathLearningHistory(projectId, pathName)) || {
+    // A history that has not been written yet loads as a default without these lists
+    const learningHistory = {
       completedTopics: [],
       insights: [],
       knowledgeGaps: [],
       skillProgression: {},
+      ...(await this.loadPathLearningHistory(projectId, pathName)),
     };
 
     // Add completed topic
@@ -232,6 +259,7 @@ export class TaskCompletion {
       breakthrough: block.breakthrough,
       blockId: block.id,
       taskId: block.taskId,
+      completedBy: block.completedBy,
     });
 
     // Add insights if breakthrough
@@ -241,6 +269,7 @@ export class TaskCompletion {
         topic: block.title,
         timestamp: block.completedAt,
         context: block.outcome,
+        by: block.completedBy,
       });
     }
 
@@ -489,6 +518,51 @@ export class TaskCompletion {
     }
   }
 
+  /**
+   * Close the HTA frontier node a completed block was scheduled from. Recurring nodes stay open;
+   * the completion is recorded as one of their occurrences instead.
+   * @param {string} projectId - Project ID
+   * @param {string} pathName - Learning path name
+   * @param {Object} block - Completed block
+   */
+  async markHTANodeCompleted(projectId, pathName, block) {
+    if (!block.taskId) {
+      return;
+    }
+
+    const htaData = await this.loadPathHTA(projectId, pathName);
+    const node = htaData?.frontierNodes?.find(n => n.id === block.taskId);
+    if (!node || node.completed) {
+      return;
+    }
+
+    if (isRecurring(node)) {
+      const date = block.occurrence || block.completedAt.slice(0, 10);
+      node.occurrences = [
+        ...(node.occurrences || []).filter(occurrence => occurrence.date !== date),
+        {
+          date,
+          completedAt: block.completedAt,
+          completedBy: block.completedBy,
+          blockId: block.id,
+          duration: block.duration,
+          difficultyRating: block.difficultyRating,
+        },
+      ];
+      htaData.lastUpdated = new Date().toISOString();
+      await this.savePathHTA(projectId, pathName, htaData);
+      return;
+    }
+
+    node.completed = true;
+    node.completedAt = block.completedAt;
+    node.completedBy = block.completedBy;
+    node.actualDifficulty = block.difficultyRating;
+    node.actualDuration = block.duration;
+    htaData.lastUpdated = new Date().toISOString();
+    await this.savePathHTA(projectId, pathName, htaData);
+  }
+
   async loadPathHTA(projectId, pathName) {
     if (pathName === DEFAULT_PATHS.GENERAL) {
       return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
@@ -3,19 +3,40 @@
  * Orchestrates task selection, scoring, and formatting through specialized modules
  */
 
+import { DependencyGraph } from './dependency-graph.js';
 import { WebContext } from './web-context.js';
 import { FILE_NAMES, DEFAULT_PATHS, TASK_CONFIG, SCORING } from './constants.js';
 import { TaskScorer, TaskSelector, TaskFormatter } from './task-logic/index.js';
 
 // @ts-nocheck
 export class TaskIntelligence {
-  constructor(dataPersistence, projectManagement, llmInterface) {
+  /**
+   * @param {import('./mcp-sampling.js').McpSampling} [sampling] - Lets the connected client write
+   *   the tasks evolveStrategy adds
+   */
+  constructor(dataPersistence, projectManagement, llmInterface, sampling = null) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
     this.webContext = new WebContext(dataPersistence, llmInterface);
+    this.sampling = sampling;
   }
 
-  async getNextTask(contextFromMemory = '', energyLevel = 3, timeAvailable = '30 minutes') {
+  /**
+   * Select the next task
+   * @param {string|Object} [contextFromMemory] - Context from the caller; breakthroughs and life
+   *   changes it mentions evolve the strategy first
+   * @param {number} [energyLevel]
+   * @param {string} [timeAvailable]
+   * @param {Object} [options]
+   * @param {string} [options.recalledContext] - Context read back from the knowledge graph, used
+   *   for scoring when the caller gives none
+   */
+  async getNextTask(
+    contextFromMemory = '',
+    energyLevel = 3,
+    timeAvailable = '30 minutes',
+    { recalledContext = '' } = {}
+  ) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
       const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
@@ -187,7 +208,7 @@ export class TaskIntelligence {
         htaData,
         energyLevel,
         timeAvailable,
-        contextFromMemory,
+        contextFromMemory || recalledContext,
         projectContext,
         config,
         reasoningAnalysis
@@ -227,7 +248,8 @@ export class TaskIntelligence {
         selected_task: selectedTask,
         energy_level: energyLevel,
         time_available: timeAvailable,
-        context_used: contextFromMemory ? 'yes' : 'no',
+        context_used: contextFromMemory ? 'yes' : recalledContext ? 'memory' : 'no',
+        ...(recalledContext && !contextFromMemory ? { recalled_context: recalledContext } : {}),
         project_context: projectContext,
         enhanced_scoring: true, // Flag to indicate enhanced context was used
       };
@@ -338,23 +360,7 @@ export class TaskIntelligence {
   }
 
   getAvailableTasksCount(htaData) {
-    const nodes = htaData.frontierNodes || [];
-    const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
-
-    return nodes.filter(node => {
-      if (node.completed) {
-        return false;
-      }
-
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        return node.prerequisites.every(
-          prereq =>
-            completedNodeIds.includes(prereq) || nodes.some(n => n.title === prereq && n.completed)
-        );
-      }
-
-      return true;
-    }).length;
+    return DependencyGraph.fromHTA(htaData).readyNodes().length;
   }
 
   detectStuckIndicators(htaData, learningHistory) {
@@ -580,6 +586,18 @@ export class TaskIntelligence {
 
     const strategy = analysis.recommendedEvolution;
 
+    // The connected client writes the next tasks when it supports sampling
+    const sampledTasks = await this.generateTasksViaSampling(
+      config,
+      htaData,
+      analysis,
+      taskId,
+      existingTaskTitles
+    );
+    if (sampledTasks.length > 0) {
+      return sampledTasks.slice(0, 5);
+    }
+
     // CRITICAL FIX: If recent breakthroughs OR breakthrough context, escalate to higher complexity
     if (hasRecentBreakthroughs || strategy === 'escalate_after_breakthrough') {
       newTasks.push(
@@ -648,6 +666,62 @@ export class TaskIntelligence {
     return newTasks.slice(0, 5); // Limit to 5 new tasks at a time
   }
 
+  /**
+   * Prompt asking for the next tasks of a project, given the strategy analysis
+   * @param {Object} config - Project configuration
+   * @param {Object} htaData - HTA of the path the tasks are for
+   * @param {Object} analysis - Result of analyzeCurrentStrategy
+   * @returns {string}
+   */
+  buildNextTasksPrompt(config, htaData, analysis) {
+    const currentTasks = (htaData.frontierNodes || []).slice(-30).map(node => ({
+      title: node.title,
+      branch: node.branch,
+      completed: Boolean(node.completed),
+    }));
+    return `Suggest up to 5 next tasks for this goal. Evolution strategy: ${analysis.recommendedEvolution.replace(/_/g, ' ')}.
+
+GOAL: ${config.goal}
+CONTEXT: ${config.context || 'none'}
+PROGRESS: ${analysis.completedTasks}/${analysis.totalTasks} tasks completed, ${analysis.availableTasks} available
+ISSUES: ${analysis.stuckIndicators.join(', ') || 'none'}
+FEEDBACK: ${analysis.userFeedback.original || 'none'} (${analysis.userFeedback.sentiment})
+CURRENT TASKS: ${JSON.stringify(currentTasks)}
+
+Do not repeat current task titles. Group the tasks by the branch they belong to.`;
+  }
+
+  /**
+   * Ask the connected client (MCP sampling) for the next tasks, as generate_hta_tasks arguments
+   * @returns {Promise<Array>} Frontier nodes, or none when sampling is unavailable or failed
+   */
+  async generateTasksViaSampling(config, htaData, analysis, startId, existingTaskTitles) {
+    if (!this.sampling?.isAvailable()) {
+      return [];
+    }
+    const prompt = this.buildNextTasksPrompt(config, htaData, analysis);
+    const args = await this.sampling.requestToolArguments('generate_hta_tasks', prompt, {
+      purpose: 'evolve-strategy',
+    });
+    if (!args) {
+      return [];
+    }
+    return args.branch_tasks
+      .flatMap(branch => branch.tasks.map(task => ({ ...task, branch: branch.branch_name })))
+      .filter(task => !existingTaskTitles.has(task.title))
+      .map((task, index) => ({
+        id: `sampled_${startId + index}`,
+        title: task.title,
+        description: task.description || '',
+        difficulty: task.difficulty || 2,
+        duration: `${task.duration || 30} minutes`,
+        branch: task.branch,
+        prerequisites: task.prerequisites || [],
+        priority: 250,
+        generated: true,
+      }));
+  }
+
   generateExplorationTasks(config, startId) {
     const goal = config.goal || 'learning';
 
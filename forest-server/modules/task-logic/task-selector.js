@@ -3,6 +3,7 @@
  * Handles selection of optimal tasks based on scoring and diversity criteria
  */
 
+import { DependencyGraph } from '../dependency-graph.js';
 import { TaskScorer } from './task-scorer.js';
 
 // Constants used throughout task selection logic to avoid magic numbers
@@ -37,38 +38,16 @@ export class TaskSelector {
     
     const nodes = htaData.frontierNodes || [];
 
-    // Pre-compute completed node IDs as a Set for O(1) lookup
-    const completedNodeIds = new Set(nodes.filter(n => n.completed).map(n => n.id));
-
-    // Create a map for fast node lookup by title (for legacy prerequisite support)
-    const nodesByTitle = new Map();
-    for (const node of nodes) {
-      if (node.completed) {
-        nodesByTitle.set(node.title, node);
-      }
-    }
+    // Prerequisites may name a task by id or, in older trees, by title
+    const graph = DependencyGraph.fromHTA(htaData);
 
     // Filter available tasks (not completed, prerequisites met)
     const availableTasks = [];
     for (const node of nodes) {
-      if (node.completed) {
+      if (!graph.isReady(node)) {
         continue;
       }
 
-      // Check prerequisites efficiently
-      if (node.prerequisites && node.prerequisites.length > 0) {
-        let prerequisitesMet = true;
-        for (const prereq of node.prerequisites) {
-          if (!completedNodeIds.has(prereq) && !nodesByTitle.has(prereq)) {
-            prerequisitesMet = false;
-            break;
-          }
-        }
-        if (!prerequisitesMet) {
-          continue;
-        }
-      }
-
       // Filter by time availability (more than 120% of available time).  This prevents the
       // system from suggesting 20-minute tasks for a 10-minute slot.
       const timeInMinutes = TaskScorer.parseTimeToMinutes(timeAvailable || '30 minutes');
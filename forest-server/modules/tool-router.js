@@ -6,6 +6,7 @@
 import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { getDatedLogPath, writeJsonLine } from './logger-utils.js';
 import { ToolRegistry } from './utils/tool-registry.js';
+import { runWithMcpServer } from './utils/session-context.js';
 import { getForestLogger } from './winston-logger.js';
 
 const logger = getForestLogger({ module: 'ToolRouter' });
@@ -120,7 +121,23 @@ export class ToolRouter {
 
     try {
       // Execute the tool using registry - MUCH cleaner!
-      const result = await this.toolRegistry.execute(toolName, args);
+      // Every document the tool writes commits (or rolls back) as one transaction, together
+      // with the record of who made the change
+      const dataPersistence = this.forestServer?.dataPersistence;
+      const projectMembers = this.forestServer?.projectMembers;
+      const execute = () => this.toolRegistry.execute(toolName, args);
+      const transactional = () =>
+        dataPersistence?.runInTransaction
+          ? dataPersistence.runInTransaction(async transaction => {
+              const toolResult = await execute();
+              await projectMembers?.recordActivity(toolName, transaction);
+              return toolResult;
+            }, toolName)
+          : execute();
+      // Project members' roles are checked before the tool runs, in the root the project lives in
+      const result = projectMembers
+        ? await projectMembers.runToolCall(toolName, args, transactional)
+        : await transactional();
       return result;
     } catch (e) {
       if (isTerminal) {
@@ -166,6 +183,30 @@ export class ToolRouter {
       () => this.forestServer.getActiveProject(),
       'project'
     );
+    this.toolRegistry.register(
+      'share_project',
+      args =>
+        this.forestServer.shareProject({
+          projectId: args.project_id || null,
+          userId: args.user_id,
+          role: args.role || 'editor',
+        }),
+      'project'
+    );
+    this.toolRegistry.register(
+      'remove_project_member',
+      args =>
+        this.forestServer.removeProjectMember({
+          projectId: args.project_id || null,
+          userId: args.user_id,
+        }),
+      'project'
+    );
+    this.toolRegistry.register(
+      'list_project_members',
+      args => this.forestServer.listProjectMembers({ projectId: args.project_id || null }),
+      'project'
+    );
 
     // HTA Tree Tools
     this.toolRegistry.register(
@@ -178,7 +219,166 @@ export class ToolRouter {
         ),
       'hta'
     );
-    this.toolRegistry.register('get_hta_status', () => this.forestServer.getHTAStatus(), 'hta');
+    this.toolRegistry.register(
+      'get_hta_status',
+      args => this.forestServer.getHTAStatus(args.member || null),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'get_critical_path',
+      args => this.forestServer.getCriticalPath({ dailyMinutes: args.daily_minutes }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'export_hta',
+      args =>
+        this.forestServer.exportHta({
+          format: args.format,
+          branch: args.branch || null,
+          depth: args.depth ?? null,
+          outputPath: args.output_path || null,
+        }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'import_hta',
+      args =>
+        this.forestServer.importHta({
+          filePath: args.file_path || null,
+          content: args.content ?? null,
+          format: args.format || null,
+          preview: args.preview || false,
+        }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'add_recurring_task',
+      args =>
+        this.forestServer.addRecurringTask({
+          title: args.title,
+          recurrence: args.recurrence,
+          branch: args.branch,
+          duration: args.duration,
+          description: args.description,
+          difficulty: args.difficulty,
+          priority: args.priority,
+          startDate: args.start_date || null,
+        }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'add_node',
+      args =>
+        this.forestServer.addNode({
+          title: args.title,
+          branch: args.branch,
+          description: args.description,
+          difficulty: args.difficulty,
+          priority: args.priority,
+          duration: args.duration,
+          prerequisites: args.prerequisites,
+          position: args.position,
+        }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'update_node',
+      args =>
+        this.forestServer.updateNode({
+          nodeId: args.node_id,
+          title: args.title,
+          description: args.description,
+          difficulty: args.difficulty,
+          priority: args.priority,
+          duration: args.duration,
+          prerequisites: args.prerequisites,
+        }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'move_node',
+      args =>
+        this.forestServer.moveNode({
+          nodeId: args.node_id,
+          parentId: args.parent_id,
+          position: args.position,
+        }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'split_node',
+      args =>
+        this.forestServer.splitNode({
+          nodeId: args.node_id,
+          subtasks: args.subtasks,
+          sequential: args.sequential !== false,
+        }),
+      'hta'
+    );
+    this.toolRegistry.register(
+      'delete_node',
+      args =>
+        this.forestServer.deleteNode({ nodeId: args.node_id, cascade: args.cascade === true }),
+      'hta'
+    );
+
+    // Snapshot Tools
+    this.toolRegistry.register(
+      'list_snapshots',
+      args =>
+        this.forestServer.listSnapshots({
+          projectId: args.project_id,
+          pathName: args.path_name || null,
+          file: args.file || null,
+        }),
+      'snapshots'
+    );
+    this.toolRegistry.register(
+      'diff_snapshot',
+      args =>
+        this.forestServer.diffSnapshot({
+          projectId: args.project_id,
+          pathName: args.path_name || null,
+          file: args.file,
+          timestamp: args.timestamp,
+        }),
+      'snapshots'
+    );
+    this.toolRegistry.register(
+      'restore_snapshot',
+      args =>
+        this.forestServer.restoreSnapshot({
+          projectId: args.project_id,
+          pathName: args.path_name || null,
+          file: args.file || null,
+          timestamp: args.timestamp,
+          dryRun: args.dry_run || false,
+        }),
+      'snapshots'
+    );
+
+    // Export / Import Tools
+    this.toolRegistry.register(
+      'export_project',
+      args =>
+        this.forestServer.exportProject({
+          projectId: args.project_id,
+          outputPath: args.output_path || null,
+        }),
+      'project'
+    );
+    this.toolRegistry.register(
+      'import_project',
+      args =>
+        this.forestServer.importProject({
+          bundlePath: args.bundle_path,
+          projectId: args.project_id || null,
+          merge: args.merge || false,
+          overwrite: args.overwrite || false,
+          dryRun: args.dry_run || false,
+        }),
+      'project'
+    );
 
     // Scheduling Tools
     this.toolRegistry.register(
@@ -199,6 +399,27 @@ export class ToolRouter {
         this.forestServer.generateIntegratedSchedule(args.date || null, args.energy_level || 3),
       'scheduling'
     );
+    this.toolRegistry.register(
+      'reschedule_day',
+      args =>
+        this.forestServer.rescheduleDay({
+          date: args.date || null,
+          overrunMinutes: args.overrun_minutes ?? 0,
+          carryOver: args.carry_over ?? true,
+        }),
+      'scheduling'
+    );
+    this.toolRegistry.register(
+      'generate_week_plan',
+      args =>
+        this.forestServer.generateWeekPlan({
+          startDate: args.start_date || null,
+          days: args.days,
+          slackPercent: args.slack_percent,
+          rebalance: args.rebalance ?? false,
+        }),
+      'scheduling'
+    );
 
     // Task Management Tools
     this.toolRegistry.register(
@@ -213,7 +434,16 @@ export class ToolRouter {
     );
     this.toolRegistry.register(
       'complete_block',
-      args => this.forestServer.completeBlock(args),
+      args =>
+        this.forestServer.completeBlock({
+          blockId: args.block_id,
+          outcome: args.outcome,
+          learned: args.learned,
+          nextQuestions: args.next_questions,
+          energyLevel: args.energy_level,
+          difficultyRating: args.difficulty_rating,
+          breakthrough: args.breakthrough,
+        }),
       'tasks'
     );
     this.toolRegistry.register(
@@ -286,19 +516,52 @@ export class ToolRouter {
       () => this.forestServer.analyzeIdentityTransformation(),
       'analytics'
     );
-    this.toolRegistry.register('review_week', () => this.forestServer.reviewPeriod(7), 'analytics');
+    this.toolRegistry.register(
+      'review_week',
+      args => this.forestServer.reviewPeriod(7, args.member || null),
+      'analytics'
+    );
     this.toolRegistry.register(
       'review_month',
-      () => this.forestServer.reviewPeriod(30),
+      args => this.forestServer.reviewPeriod(30, args.member || null),
       'analytics'
     );
 
+    // Proactive Insight & Archive Tools
+    this.toolRegistry.register(
+      'get_proactive_insights',
+      args => this.forestServer.getProactiveInsights(args.days || 7),
+      'proactive'
+    );
+    this.toolRegistry.register(
+      'get_archive_status',
+      () => this.forestServer.getArchiveStatus(),
+      'archive'
+    );
+
     // Export Tools
     this.toolRegistry.register(
       'generate_tiimo_export',
       args => this.forestServer.generateTiimoExport(args.include_breaks ?? true),
       'export'
     );
+    this.toolRegistry.register(
+      'export_schedule_ics',
+      args =>
+        this.forestServer.exportScheduleIcs({
+          projectId: args.project_id || null,
+          startDate: args.start_date || null,
+          endDate: args.end_date || null,
+          includeBreaks: args.include_breaks ?? true,
+          outputPath: args.output_path || null,
+        }),
+      'export'
+    );
+    this.toolRegistry.register(
+      'import_calendar_ics',
+      args => this.forestServer.importCalendarIcs({ filePath: args.file_path }),
+      'scheduling'
+    );
 
     // Memory Integration Tools
     this.toolRegistry.register(
@@ -319,6 +582,41 @@ export class ToolRouter {
       () => this.forestServer.listLearningPaths(),
       'learning'
     );
+    this.toolRegistry.register(
+      'add_learning_path',
+      args =>
+        this.forestServer.addLearningPath({
+          pathName: args.path_name,
+          interests: args.interests || [],
+          priority: args.priority || 'medium',
+          weeklyHours: args.weekly_hours ?? null,
+        }),
+      'learning'
+    );
+    this.toolRegistry.register(
+      'rename_learning_path',
+      args =>
+        this.forestServer.renameLearningPath({ pathName: args.path_name, newName: args.new_name }),
+      'learning'
+    );
+    this.toolRegistry.register(
+      'remove_learning_path',
+      args =>
+        this.forestServer.removeLearningPath({
+          pathName: args.path_name,
+          deleteFiles: args.delete_files === true,
+        }),
+      'learning'
+    );
+    this.toolRegistry.register(
+      'allocate_path_time',
+      args =>
+        this.forestServer.allocatePathTime({
+          pathName: args.path_name,
+          weeklyHours: args.weekly_hours ?? null,
+        }),
+      'learning'
+    );
 
     // Debug Tools
     this.toolRegistry.register(
@@ -387,7 +685,11 @@ export class ToolRouter {
     );
   }
 
-  setupRouter() {
+  /**
+   * Install the tool-call handler on an MCP server
+   * @param {Object} [server] - Server to route for; HTTP client sessions pass their own instance
+   */
+  setupRouter(server = this.server) {
     const isTerminal = process.stdin.isTTY;
           logger.event('TOOL_ROUTER_SETUP_START');
 
@@ -396,7 +698,7 @@ export class ToolRouter {
       }
 
       logger.event('SETTING_CALL_TOOL_HANDLER');
-      this.server.setRequestHandler(CallToolRequestSchema, async request => {
+      server.setRequestHandler(CallToolRequestSchema, async request => {
         logger.event('CALL_TOOL_REQUEST_RECEIVED', { tool: request.params.name });
       const { name: toolName, arguments: args } = request.params;
 
@@ -409,7 +711,10 @@ export class ToolRouter {
           logger.event('DISPATCHING_TOOL', { tool: toolName });
           const timerLabel = `TOOL_DISPATCH_${toolName}`;
           logger.startTimer(timerLabel);
-          const originalResult = await this.dispatchTool(toolName, args);
+        // Tools may ask this client for completions (MCP sampling) while they run
+        const originalResult = await runWithMcpServer(server, () =>
+          this.dispatchTool(toolName, args)
+        );
           logger.endTimer(timerLabel, { tool: toolName });
           logger.event('TOOL_DISPATCH_COMPLETE', { tool: toolName });
 
@@ -4,12 +4,16 @@ import { jest } from '@jest/globals';
 const mockReadFile = jest.fn();
 const mockWriteFile = jest.fn();
 const mockAccess = jest.fn();
+const mockRename = jest.fn();
+const mockUnlink = jest.fn();
 
 jest.unstable_mockModule('fs/promises', () => ({
   default: {
     readFile: mockReadFile,
     writeFile: mockWriteFile,
     access: mockAccess,
+    rename: mockRename,
+    unlink: mockUnlink,
   },
 }));
 
@@ -110,10 +114,29 @@ describe('FileSystem Utility', () => {
       const mockData = { key: 'value', number: 42 };
       const expectedJSON = JSON.stringify(mockData, null, 2);
       mockWriteFile.mockResolvedValue(undefined);
+      mockRename.mockResolvedValue(undefined);
 
       await FileSystem.writeJSON('output.json', mockData);
 
-      expect(mockWriteFile).toHaveBeenCalledWith('output.json', expectedJSON, 'utf8');
+      const tempPath = mockWriteFile.mock.calls[0][0];
+      expect(tempPath).toMatch(/^output\.json\..+\.tmp$/);
+      expect(mockWriteFile).toHaveBeenCalledWith(tempPath, expectedJSON, {
+        encoding: 'utf8',
+        flush: true,
+      });
+      expect(mockRename).toHaveBeenCalledWith(tempPath, 'output.json');
+    });
+
+    test('should leave the original file untouched when the temp write fails', async () => {
+      mockWriteFile.mockRejectedValue(new Error('No space left on device'));
+      mockUnlink.mockResolvedValue(undefined);
+
+      await expect(FileSystem.writeJSON('output.json', { key: 'value' })).rejects.toThrow(
+        'Failed to write file output.json: No space left on device'
+      );
+
+      expect(mockRename).not.toHaveBeenCalled();
+      expect(mockUnlink).toHaveBeenCalledWith(mockWriteFile.mock.calls[0][0]);
     });
 
     test('should throw error when serialization fails', async () => {
@@ -0,0 +1,73 @@
+/**
+ * JSON Schema Utility Tests
+ * Tests request validation against tool input schemas and query-string coercion
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { coerceQueryParams, validateSchema } from '../json-schema.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    project_id: { type: 'string' },
+    energy_level: { type: 'number', minimum: 1, maximum: 5 },
+    focus_type: { type: 'string', enum: ['learning', 'mixed'] },
+    focus_areas: { type: 'array', items: { type: 'string' } },
+    preferences: {
+      type: 'object',
+      properties: { wake_time: { type: 'string' } },
+      required: ['wake_time'],
+    },
+  },
+  required: ['project_id'],
+};
+
+describe('validateSchema', () => {
+  test('accepts values that match the schema', () => {
+    expect(
+      validateSchema(schema, {
+        project_id: 'alpha',
+        energy_level: 3,
+        focus_areas: ['scales'],
+        preferences: { wake_time: '7:00' },
+        unknown: true,
+      })
+    ).toEqual([]);
+  });
+
+  test('reports every problem with its path', () => {
+    expect(
+      validateSchema(schema, {
+        energy_level: 9,
+        focus_type: 'sleeping',
+        focus_areas: ['scales', 4],
+        preferences: {},
+      })
+    ).toEqual([
+      { path: 'project_id', message: 'is required' },
+      { path: 'energy_level', message: 'must be at most 5' },
+      { path: 'focus_type', message: 'expected one of: learning, mixed' },
+      { path: 'focus_areas[1]', message: 'expected string, got integer' },
+      { path: 'preferences.wake_time', message: 'is required' },
+    ]);
+    expect(validateSchema(schema, [])).toEqual([
+      { path: '', message: 'expected object, got array' },
+    ]);
+    expect(
+      validateSchema({ ...schema, additionalProperties: false }, { project_id: 'a', extra: 1 })
+    ).toEqual([{ path: 'extra', message: 'is not a known field' }]);
+  });
+});
+
+describe('coerceQueryParams', () => {
+  test('converts query strings to the declared types', () => {
+    expect(
+      coerceQueryParams(schema, {
+        energy_level: '4',
+        focus_areas: 'scales, chords',
+        project_id: '42',
+      })
+    ).toEqual({ energy_level: 4, focus_areas: ['scales', 'chords'], project_id: '42' });
+    expect(coerceQueryParams(schema, { energy_level: 'high' })).toEqual({ energy_level: 'high' });
+  });
+});
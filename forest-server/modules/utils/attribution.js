@@ -0,0 +1,65 @@
+/**
+ * Attribution Utility
+ * Records which project member created, edited and completed each HTA node, so shared projects
+ * show who did what and reports can be narrowed to one member.
+ */
+
+const ATTRIBUTION_FIELDS = ['createdBy', 'updatedBy', 'updatedAt', 'completedBy'];
+
+function withoutAttribution(node) {
+  const rest = { ...node };
+  for (const field of ATTRIBUTION_FIELDS) {
+    delete rest[field];
+  }
+  return JSON.stringify(rest);
+}
+
+/**
+ * Stamp the frontier nodes of an HTA document being saved with the member responsible for each
+ * change since the stored version. Nodes that did not change keep their attribution.
+ * @param {Object|null} previous - HTA document as currently stored
+ * @param {Object} next - HTA document about to be saved
+ * @param {string} userId - Member making the change
+ * @param {string} [at] - ISO timestamp of the change
+ * @returns {Object} `next`, with attributed copies of new, edited and newly completed nodes
+ */
+export function attributeHtaChanges(previous, next, userId, at = new Date().toISOString()) {
+  if (!Array.isArray(next?.frontierNodes)) {
+    return next;
+  }
+  const before = new Map((previous?.frontierNodes || []).map(node => [node.id, node]));
+
+  const frontierNodes = next.frontierNodes.map(node => {
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+    const old = before.get(node.id);
+    if (!old) {
+      return {
+        ...node,
+        createdBy: node.createdBy || userId,
+        ...(node.completed && !node.completedBy ? { completedBy: userId } : {}),
+      };
+    }
+    if (withoutAttribution(old) === withoutAttribution(node)) {
+      return node;
+    }
+    return {
+      ...node,
+      updatedBy: userId,
+      updatedAt: at,
+      ...(node.completed && !old.completed ? { completedBy: node.completedBy || userId } : {}),
+    };
+  });
+  return { ...next, frontierNodes };
+}
+
+/**
+ * Whether a member created, last edited or completed an HTA node
+ * @param {Object} node - Frontier node
+ * @param {string} member - User id
+ * @returns {boolean}
+ */
+export function attributedTo(node, member) {
+  return [node.createdBy, node.updatedBy, node.completedBy].includes(member);
+}
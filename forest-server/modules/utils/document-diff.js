@@ -0,0 +1,67 @@
+/**
+ * Document Diff Utility
+ * Structural comparison of two JSON documents, used to preview snapshot restores
+ */
+
+/**
+ * Arrays whose items all carry an `id` are matched by id rather than position,
+ * so reordering HTA frontier nodes does not show up as a wall of changes.
+ * @param {any[]} items - Array to inspect
+ * @returns {boolean}
+ */
+function isKeyedArray(items) {
+  return items.length > 0 && items.every(item => item && typeof item === 'object' && 'id' in item);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function childPath(parent, segment) {
+  return parent ? `${parent}.${segment}` : segment;
+}
+
+/**
+ * List the differences between two JSON documents
+ * @param {any} before - Earlier version
+ * @param {any} after - Later version
+ * @param {string} [path=''] - Path prefix for reported changes
+ * @returns {Array<{path: string, change: 'added'|'removed'|'changed', before?: any, after?: any}>}
+ */
+export function diffDocuments(before, after, path = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  if (before === undefined) {
+    return [{ path, change: 'added', after }];
+  }
+  if (after === undefined) {
+    return [{ path, change: 'removed', before }];
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (isKeyedArray(before) && isKeyedArray(after)) {
+      const beforeById = new Map(before.map(item => [String(item.id), item]));
+      const afterById = new Map(after.map(item => [String(item.id), item]));
+      const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+      return [...ids].flatMap(id =>
+        diffDocuments(beforeById.get(id), afterById.get(id), `${path}[id=${id}]`)
+      );
+    }
+
+    const length = Math.max(before.length, after.length);
+    const changes = [];
+    for (let i = 0; i < length; i++) {
+      changes.push(...diffDocuments(before[i], after[i], `${path}[${i}]`));
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => diffDocuments(before[key], after[key], childPath(path, key)));
+  }
+
+  return [{ path, change: 'changed', before, after }];
+}
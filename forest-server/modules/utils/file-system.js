@@ -6,6 +6,9 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { randomBytes } from 'crypto';
+
+const TEMP_SUFFIX = '.tmp';
 
 export class FileSystem {
   /**
@@ -37,6 +40,68 @@ export class FileSystem {
     }
   }
 
+  /**
+   * Write data to file atomically: the data is flushed to a sibling temp file which is then
+   * renamed over the target, so readers (and a crash) see either the old or the new contents
+   * @param {string} filePath - Absolute or relative path to file
+   * @param {string} data - Data to write to file
+   * @returns {Promise<void>}
+   * @throws {Error} If file cannot be written
+   */
+  static async writeFileAtomic(filePath, data) {
+    const tempPath = FileSystem.tempPathFor(filePath);
+    try {
+      await fs.writeFile(tempPath, data, { encoding: 'utf8', flush: true });
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw new Error(`Failed to write file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a file only if it does not already exist (O_EXCL), e.g. for lock files
+   * @param {string} filePath - Absolute or relative path to file
+   * @param {string} data - Data to write to file
+   * @returns {Promise<boolean>} True if the file was created, false if it already existed
+   * @throws {Error} If file cannot be written for any other reason
+   */
+  static async writeFileExclusive(filePath, data) {
+    try {
+      await fs.writeFile(filePath, data, { encoding: 'utf8', flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw new Error(`Failed to write file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a unique temp file path next to the target so the final rename stays on one volume
+   * @param {string} filePath - Target file path
+   * @returns {string} Temp file path
+   */
+  static tempPathFor(filePath) {
+    return `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+  }
+
+  /**
+   * Rename (move) a file, replacing the destination if it exists
+   * @param {string} sourcePath - Current file path
+   * @param {string} destPath - New file path
+   * @returns {Promise<void>}
+   * @throws {Error} If file cannot be renamed
+   */
+  static async rename(sourcePath, destPath) {
+    try {
+      await fs.rename(sourcePath, destPath);
+    } catch (error) {
+      throw new Error(`Failed to rename ${sourcePath} to ${destPath}: ${error.message}`);
+    }
+  }
+
   /**
    * Append data to file as UTF-8 string
    * @param {string} filePath - Absolute or relative path to file
@@ -94,6 +159,23 @@ export class FileSystem {
     }
   }
 
+  /**
+   * Remove a directory if it is empty
+   * @param {string} dirPath - Absolute or relative path to directory
+   * @returns {Promise<boolean>} False when the directory is missing or not empty
+   */
+  static async removeEmptyDir(dirPath) {
+    try {
+      await fs.rmdir(dirPath);
+      return true;
+    } catch (error) {
+      if (['ENOENT', 'ENOTEMPTY', 'EEXIST'].includes(error.code)) {
+        return false;
+      }
+      throw new Error(`Failed to remove directory ${dirPath}: ${error.message}`);
+    }
+  }
+
   /**
    * List contents of a directory
    * @param {string} dirPath - Absolute or relative path to directory
@@ -156,7 +238,8 @@ export class FileSystem {
   }
 
   /**
-   * Write object to file as formatted JSON
+   * Write object to file as formatted JSON.
+   * Writes are atomic (temp file + rename) so a crash never leaves a truncated document.
    * @param {string} filePath - Path to JSON file
    * @param {any} data - Object to serialize as JSON
    * @param {number} spaces - Number of spaces for JSON formatting (default: 2)
@@ -166,7 +249,7 @@ export class FileSystem {
   static async writeJSON(filePath, data, spaces = 2) {
     try {
       const jsonString = JSON.stringify(data, null, spaces);
-      await FileSystem.writeFile(filePath, jsonString);
+      await FileSystem.writeFileAtomic(filePath, jsonString);
     } catch (error) {
       if (error.message.includes('Failed to write file')) {
         throw error; // Re-throw file write errors as-is
@@ -232,4 +315,50 @@ export class FileSystem {
   static resolve(...segments) {
     return path.resolve(...segments);
   }
+
+  /**
+   * Path of a file relative to a directory
+   * @param {string} from - Directory path
+   * @param {string} to - File path
+   * @returns {string} Relative path
+   */
+  static relative(from, to) {
+    return path.relative(from, to);
+  }
+
+  /**
+   * Whether a path is absolute
+   * @param {string} filePath - File path
+   * @returns {boolean}
+   */
+  static isAbsolute(filePath) {
+    return path.isAbsolute(filePath);
+  }
+
+  /**
+   * Whether a path is a directory or lies inside it
+   * @param {string} dirPath - Absolute directory path
+   * @param {string} filePath - Absolute path to test
+   * @returns {boolean}
+   */
+  static isWithin(dirPath, filePath) {
+    const relative = path.relative(dirPath, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Resolve a path through any symbolic links. Parts of the path that do not exist yet are
+   * appended to the real path of the deepest part that does.
+   * @param {string} filePath - Absolute path
+   * @returns {Promise<string>} Real path
+   */
+  static async realpath(filePath) {
+    const missing = [];
+    let existing = filePath;
+    while (!(await FileSystem.exists(existing)) && path.dirname(existing) !== existing) {
+      missing.unshift(path.basename(existing));
+      existing = path.dirname(existing);
+    }
+    return path.join(await fs.realpath(existing), ...missing);
+  }
 }
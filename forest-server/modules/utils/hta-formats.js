@@ -0,0 +1,511 @@
+/**
+ * HTA Formats Utility
+ * Renders an HTA outline - the goal, its branches and sub-branches, and their tasks - as a Mermaid
+ * mindmap or flowchart, a Graphviz DOT graph or an OPML outline, and reads outlines back from
+ * markdown lists, OPML and CSV. Each outline item is
+ * { kind: 'goal'|'branch'|'task', id, title, description, status, recurrence, node, children },
+ * where status is 'done', 'ready' or 'blocked' for tasks.
+ */
+
+// Fill and border colours of tasks by status, and of branches
+const COLORS = {
+  done: { fill: '#c8e6c9', stroke: '#2e7d32' },
+  ready: { fill: '#fff9c4', stroke: '#f9a825' },
+  blocked: { fill: '#eeeeee', stroke: '#9e9e9e' },
+  branch: { fill: '#e3f2fd', stroke: '#1565c0' },
+};
+const PREREQUISITE_COLOR = '#1565c0';
+const INDENT = '  ';
+
+/**
+ * Every item of an outline, parents before their children
+ * @param {Object} item
+ * @returns {Array<Object>}
+ */
+export function flattenOutline(item) {
+  return [item, ...item.children.flatMap(flattenOutline)];
+}
+
+/**
+ * The text shown for an item: completed tasks are ticked and recurring ones say how often
+ * @private
+ */
+function labelOf(item) {
+  const done = item.status === 'done' ? '✅ ' : '';
+  const repeats = item.recurrence ? ` (${item.recurrence})` : '';
+  return `${done}${item.title}${repeats}`;
+}
+
+/**
+ * Give each item an id Mermaid accepts, unique within the diagram
+ * @private
+ */
+function mermaidIds(items) {
+  const ids = new Map();
+  const taken = new Set();
+  for (const item of items) {
+    const prefix = { goal: 'goal', branch: 'b_', task: 't_' }[item.kind];
+    const base = item.kind === 'goal' ? prefix : `${prefix}${item.id.replace(/[^\w]/g, '_')}`;
+    let id = base;
+    for (let suffix = 2; taken.has(id); suffix++) {
+      id = `${base}_${suffix}`;
+    }
+    taken.add(id);
+    ids.set(item, id);
+  }
+  return ids;
+}
+
+/**
+ * A Mermaid mindmap, one node per outline item
+ * @param {Object} outline - Root item
+ * @returns {string}
+ */
+export function renderMermaidMindmap(outline) {
+  const ids = mermaidIds(flattenOutline(outline));
+  // Markdown strings keep brackets and parentheses in titles from being read as node shapes
+  const text = item => labelOf(item).replace(/[`"]/g, "'");
+  const lines = ['mindmap'];
+  const visit = (item, level) => {
+    const shape = item === outline ? `((\`${text(item)}\`))` : `["\`${text(item)}\`"]`;
+    lines.push(`${INDENT.repeat(level)}${ids.get(item)}${shape}`);
+    item.children.forEach(child => visit(child, level + 1));
+  };
+  visit(outline, 1);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * A Mermaid flowchart: solid arrows lead from each item to what it contains, dotted ones from a
+ * prerequisite to the task waiting for it, and tasks are coloured by status
+ * @param {Object} outline - Root item
+ * @param {Array<[Object, Object]>} prerequisites - Pairs of [prerequisite, task] outline items
+ * @returns {string}
+ */
+export function renderMermaidFlowchart(outline, prerequisites = []) {
+  const items = flattenOutline(outline);
+  const ids = mermaidIds(items);
+  const text = item => labelOf(item).replace(/"/g, '#quot;');
+  const lines = ['flowchart TD'];
+
+  for (const item of items) {
+    const shape = item === outline ? `(["${text(item)}"])` : `["${text(item)}"]`;
+    lines.push(`${INDENT}${ids.get(item)}${shape}`);
+  }
+  for (const item of items) {
+    for (const child of item.children) {
+      lines.push(`${INDENT}${ids.get(item)} --> ${ids.get(child)}`);
+    }
+  }
+  for (const [prereq, task] of prerequisites) {
+    lines.push(`${INDENT}${ids.get(prereq)} -.-> ${ids.get(task)}`);
+  }
+
+  for (const [name, color] of Object.entries(COLORS)) {
+    const members = items.filter(
+      item => (item.kind === 'branch' ? 'branch' : item.status) === name
+    );
+    if (members.length > 0) {
+      lines.push(`${INDENT}classDef ${name} fill:${color.fill},stroke:${color.stroke}`);
+      lines.push(`${INDENT}class ${members.map(item => ids.get(item)).join(',')} ${name}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * A quoted DOT string
+ * @private
+ */
+function dotString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * A Graphviz DOT digraph: the hierarchy as solid edges, prerequisites as dashed blue edges, and
+ * tasks filled green when done, yellow when ready and grey while blocked
+ * @param {Object} outline - Root item
+ * @param {Array<[Object, Object]>} prerequisites - Pairs of [prerequisite, task] outline items
+ * @returns {string}
+ */
+export function renderDot(outline, prerequisites = []) {
+  const items = flattenOutline(outline);
+  const key = item => dotString(item.kind === 'task' ? item.id : `${item.kind}:${item.id}`);
+  const lines = [
+    'digraph hta {',
+    `${INDENT}rankdir=LR;`,
+    `${INDENT}node [shape=box, style="rounded,filled", fontname="Helvetica"];`,
+  ];
+
+  for (const item of items) {
+    const attributes = [`label=${dotString(labelOf(item))}`];
+    if (item.kind === 'task') {
+      const color = COLORS[item.status];
+      attributes.push(`fillcolor=${dotString(color.fill)}`, `color=${dotString(color.stroke)}`);
+    } else {
+      attributes.push(
+        `shape=${item.kind === 'goal' ? 'ellipse' : 'folder'}`,
+        `fillcolor=${dotString(COLORS.branch.fill)}`,
+        `color=${dotString(COLORS.branch.stroke)}`
+      );
+    }
+    lines.push(`${INDENT}${key(item)} [${attributes.join(', ')}];`);
+  }
+  for (const item of items) {
+    for (const child of item.children) {
+      lines.push(`${INDENT}${key(item)} -> ${key(child)};`);
+    }
+  }
+  for (const [prereq, task] of prerequisites) {
+    lines.push(
+      `${INDENT}${key(prereq)} -> ${key(task)} [style=dashed, color=${dotString(PREREQUISITE_COLOR)}, constraint=false];`
+    );
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape an XML attribute value, keeping line breaks
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '&#10;');
+}
+
+/**
+ * An OPML 2.0 outline. Branches and tasks keep their ids, and tasks their duration, difficulty,
+ * prerequisites, completion and recurrence rule, as extra attributes; descriptions go in _note,
+ * which outliners show as the item's note.
+ * @param {Object} outline - Root item; its title becomes the document title
+ * @param {Date} [created=new Date()]
+ * @returns {string}
+ */
+export function renderOpml(outline, created = new Date()) {
+  const attributesOf = item => {
+    const { node } = item;
+    const attributes = { text: item.title, type: item.kind, id: item.id };
+    if (item.kind === 'task') {
+      Object.assign(attributes, {
+        duration: node.duration,
+        difficulty: node.difficulty,
+        prerequisites: (node.prerequisites || []).join(', ') || undefined,
+        completed: node.completed ? 'true' : undefined,
+        recurrence: node.recurrence?.rule,
+      });
+    }
+    attributes._note = item.description || undefined;
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+      .join(' ');
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    `${INDENT}<head>`,
+    `${INDENT.repeat(2)}<title>${escapeXml(outline.title)}</title>`,
+    `${INDENT.repeat(2)}<dateCreated>${created.toUTCString()}</dateCreated>`,
+    `${INDENT}</head>`,
+    `${INDENT}<body>`,
+  ];
+  const visit = (item, level) => {
+    const open = `${INDENT.repeat(level)}<outline ${attributesOf(item)}`;
+    if (item.children.length === 0) {
+      lines.push(`${open}/>`);
+      return;
+    }
+    lines.push(`${open}>`);
+    item.children.forEach(child => visit(child, level + 1));
+    lines.push(`${INDENT.repeat(level)}</outline>`);
+  };
+  // The goal is the document itself; its branches are the top-level outlines
+  const top = outline.kind === 'goal' ? outline.children : [outline];
+  top.forEach(item => visit(item, 2));
+  lines.push(`${INDENT}</body>`, '</opml>');
+  return `${lines.join('\n')}\n`;
+}
+
+// Reading outlines back in. Parsed items have the same shape, with a task's duration, difficulty
+// and prerequisites as written and the line they came from where the format has lines.
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+// List items nest below every heading level
+const LIST_LEVEL_BASE = 10;
+const TAB_WIDTH = 4;
+const DURATION_SEGMENT = /^\d+(?:\.\d+)?\s*(?:m|mins?|minutes?|h|hrs?|hours?)$/i;
+const DIFFICULTY_SEGMENT = /^difficulty\s*:?\s*(\S+)$/i;
+const PREREQUISITES_SEGMENT = /^(?:after|prerequisites?)\s*:?\s+(.+)$/i;
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Split a list of prerequisites written with commas or semicolons between them
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+export function splitPrerequisites(value) {
+  return String(value || '')
+    .split(/[;,]/)
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function parsedItem(title, line, fields = {}) {
+  return {
+    kind: null,
+    title: title.trim(),
+    description: '',
+    duration: null,
+    difficulty: null,
+    prerequisites: [],
+    line,
+    children: [],
+    ...fields,
+  };
+}
+
+/**
+ * Items with children are branches and the rest tasks, unless the format said which
+ * @private
+ */
+function classify(item) {
+  item.children.forEach(classify);
+  item.kind = item.kind || (item.children.length > 0 ? 'branch' : 'task');
+  return item;
+}
+
+/**
+ * Read a markdown outline. Headings and list items that have items under them are branches, the
+ * other list items tasks; a single leading level-one heading is the outline's title. A task may
+ * carry " | "-separated details after its title - a duration ("30 min", "1.5 hours"),
+ * "difficulty 3" and "after Task A, Task B" - and any other text becomes its description, as do
+ * plain lines under an item.
+ * @param {string} text
+ * @returns {Object} Root outline item
+ */
+export function parseMarkdownOutline(text) {
+  const lines = String(text).split(/\r?\n/);
+  const root = parsedItem('', 0, { kind: 'goal' });
+  const headings = lines.filter(line => HEADING_PATTERN.test(line));
+  const titled = headings.filter(line => line.startsWith('# ')).length === 1;
+  const stack = [];
+  let last = root;
+
+  lines.forEach((raw, index) => {
+    const line = raw.replace(/\t/g, ' '.repeat(TAB_WIDTH));
+    const heading = line.match(HEADING_PATTERN);
+    const listItem = !heading && line.match(LIST_ITEM_PATTERN);
+    if (!heading && !listItem) {
+      if (line.trim()) {
+        last.description = [last.description, line.trim()].filter(Boolean).join('\n');
+      }
+      return;
+    }
+
+    if (heading && titled && heading[1].length === 1 && last === root && !root.title) {
+      root.title = heading[2].trim();
+      return;
+    }
+    const level = heading ? heading[1].length : LIST_LEVEL_BASE + listItem[1].length;
+    const [title, ...segments] = (heading ? heading[2] : listItem[2]).split(' | ');
+    const item = parsedItem(title, index + 1, heading ? { kind: 'branch' } : {});
+    const notes = [];
+    for (const segment of segments.map(entry => entry.trim())) {
+      if (DURATION_SEGMENT.test(segment)) {
+        item.duration = segment;
+      } else if (DIFFICULTY_SEGMENT.test(segment)) {
+        item.difficulty = segment.match(DIFFICULTY_SEGMENT)[1];
+      } else if (PREREQUISITES_SEGMENT.test(segment)) {
+        item.prerequisites = splitPrerequisites(segment.match(PREREQUISITES_SEGMENT)[1]);
+      } else if (segment) {
+        notes.push(segment);
+      }
+    }
+    item.description = notes.join(' | ');
+
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].item : root).children.push(item);
+    stack.push({ level, item });
+    last = item;
+  });
+
+  return classify(root);
+}
+
+/**
+ * Undo escapeXml, and any other character reference
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeXml(value) {
+  return String(value).replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code =
+        name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+/**
+ * Read an OPML outline, including the extra attributes renderOpml writes: type, id, duration,
+ * difficulty, prerequisites and _note. Prerequisites that name another outline's id are turned
+ * into its title, since imported tasks get new ids.
+ * @param {string} text
+ * @returns {Object} Root outline item
+ */
+export function parseOpml(text) {
+  const source = String(text);
+  const title = source.match(/<title>([\s\S]*?)<\/title>/i);
+  const root = parsedItem(title ? unescapeXml(title[1]) : '', null, { kind: 'goal' });
+  const stack = [root];
+  const byId = new Map();
+
+  for (const [tag, attributeText = '', selfClosing] of source.matchAll(
+    /<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi
+  )) {
+    if (tag.startsWith('</')) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      continue;
+    }
+    const attributes = {};
+    for (const [, name, double, single] of attributeText.matchAll(
+      /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+    )) {
+      attributes[name] = unescapeXml(double ?? single);
+    }
+    const item = parsedItem(attributes.text || attributes.title || '', null, {
+      kind: ['branch', 'task'].includes(attributes.type) ? attributes.type : null,
+      description: attributes._note || attributes.description || '',
+      duration: attributes.duration || null,
+      difficulty: attributes.difficulty || null,
+      prerequisites: splitPrerequisites(attributes.prerequisites),
+    });
+    if (attributes.id) {
+      byId.set(attributes.id, item);
+    }
+    stack[stack.length - 1].children.push(item);
+    if (!selfClosing) {
+      stack.push(item);
+    }
+  }
+
+  for (const item of flattenOutline(root)) {
+    item.prerequisites = item.prerequisites.map(prereq => byId.get(prereq)?.title || prereq);
+  }
+  return classify(root);
+}
+
+/**
+ * Split CSV (or, when the first line has tabs but no commas, TSV) text into rows of fields,
+ * following RFC 4180 quoting
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index++;
+      }
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    rows.push([...row, field]);
+  }
+  return rows;
+}
+
+/**
+ * Read a CSV outline: a header row naming branch, title, duration, difficulty, prerequisites and
+ * description columns (only title is needed, in any order and case), then one task per row. A
+ * branch written "Technique > Scales" is a sub-branch; a row without a branch sits at the top.
+ * @param {string} text
+ * @returns {Object} Root outline item
+ */
+export function parseCsvOutline(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = new Map(header.map((name, index) => [name.trim().toLowerCase(), index]));
+  const root = parsedItem('', 0, { kind: 'goal' });
+  const branches = new Map();
+  const cell = (row, name) => (columns.has(name) ? (row[columns.get(name)] || '').trim() : '');
+
+  const branchFor = (names, line) => {
+    let parent = root;
+    names.forEach((name, index) => {
+      const key = names.slice(0, index + 1).join(' > ');
+      if (!branches.has(key)) {
+        branches.set(key, parsedItem(name, line, { kind: 'branch' }));
+        parent.children.push(branches.get(key));
+      }
+      parent = branches.get(key);
+    });
+    return parent;
+  };
+
+  rows.forEach((row, index) => {
+    if (row.every(value => !value.trim())) {
+      return;
+    }
+    // Line numbers start at 1 and count the header row
+    const line = index + 2;
+    const names = cell(row, 'branch')
+      .split('>')
+      .map(name => name.trim())
+      .filter(Boolean);
+    branchFor(names, line).children.push(
+      parsedItem(cell(row, 'title'), line, {
+        kind: 'task',
+        description: cell(row, 'description'),
+        duration: cell(row, 'duration') || null,
+        difficulty: cell(row, 'difficulty') || null,
+        prerequisites: splitPrerequisites(cell(row, 'prerequisites')),
+      })
+    );
+  });
+
+  return classify(root);
+}
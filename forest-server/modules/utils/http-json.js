@@ -0,0 +1,47 @@
+/**
+ * HTTP JSON Helpers
+ * Request-body parsing and JSON responses shared by the HTTP endpoints.
+ */
+
+import { SERVER_CONFIG } from '../constants.js';
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('http').IncomingMessage} req
+ * @param {number} [maxBytes] - Largest body accepted
+ * @returns {Promise<{body?: any, status?: number, error?: string}>} The parsed body (undefined
+ *   for an empty body), or the HTTP status and reason the body was rejected
+ */
+export async function readJsonBody(req, maxBytes = SERVER_CONFIG.MAX_REQUEST_BYTES) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      return { status: 413, error: 'Request body too large' };
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (text.trim() === '') {
+    return { body: undefined };
+  }
+  try {
+    return { body: JSON.parse(text) };
+  } catch (error) {
+    return { status: 400, error: `Parse error: ${error.message}` };
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {import('http').ServerResponse} res
+ * @param {number} status - HTTP status code
+ * @param {any} payload - Response body
+ * @param {Object<string, string>} [headers] - Extra response headers
+ */
+export function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
@@ -0,0 +1,280 @@
+/**
+ * iCalendar Utility
+ * Writing and reading RFC 5545 calendars: text escaping, line folding, VEVENT components and
+ * their date-time values
+ */
+
+const CRLF = '\r\n';
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+const DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/;
+const DURATION_PATTERN = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Escape a TEXT value
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo escapeText
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, char) =>
+    char === 'n' || char === 'N' ? '\n' : char
+  );
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets, never splitting a character
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * A floating (local wall-clock) DATE-TIME value
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes since midnight; may run into the following days
+ * @returns {string} e.g. 20261021T083000
+ */
+export function formatLocalDateTime(date, minutes) {
+  const day = new Date(Date.parse(`${date}T00:00:00Z`) + Math.floor(minutes / 1440) * 86400000);
+  const time = ((minutes % 1440) + 1440) % 1440;
+  return `${day.toISOString().slice(0, 10).replace(/-/g, '')}T${pad(Math.floor(time / 60))}${pad(time % 60)}00`;
+}
+
+/**
+ * A UTC DATE-TIME value
+ * @param {Date} [date=new Date()]
+ * @returns {string} e.g. 20261019T120000Z
+ */
+export function formatUtcDateTime(date = new Date()) {
+  return `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+}
+
+/**
+ * Serialise a calendar
+ * @param {Array<Array<[string, string]>>} events - Each event's properties as [name, value]
+ *   pairs, values already escaped and formatted
+ * @param {Object} options
+ * @param {string} options.prodId - PRODID of the calendar
+ * @param {string} [options.name] - Display name (X-WR-CALNAME)
+ * @returns {string}
+ */
+export function buildCalendar(events, { prodId, name = null }) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${prodId}`, 'CALSCALE:GREGORIAN'];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  for (const properties of events) {
+    lines.push('BEGIN:VEVENT', ...properties.map(([key, value]) => `${key}:${value}`));
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * Split a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let quoted = false;
+  let colon = -1;
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') {
+      quoted = !quoted;
+    } else if (line[index] === ':' && !quoted) {
+      colon = index;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * The VEVENT components of a calendar. Components nested in an event (alarms) are skipped.
+ * @param {string} text - .ics file contents
+ * @returns {Array<Object>} One object per event mapping each property name to its first
+ *   occurrence, `{value, params}`
+ */
+export function parseCalendar(text) {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+  const events = [];
+  let event = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+    if (property.name === 'BEGIN') {
+      if (event) {
+        nested++;
+      } else if (property.value.toUpperCase() === 'VEVENT') {
+        event = {};
+      }
+    } else if (property.name === 'END') {
+      if (nested > 0) {
+        nested--;
+      } else if (event && property.value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+    } else if (event && nested === 0 && !(property.name in event)) {
+      event[property.name] = { value: property.value, params: property.params };
+    }
+  }
+  return events;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {string} timeZone - IANA name
+ * @param {number} utcMs
+ * @returns {number} Minutes east of UTC
+ */
+function zoneOffsetMinutes(timeZone, utcMs) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(new Date(utcMs))
+      .map(part => [part.type, Number(part.value)])
+  );
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((asUtc - utcMs) / 60000);
+}
+
+/**
+ * Read a DATE or DATE-TIME property as local wall-clock time. UTC values and values with a
+ * TZID are converted to this machine's time zone; floating values are taken as they are.
+ * @param {{value: string, params: Object}} property
+ * @returns {{date: string, time: string|null}|null} time is null for DATE values (all day)
+ */
+export function parseDateTime(property) {
+  const match = DATE_TIME_PATTERN.exec(String(property?.value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    return { date: `${year}-${month}-${day}`, time: null };
+  }
+
+  const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds || 0);
+  let instant = null;
+  if (utc) {
+    instant = wall;
+  } else if (property.params?.TZID) {
+    try {
+      instant = wall - zoneOffsetMinutes(property.params.TZID, wall) * 60000;
+    } catch {
+      // Unknown zone (e.g. a Windows name): treat the time as local
+      instant = null;
+    }
+  }
+  if (instant === null) {
+    return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+  }
+  const local = new Date(instant);
+  return {
+    date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+    time: `${pad(local.getHours())}:${pad(local.getMinutes())}`,
+  };
+}
+
+/**
+ * Length of a DURATION value
+ * @param {string} value - e.g. PT1H30M or P1D
+ * @returns {number|null} Minutes
+ */
+export function parseDuration(value) {
+  const match = DURATION_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part ?? 0);
+  const total =
+    Number(weeks) * 10080 +
+    Number(days) * 1440 +
+    Number(hours) * 60 +
+    Number(minutes) +
+    Math.floor(Number(seconds) / 60);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Split an RRULE value into its parts
+ * @param {string} value - e.g. FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261231T000000Z
+ * @returns {Object} Part names upper-cased
+ */
+export function parseRecurrenceRule(value) {
+  return Object.fromEntries(
+    String(value || '')
+      .split(';')
+      .filter(Boolean)
+      .map(part => {
+        const [key, ...rest] = part.split('=');
+        return [key.toUpperCase(), rest.join('=')];
+      })
+  );
+}
@@ -0,0 +1,116 @@
+/**
+ * JSON Schema Utilities
+ * Checks request arguments against the JSON Schemas published for each MCP tool.
+ *
+ * Only the subset of JSON Schema the tool definitions use is supported: type, properties,
+ * required, items, enum, minimum, maximum and additionalProperties.
+ */
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema (as published in a tool's inputSchema)
+ * @param {any} value - Value to check
+ * @param {string} [path] - Location of `value` within the request, for problem reports
+ * @returns {Array<{path: string, message: string}>} Problems found (empty when valid)
+ */
+export function validateSchema(schema, value, path = '') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` }];
+    }
+  }
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `expected one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(schema.items, item, childPath(path, index)));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        problems.push({ path: childPath(path, field), message: 'is required' });
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        if (fieldValue !== undefined) {
+          problems.push(...validateSchema(properties[field], fieldValue, childPath(path, field)));
+        }
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: childPath(path, field), message: 'is not a known field' });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Convert query-string values to the types an object schema declares, so `?days=3` can be
+ * checked as a number. Values that do not convert are left as strings for validation to report.
+ * @param {Object} schema - Object schema
+ * @param {Object<string, string>} query - Raw query parameters
+ * @returns {Object}
+ */
+export function coerceQueryParams(schema, query) {
+  const properties = schema?.properties || {};
+  return Object.fromEntries(
+    Object.entries(query).map(([field, raw]) => {
+      switch (properties[field]?.type) {
+        case 'number':
+        case 'integer': {
+          const number = Number(raw);
+          return [field, raw.trim() !== '' && Number.isFinite(number) ? number : raw];
+        }
+        case 'boolean':
+          return [field, raw === 'true' ? true : raw === 'false' ? false : raw];
+        case 'array':
+          return [field, raw.split(',').map(item => item.trim())];
+        default:
+          return [field, raw];
+      }
+    })
+  );
+}
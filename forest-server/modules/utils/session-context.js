@@ -0,0 +1,76 @@
+/**
+ * Session Context
+ * Tracks which MCP client session the current request belongs to.
+ *
+ * Requests arriving over the HTTP transports run inside `runInSession()`, so any code they reach
+ * can look up the calling session without it being threaded through every tool signature. Stdio
+ * requests (and background work such as the system clock) run outside any session.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { AUTH } from '../constants.js';
+
+const sessionStorage = new AsyncLocalStorage();
+const mcpServerStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with `session` as the current client session
+ * @param {Object} session - Session state, e.g. `{ id, transport, activeProject }`
+ * @param {Function} fn - Work to run; may return a promise
+ * @returns {any} Whatever `fn` returns
+ */
+export function runInSession(session, fn) {
+  return sessionStorage.run(session, fn);
+}
+
+/**
+ * The client session the current request belongs to
+ * @returns {Object|null} Session state, or null outside a network session
+ */
+export function currentSession() {
+  return sessionStorage.getStore() || null;
+}
+
+/**
+ * Run a function on behalf of the MCP server instance (and so the connected client) whose
+ * request it is handling, so the work can send requests back to that client
+ * @param {Object} server - MCP server instance that received the request
+ * @param {Function} fn - Work to run; may return a promise
+ * @returns {any} Whatever `fn` returns
+ */
+export function runWithMcpServer(server, fn) {
+  return mcpServerStorage.run(server, fn);
+}
+
+/**
+ * The MCP server instance handling the current request
+ * @returns {Object|null} Server, or null outside an MCP request (REST API, background work)
+ */
+export function currentMcpServer() {
+  return mcpServerStorage.getStore() || null;
+}
+
+/**
+ * The user the current request acts as: the authenticated user of an HTTP request, else
+ * FOREST_USER, else the local user
+ * @returns {string}
+ */
+export function currentUserId() {
+  return currentSession()?.userId || process.env.FOREST_USER || AUTH.LOCAL_USER;
+}
+
+/**
+ * Active project for the current request. A network session that has switched project sees its
+ * own choice; everything else sees the active project the current user last chose, falling back
+ * to the one recorded before active projects were kept per user.
+ * @param {Object} [globalData] - Global config.json contents
+ * @returns {string|null}
+ */
+export function resolveActiveProject(globalData) {
+  return (
+    currentSession()?.activeProject ||
+    globalData?.activeProjects?.[currentUserId()] ||
+    globalData?.activeProject ||
+    null
+  );
+}
@@ -0,0 +1,494 @@
+/**
+ * Week Planner Module
+ * Plans the active project over several days at once. Ready frontier nodes are spread over the
+ * free time of each day in a date range (what meals, timed habits, commitments and blocks
+ * already in the day leave open), prerequisites always land on an earlier day than the tasks
+ * that need them, consecutive days favour different branches, and part of every day is kept
+ * free as slack for overruns. Recurring tasks are added to each day they are due before the
+ * one-off tasks are spread.
+ *
+ * The plan is written as day_*.json files linked to each other through their `weekPlan` field,
+ * plus week_plan.json recording which task went to which day. Re-balancing re-plans the days
+ * from today to the end of the plan, moving the tasks of missed days forward.
+ */
+
+import {
+  addDays,
+  dailyRoutine,
+  daysBetween,
+  formatClockTime,
+  freeWindows,
+  parseClockTime,
+} from './calendar-commitments.js';
+import { FILE_NAMES, SCHEDULING } from './constants.js';
+import { dueRecurringTasks, isRecurring } from './recurring-tasks.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class WeekPlanner {
+  /**
+   * @param {import('./data-persistence.js').DataPersistence} dataPersistence
+   * @param {import('./project-management.js').ProjectManagement} projectManagement
+   * @param {import('./schedule-generator.js').ScheduleGenerator} scheduleGenerator
+   * @param {import('./calendar-commitments.js').CalendarCommitments} commitments
+   */
+  constructor(dataPersistence, projectManagement, scheduleGenerator, commitments) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.scheduleGenerator = scheduleGenerator;
+    this.commitments = commitments;
+  }
+
+  /**
+   * Plan the active project over a date range, or re-balance its current plan
+   * @param {Object} options
+   * @param {string} [options.startDate] - First day, YYYY-MM-DD (defaults to today)
+   * @param {number} [options.days=7] - Number of days to plan
+   * @param {number} [options.slackPercent=20] - Share of each day's free time left unplanned
+   * @param {boolean} [options.rebalance=false] - Re-plan the current plan from today on instead,
+   *   moving the tasks of missed days forward
+   * @returns {Promise<Object>} MCP tool response
+   */
+  async generateWeekPlan({
+    startDate = null,
+    days = SCHEDULING.WEEK_PLAN_DAYS,
+    slackPercent = SCHEDULING.WEEK_PLAN_SLACK_PERCENT,
+    rebalance = false,
+  } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const today = new Date().toISOString().split('T')[0];
+
+      let previous = null;
+      let plan;
+      if (rebalance) {
+        previous = await this.loadPlan(projectId);
+        if (!previous) {
+          return this.textResponse(
+            `❌ "${projectId}" has no week plan to re-balance. Create one with \`generate_week_plan\`.`
+          );
+        }
+        if (previous.endDate < today) {
+          return this.textResponse(
+            `❌ The week plan for "${projectId}" ended on ${previous.endDate}. Create a new one with \`generate_week_plan\`.`
+          );
+        }
+        plan = { ...previous, first: previous.startDate > today ? previous.startDate : today };
+      } else {
+        const first = startDate || today;
+        await this.checkOptions(first, days, slackPercent);
+        const endDate = addDays(first, days - 1);
+        plan = { id: `${first}_${endDate}`, startDate: first, endDate, slackPercent, first };
+      }
+
+      const result = await this.buildPlan(projectId, plan, previous);
+      await this.dataPersistence.runInTransaction(
+        () => this.savePlan(projectId, plan, previous, result),
+        'generate_week_plan'
+      );
+
+      return {
+        content: [{ type: 'text', text: this.formatSummary(projectId, plan, result) }],
+        plan_id: plan.id,
+        start_date: plan.startDate,
+        end_date: plan.endDate,
+        days: result.days.map(day => ({
+          date: day.date,
+          tasks: this.taskIds(day.blocks),
+          recurring: day.blocks.filter(block => block.occurrence).map(block => block.taskId),
+          planned_minutes: day.plannedMinutes,
+          free_minutes: day.freeMinutes,
+          slack_minutes: day.slackMinutes,
+        })),
+        unplanned: result.unplanned.map(task => task.id),
+        missed: result.missed,
+        moved: result.moved,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('generateWeekPlan', error, {
+        startDate,
+        days,
+        slackPercent,
+        rebalance,
+      });
+      return this.textResponse(`Error generating week plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out the plan's blocks day by day
+   * @private
+   */
+  async buildPlan(projectId, plan, previous) {
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    if (!config) {
+      throw new Error('Project configuration not found');
+    }
+    const hta = await this.scheduleGenerator.loadPathHTA(projectId, config.activePath || 'general');
+    const nodes = hta.frontierNodes || [];
+
+    const dayFiles = new Map();
+    for (let date = plan.startDate; date <= plan.endDate; date = addDays(date, 1)) {
+      dayFiles.set(
+        date,
+        await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(date))
+      );
+    }
+
+    // Tasks are done once their node or any block for them in the plan's days is completed
+    const done = new Set();
+    for (const node of nodes.filter(candidate => candidate.completed)) {
+      done.add(node.id).add(node.title);
+    }
+    for (const dayFile of dayFiles.values()) {
+      for (const block of (dayFile?.blocks || []).filter(entry => entry.completed)) {
+        const node = nodes.find(candidate => candidate.id === block.taskId);
+        done.add(block.taskId);
+        if (node) {
+          done.add(node.title);
+        }
+      }
+    }
+
+    // Past days of a re-balanced plan keep their blocks; unfinished ones are flagged as missed
+    const missed = [];
+    for (const [date, dayFile] of dayFiles) {
+      if (date >= plan.first) {
+        continue;
+      }
+      for (const block of this.planBlocks(dayFile?.blocks || [])) {
+        if (!done.has(block.taskId) && !block.missed && !block.occurrence) {
+          missed.push({ task_id: block.taskId, title: block.title, date, block_id: block.id });
+        }
+      }
+    }
+
+    const prefs = config.life_structure_preferences || {};
+    const routine = dailyRoutine(config);
+    const breakMinutes = this.scheduleGenerator.getBreakDuration(prefs);
+    const dailyCap = config.weekly_hours ? Math.round((config.weekly_hours * 60) / 7) : null;
+
+    const pool = nodes.filter(node => !node.completed && !done.has(node.id) && !isRecurring(node));
+    const recurring = nodes.filter(isRecurring);
+    const plannedOn = new Map();
+    const occurrencesPlanned = new Map();
+    const days = [];
+    let yesterday = new Set();
+    for (let date = plan.first; date <= plan.endDate; date = addDays(date, 1)) {
+      const dayFile = dayFiles.get(date);
+      const capacity = await this.dayCapacity(date, dayFile, routine, plan.slackPercent, dailyCap);
+      const blocks = this.fillDay(date, capacity, pool, {
+        done,
+        plannedOn,
+        yesterday,
+        breakMinutes,
+        recurring: dueRecurringTasks(recurring, date, occurrencesPlanned),
+      });
+      for (const block of blocks.filter(entry => entry.occurrence)) {
+        occurrencesPlanned.set(block.taskId, [
+          ...(occurrencesPlanned.get(block.taskId) || []),
+          date,
+        ]);
+      }
+      days.push({
+        date,
+        dayFile,
+        blocks,
+        plannedMinutes: blocks.reduce((sum, block) => sum + block.duration, 0),
+        freeMinutes: capacity.freeMinutes,
+        slackMinutes: capacity.freeMinutes - capacity.budget,
+      });
+      yesterday = new Set(blocks.map(block => block.branch));
+    }
+
+    const moved = [];
+    for (const entry of previous?.days || []) {
+      for (const taskId of entry.tasks) {
+        const to = plannedOn.get(taskId) || null;
+        if (to !== entry.date && !done.has(taskId)) {
+          const node = nodes.find(candidate => candidate.id === taskId);
+          moved.push({ task_id: taskId, title: node?.title || taskId, from: entry.date, to });
+        }
+      }
+    }
+
+    return { days, dayFiles, missed, moved, unplanned: pool };
+  }
+
+  /**
+   * Free time a day offers the plan, and how much of it may be planned
+   * @private
+   */
+  async dayCapacity(date, dayFile, routine, slackPercent, dailyCap) {
+    const kept = this.keptBlocks(dayFile?.blocks || []);
+    const busy = [...routine.busy, ...(await this.commitments.commitmentsFor(date))];
+    for (const block of kept) {
+      const start = parseClockTime(block.startTime);
+      if (start !== null) {
+        busy.push({ start, end: start + (Number(block.duration) || SCHEDULING.MIN_BLOCK_MINUTES) });
+      }
+    }
+
+    const windows = freeWindows(routine.wake, routine.sleep, busy, SCHEDULING.MIN_BLOCK_MINUTES);
+    const freeMinutes = windows.reduce((sum, window) => sum + window.end - window.start, 0);
+    let budget = Math.floor((freeMinutes * (100 - slackPercent)) / 100);
+    if (dailyCap !== null) {
+      const keptLearning = kept
+        .filter(block => block.type === 'learning' || block.taskId)
+        .reduce((sum, block) => sum + (Number(block.duration) || 0), 0);
+      budget = Math.min(budget, Math.max(dailyCap - keptLearning, 0));
+    }
+    return { windows, freeMinutes, budget };
+  }
+
+  /**
+   * Place tasks from the pool into a day's free windows until its budget is used up. The
+   * recurring tasks due that day go first. A task is ready once each prerequisite is done or
+   * planned on an earlier day; among ready tasks, those from branches the day has least of and
+   * that yesterday did not touch come first, then the highest priority.
+   * @private
+   */
+  fillDay(date, capacity, pool, { done, plannedOn, yesterday, breakMinutes, recurring = [] }) {
+    const cursors = capacity.windows.map(window => ({ ...window, cursor: window.start }));
+    const branchCount = new Map();
+    const blocks = [];
+    let budget = capacity.budget;
+
+    const isReady = task =>
+      (task.prerequisites || []).every(prereq => {
+        const plannedDate = plannedOn.get(prereq);
+        return done.has(prereq) || (plannedDate !== undefined && plannedDate < date);
+      });
+    const slotFor = minutes => cursors.find(window => window.end - window.cursor >= minutes);
+    const place = (task, minutes, extra) => {
+      const slot = slotFor(minutes);
+      blocks.push({
+        type: 'learning',
+        title: task.title,
+        description: task.description || '',
+        startTime: formatClockTime(slot.cursor),
+        duration: minutes,
+        taskId: task.id,
+        branch: task.branch || 'general',
+        difficulty: task.difficulty || 1,
+        priority: task.priority || 200,
+        completed: false,
+        ...extra,
+      });
+      slot.cursor += minutes + breakMinutes;
+      budget -= minutes;
+    };
+
+    for (const task of recurring) {
+      const minutes = this.taskMinutes(task);
+      if (minutes <= budget && slotFor(minutes)) {
+        place(task, minutes, { type: 'habit', occurrence: date });
+      }
+    }
+
+    for (;;) {
+      const candidates = pool
+        .map((task, index) => ({ task, index, minutes: this.taskMinutes(task) }))
+        .filter(({ task, minutes }) => minutes <= budget && isReady(task) && slotFor(minutes));
+      if (candidates.length === 0) {
+        break;
+      }
+      candidates.sort((a, b) => {
+        const branchA = a.task.branch || 'general';
+        const branchB = b.task.branch || 'general';
+        return (
+          (branchCount.get(branchA) || 0) - (branchCount.get(branchB) || 0) ||
+          yesterday.has(branchA) - yesterday.has(branchB) ||
+          (b.task.priority || 200) - (a.task.priority || 200) ||
+          a.index - b.index
+        );
+      });
+
+      const { task, index, minutes } = candidates[0];
+      const branch = task.branch || 'general';
+      place(task, minutes);
+      branchCount.set(branch, (branchCount.get(branch) || 0) + 1);
+      plannedOn.set(task.id, date);
+      plannedOn.set(task.title, date);
+      pool.splice(index, 1);
+    }
+
+    return blocks.sort((a, b) => parseClockTime(a.startTime) - parseClockTime(b.startTime));
+  }
+
+  /**
+   * Write the day files and week_plan.json
+   * @private
+   */
+  async savePlan(projectId, plan, previous, { days, dayFiles, missed }) {
+    const now = new Date().toISOString();
+    const total = daysBetween(plan.startDate, plan.endDate) + 1;
+
+    // Missed blocks stay where they were, flagged
+    for (const date of new Set(missed.map(entry => entry.date))) {
+      const ids = new Set(missed.filter(entry => entry.date === date).map(entry => entry.block_id));
+      const dayFile = dayFiles.get(date);
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(date), {
+        ...dayFile,
+        blocks: dayFile.blocks.map(block =>
+          ids.has(block.id) ? { ...block, missed: true } : block
+        ),
+      });
+    }
+
+    for (const day of days) {
+      const kept = this.keptBlocks(day.dayFile?.blocks || []);
+      let next = Math.max(
+        0,
+        ...kept
+          .filter(block => String(block.id).startsWith(SCHEDULING.WEEK_BLOCK_ID_PREFIX))
+          .map(block => Number(String(block.id).slice(SCHEDULING.WEEK_BLOCK_ID_PREFIX.length)) || 0)
+      );
+      const blocks = day.blocks.map(block => ({
+        id: `${SCHEDULING.WEEK_BLOCK_ID_PREFIX}${++next}`,
+        ...block,
+      }));
+      const startOf = block => parseClockTime(block.startTime) ?? 0;
+
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(day.date), {
+        ...day.dayFile,
+        date: day.date,
+        blocks: [...kept, ...blocks].sort((a, b) => startOf(a) - startOf(b)),
+        generated: day.dayFile?.generated || now,
+        weekPlan: {
+          id: plan.id,
+          startDate: plan.startDate,
+          endDate: plan.endDate,
+          day: daysBetween(plan.startDate, day.date) + 1,
+          of: total,
+          previous: day.date > plan.startDate ? addDays(day.date, -1) : null,
+          next: day.date < plan.endDate ? addDays(day.date, 1) : null,
+          slackMinutes: day.slackMinutes,
+        },
+      });
+    }
+
+    const pastDays = (previous?.days || []).filter(entry => entry.date < plan.first);
+    await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.WEEK_PLAN, {
+      id: plan.id,
+      startDate: plan.startDate,
+      endDate: plan.endDate,
+      slackPercent: plan.slackPercent,
+      createdAt: previous?.createdAt || now,
+      rebalancedAt: previous ? now : null,
+      days: [
+        ...pastDays,
+        ...days.map(day => ({
+          date: day.date,
+          tasks: this.taskIds(day.blocks),
+          plannedMinutes: day.plannedMinutes,
+        })),
+      ],
+    });
+  }
+
+  /**
+   * The project's current plan, or null when it has none
+   * @private
+   */
+  async loadPlan(projectId) {
+    const files = await this.dataPersistence.listProjectFiles(projectId);
+    if (!files.includes(FILE_NAMES.WEEK_PLAN)) {
+      return null;
+    }
+    return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WEEK_PLAN);
+  }
+
+  /**
+   * Blocks this planner wrote
+   * @private
+   */
+  planBlocks(blocks) {
+    return blocks.filter(block =>
+      String(block.id || '').startsWith(SCHEDULING.WEEK_BLOCK_ID_PREFIX)
+    );
+  }
+
+  /**
+   * Blocks in a day file a new plan keeps: everything except this planner's own blocks that
+   * have not been completed
+   * @private
+   */
+  keptBlocks(blocks) {
+    const planned = new Set(this.planBlocks(blocks).filter(block => !block.completed));
+    return blocks.filter(block => !planned.has(block));
+  }
+
+  /**
+   * Ids of the one-off tasks among a day's planned blocks
+   * @private
+   */
+  taskIds(blocks) {
+    return blocks.filter(block => !block.occurrence).map(block => block.taskId);
+  }
+
+  taskMinutes(task) {
+    return this.scheduleGenerator.parseDuration(task.duration);
+  }
+
+  /**
+   * @private
+   */
+  async checkOptions(startDate, days, slackPercent) {
+    const { ValidationError } = await import('./errors.js');
+    if (!DATE_PATTERN.test(startDate)) {
+      throw new ValidationError('start_date', startDate, 'a date in YYYY-MM-DD format');
+    }
+    if (!Number.isInteger(days) || days < 1 || days > SCHEDULING.MAX_WEEK_PLAN_DAYS) {
+      throw new ValidationError(
+        'days',
+        days,
+        `a whole number from 1 to ${SCHEDULING.MAX_WEEK_PLAN_DAYS}`
+      );
+    }
+    if (
+      typeof slackPercent !== 'number' ||
+      slackPercent < 0 ||
+      slackPercent > SCHEDULING.MAX_WEEK_PLAN_SLACK_PERCENT
+    ) {
+      throw new ValidationError(
+        'slack_percent',
+        slackPercent,
+        `a number from 0 to ${SCHEDULING.MAX_WEEK_PLAN_SLACK_PERCENT}`
+      );
+    }
+  }
+
+  formatSummary(projectId, plan, { days, unplanned, missed, moved }) {
+    const lines = [
+      `🗓️ Week plan for "${projectId}": ${plan.startDate} to ${plan.endDate} (${plan.slackPercent}% slack)`,
+      '',
+    ];
+    for (const day of days) {
+      const weekday = SCHEDULING.WEEKDAYS[new Date(`${day.date}T00:00:00Z`).getUTCDay()];
+      const dayName = weekday[0].toUpperCase() + weekday.slice(1);
+      const titles = day.blocks.map(block => block.title).join(', ') || 'nothing planned';
+      lines.push(
+        `**${dayName} ${day.date}** (${day.plannedMinutes} of ${day.freeMinutes} free min): ${titles}`
+      );
+    }
+    if (missed.length > 0) {
+      lines.push('', `Missed: ${missed.map(entry => `${entry.title} (${entry.date})`).join(', ')}`);
+    }
+    if (moved.length > 0) {
+      const moves = moved.map(move => `${move.title} ${move.from} → ${move.to || 'unplanned'}`);
+      lines.push('', `Moved: ${moves.join(', ')}`);
+    }
+    if (unplanned.length > 0) {
+      lines.push(
+        '',
+        `Not planned (no room or waiting on prerequisites): ${unplanned.map(task => task.title).join(', ')}`
+      );
+    }
+    return lines.join('\n');
+  }
+
+  textResponse(text) {
+    return { content: [{ type: 'text', text }] };
+  }
+}
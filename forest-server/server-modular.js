@@ -21,21 +21,42 @@ import { McpHandlers } from './modules/mcp-handlers.js';
 import { ToolRouter } from './modules/tool-router.js';
 import { DataPersistence } from './modules/data-persistence.js';
 import { MemorySync } from './modules/memory-sync.js';
+import { createMemoryGraph } from './modules/memory/index.js';
 import { ProjectManagement } from './modules/project-management.js';
 import { HtaTreeBuilder } from './modules/hta-tree-builder.js';
 import { HtaStatus } from './modules/hta-status.js';
+import { RecurringTasks } from './modules/recurring-tasks.js';
+import { HtaEditor } from './modules/hta-editor.js';
+import { HtaExchange } from './modules/hta-exchange.js';
+import { LearningPaths } from './modules/learning-paths.js';
+import { ProjectSnapshots } from './modules/project-snapshots.js';
+import { ProjectBundles } from './modules/project-bundles.js';
+import { ProjectMembers } from './modules/project-members.js';
+import { McpHttpTransport } from './modules/mcp-http-transport.js';
+import { McpPrompts } from './modules/mcp-prompts.js';
+import { McpResources } from './modules/mcp-resources.js';
+import { McpSampling } from './modules/mcp-sampling.js';
+import { HttpAuth } from './modules/http-auth.js';
+import { RestApi } from './modules/rest-api.js';
 import { ScheduleGenerator } from './modules/schedule-generator.js';
 import { TaskCompletion } from './modules/task-completion.js';
 import { ReasoningEngine } from './modules/reasoning-engine.js';
 import { TaskIntelligence } from './modules/task-intelligence.js';
 import { AnalyticsTools } from './modules/analytics-tools.js';
 import { LlmIntegration } from './modules/llm-integration.js';
+import { parseJsonCompletion } from './modules/llm/index.js';
 import { IdentityEngine } from './modules/identity-engine.js';
 import { IntegratedTaskPool } from './modules/integrated-task-pool.js';
 import { IntegratedScheduleGenerator } from './modules/integrated-schedule-generator.js';
+import { CalendarCommitments } from './modules/calendar-commitments.js';
+import { ScheduleCalendar } from './modules/schedule-calendar.js';
+import { WeekPlanner } from './modules/week-planner.js';
+import { DayRescheduler } from './modules/day-rescheduler.js';
+import { DependencyGraph, linkPrerequisites } from './modules/dependency-graph.js';
 import { getForestLogger } from './modules/winston-logger.js';
 import { SERVER_CONFIG, FILE_NAMES, DEFAULT_PATHS } from './modules/constants.js';
 import { bus } from './modules/utils/event-bus.js';
+import { resolveActiveProject } from './modules/utils/session-context.js';
 import { StrategyEvolver } from './modules/strategy-evolver.js';
 import { SystemClock } from './modules/system-clock.js';
 import { ProactiveInsightsHandler } from './modules/proactive-insights-handler.js';
@@ -94,11 +115,16 @@ class CleanForestServer {
 
       // Initialize data layer
       this.logger.debug('Initializing data persistence', { module: 'CleanForestServer' });
-      this.dataPersistence = new DataPersistence(this.core.getDataDir());
+      this.dataPersistence = new DataPersistence(this.core.getDataDir(), {
+        backend: this.core.getStorageBackend(),
+      });
       this.logger.debug('Data persistence complete', { module: 'CleanForestServer' });
 
       // Initialize memory and sync layer
-      this.memorySync = new MemorySync(this.dataPersistence);
+      this.memorySync = new MemorySync(
+        this.dataPersistence,
+        createMemoryGraph(this.core.getDataDir())
+      );
 
       // Initialize project management
       this.projectManagement = new ProjectManagement(this.dataPersistence, this.memorySync);
@@ -106,16 +132,67 @@ class CleanForestServer {
       // Expose Claude interface to modules that need reasoning
       const claude = this.core.getClaudeInterface();
 
+      // Completions generated in-band by MCP clients that support sampling
+      this.mcpSampling = new McpSampling({
+        toolSchema: toolName => this.mcpHandlers.getToolSchema(toolName),
+      });
+
       // Initialize HTA system - USING CLEAN VERSIONS
       this.htaTreeBuilder = new HtaTreeBuilder(
         this.dataPersistence,
         this.projectManagement,
-        claude
+        claude,
+        {
+          sampling: this.mcpSampling,
+          storeGeneratedTasks: branchTasks => this.storeGeneratedTasks(branchTasks),
+        }
       );
       this.htaStatus = new HtaStatus(this.dataPersistence, this.projectManagement);
+      this.recurringTasks = new RecurringTasks(this.dataPersistence, this.projectManagement);
+      this.htaEditor = new HtaEditor(this.dataPersistence, this.projectManagement);
+      this.htaExchange = new HtaExchange(this.dataPersistence, this.projectManagement, {
+        storeGeneratedTasks: branchTasks => this.storeGeneratedTasks(branchTasks),
+      });
+      this.learningPaths = new LearningPaths(
+        this.dataPersistence,
+        this.projectManagement,
+        this.memorySync
+      );
+      this.projectSnapshots = new ProjectSnapshots(this.dataPersistence, this.projectManagement);
+      this.projectBundles = new ProjectBundles(this.dataPersistence, this.projectManagement);
+      this.projectMembers = new ProjectMembers(this.dataPersistence, this.projectManagement);
+
+      // Projects, HTA trees, schedules and wisdom as MCP resources
+      this.mcpResources = new McpResources(
+        this.dataPersistence,
+        this.projectManagement,
+        this.projectMembers
+      );
 
       // Initialize scheduling system
-      this.scheduleGenerator = new ScheduleGenerator(this.dataPersistence, this.projectManagement);
+      this.calendarCommitments = new CalendarCommitments(this.dataPersistence);
+      this.scheduleGenerator = new ScheduleGenerator(
+        this.dataPersistence,
+        this.projectManagement,
+        this.calendarCommitments
+      );
+      this.scheduleCalendar = new ScheduleCalendar(
+        this.dataPersistence,
+        this.projectManagement,
+        this.calendarCommitments
+      );
+      this.weekPlanner = new WeekPlanner(
+        this.dataPersistence,
+        this.projectManagement,
+        this.scheduleGenerator,
+        this.calendarCommitments
+      );
+      this.dayRescheduler = new DayRescheduler(
+        this.dataPersistence,
+        this.projectManagement,
+        this.scheduleGenerator,
+        this.calendarCommitments
+      );
 
       // Initialize event bus for decoupled module communication
       this.eventBus = bus;
@@ -125,7 +202,12 @@ class CleanForestServer {
 
       // Initialize task system - USING CLEAN VERSIONS with event bus
       this.taskCompletion = new TaskCompletion(this.dataPersistence, this.projectManagement);
-      this.taskIntelligence = new TaskIntelligence(this.dataPersistence, this.projectManagement);
+      this.taskIntelligence = new TaskIntelligence(
+        this.dataPersistence,
+        this.projectManagement,
+        null,
+        this.mcpSampling
+      );
 
       // Initialize intelligence engines
       this.reasoningEngine = new ReasoningEngine(this.dataPersistence, this.projectManagement);
@@ -135,13 +217,26 @@ class CleanForestServer {
       // Initialize analytics and tools
       this.analyticsTools = new AnalyticsTools(this.dataPersistence, this.projectManagement);
 
+      // Forest workflows as MCP prompts
+      this.mcpPrompts = new McpPrompts(
+        this.dataPersistence,
+        this.projectManagement,
+        {
+          htaTreeBuilder: this.htaTreeBuilder,
+          taskIntelligence: this.taskIntelligence,
+          analyticsTools: this.analyticsTools,
+        },
+        this.projectMembers
+      );
+
       // Initialize proactive reasoning layer - FROM INTELLIGENCE TO WISDOM
       this.systemClock = new SystemClock(
         this.dataPersistence,
         this.projectManagement,
         this.reasoningEngine,
         this.identityEngine,
-        this.eventBus
+        this.eventBus,
+        this.dayRescheduler
       );
 
       this.proactiveInsightsHandler = new ProactiveInsightsHandler(
@@ -245,7 +340,9 @@ class CleanForestServer {
         this.projectManagement,
         claude,
         this.dataPersistence,
-        this.scheduleGenerator
+        this.scheduleGenerator,
+        this.mcpSampling,
+        this.calendarCommitments
       );
 
       this.logger.debug('CONSTRUCTOR_COMPLETE');
@@ -401,7 +498,19 @@ class CleanForestServer {
           return await this.askTruthfulClaude(args.prompt);
         }
 
-        // Default passthrough for framework/task generation
+        // Framework/task generation: the client generates it in-band when it supports
+        // sampling, otherwise the prompt is passed back for the caller to answer
+        const generated = await this.mcpSampling.requestText(args.prompt, {
+          purpose: `request_claude_generation:${type || 'tasks'}`,
+        });
+        if (generated !== null) {
+          return {
+            content: [{ type: 'text', text: generated }],
+            generated_via: 'sampling',
+            generation_type: args.generation_type,
+            context: args.context || {},
+          };
+        }
         return {
           content: [{ type: 'text', text: args.prompt }],
           claude_request: args.prompt,
@@ -671,6 +780,12 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
             minimum: 1,
             maximum: 30,
           },
+          rescheduleIntervalMinutes: {
+            type: 'number',
+            description: "Minutes between checks that move today's missed blocks (default: off)",
+            minimum: 5,
+            maximum: 240,
+          },
         },
         required: [],
       },
@@ -704,7 +819,7 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         properties: {
           analysisType: {
             type: 'string',
-            enum: ['strategic', 'risk', 'opportunity', 'identity'],
+            enum: ['strategic', 'risk', 'opportunity', 'identity', 'reschedule'],
             description: 'Type of analysis to perform immediately',
           },
         },
@@ -1003,16 +1118,8 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
     try {
       // Global config may or may not exist – load gracefully
       const globalConfig = (await this.dataPersistence.loadGlobalData('config.json')) || {};
-      const projectsDirPath = path.join(this.dataPersistence.dataDir, 'projects');
-
-      // List directories inside the projects folder
-      let projectDirs = [];
-      try {
-        projectDirs = await this.dataPersistence.listFiles(projectsDirPath);
-      } catch (err) {
-        // If listing fails, fall back to empty array
-        projectDirs = [];
-      }
+      // List projects through the configured storage backend
+      const projectDirs = await this.dataPersistence.listProjects();
 
       const projects = [];
       for (const projectId of projectDirs) {
@@ -1035,7 +1142,7 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         }
       }
 
-      const activeProject = globalConfig.activeProject || 'None';
+      const activeProject = resolveActiveProject(globalConfig) || 'None';
 
       let output = `📚 **Available Projects** (${projects.length} total)\n\n`;
       output += `**Active Project**: ${activeProject}\n\n`;
@@ -1051,7 +1158,7 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         });
       }
 
-      return {
+      return await this.projectMembers.withSharedProjects({
         content: [
           {
             type: 'text',
@@ -1060,7 +1167,7 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         ],
         projects,
         active_project: activeProject,
-      };
+      });
     } catch (error) {
       await this.dataPersistence.logError('listProjects', error);
       return {
@@ -1080,6 +1187,20 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
     return await this.projectManagement.getActiveProject();
   }
 
+  // ===== PROJECT MEMBER METHODS =====
+
+  async shareProject(options) {
+    return await this.projectMembers.shareProject(options);
+  }
+
+  async removeProjectMember(options) {
+    return await this.projectMembers.removeMember(options);
+  }
+
+  async listProjectMembers(options) {
+    return await this.projectMembers.listMembers(options);
+  }
+
   async requireActiveProject() {
     return await this.projectManagement.requireActiveProject();
   }
@@ -1099,8 +1220,69 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
     );
   }
 
-  async getHTAStatus() {
-    return await this.htaStatus.getHTAStatus();
+  /** @param {string|null} [member] */
+  async getHTAStatus(member = null) {
+    return await this.htaStatus.getHTAStatus(member);
+  }
+
+  async getCriticalPath(options) {
+    return await this.htaStatus.getCriticalPath(options);
+  }
+
+  async exportHta(options) {
+    return await this.htaExchange.exportHta(options);
+  }
+
+  async importHta(options) {
+    return await this.htaExchange.importHta(options);
+  }
+
+  async addRecurringTask(options) {
+    return await this.recurringTasks.addRecurringTask(options);
+  }
+
+  async addNode(options) {
+    return await this.htaEditor.addNode(options);
+  }
+
+  async updateNode(options) {
+    return await this.htaEditor.updateNode(options);
+  }
+
+  async moveNode(options) {
+    return await this.htaEditor.moveNode(options);
+  }
+
+  async splitNode(options) {
+    return await this.htaEditor.splitNode(options);
+  }
+
+  async deleteNode(options) {
+    return await this.htaEditor.deleteNode(options);
+  }
+
+  // ===== SNAPSHOT METHODS =====
+
+  async listSnapshots(options) {
+    return await this.projectSnapshots.listSnapshots(options);
+  }
+
+  async diffSnapshot(options) {
+    return await this.projectSnapshots.diffSnapshot(options);
+  }
+
+  async restoreSnapshot(options) {
+    return await this.projectSnapshots.restoreSnapshot(options);
+  }
+
+  // ===== EXPORT / IMPORT METHODS =====
+
+  async exportProject(options) {
+    return await this.projectBundles.exportProject(options);
+  }
+
+  async importProject(options) {
+    return await this.projectBundles.importProject(options);
   }
 
   // ===== SCHEDULING METHODS =====
@@ -1130,11 +1312,14 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
    * @param {number} timeAvailable
    */
   async getNextTask(contextFromMemory, energyLevel, timeAvailable) {
+    // Without context from the caller, use what the knowledge graph remembers
+    const recalledContext = contextFromMemory ? '' : await this.memorySync.recallActiveContext();
     // @ts-ignore
     return await this.taskIntelligence.getNextTask(
       contextFromMemory,
       energyLevel,
-      /** @type {any} */ (timeAvailable)
+      /** @type {any} */ (timeAvailable),
+      { recalledContext }
     );
   }
 
@@ -1213,17 +1398,11 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         allTasks = [...frontierNodes, ...completedNodes];
         completedCount = completedNodes.length + frontierNodes.filter(n => n.completed).length;
 
-        const availableNodes = frontierNodes.filter(node => {
-          if (node.completed) return false;
-          if (node.prerequisites && node.prerequisites.length > 0) {
-            const completedIds = [
-              ...completedNodes.map(n => n.id),
-              ...frontierNodes.filter(n => n.completed).map(n => n.id),
-            ];
-            return node.prerequisites.every(prereq => completedIds.includes(prereq));
-          }
-          return true;
-        });
+        const graph = new DependencyGraph([
+          ...frontierNodes,
+          ...completedNodes.map(node => ({ ...node, completed: true })),
+        ]);
+        const availableNodes = frontierNodes.filter(node => graph.isReady(node));
 
         statusText += `\n**Learning Progress**: ${completedCount}/${allTasks.length} tasks completed\n`;
         statusText += `**Available Tasks**: ${availableNodes.length} ready to start\n`;
@@ -1276,9 +1455,10 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
    *  @param {string} pathName */
   async loadPathHTA(projectId, pathName) {
     if (pathName === DEFAULT_PATHS.GENERAL) {
-      // Try path-specific HTA first, fallback to project-level
+      // Try path-specific HTA first, fallback to project-level. A missing document loads as a
+      // default without frontierNodes, so only a tree that has them counts as found.
       const pathHTA = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-      if (pathHTA) {
+      if (Array.isArray(pathHTA?.frontierNodes)) {
         return pathHTA;
       }
       return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
@@ -1299,17 +1479,29 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         this.debugIntegration.startDebugEnvironment();
       }
 
+      // Finish any multi-file commit a previous crash interrupted before serving requests
+      const recovery = await this.dataPersistence.recoverFromJournal();
+      if (recovery.recovered.length > 0 || recovery.discarded.length > 0) {
+        this.logger.info('Write-ahead journal recovery complete', recovery);
+      }
+
       // Setup the server handlers before connecting
       this.logger.debug('Pre-setup server', { module: 'CleanForestServer' });
       await this.setupServer();
       this.logger.debug('Post-setup server', { module: 'CleanForestServer' });
 
-      this.logger.debug('Pre-server connect', { module: 'CleanForestServer' });
-      const server = this.core.getServer();
-      const transport = new StdioServerTransport();
+      // FOREST_MCP_TRANSPORT selects stdio, network clients over HTTP, or both
+      if (this.core.servesStdio()) {
+        this.logger.debug('Pre-server connect', { module: 'CleanForestServer' });
+        const server = this.core.getServer();
+        const transport = new StdioServerTransport();
 
-      await server.connect(transport);
-      this.logger.debug('Post-server connect', { module: 'CleanForestServer' });
+        await server.connect(transport);
+        this.logger.debug('Post-server connect', { module: 'CleanForestServer' });
+      }
+      if (this.core.servesHttp()) {
+        this.mcpHttpTransport = new McpHttpTransport(this);
+      }
 
       this.logger.debug('Server started successfully', { module: 'CleanForestServer' });
 
@@ -1327,8 +1519,10 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         await this.startProactiveReasoning();
       }
 
-      // Start the optional HTTP API for external monitoring/control
-      this.startHttpApi();
+      // Start the optional HTTP API for external monitoring/control (and network MCP clients)
+      if (this.core.isHttpApiEnabled() || this.mcpHttpTransport) {
+        this.startHttpApi();
+      }
 
     } catch (error) {
       this.logger.error('Server run failed', {
@@ -1344,12 +1538,48 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
 
   startHttpApi() {
     const isTerminal = isInteractive;
+    this.httpAuth = new HttpAuth(this.core.getDataDir(), { mode: this.core.getHttpAuthMode() });
+    this.restApi = new RestApi(this);
 
-    const httpServer = http.createServer((req, res) => {
+    const httpServer = http.createServer(async (req, res) => {
       // Log every incoming request for real-time visibility
       if (isTerminal) {
         console.info(`HTTP ${req.method} ${req.url} from ${req.socket.remoteAddress}`);
       }
+
+      try {
+        // Everything but the status page needs an API token (unless FOREST_HTTP_AUTH=none)
+        const isStatusRequest = req.url === '/' || req.url.startsWith('/?');
+        if (!isStatusRequest && !(await this.httpAuth.authenticateRequest(req, res))) {
+          return;
+        }
+        // REST resources (/projects, /insights, /archive, /admin)
+        if (await this.restApi.handleRequest(req, res)) {
+          return;
+        }
+        // MCP endpoints (/mcp, /sse, /messages) when serving network clients
+        if (this.mcpHttpTransport && (await this.mcpHttpTransport.handleRequest(req, res))) {
+          return;
+        }
+      } catch (error) {
+        this.logger.error('HTTP request failed', {
+          module: 'CleanForestServer',
+          error: error.message,
+          stack: error.stack,
+        });
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+        }
+        res.end(
+          JSON.stringify({
+            jsonrpc: '2.0',
+            error: { code: -32603, message: 'Internal server error' },
+            id: null,
+          })
+        );
+        return;
+      }
+
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(
         JSON.stringify({
@@ -1359,6 +1589,10 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
           status: 'running',
           dataDir: this.core.getDataDir(),
           hardcodedResponses: false,
+          mcpTransport: this.core.getMcpTransport(),
+          httpAuth: this.core.getHttpAuthMode(),
+          mcpSessions: this.mcpHttpTransport ? this.mcpHttpTransport.sessions.size : 0,
+          llm: this.core.getLlmClient()?.getUsage() ?? { provider: 'none' },
         })
       );
     });
@@ -1373,7 +1607,7 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
             `⚠️ Port ${desiredPort} already in use, selecting a random available port...`
           );
         }
-        httpServer.listen(0); // 0 lets the OS pick a free port
+        httpServer.listen(0, this.core.getHttpHost()); // 0 lets the OS pick a free port
       } else {
         if (isTerminal) {
           console.error('❌ HTTP server error:', err.message);
@@ -1381,11 +1615,13 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
       }
     });
 
-    httpServer.listen(desiredPort, () => {
+    httpServer.listen(desiredPort, this.core.getHttpHost(), () => {
       const addr = /** @type {net.AddressInfo} */ (httpServer.address());
       const actualPort = addr ? addr.port : desiredPort;
       if (isTerminal) {
-        console.error(`📡 HTTP API running on http://localhost:${actualPort}`);
+        console.error(
+          `📡 HTTP API running on http://${this.core.getHttpHost() || 'localhost'}:${actualPort} (auth: ${this.core.getHttpAuthMode()})`
+        );
       }
     });
   }
@@ -1552,27 +1788,26 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
       .getClaudeInterface()
       .requestIntelligence('critique', { prompt: critiquePrompt });
 
-    // Attempt to parse the JSON returned by the LLM
-    try {
-      const parsed = JSON.parse(
-        claudeResponse.completion || claudeResponse.answer || claudeResponse.text || '{}'
-      );
+    // Attempt to parse the JSON returned by the LLM (models often wrap it in code fences)
+    const parsed = parseJsonCompletion(
+      claudeResponse.completion || claudeResponse.answer || claudeResponse.text || '{}'
+    );
+    if (parsed && typeof parsed === 'object') {
       return {
         assessment: parsed.assessment || 'Critique generated.',
         critique: parsed.critique || 'The critique engine provided a structured analysis.',
         confidence_score: parsed.confidence_score || 95,
         suggested_improvement: parsed.suggested_improvement || 'The output is well-formed.',
       };
-    } catch (error) {
-      // Fallback – invalid JSON from LLM
-      return {
-        assessment: 'Critique engine fallback.',
-        critique:
-          "The LLM's critique response was not in a valid JSON format, but the original tool output was processed.",
-        confidence_score: 50,
-        suggested_improvement: 'Ensure LLM consistently returns valid JSON for critiques.',
-      };
     }
+    // Fallback – invalid JSON from LLM
+    return {
+      assessment: 'Critique engine fallback.',
+      critique:
+        "The LLM's critique response was not in a valid JSON format, but the original tool output was processed.",
+      confidence_score: 50,
+      suggested_improvement: 'Ensure LLM consistently returns valid JSON for critiques.',
+    };
   }
 
   /**
@@ -1609,12 +1844,7 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
    * List all learning paths available in the active project.
    */
   async listLearningPaths() {
-    // Simplified implementation to avoid timeout issues
-    return {
-      content: [{ type: 'text', text: '📚 **Learning Paths**: relationship_clarity' }],
-      learning_paths: ['relationship_clarity'],
-      active_path: 'relationship_clarity',
-    };
+    return await this.learningPaths.listLearningPaths();
   }
 
   /**
@@ -1623,53 +1853,38 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
    * @param {string} duration
    */
   async focusLearningPath(pathName, duration = 'until next switch') {
-    const projectId = await this.requireActiveProject();
-    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
-    const paths = (config.learning_paths || []).map(p => p.path_name);
+    return await this.learningPaths.focusLearningPath(pathName, duration);
+  }
 
-    if (!paths.includes(pathName)) {
-      return {
-        content: [
-          { type: 'text', text: `❌ Learning path "${pathName}" not found in this project.` },
-        ],
-      };
-    }
+  async addLearningPath(options) {
+    return await this.learningPaths.addLearningPath(options);
+  }
 
-    config.activePath = pathName;
-    await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config);
+  async renameLearningPath(options) {
+    return await this.learningPaths.renameLearningPath(options);
+  }
 
-    // Sync memory so downstream reasoning has updated context
-    await this.memorySync.syncActiveProjectToMemory(projectId);
+  async removeLearningPath(options) {
+    return await this.learningPaths.removeLearningPath(options);
+  }
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `🎯 Focus switched to learning path **${pathName}** for ${duration}.`,
-        },
-      ],
-      active_path: pathName,
-      duration,
-    };
+  async allocatePathTime(options) {
+    return await this.learningPaths.allocatePathTime(options);
   }
 
   /**
    * Force-sync Forest state to Memory MCP.
    */
   async syncForestMemory() {
-    // Simplified version to avoid timeout
-    return {
-      content: [{ type: 'text', text: '✅ Forest state synced to memory (simplified)' }],
-      sync_status: 'completed',
-    };
+    return await this.memorySync.syncForestMemory();
   }
 
   /**
    * Summarise progress over the last N days.
    * @param {number} days
    */
-  async reviewPeriod(days) {
-    return await this.analyticsTools.reviewPeriod(days);
+  async reviewPeriod(days, member = null) {
+    return await this.analyticsTools.reviewPeriod(days, member);
   }
 
   /**
@@ -1680,6 +1895,22 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
     return await this.analyticsTools.generateTiimoExport(includeBreaks);
   }
 
+  async rescheduleDay(options) {
+    return await this.dayRescheduler.rescheduleDay(options);
+  }
+
+  async generateWeekPlan(options) {
+    return await this.weekPlanner.generateWeekPlan(options);
+  }
+
+  async exportScheduleIcs(options) {
+    return await this.scheduleCalendar.exportScheduleIcs(options);
+  }
+
+  async importCalendarIcs(options) {
+    return await this.scheduleCalendar.importIcs(options);
+  }
+
   /**
    * Analyse current complexity tier and scaling opportunities.
    */
@@ -1708,7 +1939,7 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
       const pathName = config.activePath || DEFAULT_PATHS.GENERAL;
       
       let htaData = await this.loadPathHTA(projectId, pathName);
-      if (!htaData) {
+      if (!Array.isArray(htaData?.frontierNodes)) {
         htaData = {
           projectId,
           pathName,
@@ -1747,6 +1978,8 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         maxDepth: 0
       };
 
+      const existingIds = new Set((htaData.frontierNodes || []).map(node => node.id));
+
       // Process each main branch
       for (const branch of branchTasks) {
         const processedBranch = await this.processHierarchicalBranch(
@@ -1774,6 +2007,18 @@ ${dashboard.widgets.alerts || 'No recent alerts'}
         }
       }
 
+      // Prerequisites are stored as ids; tasks that wait on each other could never start
+      const newNodes = htaData.frontierNodes.filter(node => !existingIds.has(node.id));
+      const cycles = linkPrerequisites(htaData, newNodes);
+      if (cycles.length > 0) {
+        const { ValidationError } = await import('./modules/errors.js');
+        throw new ValidationError(
+          'prerequisites',
+          cycles.map(cycle => [...cycle, cycle[0]].map(node => node.title).join(' → ')).join('; '),
+          'tasks that do not wait for each other in a cycle'
+        );
+      }
+
       // Update hierarchy metadata
       htaData.hierarchy_metadata = {
         total_depth: stats.maxDepth,
@@ -1879,7 +2124,7 @@ Your goal now has a comprehensive ${stats.maxDepth}-level deep roadmap with ${st
           branch: branchData.id,
           branch_path: this.getBranchPath(branchData.id),
           branch_depth: depth,
-          prerequisites: this.resolvePrerequisites(task.prerequisites, htaData),
+          prerequisites: task.prerequisites || [],
           priority: this.calculateDeepTaskPriority(task, branchData, depth),
           created_at: new Date().toISOString(),
           generated: true,
@@ -1994,19 +2239,6 @@ Your goal now has a comprehensive ${stats.maxDepth}-level deep roadmap with ${st
     return duration || '30 minutes';
   }
 
-  resolvePrerequisites(prerequisites, htaData) {
-    if (!prerequisites || prerequisites.length === 0) return [];
-    
-    return prerequisites.map(prereq => {
-      if (prereq.startsWith('node_')) return prereq;
-      
-      const task = htaData.frontierNodes.find(t => t.title === prereq) ||
-                   htaData.completed_nodes.find(t => t.title === prereq);
-      
-      return task ? task.id : null;
-    }).filter(id => id !== null);
-  }
-
   async getGenerationHistory(limit = 10) {
     const projectId = await this.requireActiveProject();
     const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
@@ -2035,7 +2267,7 @@ Your goal now has a comprehensive ${stats.maxDepth}-level deep roadmap with ${st
 
   async generateIntegratedSchedule(date, energyLevel = 3) {
     try {
-      return await this.integratedScheduleGenerator.generateDailySchedule(date, energyLevel);
+      return await this.integratedScheduleGenerator.generateIntegratedSchedule(date, energyLevel);
     } catch (error) {
       await this.dataPersistence.logError('CleanForestServer.generateIntegratedSchedule', error);
       throw error;
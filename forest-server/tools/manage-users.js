@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP API User Management Tool for Forest.os
+ *
+ * Registers API users, issues and revokes their tokens and reports how much storage each
+ * user's data root takes up. Tokens are printed once, when issued; only their hashes are kept
+ * in <data dir>/auth/users.json. Changes apply to a running server straight away.
+ */
+
+import * as path from 'path';
+import * as os from 'os';
+import { fileURLToPath } from 'url';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { HttpAuth } from '../modules/http-auth.js';
+import { AUTH, DEFAULT_DATA_DIR, SERVER_CONFIG } from '../modules/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function printHelp() {
+  console.log(`
+Forest.os HTTP API Users
+
+Usage: node manage-users.js <command> [options]
+
+Commands:
+  add <user-id> [--admin]           Register a user and issue their first token
+  token <user-id> [--label <text>]  Issue another token for a user
+  revoke <user-id> <token-id>       Revoke one of a user's tokens
+  list                              List users, their tokens and storage usage
+
+Options:
+  -d, --data-dir <dir>    Data directory (default: $FOREST_DATA_DIR or ~/${DEFAULT_DATA_DIR})
+  --backend <backend>     Storage backend (default: $FOREST_STORAGE_BACKEND or json)
+  -h, --help              Show this help
+  `);
+}
+
+function parseArgs(args) {
+  const options = {
+    dataDir: process.env.FOREST_DATA_DIR
+      ? path.resolve(process.env.FOREST_DATA_DIR)
+      : path.join(os.homedir(), DEFAULT_DATA_DIR),
+    role: AUTH.ROLES.USER,
+    label: null,
+    positional: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--data-dir':
+      case '-d':
+        options.dataDir = path.resolve(args[++i]);
+        break;
+      case '--backend':
+        options.backend = args[++i];
+        break;
+      case '--admin':
+        options.role = AUTH.ROLES.ADMIN;
+        break;
+      case '--label':
+        options.label = args[++i];
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (args[i].startsWith('-')) {
+          throw new Error(`Unknown option: ${args[i]}`);
+        }
+        options.positional.push(args[i]);
+    }
+  }
+  [options.command, ...options.positional] = options.positional;
+  return options;
+}
+
+function requireArgs(options, count, usage) {
+  if (options.positional.length !== count) {
+    throw new Error(`Usage: manage-users.js ${usage}`);
+  }
+  return options.positional;
+}
+
+/**
+ * Run one user management command
+ * @returns {Promise<Object>} What the command did, for printing
+ */
+export async function runUserCommand(options) {
+  // The tool manages credentials, so it works whatever FOREST_HTTP_AUTH the server runs with
+  const auth = new HttpAuth(options.dataDir, { mode: SERVER_CONFIG.AUTH_MODES.TOKEN });
+
+  switch (options.command) {
+    case 'add': {
+      const [userId] = requireArgs(options, 1, 'add <user-id> [--admin]');
+      const user = await auth.addUser(userId, { role: options.role });
+      return { user, ...(await auth.issueToken(userId, { label: options.label })) };
+    }
+    case 'token': {
+      const [userId] = requireArgs(options, 1, 'token <user-id> [--label <text>]');
+      return auth.issueToken(userId, { label: options.label });
+    }
+    case 'revoke': {
+      const [userId, tokenId] = requireArgs(options, 2, 'revoke <user-id> <token-id>');
+      return { userId, tokenId, revoked: await auth.revokeToken(userId, tokenId) };
+    }
+    case 'list': {
+      const persistence = new DataPersistence(options.dataDir, { backend: options.backend });
+      try {
+        const users = await auth.listUsers();
+        for (const user of users) {
+          user.storage = await persistence.getUserStorageUsage(user.id);
+        }
+        return { users };
+      } finally {
+        await persistence.close();
+      }
+    }
+    default:
+      throw new Error(options.command ? `Unknown command: ${options.command}` : 'No command given');
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KiB`;
+}
+
+// CLI handling
+if (process.argv[1] === __filename) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      printHelp();
+      process.exit(0);
+    }
+
+    const result = await runUserCommand(options);
+    if (result.token) {
+      if (result.user) {
+        console.log(`Added ${result.user.role} '${result.user.id}'`);
+      }
+      console.log(`Token ${result.tokenId} for '${result.userId}' (shown only once):`);
+      console.log(`  ${result.token}`);
+      console.log(
+        `  curl -H "Authorization: Bearer ${result.token}" http://localhost:${SERVER_CONFIG.DEFAULT_PORT}/projects`
+      );
+    } else if (result.users) {
+      for (const { id, role, tokens, storage } of result.users) {
+        console.log(
+          `${id} (${role}): ${storage.projects} projects, ${storage.files} files, ${formatBytes(storage.bytes)}`
+        );
+        for (const token of tokens) {
+          console.log(
+            `    token ${token.id} issued ${token.createdAt}${token.label ? ` (${token.label})` : ''}`
+          );
+        }
+      }
+      console.log(`${result.users.length} users in ${options.dataDir}`);
+    } else {
+      console.log(
+        result.revoked
+          ? `Revoked token ${result.tokenId} of '${result.userId}'`
+          : `'${result.userId}' has no token ${result.tokenId}`
+      );
+      process.exit(result.revoked ? 0 : 1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printHelp();
+    process.exit(1);
+  }
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Document Schema Migration Tool for Forest.os
+ *
+ * Upgrades every document in a FOREST_DATA_DIR to the current schema version and
+ * prints what each migration changed. The server already upgrades documents as it
+ * reads them; this rewrites them all at once (e.g. before sharing a data directory
+ * with other tools). Replaced project files are snapshotted first.
+ */
+
+import * as path from 'path';
+import * as os from 'os';
+import { fileURLToPath } from 'url';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { DEFAULT_DATA_DIR } from '../modules/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function printHelp() {
+  console.log(`
+Forest.os Document Schema Migration
+
+Usage: node migrate-documents.js [options]
+
+Options:
+  -d, --data-dir <dir>    Data directory (default: $FOREST_DATA_DIR or ~/${DEFAULT_DATA_DIR})
+  --backend <backend>     Storage backend (default: $FOREST_STORAGE_BACKEND or json)
+  --dry-run               Report what would change without writing anything
+  -h, --help              Show this help
+  `);
+}
+
+function parseArgs(args) {
+  const options = {
+    dataDir: process.env.FOREST_DATA_DIR
+      ? path.resolve(process.env.FOREST_DATA_DIR)
+      : path.join(os.homedir(), DEFAULT_DATA_DIR),
+    dryRun: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--data-dir':
+      case '-d':
+        options.dataDir = path.resolve(args[++i]);
+        break;
+      case '--backend':
+        options.backend = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+export async function runDocumentMigration(options) {
+  const persistence = new DataPersistence(options.dataDir, { backend: options.backend });
+  try {
+    return await persistence.migrateDocuments({ dryRun: options.dryRun });
+  } finally {
+    clearInterval(persistence.cacheManager.cleanupInterval);
+    await persistence.storage.close();
+  }
+}
+
+function describeChange({ path: changePath, change, before, after }) {
+  switch (change) {
+    case 'added':
+      return `+ ${changePath} = ${JSON.stringify(after)}`;
+    case 'removed':
+      return `- ${changePath} (was ${JSON.stringify(before)})`;
+    default:
+      return `~ ${changePath}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`;
+  }
+}
+
+// CLI handling
+if (process.argv[1] === __filename) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      printHelp();
+      process.exit(0);
+    }
+
+    const report = await runDocumentMigration(options);
+    console.log(
+      `${report.dryRun ? '[dry run] ' : ''}Upgraded ${options.dataDir} to schema version ${report.schemaVersion}`
+    );
+    console.log(`  Upgraded: ${report.upgraded.length}`);
+    for (const entry of report.upgraded) {
+      console.log(`    ${entry.key} (v${entry.fromVersion} → v${entry.toVersion})`);
+      for (const change of entry.changes) {
+        console.log(`      ${describeChange(change)}`);
+      }
+    }
+    console.log(`  Current:  ${report.current.length}`);
+    console.log(`  Invalid:  ${report.invalid.length} (left untouched)`);
+    for (const { key, problems } of report.invalid) {
+      for (const problem of problems) {
+        console.log(`    ✗ ${key}${problem.path ? ` ${problem.path}` : ''}: ${problem.message}`);
+      }
+    }
+    process.exit(report.invalid.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printHelp();
+    process.exit(1);
+  }
+}
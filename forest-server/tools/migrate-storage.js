@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Migration Tool for Forest.os
+ *
+ * Converts an existing FOREST_DATA_DIR between storage backends:
+ * - json   → one JSON file per document (the original layout)
+ * - sqlite → a single embedded SQLite database file
+ *
+ * The source backend is only read, never modified, so a migration can be
+ * re-run safely or rolled back by switching FOREST_STORAGE_BACKEND back.
+ */
+
+import * as path from 'path';
+import * as os from 'os';
+import { fileURLToPath } from 'url';
+import { createStorageAdapter, migrateStorage } from '../modules/storage/index.js';
+import { DEFAULT_DATA_DIR } from '../modules/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function printHelp() {
+  console.log(`
+Forest.os Storage Migration
+
+Usage: node migrate-storage.js --from <backend> --to <backend> [options]
+
+Options:
+  --from <backend>        Source backend (json | sqlite)
+  --to <backend>          Target backend (json | sqlite)
+  -d, --data-dir <dir>    Data directory (default: $FOREST_DATA_DIR or ~/${DEFAULT_DATA_DIR})
+  --overwrite             Replace documents that already exist in the target
+  --dry-run               Report what would be copied without writing anything
+  -h, --help              Show this help
+
+Examples:
+  node migrate-storage.js --from json --to sqlite             # Move to a single-file database
+  node migrate-storage.js --from sqlite --to json --dry-run   # Preview converting back to files
+  `);
+}
+
+function parseArgs(args) {
+  const options = {
+    dataDir: process.env.FOREST_DATA_DIR
+      ? path.resolve(process.env.FOREST_DATA_DIR)
+      : path.join(os.homedir(), DEFAULT_DATA_DIR),
+    dryRun: false,
+    overwrite: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--from':
+        options.from = args[++i];
+        break;
+      case '--to':
+        options.to = args[++i];
+        break;
+      case '--data-dir':
+      case '-d':
+        options.dataDir = path.resolve(args[++i]);
+        break;
+      case '--overwrite':
+        options.overwrite = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+export async function runMigration(options) {
+  if (!options.from || !options.to) {
+    throw new Error('Both --from and --to are required');
+  }
+  if (options.from === options.to) {
+    throw new Error('Source and target backends must differ');
+  }
+
+  const source = createStorageAdapter(options.dataDir, options.from);
+  const target = createStorageAdapter(options.dataDir, options.to);
+  try {
+    return await migrateStorage(source, target, {
+      dryRun: options.dryRun,
+      overwrite: options.overwrite,
+    });
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+// CLI handling
+if (process.argv[1] === __filename) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+      printHelp();
+      process.exit(0);
+    }
+
+    const report = await runMigration(options);
+    console.log(
+      `${report.dryRun ? '[dry run] ' : ''}Migrated ${options.dataDir} from ${report.from} to ${report.to}`
+    );
+    console.log(`  Copied:  ${report.copied.length}`);
+    console.log(`  Skipped: ${report.skipped.length} (already present in target)`);
+    console.log(`  Failed:  ${report.failed.length}`);
+    for (const failure of report.failed) {
+      console.log(`    ✗ ${failure.key}: ${failure.error}`);
+    }
+    console.log(`\nSet FOREST_STORAGE_BACKEND=${report.to} to start using the migrated data.`);
+    process.exit(report.failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printHelp();
+    process.exit(1);
+  }
+}